@@ -82,6 +82,9 @@ export default defineConfig({
       //  실행 전에 전송됨. Redis 접근 가능 여부에 관계없이 테스트 통과)
       REDIS_HOST: '127.0.0.1',
       REDIS_PORT: '6379',
+
+      // Signs the store API keys the owner-route tests present (점주 라우트 테스트가 제시하는 매장 API 키 서명)
+      STORE_API_SECRET: 'store-api-secret-for-tests-only',
     },
   },
 });
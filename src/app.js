@@ -9,6 +9,7 @@ import { posRouter }      from './routes/posRoutes.js';
 import { webhookRouter }  from './routes/webhookRoutes.js';
 import { authRouter }     from './routes/authRoutes.js';
 import { aiRouter }       from './routes/aiRoutes.js';
+import { knowledgeRouter } from './routes/knowledgeRoutes.js';
 import { setupWebSocket }             from './websocket/llmServer.js';
 import { supabase }                    from './config/supabase.js';
 import { syncInventoryFromLoyverse }   from './services/pos/posService.js';
@@ -54,6 +55,10 @@ app.use('/api/auth', authRouter);
 // (AI 라우터 마운트 — LLM 도구/함수 호출을 위해 설계된 간소화된 엔드포인트)
 app.use('/api/ai', aiRouter);
 
+// Mount knowledge base router — store owners maintain FAQ entries for the voice agent
+// (지식 베이스 라우터 마운트 — 점주가 음성 에이전트용 FAQ 항목 관리)
+app.use('/api/knowledge', knowledgeRouter);
+
 // ── Root Route — OAuth callback or health check ───────────────────────────────
 //
 // LOYVERSE_REDIRECT_URI is set to the root ngrok URL, so the OAuth callback
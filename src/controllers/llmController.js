@@ -1,5 +1,5 @@
-// LLM controller — routes conversation turns through Gemini and acts on tool call results
-// (LLM 컨트롤러 — 대화 턴을 Gemini로 라우팅하고 도구 호출 결과에 따라 동작)
+// LLM controller — routes conversation turns through the store's LLM and acts on tool call results
+// (LLM 컨트롤러 — 대화 턴을 매장 LLM으로 라우팅하고 도구 호출 결과에 따라 동작)
 //
 // POST /api/v1/llm/chat
 //   Request:  { agent_id, conversation_history: [{role, parts}] }
@@ -9,19 +9,21 @@
 import { llmService, extractOrderIntent } from '../services/llm/gemini.js';
 import { enqueueOrder }                   from '../queue/producer.js';
 import { getPosAdapter }                  from '../adapters/pos/factory.js';
+import { createLlmProvider }              from '../services/llm/llmProvider.js';
+import { getLlmPolicy }                   from '../services/store/storePolicy.js';
 
 /**
  * POST /api/v1/llm/chat
  *
  * Processes one conversation turn:
- *   1. Pass full history to Gemini (gemini-1.5-flash)
+ *   1. Pass full history to the store's LLM provider (Gemini unless llm_policy says otherwise)
  *   2. Branch on LlmResult type:
  *        TEXT        → return voice reply directly
  *        get_menu    → fetch from POS adapter, return menu to caller (for TTS)
  *        create_order → extract orderData, enqueue to Redis, return job confirmation
  *
  * (하나의 대화 턴 처리:
- *  1. 전체 히스토리를 Gemini에 전달
+ *  1. 전체 히스토리를 매장 LLM 프로바이더에 전달 (llm_policy 미설정 시 Gemini)
  *  2. LlmResult 타입으로 분기:
  *       TEXT        → 음성 응답 반환
  *       get_menu    → POS 어댑터에서 메뉴 조회 후 반환
@@ -45,8 +47,9 @@ export async function handleLlmChat(req, res, next) {
   }
 
   try {
-    // ── Step 1: Send conversation to Gemini (대화를 Gemini에 전송) ──────────────
-    const llmResult = await llmService.generateResponse(conversationHistory, storeContext);
+    // ── Step 1: Send conversation to the store's model (매장 모델에 대화 전송) ────
+    const provider  = createLlmProvider(storeContext.llmPolicy ?? getLlmPolicy(null));
+    const llmResult = await llmService.generateResponse(conversationHistory, storeContext, provider);
 
     // ── Step 2: Branch on result type (결과 타입에 따라 분기) ────────────────────
 
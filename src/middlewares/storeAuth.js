@@ -0,0 +1,79 @@
+// Store API key middleware — owner endpoints only act on the store the key was issued for
+// (매장 API 키 미들웨어 — 점주 엔드포인트는 키가 발급된 매장에만 작동)
+//
+// Applied to /api/knowledge and the /api/pos menu tag and order status routes.
+// (/api/knowledge 및 /api/pos 메뉴 태그·주문 상태 라우트에 적용)
+//
+// A store's key is HMAC-SHA256(STORE_API_SECRET, "store:<storeId>") in hex — issue it with
+// storeApiKey(). Send it as Authorization: Bearer <key> or X-Store-Key: <key>. The key is
+// checked against the :storeId in the path, so a key for one store never opens another.
+// With STORE_API_SECRET unset every request is refused — these routes write store data.
+// (매장 키는 STORE_API_SECRET으로 "store:<storeId>"를 HMAC-SHA256한 hex 값 — storeApiKey()로 발급.
+//  Authorization: Bearer <키> 또는 X-Store-Key: <키>로 전송. 경로의 :storeId와 대조하므로
+//  한 매장의 키로 다른 매장에 접근 불가. STORE_API_SECRET 미설정 시 모든 요청 거부)
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Issue the API key for one store.
+ * (매장 하나의 API 키 발급)
+ *
+ * @param {string} storeId
+ * @param {string} [secret] — defaults to STORE_API_SECRET (기본값 STORE_API_SECRET)
+ * @returns {string} hex HMAC-SHA256
+ */
+export function storeApiKey(storeId, secret = process.env.STORE_API_SECRET) {
+  if (!secret) throw new Error('STORE_API_SECRET is not set (STORE_API_SECRET 미설정)');
+  return createHmac('sha256', secret).update(`store:${storeId}`).digest('hex');
+}
+
+/** Constant-time string comparison (상수 시간 문자열 비교) */
+function safeEqual(a, b) {
+  const left  = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/** Key from Authorization: Bearer … or X-Store-Key (Authorization: Bearer … 또는 X-Store-Key에서 키 추출) */
+function presentedKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') ?? '');
+  return bearer?.[1]?.trim() || req.get('x-store-key') || null;
+}
+
+/**
+ * Reject the request unless it carries the API key of the store in req.params.storeId.
+ * (req.params.storeId 매장의 API 키가 없으면 요청 거부)
+ */
+export function requireStoreKey(req, res, next) {
+  const { storeId } = req.params;
+  const secret      = process.env.STORE_API_SECRET;
+
+  if (!secret) {
+    console.error('[StoreAuth] STORE_API_SECRET not set — refusing owner request (STORE_API_SECRET 미설정 — 점주 요청 거부)');
+    return res.status(503).json({
+      error:   'Store API keys are not configured',
+      message: '매장 API 키가 설정되지 않았습니다.',
+    });
+  }
+
+  const key = presentedKey(req);
+  if (!key) {
+    return res.status(401).json({
+      error:   'Store API key required',
+      message: '매장 API 키가 필요합니다.',
+    });
+  }
+
+  if (!storeId || !safeEqual(key, storeApiKey(storeId, secret))) {
+    console.warn(
+      `[StoreAuth] Key rejected | storeId: ${storeId} | path: ${req.originalUrl} ` +
+      `(키 거부 | 매장: ${storeId})`
+    );
+    return res.status(403).json({
+      error:   'Store API key is not valid for this store',
+      message: '이 매장에 유효한 API 키가 아닙니다.',
+    });
+  }
+
+  next();
+}
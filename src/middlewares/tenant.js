@@ -1,5 +1,6 @@
 // Tenant resolution middleware — resolves agent_id to a full store context (테넌트 미들웨어 — agent_id를 스토어 컨텍스트로 변환)
-import { supabase } from '../config/supabase.js';
+import { supabase }     from '../config/supabase.js';
+import { getLlmPolicy } from '../services/store/storePolicy.js';
 
 /**
  * Resolves the calling tenant from `agent_id` in the request body.
@@ -15,6 +16,7 @@ import { supabase } from '../config/supabase.js';
  *   paymentType: string   — payment adapter key, e.g. 'stripe' | 'toss' (결제 어댑터 키)
  *   timezone:    string   — store timezone (매장 타임존)
  *   active:      boolean  — whether the agent subscription is active (구독 활성 여부)
+ *   llmPolicy:   object   — resolved llm_policy, see getLlmPolicy() (해석된 LLM 정책)
  * }
  */
 export async function tenantMiddleware(req, res, next) {
@@ -75,7 +77,7 @@ async function resolveStoreContext(agentId) {
   // ── PRODUCTION PATH ── query Supabase agents table (운영 경로 — Supabase agents 테이블 실조회)
   const { data, error } = await supabase
     .from('agents')
-    .select('id, store_name, pos_type, pos_api_key, payment_type, timezone, active')
+    .select('id, store_name, pos_type, pos_api_key, payment_type, timezone, active, llm_policy')
     .eq('id', agentId)
     .single();
 
@@ -94,6 +96,7 @@ async function resolveStoreContext(agentId) {
     paymentType: data.payment_type,
     timezone:    data.timezone ?? 'America/Los_Angeles',
     active:      data.active,
+    llmPolicy:   getLlmPolicy(data),
   };
 }
 
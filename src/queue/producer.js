@@ -3,7 +3,8 @@
 import { Queue } from 'bullmq';
 import { env } from '../config/env.js';
 
-export const ORDER_QUEUE_NAME = 'order-queue';
+export const ORDER_QUEUE_NAME        = 'order-queue';
+export const CALL_SUMMARY_QUEUE_NAME = 'call-summary-queue';
 
 // BullMQ manages its own IORedis connection from options — do NOT share the app-level redisClient
 // (BullMQ는 옵션에서 자체 IORedis 연결 관리 — 앱 레벨 redisClient 공유 금지)
@@ -70,6 +71,70 @@ export async function enqueueOrder(orderData, storeContext) {
   };
 }
 
-// Export the queue instance for use in health checks or queue introspection
+// ── Call Summary Queue ────────────────────────────────────────────────────────
+
+// Post-call summaries are not time-critical — fewer retries with a longer back-off
+// (통화 후 요약은 시간에 민감하지 않음 — 재시도 횟수는 줄이고 백오프는 길게)
+const callSummaryQueue = new Queue(CALL_SUMMARY_QUEUE_NAME, {
+  connection,
+  defaultJobOptions: {
+    attempts: 3,                                    // Retry up to 3 times on failure (실패 시 최대 3회 재시도)
+    backoff: { type: 'exponential', delay: 10000 }, // 10s → 30s → 90s exponential back-off (지수 백오프)
+    removeOnComplete: { count: 500 },               // Keep last 500 completed jobs for audit (감사용 완료 잡 500개 유지)
+    removeOnFail:     { count: 100 },               // Keep last 100 failed jobs for debugging (디버깅용 실패 잡 100개 유지)
+  },
+});
+
+callSummaryQueue.on('error', (err) => {
+  console.error('[Queue:producer] Call summary queue error (통화 요약 큐 오류):', err.message);
+});
+
+/**
+ * Enqueue a post-call summary job. Called once the call record has been finalized.
+ * A delay holds the job back for the reconnect grace window so a resumed call can cancel it.
+ * (통화 후 요약 잡 등록. 통화 기록이 마무리된 후 호출.
+ *  재개된 통화가 취소할 수 있도록 재연결 유예 시간 동안 잡을 지연)
+ *
+ * @param {string} callId           — calls.call_id of the finished call (종료된 통화의 calls.call_id)
+ * @param {object} [opts]
+ * @param {number} [opts.delayMs=0] — hold the job back this long (잡 지연 시간)
+ * @returns {Promise<{ jobId: string, queueName: string }>}
+ */
+export async function enqueueCallSummary(callId, { delayMs = 0 } = {}) {
+  // Deterministic jobId — a reconnect that closes twice still yields one summary
+  // (결정론적 잡 ID — 재연결로 두 번 종료되어도 요약은 하나)
+  const jobId = `call-summary-${callId}`;
+
+  const job = await callSummaryQueue.add(
+    'summarize-call',
+    { callId, enqueuedAt: new Date().toISOString() },
+    { jobId, delay: delayMs }
+  );
+
+  console.log(
+    `[Queue:producer] Enqueued job ${job.id} for call ${callId} ` +
+    `(잡 ${job.id} 등록 완료 — 통화 ${callId})`
+  );
+
+  return {
+    jobId:     job.id,
+    queueName: CALL_SUMMARY_QUEUE_NAME,
+  };
+}
+
+/**
+ * Drop a call's still-delayed summary job — the call was resumed after a reconnect and will
+ * enqueue a fresh one when it closes again. No-op if the job does not exist.
+ * (통화의 지연 중인 요약 잡 제거 — 재연결로 재개된 통화는 다시 종료될 때 새 잡을 등록.
+ *  잡이 없으면 아무 작업 없음)
+ *
+ * @param {string} callId
+ * @returns {Promise<void>}
+ */
+export async function cancelCallSummary(callId) {
+  await callSummaryQueue.remove(`call-summary-${callId}`);
+}
+
+// Export the queue instances for use in health checks or queue introspection
 // (헬스 체크 또는 큐 조회를 위한 큐 인스턴스 내보내기)
-export { orderQueue };
+export { orderQueue, callSummaryQueue };
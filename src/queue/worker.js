@@ -1,6 +1,9 @@
 // BullMQ order queue worker — processes jobs by orchestrating POS + payment adapters
 // (BullMQ 주문 큐 워커 — POS + 결제 어댑터를 조율하여 잡 처리)
 //
+// Also hosts the call-summary worker — post-call summaries for finished calls, through each store's provider
+// (통화 요약 워커도 함께 실행 — 종료된 통화의 통화 후 요약, 매장별 프로바이더로 요청)
+//
 // Run as standalone process in production: node src/queue/worker.js
 // In development: imported as a side-effect by app.js (or run separately)
 // (운영 환경: 독립 프로세스로 실행 / 개발 환경: app.js의 사이드 이펙트 또는 별도 실행)
@@ -9,7 +12,9 @@ import { Worker, UnrecoverableError } from 'bullmq';
 import { env } from '../config/env.js';
 import { getPaymentAdapter } from '../adapters/payment/factory.js';
 import { getPosAdapter }     from '../adapters/pos/factory.js';
-import { ORDER_QUEUE_NAME }  from './producer.js';
+import { summarizeCall }     from '../services/call/callSummary.js';
+import { ORDER_QUEUE_NAME,
+         CALL_SUMMARY_QUEUE_NAME } from './producer.js';
 
 // Separate IORedis connection options — Worker uses blocking XREAD commands that must not
 // share a connection with the Queue producer (워커는 블로킹 XREAD를 사용하므로 프로듀서와 연결 분리 필수)
@@ -146,6 +151,27 @@ async function processPaymentStage(orderData, storeContext, job) {
   return paymentResult;
 }
 
+/**
+ * Call summary processor — summarizes one finished call and stores the result.
+ * Thrown errors (DB, model provider) are retried by BullMQ per the queue's defaultJobOptions.
+ * (통화 요약 프로세서 — 종료된 통화 하나를 요약하고 결과 저장.
+ *  오류(DB, 모델 프로바이더) 발생 시 큐의 defaultJobOptions에 따라 BullMQ가 재시도)
+ *
+ * @param {import('bullmq').Job} job
+ */
+async function processCallSummaryJob(job) {
+  const { callId } = job.data;
+
+  if (!callId) {
+    throw new UnrecoverableError(
+      `[Worker] Job ${job.id} has invalid payload — missing callId (잡 ${job.id} 페이로드 오류 — callId 누락)`
+    );
+  }
+
+  console.log(`[Worker] ▶ Starting call summary job ${job.id} | call: ${callId} (통화 요약 잡 시작)`);
+  return summarizeCall(callId);
+}
+
 // ── Payload Validation ────────────────────────────────────────────────────────
 
 /**
@@ -184,6 +210,13 @@ const worker = new Worker(ORDER_QUEUE_NAME, processOrderJob, {
   },
 });
 
+// Summaries call the store's model once per job — low concurrency keeps us well inside rate limits
+// (요약은 잡당 매장 모델 1회 호출 — 낮은 동시성으로 속도 제한 여유 확보)
+const summaryWorker = new Worker(CALL_SUMMARY_QUEUE_NAME, processCallSummaryJob, {
+  connection,
+  concurrency: parseInt(process.env.SUMMARY_WORKER_CONCURRENCY ?? '2', 10), // Env-configurable (환경 변수로 설정 가능)
+});
+
 // ── Worker Event Listeners ────────────────────────────────────────────────────
 
 worker.on('completed', (job, result) => {
@@ -208,13 +241,31 @@ worker.on('error', (err) => {
   console.error('[Worker] Worker error (워커 오류):', err.message);
 });
 
+summaryWorker.on('completed', (job, result) => {
+  console.log(
+    `[Worker] ✓ completed call summary job ${job.id} | status: ${result.status} ` +
+    `(통화 요약 잡 완료 | 상태: ${result.status})`
+  );
+});
+
+summaryWorker.on('failed', (job, err) => {
+  console.error(
+    `[Worker] ✗ failed call summary job ${job?.id} | attempt ${job?.attemptsMade}/${job?.opts?.attempts} | ` +
+    `${err.message} (통화 요약 잡 실패 | 시도: ${job?.attemptsMade}/${job?.opts?.attempts})`
+  );
+});
+
+summaryWorker.on('error', (err) => {
+  console.error('[Worker] Summary worker error (요약 워커 오류):', err.message);
+});
+
 // ── Graceful Shutdown ─────────────────────────────────────────────────────────
 
 // Close the worker cleanly on SIGTERM (container stop) and SIGINT (Ctrl+C)
 // (SIGTERM — 컨테이너 종료 / SIGINT — Ctrl+C 시 워커 정상 종료)
 async function shutdown(signal) {
   console.log(`[Worker] Received ${signal} — shutting down gracefully (${signal} 수신 — 정상 종료 중)`);
-  await worker.close();
+  await Promise.all([worker.close(), summaryWorker.close()]);
   console.log('[Worker] Worker closed (워커 종료 완료)');
   process.exit(0);
 }
@@ -223,9 +274,9 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT',  () => shutdown('SIGINT'));
 
 console.log(
-  `[Worker] Listening on queue "${ORDER_QUEUE_NAME}" ` +
-  `(큐 "${ORDER_QUEUE_NAME}" 대기 중)`
+  `[Worker] Listening on queues "${ORDER_QUEUE_NAME}", "${CALL_SUMMARY_QUEUE_NAME}" ` +
+  `(큐 "${ORDER_QUEUE_NAME}", "${CALL_SUMMARY_QUEUE_NAME}" 대기 중)`
 );
 
 // Export for use in integration tests or programmatic control (통합 테스트 또는 프로그래밍 방식 제어용 내보내기)
-export { worker };
+export { worker, summaryWorker };
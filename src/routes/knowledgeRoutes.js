@@ -0,0 +1,122 @@
+// Knowledge base routes — store owners maintain the FAQ entries the voice agent answers from
+// (지식 베이스 라우트 — 점주가 음성 에이전트가 답변에 사용하는 FAQ 항목을 관리)
+//
+// Mounted at /api/knowledge in app.js. Every route is scoped by the :storeId in the path and
+// requires that store's API key (see middlewares/storeAuth.js).
+// (app.js에서 /api/knowledge에 마운트. 모든 라우트는 경로의 :storeId로 범위 지정되며
+//  해당 매장의 API 키 필요 — middlewares/storeAuth.js 참조)
+
+import { Router } from 'express';
+import { requireStoreKey } from '../middlewares/storeAuth.js';
+import {
+  normaliseEntry,
+  listKnowledgeEntries,
+  createKnowledgeEntry,
+  updateKnowledgeEntry,
+  deleteKnowledgeEntry,
+} from '../services/knowledge/storeKnowledge.js';
+
+export const knowledgeRouter = Router();
+
+// Owner-only — every route needs the API key of the store in its path (점주 전용 — 경로 매장의 API 키 필요)
+knowledgeRouter.use('/:storeId', requireStoreKey);
+
+/**
+ * Log a DB failure and send a 500 (DB 실패 로깅 후 500 응답)
+ */
+function dbFailure(res, action, storeId, error) {
+  console.error(
+    `[KnowledgeRoute] ${action} failed | storeId: ${storeId} | ${error.message} ` +
+    `(지식 항목 ${action} 실패 | 매장: ${storeId})`
+  );
+  return res.status(500).json({ error: error.message, message: '지식 항목 처리 중 오류가 발생했습니다.' });
+}
+
+// ── GET /:storeId ─────────────────────────────────────────────────────────────
+
+/**
+ * List the store's entries, newest first, including inactive ones.
+ * (매장 항목 목록 — 최신순, 비활성 포함)
+ *
+ * Response (응답): 200 { entries: [{ id, question, answer, keywords, active, updated_at }] }
+ */
+knowledgeRouter.get('/:storeId', async (req, res) => {
+  const { storeId } = req.params;
+
+  const { data, error } = await listKnowledgeEntries(storeId);
+  if (error) return dbFailure(res, 'list', storeId, error);
+
+  return res.json({ entries: data ?? [] });
+});
+
+// ── POST /:storeId ────────────────────────────────────────────────────────────
+
+/**
+ * Create an entry.
+ * (항목 생성)
+ *
+ * Body (바디): { question: string, answer: string, keywords?: string[], active?: boolean }
+ * Response (응답): 201 { entry } | 400 { error }
+ */
+knowledgeRouter.post('/:storeId', async (req, res) => {
+  const { storeId } = req.params;
+
+  const { entry, error: invalid } = normaliseEntry(req.body);
+  if (invalid) return res.status(400).json({ error: invalid, message: '잘못된 지식 항목입니다.' });
+
+  const { data, error } = await createKnowledgeEntry(storeId, entry);
+  if (error) return dbFailure(res, 'create', storeId, error);
+
+  console.log(
+    `[KnowledgeRoute] Entry created | storeId: ${storeId} | id: ${data.id} ` +
+    `(지식 항목 생성 | 매장: ${storeId})`
+  );
+  return res.status(201).json({ entry: data });
+});
+
+// ── PATCH /:storeId/:entryId ──────────────────────────────────────────────────
+
+/**
+ * Update any of question, answer, keywords, active.
+ * (question, answer, keywords, active 중 일부 수정)
+ *
+ * Response (응답): 200 { entry } | 400 { error } | 404 { error }
+ */
+knowledgeRouter.patch('/:storeId/:entryId', async (req, res) => {
+  const { storeId, entryId } = req.params;
+
+  const { entry, error: invalid } = normaliseEntry(req.body, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid, message: '잘못된 지식 항목입니다.' });
+
+  const { data, error } = await updateKnowledgeEntry(storeId, entryId, entry);
+  if (error) return dbFailure(res, 'update', storeId, error);
+  if (!data) return res.status(404).json({ error: 'Entry not found', message: '지식 항목을 찾을 수 없습니다.' });
+
+  console.log(
+    `[KnowledgeRoute] Entry updated | storeId: ${storeId} | id: ${entryId} ` +
+    `(지식 항목 수정 | 매장: ${storeId})`
+  );
+  return res.json({ entry: data });
+});
+
+// ── DELETE /:storeId/:entryId ─────────────────────────────────────────────────
+
+/**
+ * Delete an entry. To hide an entry temporarily, PATCH active: false instead.
+ * (항목 삭제 — 일시적으로 숨기려면 active: false로 PATCH)
+ *
+ * Response (응답): 204 | 404 { error }
+ */
+knowledgeRouter.delete('/:storeId/:entryId', async (req, res) => {
+  const { storeId, entryId } = req.params;
+
+  const { data, error } = await deleteKnowledgeEntry(storeId, entryId);
+  if (error) return dbFailure(res, 'delete', storeId, error);
+  if (!data) return res.status(404).json({ error: 'Entry not found', message: '지식 항목을 찾을 수 없습니다.' });
+
+  console.log(
+    `[KnowledgeRoute] Entry deleted | storeId: ${storeId} | id: ${entryId} ` +
+    `(지식 항목 삭제 | 매장: ${storeId})`
+  );
+  return res.status(204).end();
+});
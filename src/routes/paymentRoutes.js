@@ -12,6 +12,10 @@ import { injectOrder } from '../services/pos/posService.js';
 
 export const paymentRouter = Router();
 
+// Statuses that mean the order has been paid — later kitchen stages included
+// (결제 완료를 의미하는 상태 — 이후 주방 단계 포함)
+const PAID_ORDER_STATUSES = ['paid', 'sent_to_pos', 'ready', 'completed'];
+
 // ── HTML Page Builders ────────────────────────────────────────────────────────
 
 /**
@@ -125,16 +129,18 @@ function buildErrorPage(orderId, reason) {
  * Pipeline (파이프라인):
  *   1. Fetch the current order row to read status and store_id
  *      (현재 주문 행 조회 — status와 store_id 읽기)
- *   2. IDEMPOTENCY CHECK — if status is already 'paid', return the success page
+ *   2. IDEMPOTENCY CHECK — if the order is already paid (paid, sent_to_pos, ready, completed), return the success page
  *      immediately without touching the DB or POS again. Protects against
- *      double-clicks and duplicate webhook deliveries.
- *      (멱등성 확인 — status가 이미 'paid'이면 DB·POS 재처리 없이 성공 페이지 즉시 반환.
- *       더블클릭 및 중복 웹훅 방지)
+ *      double-clicks and duplicate webhook deliveries. Any other non-pending order
+ *      (cancelled, or mid-change on a call) is refused.
+ *      (멱등성 확인 — 이미 결제된 주문(paid, sent_to_pos, ready, completed)이면 DB·POS 재처리 없이 성공 페이지 즉시 반환.
+ *       더블클릭 및 중복 웹훅 방지. 그 외 pending이 아닌 주문(취소됨, 통화 중 변경 중)은 거부)
  *   3. Fetch the store row using order.store_id to obtain the dynamic pos_api_key.
  *      The POS key lives in the DB, never in .env.
  *      (order.store_id로 매장 행 조회 → 동적 pos_api_key 획득.
  *       POS 키는 DB에 있음 — .env에 절대 없음)
- *   4. Update orders.status → 'paid' (orders.status → 'paid' 업데이트)
+ *   4. Update orders.status 'pending' → 'paid' — conditional, so a change claimed on a call
+ *      in the meantime wins (orders.status 'pending' → 'paid' 조건부 업데이트 — 그사이 통화에서 선점한 변경이 우선)
  *   5. Inject the order into Loyverse POS via posService.injectOrder().
  *      POS failure is non-fatal — the customer already paid; log and continue.
  *      (posService.injectOrder()로 Loyverse POS에 주문 주입.
@@ -178,7 +184,7 @@ paymentRouter.get('/mock/:orderId', async (req, res) => {
   // This handles: user double-clicking the email link, browser retries, duplicate PG callbacks.
   // (이미 결제된 주문 — 부작용 없이 성공 페이지 반환.
   //  이메일 링크 더블클릭, 브라우저 재시도, 중복 PG 콜백 처리)
-  if (order.status === 'paid') {
+  if (PAID_ORDER_STATUSES.includes(order.status)) {
     console.log(
       `[Payment] Order already paid — returning success page without re-processing | orderId: ${orderId} ` +
       `(이미 결제된 주문 — 재처리 없이 성공 페이지 반환 | 주문: ${orderId})`
@@ -186,6 +192,16 @@ paymentRouter.get('/mock/:orderId', async (req, res) => {
     return res.status(200).send(buildSuccessPage(orderId));
   }
 
+  if (order.status !== 'pending') {
+    console.warn(
+      `[Payment] Order is not awaiting payment | orderId: ${orderId} | status: ${order.status} ` +
+      `(결제 대기 중인 주문 아님 | 주문: ${orderId} | 상태: ${order.status})`
+    );
+    return res
+      .status(409)
+      .send(buildErrorPage(orderId, 'This order was cancelled or changed. Please check your latest messages from the store.'));
+  }
+
   // ── Step 3: Fetch store row for dynamic POS API key ────────────────────────
   // The pos_api_key is stored per-tenant in the stores table, not in .env.
   // This allows each store to use its own Loyverse account independently.
@@ -208,12 +224,16 @@ paymentRouter.get('/mock/:orderId', async (req, res) => {
   }
 
   // ── Step 4: Mark order as paid ─────────────────────────────────────────────
-  // Only reached when the current status is NOT 'paid' — prevents double updates.
-  // (현재 status가 'paid'가 아닐 때만 도달 — 이중 업데이트 방지)
-  const { error: updateError } = await supabase
+  // Conditional on 'pending' — a cancel or change claimed on a call since Step 1 leaves no row to update.
+  // paid_at identifies this charge for refund idempotency keys.
+  // (pending일 때만 업데이트 — Step 1 이후 통화에서 선점한 취소·변경이 있으면 업데이트할 행 없음.
+  //  paid_at은 환불 멱등성 키에서 이 결제를 식별)
+  const { data: paidRows, error: updateError } = await supabase
     .from('orders')
-    .update({ status: 'paid' })
-    .eq('id', orderId);
+    .update({ status: 'paid', paid_at: new Date().toISOString() })
+    .eq('id', orderId)
+    .eq('status', 'pending')
+    .select('id');
 
   if (updateError) {
     // DB update failed — log and return error page to the customer (DB 업데이트 실패 — 로깅 후 고객에게 오류 페이지 반환)
@@ -226,6 +246,16 @@ paymentRouter.get('/mock/:orderId', async (req, res) => {
       .send(buildErrorPage(orderId, 'Database update failed. Please contact support.'));
   }
 
+  if (!paidRows?.length) {
+    console.warn(
+      `[Payment] Order changed before payment was recorded | orderId: ${orderId} ` +
+      `(결제 기록 전에 주문 변경됨 | 주문: ${orderId})`
+    );
+    return res
+      .status(409)
+      .send(buildErrorPage(orderId, 'This order was cancelled or changed. Please check your latest messages from the store.'));
+  }
+
   console.log(
     `[Payment] Order marked as paid | orderId: ${orderId} ` +
     `(주문 결제 완료 처리 | 주문: ${orderId})`
@@ -246,12 +276,40 @@ paymentRouter.get('/mock/:orderId', async (req, res) => {
   const posApiKey = storeData?.pos_api_key ?? null;
   setTimeout(() => {
     injectOrder(order, posApiKey)
-      .then(() => {
+      .then(async (receipt) => {
         // Background POS injection completed successfully (백그라운드 POS 주입 성공 완료)
         console.log(
           `[Payment] Background POS injection finished | orderId: ${orderId} ` +
           `(백그라운드 POS 주입 완료 | 주문: ${orderId})`
         );
+
+        // injectOrder returns null on failure — only advance the status when Loyverse accepted it.
+        // 'sent_to_pos' lets the voice agent tell callers their order is in the kitchen, and the
+        // receipt number lets a later cancellation void the receipt in Loyverse.
+        // (injectOrder는 실패 시 null 반환 — Loyverse가 수락한 경우에만 상태 진행.
+        //  'sent_to_pos'로 음성 에이전트가 주문이 주방에 전달되었음을 안내 가능,
+        //  영수증 번호로 이후 취소 시 Loyverse 영수증 무효화 가능)
+        // Conditional on 'paid' so a cancel or change claimed on a call meanwhile is not overwritten.
+        // (그사이 통화에서 선점한 취소·변경을 덮어쓰지 않도록 'paid'일 때만 업데이트)
+        if (!receipt) return;
+        const { data: sentRows, error: statusError } = await supabase
+          .from('orders')
+          .update({ status: 'sent_to_pos', pos_receipt_number: receipt.receipt_number ?? null })
+          .eq('id', orderId)
+          .eq('status', 'paid')
+          .select('id');
+
+        if (statusError) {
+          console.error(
+            `[Payment] Failed to mark order sent_to_pos | orderId: ${orderId} | ${statusError.message} ` +
+            `(sent_to_pos 상태 업데이트 실패 | 주문: ${orderId} | 오류: ${statusError.message})`
+          );
+        } else if (!sentRows?.length) {
+          console.warn(
+            `[Payment] Order changed during POS injection — receipt ${receipt.receipt_number ?? '-'} needs a manual void | ` +
+            `orderId: ${orderId} (POS 주입 중 주문 변경 — 영수증 수동 무효화 필요 | 주문: ${orderId})`
+          );
+        }
       })
       .catch((posErr) => {
         // Background POS injection error — log thoroughly for ops visibility (백그라운드 POS 주입 오류 — 운영 가시성을 위해 상세 로깅)
@@ -1,12 +1,19 @@
-// POS management routes — menu sync endpoint for Loyverse catalog synchronization
-// (POS 관리 라우트 — Loyverse 카탈로그 동기화를 위한 메뉴 동기화 엔드포인트)
+// POS management routes — menu sync endpoint for Loyverse catalog synchronization,
+// owner-maintained allergen/dietary tags on menu items and kitchen order status updates
+// (POS 관리 라우트 — Loyverse 카탈로그 동기화를 위한 메뉴 동기화 엔드포인트,
+//  점주가 관리하는 메뉴 항목 알레르겐/식이 태그와 주방 주문 상태 변경)
 //
-// Mounted at /api/pos in app.js.
-// (app.js에서 /api/pos에 마운트)
+// Mounted at /api/pos in app.js. The tag and order status routes require the store's API key
+// (see middlewares/storeAuth.js).
+// (app.js에서 /api/pos에 마운트. 태그·주문 상태 라우트는 매장 API 키 필요 — middlewares/storeAuth.js 참조)
 
 import { Router } from 'express';
 import { supabase }              from '../config/supabase.js';
 import { syncMenuFromLoyverse }  from '../services/pos/posService.js';
+import { ALLERGENS, DIETARY_TAGS,
+         normaliseTags }         from '../services/menu/menuTags.js';
+import { STAFF_STATUS_TRANSITIONS } from '../services/order/orderStatus.js';
+import { requireStoreKey }       from '../middlewares/storeAuth.js';
 
 export const posRouter = Router();
 
@@ -80,3 +87,187 @@ posRouter.get('/sync/:storeId', async (req, res) => {
     message:   `Menu synced: ${result.synced} variants from ${result.itemCount} items.`,
   });
 });
+
+/**
+ * GET /api/pos/menu/:storeId/tags
+ *
+ * List each menu item once with its allergen and dietary tags, plus the allowed tag values.
+ * allergens is null for items no one has reviewed yet.
+ *
+ * (메뉴 항목별 알레르겐·식이 태그와 허용 태그 값 목록. 아직 검토되지 않은 항목은 allergens가 null)
+ */
+posRouter.get('/menu/:storeId/tags', requireStoreKey, async (req, res) => {
+  const { storeId } = req.params;
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .select('item_id, name, allergens, dietary_tags')
+    .eq('store_id', storeId)
+    .order('name');
+
+  if (error) {
+    console.error(
+      `[PosRoute] Tag list failed | storeId: ${storeId} | ${error.message} ` +
+      `(태그 목록 조회 실패 | 매장: ${storeId})`
+    );
+    return res.status(500).json({ error: error.message, message: '태그 목록 조회 실패.' });
+  }
+
+  // One entry per item — tags are identical across its variants (항목당 하나 — 태그는 변형 간 동일)
+  const items = [...new Map((data ?? []).map((r) => [r.item_id, r])).values()];
+
+  return res.json({ items, allowed: { allergens: ALLERGENS, dietary_tags: DIETARY_TAGS } });
+});
+
+/**
+ * PATCH /api/pos/menu/:storeId/items/:itemId/tags
+ *
+ * Set an item's allergen and/or dietary tags on all of its variants. Values are matched
+ * loosely ("Peanuts", "gluten-free") and stored in canonical form; unknown values are rejected.
+ * `allergens: []` records that the item was reviewed and contains none of the listed allergens;
+ * `allergens: null` marks it as not reviewed again. Tags survive later menu syncs.
+ *
+ * (항목의 모든 변형에 알레르겐·식이 태그 설정. 값은 느슨하게 매칭("Peanuts", "gluten-free")되어
+ *  표준형으로 저장되며 알 수 없는 값은 거부. allergens: []는 검토 완료·해당 알레르겐 없음,
+ *  allergens: null은 미검토로 되돌림. 태그는 이후 메뉴 동기화에서도 유지)
+ */
+posRouter.patch('/menu/:storeId/items/:itemId/tags', requireStoreKey, async (req, res) => {
+  const { storeId, itemId } = req.params;
+  const update = {};
+
+  if (req.body?.allergens !== undefined) {
+    if (req.body.allergens === null) {
+      update.allergens = null;
+    } else {
+      const { tags, unknown } = normaliseTags(req.body.allergens, ALLERGENS);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown allergens: ${unknown.join(', ')}`, allowed: ALLERGENS });
+      }
+      update.allergens = tags;
+    }
+  }
+
+  if (req.body?.dietary_tags !== undefined) {
+    const { tags, unknown } = normaliseTags(req.body.dietary_tags ?? [], DIETARY_TAGS);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown dietary tags: ${unknown.join(', ')}`, allowed: DIETARY_TAGS });
+    }
+    update.dietary_tags = tags;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ error: 'Provide allergens and/or dietary_tags', message: '변경할 태그가 없습니다.' });
+  }
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update(update)
+    .eq('store_id', storeId)
+    .eq('item_id', itemId)
+    .select('variant_id');
+
+  if (error) {
+    console.error(
+      `[PosRoute] Tag update failed | storeId: ${storeId} | item: ${itemId} | ${error.message} ` +
+      `(태그 수정 실패 | 매장: ${storeId} | 항목: ${itemId})`
+    );
+    return res.status(500).json({ error: error.message, message: '태그 수정 실패.' });
+  }
+  if (!data?.length) {
+    return res.status(404).json({ error: 'Menu item not found', message: '메뉴 항목을 찾을 수 없습니다.' });
+  }
+
+  console.log(
+    `[PosRoute] Tags updated | storeId: ${storeId} | item: ${itemId} | variants: ${data.length} ` +
+    `(태그 수정 완료 | 매장: ${storeId} | 항목: ${itemId} | 변형: ${data.length}개)`
+  );
+
+  return res.json({ success: true, itemId, variants: data.length, ...update });
+});
+
+/**
+ * PATCH /api/pos/orders/:storeId/:orderId/status
+ *
+ * Body: { status: 'ready' | 'completed' }
+ *
+ * Move an order along in the kitchen — 'ready' once it can be picked up (from paid or
+ * sent_to_pos), 'completed' once it has been (from ready). The update is conditional on the
+ * status read, so a change a caller claimed in the meantime wins. Repeating a status the order
+ * already has is a no-op success.
+ *
+ * (주방에서 주문 상태 진행 — 픽업 가능하면 'ready'(paid 또는 sent_to_pos에서), 수령되면
+ *  'completed'(ready에서). 읽은 상태를 조건으로 업데이트하므로 그사이 통화에서 선점한 변경이 우선.
+ *  이미 같은 상태면 변경 없이 성공)
+ */
+posRouter.patch('/orders/:storeId/:orderId/status', requireStoreKey, async (req, res) => {
+  const { storeId, orderId } = req.params;
+  const target = req.body?.status;
+  const from   = STAFF_STATUS_TRANSITIONS[target];
+
+  if (!from) {
+    return res.status(400).json({
+      error:   `status must be one of: ${Object.keys(STAFF_STATUS_TRANSITIONS).join(', ')}`,
+      message: '변경할 수 없는 주문 상태입니다.',
+    });
+  }
+
+  const { data: order, error: fetchError } = await supabase
+    .from('orders')
+    .select('id, status')
+    .eq('id', orderId)
+    .eq('store_id', storeId)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error(
+      `[PosRoute] Order lookup failed | storeId: ${storeId} | order: ${orderId} | ${fetchError.message} ` +
+      `(주문 조회 실패 | 매장: ${storeId} | 주문: ${orderId})`
+    );
+    return res.status(500).json({ error: fetchError.message, message: '주문 조회 실패.' });
+  }
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found', message: '주문을 찾을 수 없습니다.' });
+  }
+
+  if (order.status === target) {
+    return res.json({ success: true, orderId, status: target });
+  }
+  if (!from.includes(order.status)) {
+    return res.status(409).json({
+      error:   `Order is ${order.status} and cannot become ${target}`,
+      status:  order.status,
+      message: '현재 주문 상태에서는 변경할 수 없습니다.',
+    });
+  }
+
+  // Conditional on the status read — a concurrent change leaves no row updated
+  // (읽은 상태 조건부 업데이트 — 동시 변경 시 업데이트된 행 없음)
+  const { data: updated, error: updateError } = await supabase
+    .from('orders')
+    .update({ status: target })
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select('id');
+
+  if (updateError) {
+    console.error(
+      `[PosRoute] Order status update failed | storeId: ${storeId} | order: ${orderId} | ${updateError.message} ` +
+      `(주문 상태 변경 실패 | 매장: ${storeId} | 주문: ${orderId})`
+    );
+    return res.status(500).json({ error: updateError.message, message: '주문 상태 변경 실패.' });
+  }
+  if (!updated?.length) {
+    console.warn(
+      `[PosRoute] Order changed before the status update | order: ${orderId} | expected: ${order.status} ` +
+      `(상태 변경 전 주문이 변경됨 | 주문: ${orderId})`
+    );
+    return res.status(409).json({ error: 'Order changed in the meantime', message: '주문이 그사이 변경되었습니다.' });
+  }
+
+  console.log(
+    `[PosRoute] Order status updated | storeId: ${storeId} | order: ${orderId} | ${order.status} → ${target} ` +
+    `(주문 상태 변경 완료 | 매장: ${storeId} | 주문: ${orderId} | ${order.status} → ${target})`
+  );
+
+  return res.json({ success: true, orderId, status: target });
+});
@@ -0,0 +1,260 @@
+// Call recorder — persists Retell call sessions, transcripts and tool calls
+// (통화 기록기 — Retell 통화 세션, 대화 내용, 도구 호출 영구 저장)
+//
+// One CallRecorder is created per WebSocket connection:
+//   start()             → calls row (status 'in_progress') keyed by call_id / agent_id / store_id
+//   recordCallDetails() → caller number, direction and metadata from Retell call_details
+//   recordTurn()        → call_events row per committed user / assistant utterance
+//   recordToolCall()    → call_events row per executed tool with its args and result
+//   recordEndReason()   → call_events row when the agent ends the call, and why
+//   finalize()          → calls row updated with end time, duration, close code, outcome and end reason
+//
+// Writes never block the voice path: every method returns immediately and the DB work is
+// chained on an internal promise so rows land in order (the calls row always exists before
+// its events). Failures are logged and swallowed — a recording gap must never drop a call.
+// (WebSocket 연결마다 CallRecorder 하나 생성.
+//  쓰기는 음성 경로를 차단하지 않음: 모든 메서드는 즉시 반환되고 DB 작업은 내부 promise에
+//  체인되어 순서대로 기록됨 (calls 행이 항상 이벤트보다 먼저 존재).
+//  실패는 로깅 후 무시 — 기록 누락이 통화를 끊어서는 안 됨)
+
+import { supabase } from '../../config/supabase.js';
+
+// Outcome priority — the first flag set in this order wins (우선순위 — 이 순서로 처음 설정된 플래그가 결과가 됨)
+const OUTCOME_PRIORITY = ['transferred', 'order_placed', 'reservation_made'];
+
+// Tool results that count toward the call outcome. 'transferred' is not here — it is raised by
+// markOutcome() only once the transfer frame has actually been sent to Retell.
+// (통화 결과에 반영되는 도구 결과. 'transferred'는 제외 — Retell에 이관 프레임이 실제로
+//  전송된 후에만 markOutcome()으로 설정)
+const OUTCOME_BY_TOOL = {
+  place_order:      (result) => result?.status === 'success' && 'order_placed',
+  make_reservation: (result) => result?.status === 'success' && 'reservation_made',
+};
+
+export class CallRecorder {
+  /**
+   * @param {object} opts
+   * @param {string} opts.callId  — Retell call_id (Retell 통화 ID)
+   * @param {string} opts.agentId — Retell agent_id (Retell 에이전트 ID)
+   * @param {string} opts.storeId — stores.id of the serving store (서비스 중인 매장 ID)
+   */
+  constructor({ callId, agentId, storeId }) {
+    this.callId    = callId;
+    this.agentId   = agentId;
+    this.storeId   = storeId;
+    this.startedAt = null;
+    this.seq       = 0;          // Monotonic event order within the call (통화 내 이벤트 순서)
+    this.outcomes  = new Set();  // Outcome flags raised by tool results (도구 결과로 설정된 결과 플래그)
+    this.endReason = null;       // Why the agent ended the call, if it did (에이전트가 통화를 끝낸 경우 그 이유)
+    this._chain    = Promise.resolve();
+  }
+
+  /**
+   * Queue a DB write behind every earlier one. Errors are logged, never propagated.
+   * (이전 모든 쓰기 뒤에 DB 쓰기 대기열 추가. 오류는 로깅만 하고 전파하지 않음)
+   *
+   * @param {string}   label   — short description for logs (로그용 짧은 설명)
+   * @param {Function} writeFn — () => PostgREST builder / Promise<{ error }>
+   */
+  _enqueue(label, writeFn) {
+    this._chain = this._chain
+      .then(async () => {
+        const { error } = await writeFn();
+        if (error) throw error;
+      })
+      .catch((err) => {
+        console.error(
+          `[CallRecorder] ${label} failed | call: ${this.callId} | ${err.message} ` +
+          `(통화 기록 실패 | 통화: ${this.callId} | 작업: ${label})`
+        );
+      });
+  }
+
+  /**
+   * Insert an event row with the next sequence number.
+   * (다음 순번으로 이벤트 행 삽입)
+   */
+  _recordEvent(eventType, payload) {
+    const seq       = ++this.seq;
+    const createdAt = new Date().toISOString(); // Stamp now, not when the queued write runs (대기열 실행 시점이 아닌 지금 기록)
+    this._enqueue(`event ${eventType}`, () =>
+      supabase.from('call_events').insert({
+        call_id:    this.callId,
+        seq,
+        event_type: eventType,
+        ...payload,
+        created_at: createdAt,
+      })
+    );
+  }
+
+  /**
+   * Snapshot of the in-memory counters, for session checkpoints.
+   * (세션 체크포인트용 메모리 내 카운터 스냅샷)
+   *
+   * @returns {{ seq: number, outcomes: string[], startedAt: string|null, endReason: string|null }}
+   */
+  snapshot() {
+    return {
+      seq:       this.seq,
+      outcomes:  [...this.outcomes],
+      startedAt: this.startedAt?.toISOString() ?? null,
+      endReason: this.endReason,
+    };
+  }
+
+  /**
+   * Continue a call recorded by an earlier connection — event numbering, outcome flags and the
+   * original start time carry over. Call before start().
+   * (이전 연결이 기록한 통화 이어서 기록 — 이벤트 번호, 결과 플래그, 최초 시작 시각 유지.
+   *  start() 전에 호출)
+   *
+   * @param {{ seq: number, outcomes: string[], startedAt: string|null, endReason?: string|null }} snapshot
+   */
+  restore({ seq, outcomes, startedAt, endReason }) {
+    this.seq       = seq ?? 0;
+    this.outcomes  = new Set(outcomes ?? []);
+    this.startedAt = startedAt ? new Date(startedAt) : null;
+    this.endReason = endReason ?? null;
+  }
+
+  /**
+   * Create (or re-open, on reconnect) the calls row for this connection.
+   * (이 연결의 calls 행 생성 — 재연결 시 다시 열기)
+   */
+  start() {
+    this.startedAt ??= new Date();
+    this._enqueue('start', () =>
+      supabase
+        .from('calls')
+        .upsert({
+          call_id:    this.callId,
+          agent_id:   this.agentId,
+          store_id:   this.storeId,
+          status:     'in_progress',
+          started_at: this.startedAt.toISOString(),
+        }, { onConflict: 'call_id' })
+    );
+  }
+
+  /**
+   * Attach caller details from Retell's call_details frame to the calls row.
+   * (Retell call_details 프레임의 발신자 정보를 calls 행에 추가)
+   *
+   * @param {object} details
+   * @param {string|null} details.phone     — caller number (발신 번호)
+   * @param {string|null} details.toNumber  — dialled store number (수신 매장 번호)
+   * @param {string|null} details.direction — 'inbound' | 'outbound'
+   * @param {object}      details.metadata  — metadata set when the call was created (통화 생성 시 설정된 메타데이터)
+   */
+  recordCallDetails({ phone, toNumber, direction, metadata }) {
+    this._enqueue('call details', () =>
+      supabase
+        .from('calls')
+        .update({
+          from_number: phone,
+          to_number:   toNumber,
+          direction,
+          metadata,
+        })
+        .eq('call_id', this.callId)
+    );
+  }
+
+  /**
+   * Record one committed utterance.
+   * (커밋된 발화 하나 기록)
+   *
+   * @param {'user'|'assistant'} role
+   * @param {string}             text
+   */
+  recordTurn(role, text) {
+    if (!text) return;
+    this._recordEvent(role, { content: text });
+  }
+
+  /**
+   * Record an executed tool call with its arguments and result, and raise any outcome flag.
+   * Tool calls are recorded even when the surrounding turn is later rolled back — the side
+   * effect (order, reservation, refund) already happened.
+   * (실행된 도구 호출을 인자·결과와 함께 기록하고 결과 플래그 설정.
+   *  이후 턴이 롤백되어도 기록 — 부수 효과(주문, 예약, 환불)는 이미 발생함)
+   *
+   * @param {string} name
+   * @param {object} args
+   * @param {object} result
+   */
+  recordToolCall(name, args, result) {
+    const outcome = OUTCOME_BY_TOOL[name]?.(result);
+    if (outcome) this.outcomes.add(outcome);
+
+    this._recordEvent('tool_call', { tool_name: name, tool_args: args ?? {}, tool_result: result ?? null });
+  }
+
+  /**
+   * Raise an outcome flag directly — used for events the WebSocket layer observes itself.
+   * (결과 플래그 직접 설정 — WebSocket 레이어가 직접 관찰한 이벤트용)
+   *
+   * @param {'transferred'|'order_placed'|'reservation_made'} outcome
+   */
+  markOutcome(outcome) {
+    this.outcomes.add(outcome);
+  }
+
+  /**
+   * Record that the agent is ending the call and why — written to the calls row on finalize().
+   * (에이전트가 통화를 끝내는 것과 그 이유 기록 — finalize() 시 calls 행에 저장)
+   *
+   * @param {string} reason — see END_REASONS in guardrails.js (guardrails.js의 END_REASONS 참고)
+   */
+  recordEndReason(reason) {
+    this.endReason = reason;
+    this._recordEvent('call_ended', { content: reason });
+  }
+
+  /**
+   * Resolve the single outcome for this call from the raised flags.
+   * (설정된 플래그로 이 통화의 단일 결과 결정)
+   *
+   * @returns {'transferred'|'order_placed'|'reservation_made'|'abandoned'}
+   */
+  resolveOutcome() {
+    return OUTCOME_PRIORITY.find((o) => this.outcomes.has(o)) ?? 'abandoned';
+  }
+
+  /**
+   * Close out the calls row. Returns the write chain so callers may await the final flush.
+   * (calls 행 마무리. 호출자가 최종 기록을 기다릴 수 있도록 쓰기 체인 반환)
+   *
+   * @param {number} closeCode — WebSocket close code (WebSocket 종료 코드)
+   * @returns {Promise<void>}
+   */
+  finalize(closeCode) {
+    const endedAt         = new Date();
+    const durationSeconds = this.startedAt ? Math.round((endedAt - this.startedAt) / 1000) : null;
+    const outcome         = this.resolveOutcome();
+
+    this._enqueue('finalize', () =>
+      supabase
+        .from('calls')
+        .update({
+          status:           'completed',
+          ended_at:         endedAt.toISOString(),
+          duration_seconds: durationSeconds,
+          close_code:       closeCode,
+          outcome,
+          end_reason:       this.endReason,
+          event_count:      this.seq,
+        })
+        .eq('call_id', this.callId)
+    );
+
+    console.log(
+      `[CallRecorder] finalized | call: ${this.callId} | duration: ${durationSeconds}s | ` +
+      `outcome: ${outcome} | end: ${this.endReason ?? 'caller'} | events: ${this.seq} ` +
+      `(통화 기록 완료 | 통화: ${this.callId} | 통화 시간: ${durationSeconds}초 | 결과: ${outcome})`
+    );
+
+    return this._chain;
+  }
+}
@@ -0,0 +1,152 @@
+// Call summary service — post-call AI summary and outcome classification
+// (통화 요약 서비스 — 통화 후 AI 요약 및 결과 분류)
+//
+// Runs inside the call-summary queue worker after a WebSocket call closes:
+//   1. Load the call's recorded events (call_events, written by CallRecorder)
+//   2. Render them as a plain-text transcript, tool calls included
+//   3. Ask the store's own provider (stores.llm_policy) for summary / intent / sentiment /
+//      action items — a store that left Gemini is never summarized there
+//   4. Store the result on the calls row
+// Throws on transient failures so BullMQ can retry; calls with nothing to summarize, or whose
+// store's provider cannot be used here, are marked 'skipped' instead.
+// (WebSocket 통화 종료 후 call-summary 큐 워커에서 실행:
+//   1. 통화의 기록된 이벤트 로드 (CallRecorder가 기록한 call_events)
+//   2. 도구 호출을 포함한 일반 텍스트 대화 내용으로 변환
+//   3. 매장 자체 프로바이더(stores.llm_policy)에 요약 / 의도 / 감정 / 후속 조치 요청 —
+//      Gemini를 쓰지 않는 매장은 Gemini로 요약하지 않음
+//   4. 결과를 calls 행에 저장
+//  일시적 실패 시 BullMQ 재시도를 위해 throw — 요약할 내용이 없거나 매장 프로바이더를 여기서
+//  사용할 수 없는 통화는 'skipped' 처리)
+
+import { supabase } from '../../config/supabase.js';
+import { createLlmProvider, summarizeCallWith } from '../llm/llmProvider.js';
+import { getLlmPolicy } from '../store/storePolicy.js';
+
+// Speaker labels used in the rendered transcript (변환된 대화 내용의 화자 레이블)
+const SPEAKER_LABELS = {
+  user:      'Caller',
+  assistant: 'Assistant',
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Render recorded call events as a plain-text transcript for the model.
+ * Tool calls are shown as compact one-line notes so the model knows what actually happened.
+ * (기록된 통화 이벤트를 모델용 일반 텍스트 대화 내용으로 변환.
+ *  모델이 실제로 일어난 일을 알 수 있도록 도구 호출은 한 줄 메모로 표시)
+ *
+ * @param {Array<object>} events — call_events rows ordered by seq (seq 순으로 정렬된 call_events 행)
+ * @returns {string}
+ */
+function renderTranscript(events) {
+  return events
+    .map((e) => {
+      if (e.event_type === 'tool_call') {
+        const status = e.tool_result?.status ?? (e.tool_result?.success === false ? 'failed' : 'done');
+        return `[Tool ${e.tool_name} → ${status}] args: ${JSON.stringify(e.tool_args ?? {})}`;
+      }
+      return `${SPEAKER_LABELS[e.event_type] ?? e.event_type}: ${e.content}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Mark a call's summary as skipped (통화 요약을 건너뜀으로 표시)
+ */
+async function markSkipped(callId, reason, reasonKo) {
+  const { error } = await supabase
+    .from('calls')
+    .update({ summary_status: 'skipped', summarized_at: new Date().toISOString() })
+    .eq('call_id', callId);
+
+  if (error) throw new Error(`calls update failed for ${callId}: ${error.message}`);
+
+  console.log(`[CallSummary] skipped — ${reason} | call: ${callId} (요약 건너뜀 — ${reasonKo})`);
+  return { status: 'skipped' };
+}
+
+/**
+ * The provider the call's store runs on, or null when it cannot be used here — the summary is
+ * skipped rather than sent to a different model.
+ * (통화 매장이 사용하는 프로바이더 — 여기서 사용할 수 없으면 null. 다른 모델로 보내지 않고 요약 건너뜀)
+ *
+ * @param {string} callId
+ * @returns {Promise<import('../llm/llmProvider.js').LlmProvider|null>}
+ */
+async function storeProvider(callId) {
+  const { data: call, error } = await supabase
+    .from('calls')
+    .select('store_id')
+    .eq('call_id', callId)
+    .maybeSingle();
+
+  if (error) throw new Error(`calls load failed for ${callId}: ${error.message}`);
+  if (!call?.store_id) return null;
+
+  const { data: store, error: storeError } = await supabase
+    .from('stores')
+    .select('id, llm_policy')
+    .eq('id', call.store_id)
+    .maybeSingle();
+
+  if (storeError) throw new Error(`store load failed for ${call.store_id}: ${storeError.message}`);
+  if (!store) return null;
+
+  // createLlmProvider falls back to Gemini when a provider cannot be built — not acceptable here
+  // (createLlmProvider는 프로바이더를 만들 수 없으면 Gemini로 폴백 — 여기서는 허용 불가)
+  const policy   = getLlmPolicy(store);
+  const provider = createLlmProvider(policy);
+  return provider.name === policy.provider ? provider : null;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Summarize one finished call and store the result on its calls row.
+ * (종료된 통화 하나를 요약하고 결과를 calls 행에 저장)
+ *
+ * @param {string} callId — calls.call_id (calls.call_id)
+ * @returns {Promise<{ status: 'summarized'|'skipped', intent?: string }>}
+ * @throws  {Error} on DB or model failure — lets the queue retry (DB 또는 모델 실패 시 — 큐 재시도 허용)
+ */
+export async function summarizeCall(callId) {
+  const { data: events, error } = await supabase
+    .from('call_events')
+    .select('seq, event_type, content, tool_name, tool_args, tool_result')
+    .eq('call_id', callId)
+    .order('seq', { ascending: true });
+
+  if (error) throw new Error(`call_events load failed for ${callId}: ${error.message}`);
+
+  // Nothing the caller said — hang-ups and silent calls need no model call
+  // (발신자 발화 없음 — 끊긴 통화나 무응답 통화는 모델 호출 불필요)
+  if (!events?.some((e) => e.event_type === 'user')) return markSkipped(callId, 'no caller speech', '발신자 발화 없음');
+
+  const provider = await storeProvider(callId);
+  if (!provider) return markSkipped(callId, "store's provider unavailable", '매장 프로바이더 사용 불가');
+
+  const result = await summarizeCallWith(provider, renderTranscript(events));
+
+  const { error: updateError } = await supabase
+    .from('calls')
+    .update({
+      summary:         result.summary,
+      intent:          result.intent,
+      sentiment_score: result.sentiment,
+      action_items:    result.action_items,
+      summary_status:  'summarized',
+      summarized_at:   new Date().toISOString(),
+    })
+    .eq('call_id', callId);
+
+  if (updateError) throw new Error(`calls update failed for ${callId}: ${updateError.message}`);
+
+  console.log(
+    `[CallSummary] summarized | call: ${callId} | intent: ${result.intent} | ` +
+    `sentiment: ${result.sentiment} | action items: ${result.action_items.length} ` +
+    `(통화 요약 완료 | 의도: ${result.intent} | 감정: ${result.sentiment})`
+  );
+
+  return { status: 'summarized', intent: result.intent };
+}
@@ -0,0 +1,181 @@
+// Escalation service — live transfer to staff with an after-hours callback fallback
+// (에스컬레이션 서비스 — 직원 실시간 연결 및 근무 시간 외 콜백 폴백)
+//
+// Backs the transfer_to_human voice tool:
+//   Inside staffed hours  → record the escalation and arm session.pendingTransfer so the
+//                           WebSocket layer sends Retell a transfer frame after the reply.
+//   Outside staffed hours → offer a callback; once the caller gives a number, save a
+//                           callback_requests row and text the store owner.
+// Every escalation and its reason is written to the escalations table for later review.
+// Never throws — DB and SMS failures are logged and the caller still gets a clear answer.
+// (transfer_to_human 음성 도구 처리:
+//   근무 시간 내 → 에스컬레이션 기록 후 session.pendingTransfer 설정 — WebSocket 레이어가
+//                  응답 후 Retell에 이관 프레임 전송.
+//   근무 시간 외 → 콜백 제안, 발신자가 번호를 주면 callback_requests 저장 후 주인에게 문자.
+//  모든 에스컬레이션과 이유는 검토용으로 escalations 테이블에 기록.
+//  절대 throw 하지 않음 — DB/SMS 실패는 로깅만 하고 발신자에게는 명확히 안내)
+
+import { supabase } from '../../config/supabase.js';
+import { sendCallbackRequestAlert } from '../notification/notifier.js';
+import { getEscalationPolicy } from '../store/storePolicy.js';
+import { DEFAULT_TIMEZONE, isWithinSchedule } from '../store/storeClock.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Insert or update this call's escalation row. One row per escalation — a callback offer
+ * that the caller later accepts updates the same row instead of adding a second one.
+ * (이 통화의 에스컬레이션 행 삽입 또는 업데이트. 에스컬레이션당 한 행 —
+ *  콜백 제안 후 발신자가 수락하면 새 행 대신 같은 행을 업데이트)
+ *
+ * @param {object} session — live WebSocket session (라이브 WebSocket 세션)
+ * @param {object} fields  — escalation columns to write (기록할 에스컬레이션 컬럼)
+ * @returns {Promise<void>}
+ */
+async function recordEscalation(session, fields) {
+  const { storeData } = session;
+
+  const { data, error } = session.escalationId
+    ? await supabase
+        .from('escalations')
+        .update(fields)
+        .eq('id', session.escalationId)
+        .select('id')
+        .single()
+    : await supabase
+        .from('escalations')
+        .insert({
+          store_id:   storeData.id,
+          agent_id:   session.agentId,
+          call_id:    session.callId,
+          created_at: new Date().toISOString(),
+          ...fields,
+        })
+        .select('id')
+        .single();
+
+  if (error) {
+    console.error(
+      `[Escalation] log write failed | store: ${storeData.id} | call: ${session.callId} | ${error.message} ` +
+      `(에스컬레이션 기록 실패 | 매장: ${storeData.id} | 오류: ${error.message})`
+    );
+    return;
+  }
+
+  session.escalationId = data.id;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Handle a transfer_to_human request according to the store's escalation policy.
+ *
+ * Result shapes (결과 형태):
+ *   { status: 'transferring', message }        — transfer frame will follow the spoken reply
+ *   { status: 'callback_offer', message }      — no staff available; ask for a callback number
+ *   { status: 'callback_scheduled', message }  — callback saved and owner notified
+ *   { status: 'unavailable', message }         — callback could neither be saved nor texted
+ * (매장 에스컬레이션 정책에 따라 transfer_to_human 요청 처리)
+ *
+ * @param {object} opts
+ * @param {object} opts.session — live WebSocket session; pendingTransfer / escalationId are set here
+ *                                (라이브 WebSocket 세션 — pendingTransfer / escalationId 설정)
+ * @param {object} opts.args    — transfer_to_human function-call arguments (transfer_to_human 함수 호출 인자)
+ * @returns {Promise<object>}
+ */
+export async function escalateToHuman({ session, args }) {
+  const { storeData } = session;
+  const policy   = getEscalationPolicy(storeData);
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+  const reason   = args.reason?.trim() || 'Caller asked for a staff member';
+
+  // No schedule configured → a configured number is always reachable (일정 미설정 → 번호만 있으면 항상 연결)
+  const staffed = Boolean(policy.transferNumber) &&
+                  (!policy.staffedHours || isWithinSchedule(policy.staffedHours, new Date(), timezone));
+
+  console.log(
+    `[Escalation] request | store: ${storeData.id} | call: ${session.callId} | staffed: ${staffed} | ` +
+    `reason: ${reason} (직원 연결 요청 | 매장: ${storeData.id} | 근무 중: ${staffed})`
+  );
+
+  // ── Staffed: live transfer ─────────────────────────────────────────────────
+  if (staffed) {
+    await recordEscalation(session, { reason, outcome: 'transferred', transfer_number: policy.transferNumber });
+    session.pendingTransfer = policy.transferNumber;
+
+    return {
+      status:  'transferring',
+      message: 'Tell the caller in one short sentence that you are connecting them to a staff member now. ' +
+               'Do not ask any further questions.',
+    };
+  }
+
+  // ── Unstaffed: callback fallback ───────────────────────────────────────────
+  const callbackPhone = args.callback_phone?.trim();
+
+  if (!callbackPhone) {
+    await recordEscalation(session, { reason, outcome: 'callback_offered' });
+    return {
+      status:  'callback_offer',
+      message: 'No staff member is available to take the call right now. Apologise, offer a callback, and ' +
+               'if the caller wants one, ask for their name and the best number to reach them. Then call ' +
+               'transfer_to_human again with callback_phone (and callback_name) filled in.',
+    };
+  }
+
+  const { data: callback, error } = await supabase
+    .from('callback_requests')
+    .insert({
+      store_id:       storeData.id,
+      call_id:        session.callId,
+      customer_phone: callbackPhone,
+      customer_name:  args.callback_name ?? null,
+      reason,
+      status:         'open',
+      created_at:     new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error(
+      `[Escalation] callback insert failed | store: ${storeData.id} | ${error.message} ` +
+      `(콜백 요청 저장 실패 | 매장: ${storeData.id} | 오류: ${error.message})`
+    );
+  }
+
+  await recordEscalation(session, {
+    reason,
+    outcome:             'callback_requested',
+    callback_request_id: callback?.id ?? null,
+  });
+
+  if (policy.ownerPhone) {
+    await sendCallbackRequestAlert({
+      ownerPhone:  policy.ownerPhone,
+      storeName:   storeData.store_name ?? 'Our Restaurant',
+      callerPhone: callbackPhone,
+      callerName:  args.callback_name,
+      reason,
+    });
+  } else {
+    console.warn(
+      `[Escalation] no owner_phone configured — callback saved without SMS | store: ${storeData.id} ` +
+      `(owner_phone 미설정 — 문자 없이 콜백만 저장)`
+    );
+  }
+
+  if (error && !policy.ownerPhone) {
+    // Nothing was saved and nobody was told — do not promise a callback (저장도 알림도 없음 — 콜백 약속 금지)
+    return {
+      status:  'unavailable',
+      message: 'The callback request could not be saved. Apologise and suggest the caller try again during ' +
+               'business hours.',
+    };
+  }
+
+  return {
+    status:  'callback_scheduled',
+    message: `Tell the caller a staff member will call them back at ${callbackPhone} as soon as possible.`,
+  };
+}
@@ -0,0 +1,70 @@
+// Filler speech — a short interim utterance while slow tools run
+// (채움 발화 — 느린 도구 실행 중 짧은 중간 안내)
+//
+// place_order inserts the order, creates a payment link and sends it before the model can
+// speak again, and the caller hears silence the whole time. While a round of tools runs the
+// WebSocket server sends one filler line as a partial chunk (content_complete: false) on the
+// current response_id, so it simply becomes the start of the reply that follows.
+// Tools listed in EXPECTED_TOOL_MS at or above FILLER_THRESHOLD_MS get the filler right away;
+// any other round gets it only if it is still running once the threshold has passed.
+// (place_order는 모델이 다시 말하기 전에 주문 삽입, 결제 링크 생성, 전송을 모두 수행하여 발신자는
+//  그동안 침묵을 들음. 도구 라운드 실행 중 WebSocket 서버는 현재 response_id로 채움 문구 하나를
+//  부분 청크(content_complete: false)로 보내므로 뒤따르는 응답의 시작이 됨.
+//  EXPECTED_TOOL_MS에서 FILLER_THRESHOLD_MS 이상인 도구는 즉시, 그 외 라운드는 임계값이
+//  지나도 실행 중일 때만 채움 문구 전송)
+
+import { DEFAULT_LANGUAGE, normalizeLanguage } from '../language/languages.js';
+
+// Silence the caller should not sit through without hearing something (안내 없이 발신자가 기다리지 않아야 하는 침묵 시간)
+export const FILLER_THRESHOLD_MS = parseInt(process.env.FILLER_THRESHOLD_MS ?? '1200', 10);
+
+// Typical latency of the slower tools — DB writes plus payment and notification calls
+// (느린 도구의 일반적 지연 — DB 쓰기와 결제·알림 호출)
+const EXPECTED_TOOL_MS = {
+  place_order:      3_000,
+  make_reservation: 1_500,
+  cancel_or_modify: 2_500,
+};
+
+// Filler lines per language — by tool, with a generic fallback. Each ends in a space so the
+// reply that follows reads on naturally.
+// (언어별 채움 문구 — 도구별, 기본 문구 포함. 뒤따르는 응답이 자연스럽게 이어지도록 공백으로 끝남)
+const FILLERS = {
+  en: {
+    place_order:      'One moment while I put that in… ',
+    make_reservation: 'One moment while I book that for you… ',
+    cancel_or_modify: 'One moment while I update that… ',
+    default:          'One moment, please… ',
+  },
+  ko: {
+    place_order:      '주문 넣는 동안 잠시만 기다려 주세요… ',
+    make_reservation: '예약하는 동안 잠시만 기다려 주세요… ',
+    cancel_or_modify: '변경하는 동안 잠시만 기다려 주세요… ',
+    default:          '잠시만 기다려 주세요… ',
+  },
+  es: {
+    place_order:      'Un momento mientras registro su pedido… ',
+    make_reservation: 'Un momento mientras hago su reservación… ',
+    cancel_or_modify: 'Un momento mientras hago el cambio… ',
+    default:          'Un momento, por favor… ',
+  },
+};
+
+/**
+ * Filler line for a round of tool calls, and whether to say it immediately.
+ * The slowest expected tool picks the wording.
+ * (도구 호출 라운드의 채움 문구와 즉시 발화 여부 — 가장 느릴 것으로 예상되는 도구가 문구를 결정)
+ *
+ * @param {string[]} toolNames
+ * @param {string}   [language]
+ * @returns {{ text: string, immediate: boolean }}
+ */
+export function fillerFor(toolNames, language = DEFAULT_LANGUAGE) {
+  const lines   = FILLERS[normalizeLanguage(language)];
+  const slowest = [...toolNames].sort((a, b) => (EXPECTED_TOOL_MS[b] ?? 0) - (EXPECTED_TOOL_MS[a] ?? 0))[0];
+
+  return {
+    text:      lines[slowest] ?? lines.default,
+    immediate: (EXPECTED_TOOL_MS[slowest] ?? 0) >= FILLER_THRESHOLD_MS,
+  };
+}
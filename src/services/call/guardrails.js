@@ -0,0 +1,156 @@
+// Call guardrails — when the agent ends the call itself, and what it says on the way out
+// (통화 가드레일 — 에이전트가 스스로 통화를 끝내는 경우와 마무리 문구)
+//
+// Retell hangs up when a response frame carries end_call: true. The WebSocket server ends a
+// call for five reasons, each gated by stores.guardrail_policy (see getGuardrailPolicy()):
+//   max_duration   — the call ran past max_call_minutes; checked at the start of each turn
+//   no_response    — the caller stayed silent through max_reminders re-prompts
+//   abusive_caller — abusive turns reached abuse_strikes (detectAbuse(), no model round-trip)
+//   prank_call     — the model judged the call a prank and called end_call
+//   completed      — the caller's business is done and they said goodbye; the model called end_call
+// The first three are decided by the server and spoken with closingLine(); the last two come
+// from the model, which says its own goodbye before the final frame ends the call.
+// (Retell은 응답 프레임에 end_call: true가 있으면 통화 종료. WebSocket 서버는 다섯 가지 이유로
+//  통화를 종료하며 각각 stores.guardrail_policy로 제어. 앞의 세 가지는 서버가 판단해 closingLine()으로
+//  발화, 뒤의 두 가지는 모델이 end_call을 호출하고 직접 인사한 뒤 최종 프레임으로 종료)
+
+import { DEFAULT_LANGUAGE, normalizeLanguage } from '../language/languages.js';
+
+// ── End Reasons ───────────────────────────────────────────────────────────────
+
+export const END_REASONS = Object.freeze({
+  maxDuration: 'max_duration',
+  noResponse:  'no_response',
+  abusive:     'abusive_caller',
+  prank:       'prank_call',
+  completed:   'completed',
+});
+
+// Closing line per server-decided reason and language (서버 판단 종료 이유·언어별 마무리 문구)
+const CLOSING_LINES = {
+  en: {
+    max_duration:   "I'm sorry, we've reached the time limit for this call. Please call back anytime. Goodbye!",
+    no_response:    "It seems we've lost you, so I'll end the call here. Please call back anytime. Goodbye!",
+    abusive_caller: "I'm going to end the call now. Goodbye.",
+    default:        'Thank you for calling. Goodbye!',
+  },
+  ko: {
+    max_duration:   '죄송하지만 통화 가능 시간이 다 되었습니다. 언제든 다시 전화 주세요. 안녕히 계세요!',
+    no_response:    '연결이 끊긴 것 같아 통화를 종료하겠습니다. 언제든 다시 전화 주세요. 안녕히 계세요!',
+    abusive_caller: '이만 통화를 종료하겠습니다. 안녕히 계세요.',
+    default:        '전화 주셔서 감사합니다. 안녕히 계세요!',
+  },
+  es: {
+    max_duration:   'Lo siento, hemos llegado al tiempo límite de esta llamada. Llámenos cuando guste. ¡Adiós!',
+    no_response:    'Parece que se cortó la comunicación, así que terminaré la llamada. Llámenos cuando guste. ¡Adiós!',
+    abusive_caller: 'Voy a terminar la llamada ahora. Adiós.',
+    default:        'Gracias por llamar. ¡Adiós!',
+  },
+};
+
+/**
+ * Goodbye spoken before the server ends the call.
+ * (서버가 통화를 종료하기 전에 발화하는 마무리 문구)
+ *
+ * @param {string} reason     — one of END_REASONS (END_REASONS 중 하나)
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function closingLine(reason, language = DEFAULT_LANGUAGE) {
+  const lines = CLOSING_LINES[normalizeLanguage(language)] ?? CLOSING_LINES[DEFAULT_LANGUAGE];
+  return lines[reason] ?? lines.default;
+}
+
+// ── Duration ──────────────────────────────────────────────────────────────────
+
+/**
+ * Whether the call has run past the store's limit.
+ * (통화가 매장 제한 시간을 넘었는지 여부)
+ *
+ * @param {Date|number|null} startedAt — when the call connected (통화 연결 시각)
+ * @param {{ maxCallMinutes: number }} policy
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isOverTime(startedAt, { maxCallMinutes }, now = Date.now()) {
+  if (!maxCallMinutes || !startedAt) return false;
+  return now - startedAt >= maxCallMinutes * 60_000;
+}
+
+// ── Abuse Detection ───────────────────────────────────────────────────────────
+
+// Slurs, insults aimed at the agent and threats — matched per turn, case-insensitively. Plain
+// profanity in passing ("this damn app") is not a strike; it has to be aimed at someone.
+// (욕설, 에이전트를 향한 모욕, 위협 — 턴 단위로 대소문자 무시 매칭. 지나가는 비속어는 해당 없음 —
+//  누군가를 향해야 함)
+const ABUSE_PATTERNS = [
+  // en
+  /\b(?:fuck|screw)\s+(?:you|off|u)\b/i,
+  /\byou(?:'re| are)?\s+(?:a\s+|an\s+|such\s+a\s+|so\s+)?(?:fucking\s+)?(?:stupid|idiot|moron|retard(?:ed)?|bitch|piece of shit|worthless|dumb(?:ass)?)\b/i,
+  /\b(?:shut\s+(?:the\s+fuck\s+)?up)\b.*\b(?:bitch|idiot|moron)\b/i,
+  /\bi(?:'ll| will| am going to|'m going to|'m gonna| gonna)\s+(?:kill|hurt|find)\s+you\b/i,
+  // es
+  /\b(?:vete a la mierda|chinga tu madre|hijo de puta|pendej[oa]|est[úu]pid[oa]|idiota)\b/i,
+  /\bte\s+voy\s+a\s+matar\b/i,
+  // ko
+  /(?:씨발|시발|ㅅㅂ|개새끼|병신|ㅂㅅ|꺼져|죽여\s*버|죽일\s*거)/,
+];
+
+/**
+ * Whether a caller turn is abusive toward the agent.
+ * (발신자 턴이 에이전트에게 폭언인지 여부)
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function detectAbuse(text) {
+  if (!text) return false;
+  return ABUSE_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+// ── end_call Tool ─────────────────────────────────────────────────────────────
+
+// end_call reason argument → recorded end reason (end_call reason 인자 → 기록되는 종료 이유)
+const TOOL_REASONS = {
+  completed: END_REASONS.completed,
+  prank:     END_REASONS.prank,
+  abusive:   END_REASONS.abusive,
+};
+
+/**
+ * Decide an end_call request from the model against the store's policy.
+ * (모델의 end_call 요청을 매장 정책에 따라 판단)
+ *
+ * @param {{ reason?: string }} fnArgs
+ * @param {object} policy — getGuardrailPolicy() result (getGuardrailPolicy() 결과)
+ * @returns {{ reason: string|null, result: object }}
+ *   reason — end reason to apply once the goodbye is spoken, null when refused
+ *   (인사 후 적용할 종료 이유 — 거절 시 null)
+ */
+export function resolveEndCall(fnArgs, policy) {
+  const reason  = TOOL_REASONS[fnArgs?.reason] ?? END_REASONS.completed;
+  const allowed =
+    (reason === END_REASONS.completed && policy.endAfterGoodbye) ||
+    (reason === END_REASONS.prank     && policy.endPrankCalls)   ||
+    (reason === END_REASONS.abusive   && policy.abuseStrikes > 0);
+
+  if (!allowed) {
+    return {
+      reason: null,
+      result: {
+        status:  'not_allowed',
+        message: 'This store does not let the agent end calls for that reason. Stay on the line and ' +
+                 'keep helping, or offer to transfer the caller to staff.',
+      },
+    };
+  }
+
+  return {
+    reason,
+    result: {
+      status:  'ending',
+      message: 'The call will end right after your reply. Say one short, friendly goodbye ' +
+               'sentence and nothing else.',
+    },
+  };
+}
@@ -0,0 +1,234 @@
+// History budget — keeps a long call's Gemini history within a token budget
+// (히스토리 예산 — 긴 통화의 Gemini 히스토리를 토큰 예산 내로 유지)
+//
+// Every turn resends session.history to generateContentStream, so a long call gets slower and
+// eventually runs into the context limit. Once the history passes HISTORY_TOKEN_BUDGET, the
+// turns before the last KEEP_RECENT_TURNS caller turns are folded into a running summary:
+//   scheduleHistoryCompaction() → after a committed turn; summarises the older turns off the
+//                                 voice path (the store's own provider, with a plain-transcript fallback)
+//   applyHistoryCompaction()    → at the start of the next turn, inside the generation queue;
+//                                 swaps the summarised turns for the summary
+// Committed history is only ever appended to (rollbacks truncate back to a committed length),
+// so the summarised prefix is unchanged by the time the swap happens.
+// The summary ends with a "confirmed facts" block built from session state rather than by the
+// model — caller details, completed orders and bookings, and the cart — so nothing the caller
+// already confirmed can be lost in summarisation.
+// (매 턴 session.history 전체를 generateContentStream에 다시 보내므로 긴 통화는 느려지고 결국
+//  컨텍스트 한도에 도달. 히스토리가 HISTORY_TOKEN_BUDGET을 넘으면 최근 KEEP_RECENT_TURNS개의
+//  발신자 턴 이전 턴을 롤링 요약으로 압축:
+//   scheduleHistoryCompaction() → 커밋된 턴 이후, 음성 경로 밖에서 이전 턴 요약(매장 자체 프로바이더, 실패 시 일반 대화록)
+//   applyHistoryCompaction()    → 다음 턴 시작 시 생성 큐 안에서 요약된 턴을 요약으로 교체
+//  커밋된 히스토리는 추가만 되므로(롤백은 커밋된 길이로 자름) 교체 시점에 요약 대상 앞부분은 불변.
+//  요약 끝의 "확인된 사실" 블록은 모델이 아닌 세션 상태(발신자 정보, 완료된 주문·예약, 장바구니)로
+//  생성하여 발신자가 이미 확인한 내용이 요약 과정에서 유실되지 않음)
+
+import { summarizeConversationWith } from '../llm/llmProvider.js';
+import { viewCart } from '../order/cart.js';
+
+// Token budget for session.history — well inside the model's context, small enough to stay fast
+// (session.history 토큰 예산 — 모델 컨텍스트보다 충분히 작고 빠르게 유지될 만큼 작게)
+export const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET ?? '6000', 10);
+
+// Caller turns (and everything after them) always kept verbatim (항상 원문 유지하는 최근 발신자 턴 수)
+const KEEP_RECENT_TURNS = 4;
+
+// Fewest new caller turns worth a summary pass — re-summarising one turn at a time would cost
+// a model call per turn and barely shrink anything
+// (요약할 가치가 있는 최소 신규 발신자 턴 수 — 한 턴씩 다시 요약하면 턴마다 모델 호출 비용만 들고 거의 줄지 않음)
+const MIN_TURNS_TO_FOLD = 2;
+
+// Rough English-text ratio — an estimate is enough to decide when to compact
+// (대략적인 영어 텍스트 비율 — 압축 시점 결정에는 추정치로 충분)
+const CHARS_PER_TOKEN = 4;
+
+// Tool results are clipped in the transcript handed to the summariser (요약기에 넘기는 대화록의 도구 결과 길이 제한)
+const MAX_TOOL_LINE_CHARS = 300;
+
+// Fallback summary length when the summariser is unavailable (요약기 사용 불가 시 폴백 요약 길이)
+const FALLBACK_SUMMARY_CHARS = 1_500;
+
+// First line of the summary turn — also how a previous summary is recognised
+// (요약 턴의 첫 줄 — 이전 요약을 식별하는 표지)
+const SUMMARY_HEADER = '[Summary of the earlier part of this call — those turns are no longer shown]';
+
+// Tool arguments worth carrying into the confirmed facts (확인된 사실에 포함할 도구 인자)
+const DETAIL_ARGS = ['customer_phone', 'customer_email', 'pickup_date', 'pickup_time', 'date', 'time', 'party_size'];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Estimated token count of Gemini contents (Gemini contents의 추정 토큰 수)
+ *
+ * @param {Array<{ role: string, parts: Array<object> }>} contents
+ * @returns {number}
+ */
+export function estimateTokens(contents) {
+  let chars = 0;
+  for (const content of contents) {
+    for (const part of content.parts ?? []) {
+      chars += typeof part.text === 'string' ? part.text.length : JSON.stringify(part).length;
+    }
+  }
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/** A caller's spoken turn — not a function-response turn (발신자 발화 턴 — 함수 응답 턴 아님) */
+const isCallerTurn = (content) =>
+  content.role === 'user' && content.parts.some((p) => typeof p.text === 'string');
+
+/** The summary turn from an earlier pass (이전 요약 턴) */
+const isSummaryTurn = (content) =>
+  content.role === 'user' && content.parts.some((p) => p.text?.startsWith(SUMMARY_HEADER));
+
+/**
+ * Index where the verbatim tail starts: the KEEP_RECENT_TURNS-th caller turn from the end.
+ * Cutting only before a caller turn keeps every function call next to its response.
+ * 0 when there is nothing old enough to summarise.
+ * (원문 유지 구간의 시작 인덱스 — 끝에서 KEEP_RECENT_TURNS번째 발신자 턴. 발신자 턴 앞에서만
+ *  자르므로 함수 호출과 응답이 분리되지 않음. 요약할 만큼 오래된 턴이 없으면 0)
+ */
+function findSplit(history) {
+  let seen = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (isCallerTurn(history[i]) && ++seen === KEEP_RECENT_TURNS) return i;
+  }
+  return 0;
+}
+
+/**
+ * Plain-text transcript of history entries for the summariser (요약기용 히스토리 일반 텍스트 대화록)
+ */
+function renderTranscript(contents) {
+  const clip  = (text) => (text.length > MAX_TOOL_LINE_CHARS ? `${text.slice(0, MAX_TOOL_LINE_CHARS)}…` : text);
+  const lines = [];
+
+  for (const content of contents) {
+    for (const part of content.parts ?? []) {
+      if (typeof part.text === 'string' && part.text.startsWith(SUMMARY_HEADER)) {
+        lines.push(`Earlier summary: ${part.text.slice(SUMMARY_HEADER.length).trim()}`);
+      } else if (typeof part.text === 'string' && part.text.trim()) {
+        lines.push(`${content.role === 'user' ? 'Caller' : 'Assistant'}: ${part.text.trim()}`);
+      } else if (part.functionCall) {
+        lines.push(clip(`Tool call ${part.functionCall.name}: ${JSON.stringify(part.functionCall.args ?? {})}`));
+      } else if (part.functionResponse) {
+        lines.push(clip(`Tool result ${part.functionResponse.name}: ${JSON.stringify(part.functionResponse.response ?? {})}`));
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Facts taken from session state and tool arguments, not from the model's summary.
+ * (모델 요약이 아닌 세션 상태와 도구 인자에서 가져온 사실)
+ */
+function buildConfirmedFacts(session, contents) {
+  const facts = [];
+
+  if (session.caller?.phone)         facts.push(`Caller ID: ${session.caller.phone}`);
+  if (session.callerProfile?.name)   facts.push(`Caller name on file: ${session.callerProfile.name}`);
+
+  // Details the caller gave that reached a tool — latest value wins (도구에 전달된 발신자 정보 — 최신 값 우선)
+  const details = {};
+  for (const content of contents) {
+    for (const part of content.parts ?? []) {
+      for (const key of DETAIL_ARGS) {
+        const value = part.functionCall?.args?.[key];
+        if (value !== undefined && value !== null && value !== '') details[key] = value;
+      }
+    }
+  }
+  for (const [key, value] of Object.entries(details)) facts.push(`${key}: ${value}`);
+
+  for (const result of Object.values(session.completedTransactions ?? {})) {
+    if (result?.message) facts.push(`Completed: ${result.message}`);
+  }
+
+  const { cart } = viewCart(session.cart);
+  if (cart.items.length > 0) {
+    const items = cart.items.map((i) => `${i.quantity} × ${i.name} ($${i.line_total})`).join(', ');
+    facts.push(`Cart when summarised: ${items} — total $${cart.total}. Call view_cart for the live cart.`);
+  }
+
+  return [...new Set(facts)];
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Start summarising the older part of the history if it is over budget. Runs in the
+ * background; the result is applied by applyHistoryCompaction() on a later turn.
+ * (히스토리가 예산을 넘으면 이전 부분 요약 시작 — 백그라운드 실행, 결과는 이후 턴에서
+ *  applyHistoryCompaction()이 적용)
+ *
+ * @param {object} session — WebSocket session (WebSocket 세션)
+ */
+export function scheduleHistoryCompaction(session) {
+  if (session.compaction) return; // One at a time (한 번에 하나)
+
+  const tokens = estimateTokens(session.history);
+  if (tokens <= HISTORY_TOKEN_BUDGET) return;
+
+  const upTo  = findSplit(session.history);
+  const older = session.history.slice(0, upTo);
+
+  // Only the recent turns (and an earlier summary) left — nothing worth folding yet
+  // (최근 턴과 이전 요약만 남음 — 아직 압축할 가치 없음)
+  const newTurns = older.filter((c) => isCallerTurn(c) && !isSummaryTurn(c)).length;
+  if (newTurns < MIN_TURNS_TO_FOLD) return;
+
+  const transcript = renderTranscript(older);
+  const facts      = buildConfirmedFacts(session, older);
+  const compaction = { upTo, contents: null };
+  session.compaction = compaction;
+
+  console.log(
+    `[HistoryBudget] [${session.agentId}] Compacting history | tokens: ~${tokens} | budget: ${HISTORY_TOKEN_BUDGET} | ` +
+    `summarising: ${upTo} of ${session.history.length} entries ` +
+    `(히스토리 압축 | 토큰: ~${tokens} | 요약 대상: ${upTo}/${session.history.length}개)`
+  );
+
+  summarizeConversationWith(session.llm, transcript)
+    .catch((err) => {
+      console.error(
+        `[HistoryBudget] [${session.agentId}] Summary failed — using the plain transcript | ${err.message} ` +
+        `(요약 실패 — 일반 대화록 사용)`
+      );
+      return `…${transcript.slice(-FALLBACK_SUMMARY_CHARS)}`;
+    })
+    .then((summary) => {
+      const text = [
+        SUMMARY_HEADER,
+        summary,
+        ...(facts.length > 0 ? ['', 'Confirmed facts (authoritative):', ...facts.map((f) => `- ${f}`)] : []),
+      ].join('\n');
+
+      // A user/model pair keeps the roles alternating ahead of the verbatim tail
+      // (사용자/모델 쌍으로 원문 구간 앞의 역할 교대 유지)
+      compaction.contents = [
+        { role: 'user',  parts: [{ text }] },
+        { role: 'model', parts: [{ text: 'Understood — continuing the call with that context.' }] },
+      ];
+    });
+}
+
+/**
+ * Swap the summarised turns for a finished summary. Call at the start of a turn, inside
+ * the generation queue, before the history is snapshotted for rollback.
+ * (완료된 요약으로 요약 대상 턴 교체 — 턴 시작 시 생성 큐 안에서, 롤백용 히스토리 스냅샷 전에 호출)
+ *
+ * @param {object} session
+ */
+export function applyHistoryCompaction(session) {
+  const compaction = session.compaction;
+  if (!compaction?.contents) return;
+
+  const before = estimateTokens(session.history);
+  session.history    = [...compaction.contents, ...session.history.slice(compaction.upTo)];
+  session.compaction = null;
+
+  console.log(
+    `[HistoryBudget] [${session.agentId}] History compacted | tokens: ~${before} → ~${estimateTokens(session.history)} | ` +
+    `entries: ${session.history.length} (히스토리 압축 완료 | 항목: ${session.history.length}개)`
+  );
+}
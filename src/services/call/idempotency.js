@@ -0,0 +1,79 @@
+// Transaction idempotency — one order and one booking per request within a call
+// (트랜잭션 멱등성 — 통화 내 요청당 주문 하나, 예약 하나)
+//
+// The prompt asks the model to call place_order and make_reservation exactly once, but a
+// retried turn, a repeated function call or two identical calls in one parallel round would
+// otherwise insert a second order row, create a second payment link and send a second SMS.
+// transactionKey() identifies a transaction by what it would create — the cart contents and
+// pickup time for an order, the slot, party size and phone for a booking — rather than by the
+// model's exact arguments, so a retry with reordered or re-worded arguments still matches.
+// Order keys are scoped to the cart's id: place_order starts a fresh cart, so the caller can
+// order the same items again later in the call. A repeat on the spent, empty cart gets the last
+// placed order back instead (see place_order in llmServer.js).
+// The WebSocket server keeps completed results per key on the session (checkpointed with it)
+// and answers a repeat with the original result.
+// (프롬프트는 place_order와 make_reservation을 한 번만 호출하라고 요청하지만, 재시도된 턴,
+//  반복 호출, 병렬 라운드의 동일 호출 두 개는 주문 행·결제 링크·SMS를 중복 생성할 수 있음.
+//  transactionKey()는 모델 인자 그대로가 아니라 생성될 내용 — 주문은 장바구니와 픽업 시각,
+//  예약은 시간대·인원·전화번호 — 으로 트랜잭션을 식별하므로 인자 순서나 표현이 달라도 일치.
+//  주문 키는 장바구니 id로 범위 지정 — place_order 후 새 장바구니가 시작되므로 같은 통화에서
+//  같은 항목을 다시 주문 가능. 소진된 빈 장바구니로 반복하면 마지막 주문 결과를 반환
+//  (llmServer.js의 place_order 참조).
+//  WebSocket 서버는 완료 결과를 세션에 키별로 보관(체크포인트 포함)하고 반복 시 원래 결과로 응답)
+
+import { createHash } from 'node:crypto';
+
+const norm   = (value) => String(value ?? '').trim().toLowerCase();
+const digits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Content key for an idempotent tool call, or null for tools that are not guarded.
+ * (멱등 도구 호출의 내용 키 — 보호 대상이 아닌 도구는 null)
+ *
+ * @param {string} fnName
+ * @param {object} fnArgs
+ * @param {object} context
+ * @param {{ id?: string, lines: Array<object> }} context.cart — session cart (세션 장바구니)
+ * @param {string|null}              context.callerPhone — caller ID used when the model omits a phone (모델이 번호를 생략하면 사용하는 발신 번호)
+ * @returns {string|null}
+ */
+export function transactionKey(fnName, fnArgs, { cart, callerPhone }) {
+  const phone = digits(fnArgs.customer_phone || callerPhone);
+  let content;
+
+  if (fnName === 'place_order') {
+    content = {
+      cart:   cart.id ?? null,
+      lines:  cart.lines.map((l) => `${l.line_id}x${l.quantity}`).sort(),
+      pickup: `${norm(fnArgs.pickup_date)} ${norm(fnArgs.pickup_time)}`,
+      phone,
+    };
+  } else if (fnName === 'make_reservation') {
+    content = {
+      slot:  `${norm(fnArgs.date)} ${norm(fnArgs.time)}`,
+      party: Number(fnArgs.party_size) || 0,
+      phone,
+    };
+  } else {
+    return null;
+  }
+
+  const hash = createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+  return `${fnName}:${hash}`;
+}
+
+/**
+ * The original result, marked so the model confirms it instead of trying again.
+ * (원래 결과 — 모델이 재시도 대신 확인만 하도록 표시)
+ *
+ * @param {object} original
+ * @returns {object}
+ */
+export function duplicateResult(original) {
+  return {
+    ...original,
+    duplicate: true,
+    note:      'This was already completed earlier in this call — these are the original details. ' +
+               'Do not call the tool again; just confirm it to the caller.',
+  };
+}
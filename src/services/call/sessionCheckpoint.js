@@ -0,0 +1,162 @@
+// Call session checkpoints — lets a call resume after Retell reconnects its WebSocket
+// (통화 세션 체크포인트 — Retell이 WebSocket을 재연결한 후 통화를 이어가기 위함)
+//
+// With auto_reconnect on, Retell re-opens a dropped socket for the same call_id. The new
+// connection restores the checkpoint saved here instead of starting a fresh conversation:
+//   saveSessionCheckpoint()   → after every committed turn and every side-effecting tool call
+//   expireSessionCheckpoint() → on socket close; the key survives only for the grace window
+//   loadSessionCheckpoint()   → on connect; a hit means "resume, do not greet"
+//   claimCallGeneration()     → on connect; each connection for a call_id gets the next number
+//   isCurrentGeneration()     → on close; a superseded socket leaves the call to its successor
+//
+// The shared redisClient is created with maxRetriesPerRequest: null, so a command issued while
+// Redis is down waits indefinitely. Writes are therefore fire-and-forget and the one read on
+// the connect path is bounded by a timeout — a checkpoint is a convenience, never a dependency.
+// (auto_reconnect 활성 시 Retell은 같은 call_id로 끊긴 소켓을 다시 연결. 새 연결은 새 대화를
+//  시작하는 대신 여기 저장된 체크포인트를 복원. 연결마다 call_id의 다음 세대 번호를 받으며,
+//  더 새로운 연결에 밀린 소켓은 종료 시 통화를 후속 연결에 맡김.
+//  공유 redisClient는 maxRetriesPerRequest: null이므로 Redis 장애 중 명령은 무한 대기.
+//  따라서 쓰기는 발사 후 망각, 연결 경로의 유일한 읽기는 타임아웃으로 제한 —
+//  체크포인트는 편의 기능이지 의존성이 아님)
+
+import { redisClient } from '../../config/redis.js';
+
+// Reconnect grace window — how long a closed call's checkpoint stays resumable
+// (재연결 유예 시간 — 종료된 통화의 체크포인트가 재개 가능한 기간)
+export const RESUME_GRACE_SECONDS = parseInt(process.env.CALL_RESUME_GRACE_SECONDS ?? '60', 10);
+
+// TTL while the call is live — refreshed on every save, long enough for any real call
+// (통화 진행 중 TTL — 저장 시마다 갱신, 실제 통화에 충분한 길이)
+const LIVE_TTL_SECONDS = 60 * 60;
+
+// Upper bound on the connect-path read (연결 경로 읽기의 상한)
+const LOAD_TIMEOUT_MS = 500;
+
+const checkpointKey = (callId) => `call-session:${callId}`;
+const generationKey = (callId) => `call-generation:${callId}`;
+
+/**
+ * Race a Redis command against LOAD_TIMEOUT_MS. Resolves `fallback` on timeout.
+ * (Redis 명령과 LOAD_TIMEOUT_MS 경합 — 타임아웃 시 fallback 반환)
+ */
+async function withTimeout(command, fallback) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback), LOAD_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([command, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Persist the resumable part of a call session. Never throws, never blocks the caller.
+ * (통화 세션의 재개 가능한 부분 저장. throw하지 않으며 호출자를 차단하지 않음)
+ *
+ * @param {string} callId
+ * @param {object} state — JSON-serialisable checkpoint (JSON 직렬화 가능한 체크포인트)
+ */
+export function saveSessionCheckpoint(callId, state) {
+  const payload = JSON.stringify({ ...state, savedAt: new Date().toISOString() });
+
+  redisClient
+    .set(checkpointKey(callId), payload, 'EX', LIVE_TTL_SECONDS)
+    .catch((err) => {
+      console.error(
+        `[SessionCheckpoint] save failed | call: ${callId} | ${err.message} ` +
+        `(체크포인트 저장 실패 | 통화: ${callId})`
+      );
+    });
+}
+
+/**
+ * Shorten a checkpoint's lifetime to the reconnect grace window once its socket closes.
+ * (소켓 종료 후 체크포인트 수명을 재연결 유예 시간으로 단축)
+ *
+ * @param {string} callId
+ */
+export function expireSessionCheckpoint(callId) {
+  redisClient
+    .expire(checkpointKey(callId), RESUME_GRACE_SECONDS)
+    .catch((err) => {
+      console.error(
+        `[SessionCheckpoint] expire failed | call: ${callId} | ${err.message} ` +
+        `(체크포인트 만료 설정 실패 | 통화: ${callId})`
+      );
+    });
+}
+
+/**
+ * Load the checkpoint for a reconnecting call. Resolves null when there is none, when it
+ * cannot be parsed, or when Redis does not answer within LOAD_TIMEOUT_MS.
+ * (재연결 통화의 체크포인트 로드. 없거나, 파싱할 수 없거나, Redis가 LOAD_TIMEOUT_MS 내에
+ *  응답하지 않으면 null 반환)
+ *
+ * @param {string} callId
+ * @returns {Promise<object|null>}
+ */
+export async function loadSessionCheckpoint(callId) {
+  try {
+    const raw = await withTimeout(redisClient.get(checkpointKey(callId)), null);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error(
+      `[SessionCheckpoint] load failed | call: ${callId} | ${err.message} ` +
+      `(체크포인트 로드 실패 | 통화: ${callId})`
+    );
+    return null;
+  }
+}
+
+// ── Connection Generations ────────────────────────────────────────────────────
+
+/**
+ * Claim a call_id for a new connection. Resolves this connection's generation — higher than
+ * every earlier connection for the call — or null when Redis does not answer in time.
+ * (새 연결을 위해 call_id 선점 — 이 통화의 이전 모든 연결보다 큰 세대 번호 반환,
+ *  Redis가 제때 응답하지 않으면 null)
+ *
+ * @param {string} callId
+ * @returns {Promise<number|null>}
+ */
+export async function claimCallGeneration(callId) {
+  try {
+    const generation = await withTimeout(redisClient.incr(generationKey(callId)), null);
+    if (generation != null) redisClient.expire(generationKey(callId), LIVE_TTL_SECONDS).catch(() => {});
+    return generation;
+  } catch (err) {
+    console.error(
+      `[SessionCheckpoint] generation claim failed | call: ${callId} | ${err.message} ` +
+      `(세대 선점 실패 | 통화: ${callId})`
+    );
+    return null;
+  }
+}
+
+/**
+ * Whether a connection still owns its call — false once a reconnect claimed a newer generation.
+ * Without a generation, or when Redis does not answer, the connection is assumed to own it.
+ * (연결이 아직 통화를 소유하는지 여부 — 재연결이 더 새로운 세대를 선점하면 false.
+ *  세대가 없거나 Redis가 응답하지 않으면 소유한 것으로 간주)
+ *
+ * @param {string}      callId
+ * @param {number|null} generation — claimCallGeneration() result (claimCallGeneration() 결과)
+ * @returns {Promise<boolean>}
+ */
+export async function isCurrentGeneration(callId, generation) {
+  if (generation == null) return true;
+
+  try {
+    const current = await withTimeout(redisClient.get(generationKey(callId)), null);
+    return current == null || Number(current) <= generation;
+  } catch (err) {
+    console.error(
+      `[SessionCheckpoint] generation check failed | call: ${callId} | ${err.message} ` +
+      `(세대 확인 실패 | 통화: ${callId})`
+    );
+    return true;
+  }
+}
@@ -0,0 +1,184 @@
+// Caller profile — recognise returning callers from their order history at this store
+// (발신자 프로필 — 이 매장의 주문 이력으로 재방문 발신자 인식)
+//
+// The caller ID from Retell's call_details frame (or the connection URL) is looked up against
+// the store's past orders and the customers row for that phone:
+//   lookupCallerProfile() → name, saved email and last order, as far as the store's privacy
+//                           policy allows; null for unknown, opted-out or unrecognised callers
+//   repeatLastOrder()     → the reorder_last_order tool — refills the cart from the last order
+//                           at today's prices
+//   optOutCaller()        → the opt_out_of_recognition tool — sets customers.opted_out
+// Lookups never block or fail a call: errors are logged and treated as "unknown caller".
+// (Retell call_details 프레임(또는 연결 URL)의 발신 번호를 매장의 과거 주문과 해당 번호의
+//  customers 행에서 조회. 매장 개인정보 정책이 허용하는 범위에서만 이름, 저장된 이메일, 마지막 주문 사용.
+//  조회는 통화를 차단하거나 실패시키지 않음 — 오류는 로깅 후 "알 수 없는 발신자"로 처리)
+
+import { supabase } from '../../config/supabase.js';
+import { getPrivacyPolicy } from '../store/storePolicy.js';
+import { addToCart, viewCart } from '../order/cart.js';
+import { summariseItems } from '../order/orderStatus.js';
+
+// Orders that actually went through — unpaid and cancelled orders are not "the usual"
+// (실제로 완료된 주문 — 미결제·취소 주문은 "늘 먹던 것"이 아님)
+const REORDERABLE_STATUSES = ['paid', 'sent_to_pos', 'ready', 'completed'];
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Build the returning-caller profile for a phone number at this store.
+ * (이 매장에서 전화번호에 대한 재방문 발신자 프로필 생성)
+ *
+ * @param {object} opts
+ * @param {object} opts.storeData — stores row (stores 행)
+ * @param {string} opts.phone     — caller ID (발신 번호)
+ * @returns {Promise<{ name: string|null, email: string|null, orderCount: number,
+ *                     lastOrder: { order_id: string, items: Array<object>, summary: string,
+ *                                  total_amount: number, placed_at: string }|null }|null>}
+ */
+export async function lookupCallerProfile({ storeData, phone }) {
+  const policy = getPrivacyPolicy(storeData);
+  if (!policy.recognizeCallers || !phone) return null;
+
+  const since = new Date(Date.now() - policy.historyDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const [customerRes, ordersRes] = await Promise.all([
+    supabase
+      .from('customers')
+      .select('name, email, opted_out')
+      .eq('store_id', storeData.id)
+      .eq('phone', phone)
+      .maybeSingle(),
+    supabase
+      .from('orders')
+      .select('id, items, total_amount, customer_email, created_at', { count: 'exact' })
+      .eq('store_id', storeData.id)
+      .eq('customer_phone', phone)
+      .in('status', REORDERABLE_STATUSES)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(1),
+  ]);
+
+  const error = customerRes.error ?? ordersRes.error;
+  if (error) {
+    console.error(
+      `[CallerProfile] lookup failed | store: ${storeData.id} | ${error.message} ` +
+      `(발신자 프로필 조회 실패 | 매장: ${storeData.id})`
+    );
+    return null;
+  }
+
+  const customer = customerRes.data;
+  const last     = ordersRes.data?.[0] ?? null;
+
+  if (customer?.opted_out) {
+    console.log(
+      `[CallerProfile] caller opted out — not recognised | store: ${storeData.id} ` +
+      `(발신자 인식 거부 — 인식하지 않음 | 매장: ${storeData.id})`
+    );
+    return null;
+  }
+  if (!customer && !last) return null;
+
+  return {
+    name:       policy.greetByName  ? (customer?.name?.trim() || null) : null,
+    email:      policy.prefillEmail ? (customer?.email ?? last?.customer_email ?? null) : null,
+    orderCount: ordersRes.count ?? (last ? 1 : 0),
+    lastOrder:  policy.offerReorder && last
+      ? {
+          order_id:     last.id,
+          items:        last.items ?? [],
+          summary:      summariseItems(last.items),
+          total_amount: Number(last.total_amount ?? 0),
+          placed_at:    last.created_at,
+        }
+      : null,
+  };
+}
+
+/**
+ * reorder_last_order — put the caller's last order back in the cart. Items are re-resolved
+ * against today's menu, so prices are current and discontinued items are reported.
+ * (reorder_last_order — 발신자의 마지막 주문을 장바구니에 다시 담음. 항목은 오늘 메뉴로
+ *  다시 조회되어 가격은 현재 기준이며 단종 항목은 별도 안내)
+ *
+ * @param {object} opts
+ * @param {string} opts.storeId
+ * @param {{ lines: Array<object> }} opts.cart — session cart, mutated in place (세션 장바구니 — 직접 변경)
+ * @param {object|null} opts.profile — session caller profile (세션 발신자 프로필)
+ * @returns {Promise<object>}
+ */
+export async function repeatLastOrder({ storeId, cart, profile }) {
+  if (!profile?.lastOrder?.items?.length) {
+    return {
+      status:  'not_available',
+      message: 'There is no previous order to repeat. Ask the caller what they would like.',
+      cart:    viewCart(cart).cart,
+    };
+  }
+
+  const added       = [];
+  const unavailable = [];
+
+  // Sequential — each add mutates the same cart (순차 실행 — 각 추가가 같은 장바구니를 변경)
+  for (const item of profile.lastOrder.items) {
+    const result = await addToCart({
+      storeId,
+      cart,
+      args: {
+        variant_id: item.variant_id,
+        name:       item.variant_id ? undefined : item.name,
+        quantity:   item.quantity ?? 1,
+        modifiers:  (item.modifiers ?? []).map((m) => m.name).filter(Boolean),
+      },
+    });
+    (result.status === 'success' ? added : unavailable).push(`${item.quantity ?? 1} ${item.name}`);
+  }
+
+  return {
+    status:      added.length > 0 ? 'success' : 'not_available',
+    added,
+    unavailable,
+    message:     unavailable.length > 0
+      ? `Added the previous order except: ${unavailable.join(', ')} — tell the caller those are no longer available as before. ` +
+        'Read the cart total from this result.'
+      : 'Added the previous order at today\'s prices. Read the items and total from this result back to the caller.',
+    cart:        viewCart(cart).cart,
+  };
+}
+
+/**
+ * opt_out_of_recognition — stop recognising this caller on future calls.
+ * (opt_out_of_recognition — 이후 통화에서 이 발신자를 인식하지 않음)
+ *
+ * @param {object} opts
+ * @param {object} opts.storeData
+ * @param {string} opts.phone
+ * @returns {Promise<object>}
+ */
+export async function optOutCaller({ storeData, phone }) {
+  if (!phone) {
+    return { status: 'missing_phone', message: 'Ask the caller for the phone number they would like forgotten.' };
+  }
+
+  const { error } = await supabase
+    .from('customers')
+    .upsert(
+      { store_id: storeData.id, phone, opted_out: true, opted_out_at: new Date().toISOString() },
+      { onConflict: 'store_id,phone' },
+    );
+
+  if (error) {
+    console.error(
+      `[CallerProfile] opt-out failed | store: ${storeData.id} | ${error.message} ` +
+      `(인식 거부 설정 실패 | 매장: ${storeData.id})`
+    );
+    return { status: 'error', message: 'The preference could not be saved just now. Apologise and offer to transfer to a staff member.' };
+  }
+
+  console.log(`[CallerProfile] caller opted out | store: ${storeData.id} (발신자 인식 거부 설정 | 매장: ${storeData.id})`);
+  return {
+    status:  'success',
+    message: 'Done — the caller will not be recognised from their order history on future calls. Confirm this briefly.',
+  };
+}
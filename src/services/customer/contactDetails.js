@@ -0,0 +1,201 @@
+// Contact details — turn spoken phone numbers and emails into values Twilio and SMTP accept
+// (연락처 정보 — 발화된 전화번호와 이메일을 Twilio와 SMTP가 받는 값으로 변환)
+//
+// The model passes customer_phone and customer_email the way the transcript heard them:
+// "five oh three, five five five, oh one hundred", "double five", "john at gmail dot com".
+// normalizePhone() rebuilds the digits and returns E.164 (+15035550100) using the store's
+// default country code for national numbers; normalizeEmail() rebuilds the address and
+// checks its syntax. normalizeContactArgs() applies both to a tool call before it runs — a
+// value that cannot be repaired goes back to the model as a result asking it to read the
+// value back and confirm, instead of reaching the DB and failing silently at send time.
+// (모델은 customer_phone과 customer_email을 전사된 그대로 전달. normalizePhone()은 숫자를
+//  재구성해 E.164로 반환 — 국내 번호는 매장 기본 국가 코드 사용. normalizeEmail()은 주소를
+//  재구성하고 형식 확인. normalizeContactArgs()는 도구 실행 전 둘 다 적용 — 복구할 수 없는 값은
+//  DB에 저장되어 발송 시점에 조용히 실패하는 대신, 값을 다시 읽고 확인하라는 결과로 모델에 반환)
+
+import { getContactPolicy } from '../store/storePolicy.js';
+
+// ── Spoken Digits ─────────────────────────────────────────────────────────────
+
+// Digit words in the platform's languages (플랫폼 지원 언어의 숫자 단어)
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  cero: '0', uno: '1', dos: '2', tres: '3', cuatro: '4',
+  cinco: '5', seis: '6', siete: '7', ocho: '8', nueve: '9',
+};
+
+// Sino-Korean digits, only read inside a run of digit syllables ("공일공") so particles like
+// the 이 in "010이에요" are not taken for a 2
+// (한자어 숫자 — "공일공"처럼 숫자 음절로만 이루어진 묶음에서만 읽어 "010이에요"의 조사 "이"를 2로 오인하지 않음)
+const HANGUL_DIGITS = { 공: '0', 영: '0', 일: '1', 이: '2', 삼: '3', 사: '4', 오: '5', 육: '6', 칠: '7', 팔: '8', 구: '9' };
+const HANGUL_DIGIT_RUN_RE = /^[공영일이삼사오육칠팔구]{2,}$/;
+
+// "double five" → 55 (반복 단어)
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// "hundred" only ever closes a group in phone numbers — "oh one hundred" → 0100
+// ("hundred"는 전화번호에서 그룹 끝에만 쓰임)
+const HUNDRED_WORDS = new Set(['hundred', 'cien']);
+
+// E.164 allows at most 15 digits including the country code (E.164는 국가 코드 포함 최대 15자리)
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+// North American numbers: area code and exchange never start with 0 or 1
+// (북미 번호: 지역 코드와 국번은 0이나 1로 시작하지 않음)
+const NANP_RE = /^[2-9]\d{2}[2-9]\d{6}$/;
+
+/**
+ * Digits of a spoken or typed phone number, and whether it started with "plus".
+ * (발화 또는 입력된 전화번호의 숫자와 "plus"로 시작했는지 여부)
+ *
+ * @param {string} value
+ * @returns {{ digits: string, international: boolean }}
+ */
+function spokenDigits(value) {
+  const tokens = String(value).toLowerCase().match(/\+|\d+|[\p{Script=Hangul}]+|\p{L}+/gu) ?? [];
+  let digits        = '';
+  let international = false;
+  let repeat        = 1;
+
+  for (const token of tokens) {
+    let next = null;
+
+    if (token === '+' || token === 'plus' || token === 'más' || token === 'mas') {
+      if (!digits) international = true;
+    } else if (/^\d+$/.test(token)) {
+      next = token;
+    } else if (DIGIT_WORDS[token]) {
+      next = DIGIT_WORDS[token];
+    } else if (HANGUL_DIGIT_RUN_RE.test(token)) {
+      next = [...token].map((s) => HANGUL_DIGITS[s]).join('');
+    } else if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+    } else if (HUNDRED_WORDS.has(token)) {
+      next = '00';
+    }
+
+    if (next) {
+      digits += next[0].repeat(repeat) + next.slice(1);
+      repeat  = 1;
+    }
+  }
+
+  return { digits, international };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Normalise a phone number to E.164. National numbers get the default country code — for
+ * country code 1 they must be valid North American numbers, elsewhere a leading trunk 0 is
+ * dropped (010… → +8210…).
+ * (전화번호를 E.164로 정규화 — 국내 번호는 기본 국가 코드 부여. 국가 코드 1은 유효한 북미 번호여야
+ *  하고, 그 외에는 앞의 트렁크 0 제거)
+ *
+ * @param {string} value
+ * @param {object} [opts]
+ * @param {string} [opts.defaultCountryCode] — digits only, e.g. '1', '82' (숫자만)
+ * @returns {{ phone: string }|{ error: string }} error: 'missing' | 'invalid'
+ */
+export function normalizePhone(value, { defaultCountryCode = '1' } = {}) {
+  const { digits, international } = spokenDigits(value ?? '');
+  if (!digits) return { error: 'missing' };
+
+  let e164 = null;
+
+  if (international) {
+    if (digits[0] !== '0') e164 = digits;
+  } else if (defaultCountryCode === '1') {
+    const national = digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+    if (NANP_RE.test(national)) e164 = `1${national}`;
+  } else {
+    e164 = `${defaultCountryCode}${digits.replace(/^0/, '')}`;
+  }
+
+  if (!e164 || e164.length < E164_MIN_DIGITS || e164.length > E164_MAX_DIGITS) return { error: 'invalid' };
+  return { phone: `+${e164}` };
+}
+
+// Spoken email words, replaced only when surrounded by spaces (공백으로 둘러싸인 경우에만 치환되는 발화 이메일 단어)
+const EMAIL_WORDS = [
+  [/\s+(?:at|at sign|arroba|골뱅이)\s+/g, '@'],
+  [/\s+(?:dot|period|punto|점|닷)\s+/g,  '.'],
+  [/\s+(?:underscore|guion bajo)\s+/g,    '_'],
+  [/\s+(?:dash|hyphen|guion)\s+/g,        '-'],
+];
+
+const EMAIL_RE = /^[a-z0-9](?:[a-z0-9._%+-]*[a-z0-9_%+-])?@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/;
+
+/**
+ * Normalise a spoken or typed email address and check its syntax.
+ * (발화 또는 입력된 이메일 주소를 정규화하고 형식 확인)
+ *
+ * @param {string} value
+ * @returns {{ email: string }|{ error: string }} error: 'missing' | 'invalid'
+ */
+export function normalizeEmail(value) {
+  let email = ` ${String(value ?? '').trim().toLowerCase()} `;
+  if (!email.trim()) return { error: 'missing' };
+
+  for (const [pattern, symbol] of EMAIL_WORDS) {
+    email = email.replace(pattern, symbol);
+  }
+  email = email.replace(/\s+/g, '').replace(/\.+$/, '');
+
+  if (!EMAIL_RE.test(email) || email.includes('..')) return { error: 'invalid' };
+  return { email };
+}
+
+/**
+ * Normalise customer_phone and customer_email on a tool call's arguments. The caller ID fills
+ * in a phone the model left out or gave without any digits ("the number I'm calling from").
+ * A missing email is left for the tool to handle.
+ * (도구 호출 인자의 customer_phone과 customer_email 정규화. 모델이 번호를 빠뜨렸거나 숫자 없이
+ *  전달하면("지금 거는 번호") 발신 번호로 보완. 누락된 이메일은 도구가 처리하도록 그대로 둠)
+ *
+ * @param {object} fnArgs
+ * @param {object} context
+ * @param {object}      context.storeData   — stores row, for contact_policy (contact_policy용 stores 행)
+ * @param {string|null} context.callerPhone — caller ID from call_details or the URL (call_details 또는 URL의 발신 번호)
+ * @returns {{ args: object, result?: undefined }|{ args?: undefined, result: object }}
+ *   result — voiceable refusal to return to the model instead of running the tool
+ *   (도구 실행 대신 모델에 반환할 음성 안내 거절)
+ */
+export function normalizeContactArgs(fnArgs, { storeData, callerPhone }) {
+  const { defaultCountryCode } = getContactPolicy(storeData);
+  const args = { ...fnArgs };
+
+  const spoken = args.customer_phone ? normalizePhone(args.customer_phone, { defaultCountryCode }) : { error: 'missing' };
+  if (spoken.phone) {
+    args.customer_phone = spoken.phone;
+  } else if (spoken.error === 'missing' && callerPhone) {
+    // Caller ID comes from the carrier — kept as reported if it does not parse (발신 번호는 통신사 제공 — 해석 불가 시 그대로 유지)
+    args.customer_phone = normalizePhone(callerPhone, { defaultCountryCode }).phone ?? callerPhone;
+  } else if (args.customer_phone) {
+    return {
+      result: {
+        status:  'invalid_phone',
+        message: `"${fnArgs.customer_phone}" is not a complete phone number. Read back the digits you ` +
+                 'heard and ask the caller to confirm or correct them, then try again.',
+      },
+    };
+  }
+
+  if (args.customer_email) {
+    const normalized = normalizeEmail(args.customer_email);
+    if (normalized.error) {
+      return {
+        result: {
+          status:  'invalid_email',
+          message: `"${fnArgs.customer_email}" is not a valid email address. Spell back what you heard ` +
+                   'and ask the caller to confirm or correct it, then try again.',
+        },
+      };
+    }
+    args.customer_email = normalized.email;
+  }
+
+  return { args };
+}
@@ -0,0 +1,341 @@
+// Store knowledge base — owner-maintained FAQ entries answered on demand by the voice agent
+// (매장 지식 베이스 — 점주가 관리하는 FAQ 항목을 음성 에이전트가 필요할 때 조회)
+//
+// Parking, catering, gluten-free options, refund policy… each store keeps its own entries in
+// the store_knowledge table (question, answer, keywords). Rather than pasting them all into the
+// system prompt, the answer_store_question tool ranks the store's entries against the caller's
+// question locally (BM25 over keywords, question and answer — no embeddings) and returns only
+// the best few. Entries are cached per store for a short while; the CRUD helpers below clear
+// that cache so an owner's edit is picked up by the next question on this instance.
+// The tool never throws — a DB failure or no match comes back as a voiceable payload.
+// (주차, 케이터링, 글루텐 프리, 환불 정책… 매장별 항목은 store_knowledge 테이블(질문, 답변, 키워드)에 저장.
+//  모두 시스템 프롬프트에 넣는 대신 answer_store_question 도구가 발신자 질문과 매장 항목을 로컬에서
+//  순위화(키워드·질문·답변에 대한 BM25 — 임베딩 없음)하여 상위 몇 개만 반환.
+//  항목은 매장별로 잠시 캐시되며 아래 CRUD 함수가 캐시를 비워 점주 수정이 다음 질문에 반영됨.
+//  도구는 throw 하지 않음 — DB 실패나 일치 없음은 음성 안내용 페이로드로 반환)
+
+import { supabase } from '../../config/supabase.js';
+
+// Entries returned per question — enough to cover a two-part question, small enough to voice
+// (질문당 반환 항목 수 — 두 가지를 묻는 질문을 덮을 만큼, 음성으로 읽기에 충분히 적게)
+const MAX_ANSWERS = 3;
+
+// Runners-up scoring below this share of the best match are noise, not extra answers
+// (최고 일치 점수 대비 이 비율 미만인 후순위 항목은 추가 답변이 아닌 잡음)
+const MIN_RELATIVE_SCORE = 0.35;
+
+// Entries loaded per store — a FAQ list, not a document store (매장당 로드 항목 수 — FAQ 목록이지 문서 저장소가 아님)
+const MAX_ENTRIES = 200;
+
+// How long a store's entries are reused before re-reading the table (매장 항목 재사용 시간 — 이후 테이블 재조회)
+const CACHE_TTL_MS = 60_000;
+
+// Field weights — an owner's keywords say more than a word buried in the answer
+// (필드 가중치 — 점주가 지정한 키워드가 답변 속 단어보다 중요)
+const FIELD_WEIGHTS = { keywords: 3, question: 2, answer: 1 };
+
+// BM25 parameters (BM25 매개변수)
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+
+// Length limits on owner input (점주 입력 길이 제한)
+const MAX_QUESTION_LENGTH = 300;
+const MAX_ANSWER_LENGTH   = 1_000;
+const MAX_KEYWORDS        = 20;
+
+// Words that carry no meaning for matching (일치 판단에 의미 없는 단어)
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'can', 'could', 'will',
+  'would', 'should', 'may', 'might', 'have', 'has', 'had', 'i', 'me', 'my', 'we', 'our', 'you',
+  'your', 'it', 'its', 'they', 'them', 'there', 'this', 'that', 'these', 'those', 'what', 'which',
+  'who', 'how', 'when', 'where', 'why', 'any', 'some', 'about', 'if', 'so', 'just', 'get', 'got',
+  'please', 'tell', 'know', 'wondering', 'like', 'want', 'here', 'us', 'also',
+]);
+
+/** @type {Map<string, { entries: Array<object>, loadedAt: number }>} */
+const cache = new Map();
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Lowercase word tokens with stopwords dropped and plurals and -ing folded
+ * ("options" → "option", "parking" → "park").
+ * Unicode-aware so Korean and accented entries tokenise too.
+ * (소문자 단어 토큰 — 불용어 제거, 복수형·-ing 정규화. 한국어와 악센트 문자도 토큰화되도록 유니코드 지원)
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+    .filter((word) => !STOPWORDS.has(word))
+    .map((word) => {
+      if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+      if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
+    });
+}
+
+/**
+ * Weighted term frequencies and length for one entry (항목 하나의 가중 단어 빈도와 길이)
+ */
+function indexEntry(entry) {
+  const tf = new Map();
+  let length = 0;
+  const fields = {
+    keywords: (entry.keywords ?? []).join(' '),
+    question: entry.question,
+    answer:   entry.answer,
+  };
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) {
+      tf.set(term, (tf.get(term) ?? 0) + FIELD_WEIGHTS[field]);
+      length += FIELD_WEIGHTS[field];
+    }
+  }
+  return { entry, tf, length };
+}
+
+/**
+ * Rank entries against a question with BM25. Entries that share no term with it are dropped.
+ * (BM25로 질문에 대한 항목 순위화 — 질문과 공유하는 단어가 없는 항목은 제외)
+ *
+ * @param {Array<object>} entries
+ * @param {string}        question
+ * @returns {Array<{ entry: object, score: number }>} best first (높은 점수 순)
+ */
+function rankEntries(entries, question) {
+  const terms = [...new Set(tokenize(question))];
+  if (terms.length === 0 || entries.length === 0) return [];
+
+  const docs   = entries.map(indexEntry);
+  const avgLen = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+
+  const idf = new Map(terms.map((term) => {
+    const df = docs.filter((d) => d.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(({ entry, tf, length }) => {
+      let score = 0;
+      for (const term of terms) {
+        const freq = tf.get(term);
+        if (!freq) continue;
+        score += idf.get(term) * (freq * (BM25_K1 + 1)) /
+          (freq + BM25_K1 * (1 - BM25_B + BM25_B * (length / avgLen)));
+      }
+      return { entry, score };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load a store's active entries, reusing the cached copy while it is fresh.
+ * (매장의 활성 항목 로드 — 캐시가 유효하면 재사용)
+ *
+ * @param {string} storeId
+ * @returns {Promise<{ entries: Array<object>, error: object|null }>}
+ */
+async function loadEntries(storeId) {
+  const cached = cache.get(storeId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return { entries: cached.entries, error: null };
+  }
+
+  const { data, error } = await supabase
+    .from('store_knowledge')
+    .select('id, question, answer, keywords')
+    .eq('store_id', storeId)
+    .eq('active', true)
+    .limit(MAX_ENTRIES);
+
+  if (error) return { entries: [], error };
+
+  cache.set(storeId, { entries: data ?? [], loadedAt: Date.now() });
+  return { entries: data ?? [], error: null };
+}
+
+// ── Tool ──────────────────────────────────────────────────────────────────────
+
+/**
+ * answer_store_question — return the store's best-matching knowledge entries for a question.
+ * (answer_store_question — 질문에 가장 잘 맞는 매장 지식 항목 반환)
+ *
+ * @param {object} opts
+ * @param {string} opts.storeId
+ * @param {{ question?: string }} opts.args
+ * @returns {Promise<object>}
+ */
+export async function answerStoreQuestion({ storeId, args }) {
+  const question = args.question?.trim() ?? '';
+  if (!question) {
+    return { status: 'missing_question', message: 'Ask the caller what they would like to know.' };
+  }
+
+  const { entries, error } = await loadEntries(storeId);
+  if (error) {
+    console.error(
+      `[Knowledge] load failed | store: ${storeId} | ${error.message} ` +
+      `(지식 항목 로드 실패 | 매장: ${storeId})`
+    );
+    return {
+      status:  'error',
+      message: 'Store information is unavailable right now. Say you are not sure and offer to transfer to a staff member.',
+    };
+  }
+
+  const ranked = rankEntries(entries, question);
+  const best   = ranked
+    .filter((r) => r.score >= ranked[0].score * MIN_RELATIVE_SCORE)
+    .slice(0, MAX_ANSWERS);
+
+  console.log(
+    `[Knowledge] question answered | store: ${storeId} | entries: ${entries.length} | matches: ${best.length} ` +
+    `(질문 조회 | 매장: ${storeId} | 항목: ${entries.length} | 일치: ${best.length})`
+  );
+
+  if (best.length === 0) {
+    return {
+      status:  'no_answer',
+      message: 'The store has no information on this. Do not guess — tell the caller you are not sure ' +
+               'and offer to transfer them to a staff member.',
+    };
+  }
+
+  return {
+    status:  'success',
+    answers: best.map(({ entry }) => ({ question: entry.question, answer: entry.answer })),
+    message: 'Answer the caller using only these entries, in your own words. The first entry is the ' +
+             'closest match; ignore any entry that does not fit what they asked. If none fit, say you ' +
+             'are not sure and offer to transfer them to a staff member.',
+  };
+}
+
+// ── Owner CRUD ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalise an entry body from the owner API.
+ * With `partial`, only the supplied fields are checked (PATCH).
+ * (점주 API의 항목 바디 검증 및 정규화 — partial이면 전달된 필드만 검사(PATCH))
+ *
+ * @param {object}  body
+ * @param {object}  [opts]
+ * @param {boolean} [opts.partial=false]
+ * @returns {{ entry: object } | { error: string }}
+ */
+export function normaliseEntry(body, { partial = false } = {}) {
+  const entry = {};
+
+  if (!partial || body?.question !== undefined) {
+    const question = typeof body?.question === 'string' ? body.question.trim() : '';
+    if (!question) return { error: 'question is required' };
+    if (question.length > MAX_QUESTION_LENGTH) return { error: `question must be at most ${MAX_QUESTION_LENGTH} characters` };
+    entry.question = question;
+  }
+
+  if (!partial || body?.answer !== undefined) {
+    const answer = typeof body?.answer === 'string' ? body.answer.trim() : '';
+    if (!answer) return { error: 'answer is required' };
+    if (answer.length > MAX_ANSWER_LENGTH) return { error: `answer must be at most ${MAX_ANSWER_LENGTH} characters` };
+    entry.answer = answer;
+  }
+
+  if (body?.keywords !== undefined) {
+    if (!Array.isArray(body.keywords) || body.keywords.some((k) => typeof k !== 'string')) {
+      return { error: 'keywords must be an array of strings' };
+    }
+    const keywords = [...new Set(body.keywords.map((k) => k.trim().toLowerCase()).filter(Boolean))];
+    if (keywords.length > MAX_KEYWORDS) return { error: `at most ${MAX_KEYWORDS} keywords are allowed` };
+    entry.keywords = keywords;
+  } else if (!partial) {
+    entry.keywords = [];
+  }
+
+  if (body?.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    entry.active = body.active;
+  }
+
+  if (partial && Object.keys(entry).length === 0) {
+    return { error: 'no updatable fields supplied (question, answer, keywords, active)' };
+  }
+
+  return { entry };
+}
+
+/**
+ * List all of a store's entries, including inactive ones (비활성 포함 매장의 모든 항목 조회)
+ *
+ * @param {string} storeId
+ * @returns {Promise<{ data: Array<object>|null, error: object|null }>}
+ */
+export async function listKnowledgeEntries(storeId) {
+  return supabase
+    .from('store_knowledge')
+    .select('id, question, answer, keywords, active, updated_at')
+    .eq('store_id', storeId)
+    .order('updated_at', { ascending: false });
+}
+
+/**
+ * Create an entry from a normalised body (정규화된 바디로 항목 생성)
+ *
+ * @param {string} storeId
+ * @param {object} entry — output of normaliseEntry (normaliseEntry 결과)
+ * @returns {Promise<{ data: object|null, error: object|null }>}
+ */
+export async function createKnowledgeEntry(storeId, entry) {
+  const result = await supabase
+    .from('store_knowledge')
+    .insert({ store_id: storeId, active: true, ...entry, updated_at: new Date().toISOString() })
+    .select('id, question, answer, keywords, active, updated_at')
+    .single();
+  cache.delete(storeId);
+  return result;
+}
+
+/**
+ * Update an entry — scoped by store so one owner cannot edit another store's entries.
+ * `data` is null when no such entry exists for the store.
+ * (항목 수정 — 다른 매장 항목을 수정할 수 없도록 매장 범위로 제한. 해당 매장에 항목이 없으면 data는 null)
+ *
+ * @param {string} storeId
+ * @param {string} entryId
+ * @param {object} entry — output of normaliseEntry({ partial: true })
+ * @returns {Promise<{ data: object|null, error: object|null }>}
+ */
+export async function updateKnowledgeEntry(storeId, entryId, entry) {
+  const result = await supabase
+    .from('store_knowledge')
+    .update({ ...entry, updated_at: new Date().toISOString() })
+    .eq('store_id', storeId)
+    .eq('id', entryId)
+    .select('id, question, answer, keywords, active, updated_at')
+    .maybeSingle();
+  cache.delete(storeId);
+  return result;
+}
+
+/**
+ * Delete an entry, scoped by store. `data` is null when no such entry exists for the store.
+ * (매장 범위로 항목 삭제 — 해당 매장에 항목이 없으면 data는 null)
+ *
+ * @param {string} storeId
+ * @param {string} entryId
+ * @returns {Promise<{ data: object|null, error: object|null }>}
+ */
+export async function deleteKnowledgeEntry(storeId, entryId) {
+  const result = await supabase
+    .from('store_knowledge')
+    .delete()
+    .eq('store_id', storeId)
+    .eq('id', entryId)
+    .select('id')
+    .maybeSingle();
+  cache.delete(storeId);
+  return result;
+}
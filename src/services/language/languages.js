@@ -0,0 +1,71 @@
+// Language registry and caller-language detection
+// (언어 레지스트리 및 발신자 언어 감지)
+//
+// The platform speaks a fixed set of languages; each store opts into a subset via
+// stores.supported_languages. Detection is a cheap script/keyword heuristic run on the
+// first caller turns — no model call, so it adds nothing to turn latency.
+// (플랫폼은 고정된 언어 집합을 지원하며, 각 매장은 stores.supported_languages로 일부를 선택.
+//  감지는 첫 발신자 턴에 대한 가벼운 문자/키워드 휴리스틱 — 모델 호출 없음, 턴 지연 없음)
+
+// Language codes the platform can serve — ISO 639-1 (플랫폼 지원 언어 코드 — ISO 639-1)
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-US' },
+  ko: { name: 'Korean',  nativeName: '한국어',   locale: 'ko-KR' },
+  es: { name: 'Spanish', nativeName: 'Español', locale: 'es-US' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Hangul syllables and jamo (한글 음절 및 자모)
+const HANGUL_RE = /[ᄀ-ᇿ㄰-㆏가-힯]/;
+
+// Characters that only appear in Spanish among our supported languages (지원 언어 중 스페인어에만 나타나는 문자)
+const SPANISH_CHAR_RE = /[ñ¿¡]/i;
+
+// Common Spanish words in restaurant calls — whole-word matches only. Unicode letter
+// lookarounds instead of \b so accented words like "sí" match correctly.
+// (식당 통화의 흔한 스페인어 단어 — 전체 단어만 일치. "sí" 같은 악센트 단어가 올바르게
+//  일치하도록 \b 대신 유니코드 문자 전후방 탐색 사용)
+const SPANISH_WORD_RE = new RegExp(
+  '(?<!\\p{L})(hola|buenos|buenas|quiero|quisiera|gracias|por favor|para|una|uno|dos|tres|' +
+  'pedido|ordenar|reservar|reservación|reservacion|mesa|cuánto|cuanto|cuesta|tienen|' +
+  'sí|necesito|comida|español|habla)(?!\\p{L})',
+  'giu'
+);
+
+/**
+ * Normalize a language value to a supported code, falling back to the default.
+ * (언어 값을 지원 코드로 정규화 — 미지원 시 기본값으로 폴백)
+ *
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function normalizeLanguage(language) {
+  const code = String(language ?? '').toLowerCase().slice(0, 2);
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Guess the language of one caller utterance.
+ * Returns null when the text is too short or ambiguous to switch on — callers keep the
+ * current language in that case.
+ * (발신자 발화 하나의 언어 추정.
+ *  전환하기에 너무 짧거나 모호하면 null 반환 — 이 경우 호출자는 현재 언어 유지)
+ *
+ * @param {string} text
+ * @returns {string|null} language code or null (언어 코드 또는 null)
+ */
+export function detectLanguage(text) {
+  const sample = text?.trim() ?? '';
+  if (!sample) return null;
+
+  if (HANGUL_RE.test(sample)) return 'ko';
+
+  const spanishWords = sample.match(SPANISH_WORD_RE)?.length ?? 0;
+  if (SPANISH_CHAR_RE.test(sample) || spanishWords >= 2) return 'es';
+
+  // Latin script with enough words and no Spanish markers — treat as English
+  // (스페인어 표지 없이 충분한 단어가 있는 라틴 문자 — 영어로 간주)
+  const wordCount = sample.split(/\s+/).length;
+  return wordCount >= 3 && spanishWords === 0 ? 'en' : null;
+}
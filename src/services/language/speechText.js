@@ -0,0 +1,231 @@
+// Speech text — make model output safe to read aloud before it reaches Retell's TTS
+// (음성 텍스트 — 모델 출력이 Retell TTS에 도달하기 전에 소리 내어 읽기 안전하게 변환)
+//
+// Models write for screens: "**Bulgogi** — $12.50 🍖", bullet lists, "open 11:00–21:00",
+// "approx. 10 min". Read as-is the caller hears "asterisk asterisk" or "dollar sign twelve
+// point five zero". toSpeech() strips markdown and emoji and rewrites prices, times, ranges
+// and abbreviations the way a person says them in the call's language ("twelve fifty",
+// "nine PM"; "12달러 50센트", "오후 9시"). Rules are per language; Korean and Spanish keep
+// numerals, which their TTS voices already read correctly.
+// (모델은 화면용으로 작성 — 그대로 읽으면 "별표 별표"나 "달러 기호 십이 점 오 영"으로 들림.
+//  toSpeech()는 마크다운과 이모지를 제거하고 가격, 시간, 범위, 약어를 통화 언어로 사람이 말하는
+//  방식으로 재작성. 규칙은 언어별 — 한국어와 스페인어는 TTS가 이미 올바르게 읽는 숫자를 유지)
+//
+// Replies stream in arbitrary fragments ("$12", ".50 ea", "ch"), so createSpeechStream()
+// holds text back until a word boundary where no rule can still reach across — after a word
+// with no digits or range/currency signs in it — and converts everything before that point.
+// (응답은 임의 조각으로 스트리밍되므로 createSpeechStream()은 어떤 규칙도 걸칠 수 없는 단어
+//  경계 — 숫자나 범위·통화 기호가 없는 단어 뒤 — 까지 텍스트를 보류한 뒤 그 앞부분을 변환)
+
+import { normalizeLanguage } from './languages.js';
+
+// ── English Number Words ──────────────────────────────────────────────────────
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/** 1250 → "one thousand two hundred fifty" (영어 숫자 읽기) */
+function numberWords(n) {
+  if (n < 20)        return ONES[n];
+  if (n < 100)       return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  if (n < 1000)      return `${ONES[Math.floor(n / 100)]} hundred${n % 100 ? ` ${numberWords(n % 100)}` : ''}`;
+  if (n < 1_000_000) return `${numberWords(Math.floor(n / 1000))} thousand${n % 1000 ? ` ${numberWords(n % 1000)}` : ''}`;
+  return String(n);
+}
+
+/** 24-hour clock → 12-hour hour and period; an explicit am/pm wins (24시간 → 12시간과 오전/오후 — 명시된 am/pm 우선) */
+function twelveHour(hour, period) {
+  if (period) return { hour: hour % 12 || 12, period };
+  if (hour === 0 || hour > 12) return { hour: hour % 12 || 12, period: hour >= 12 ? 'pm' : 'am' };
+  return { hour, period: null }; // "5:30" on its own stays ambiguous (단독 "5:30"은 모호한 그대로 유지)
+}
+
+// ── Language Rules ────────────────────────────────────────────────────────────
+
+/**
+ * Per-language speech rules.
+ *   price(dollars, cents) — cents is null for whole amounts (정수 금액이면 cents는 null)
+ *   time(hour, minute, period) — period 'am' | 'pm' | null
+ *   range                 — word between the two ends of "5–9" (범위 사이 단어)
+ *   words                 — [pattern, replacement] pairs applied last (마지막에 적용되는 치환 쌍)
+ */
+const RULES = {
+  en: {
+    price(dollars, cents) {
+      if (cents === null) return `${numberWords(dollars)} dollar${dollars === 1 ? '' : 's'}`;
+      if (dollars === 0)  return `${numberWords(cents)} cent${cents === 1 ? '' : 's'}`;
+      // Menu prices are said like "twelve fifty"; larger sums in full (메뉴 가격은 "twelve fifty"처럼, 큰 금액은 전체로)
+      if (dollars < 100)  return `${numberWords(dollars)} ${cents < 10 ? `oh ${ONES[cents]}` : numberWords(cents)}`;
+      return `${numberWords(dollars)} dollars and ${numberWords(cents)} cent${cents === 1 ? '' : 's'}`;
+    },
+    time(hour, minute, period) {
+      const clock = twelveHour(hour, period);
+      const words = numberWords(clock.hour) +
+        (minute === 0 ? (clock.period ? '' : " o'clock") : ` ${minute < 10 ? `oh ${ONES[minute]}` : numberWords(minute)}`);
+      return clock.period ? `${words} ${clock.period.toUpperCase()}` : words;
+    },
+    range: 'to',
+    words: [
+      [/(\d+)\s?(?:mins?\b\.?|min\.)/gi, (_, n) => `${n} minute${n === '1' ? '' : 's'}`],
+      [/(\d+)\s?(?:hrs?\b\.?)/gi,         (_, n) => `${n} hour${n === '1' ? '' : 's'}`],
+      [/(\d+)\s?oz\b\.?/gi,               (_, n) => `${n} ounce${n === '1' ? '' : 's'}`],
+      [/(\d+)\s?lbs?\b\.?/gi,             (_, n) => `${n} pound${n === '1' ? '' : 's'}`],
+      [/(\d)\s?%/g,                       '$1 percent'],
+      [/#\s?(\d)/g,                       'number $1'],
+      [/\bapprox\./gi,                    'approximately'],
+      [/\be\.g\.,?/gi,                    'for example'],
+      [/\bi\.e\.,?/gi,                    'that is'],
+      [/\betc\./gi,                       'et cetera'],
+      [/\bvs\./gi,                        'versus'],
+      [/\bw\//gi,                         'with '],
+      [/\bAve\./g,                        'Avenue'],
+      [/\bBlvd\.?(?=\s|$)/g,              'Boulevard'],
+      [/\bMon\b\.?/g,                     'Monday'],
+      [/\bTues?\b\.?/g,                   'Tuesday'],
+      [/\bWed\b\.?/g,                     'Wednesday'],
+      [/\bThu(?:rs?)?\b\.?/g,             'Thursday'],
+      [/\bFri\b\.?/g,                     'Friday'],
+      [/(?<!\S)&(?!\S)/g,                 'and'],
+    ],
+  },
+
+  ko: {
+    price: (dollars, cents) => `${dollars}달러${cents ? ` ${cents}센트` : ''}`,
+    time(hour, minute, period) {
+      const clock = twelveHour(hour, period);
+      const words = `${clock.hour}시${minute ? ` ${minute}분` : ''}`;
+      return clock.period ? `${clock.period === 'am' ? '오전' : '오후'} ${words}` : words;
+    },
+    range: '에서',
+    words: [
+      [/(\d)\s?%/g,        '$1퍼센트'],
+      [/(?<!\S)&(?!\S)/g, '그리고'],
+    ],
+  },
+
+  es: {
+    price: (dollars, cents) => `${dollars} dólar${dollars === 1 ? '' : 'es'}${cents ? ` con ${cents}` : ''}`,
+    time(hour, minute, period) {
+      const clock = twelveHour(hour, period);
+      const words = minute ? `${clock.hour}:${String(minute).padStart(2, '0')}` : String(clock.hour);
+      if (!clock.period) return words;
+      if (clock.period === 'am') return `${words} de la mañana`;
+      return `${words} de la ${clock.hour === 12 || clock.hour < 7 ? 'tarde' : 'noche'}`;
+    },
+    range: 'a',
+    words: [
+      [/(\d+)\s?(?:mins?\b\.?|min\.)/gi, '$1 minutos'],
+      [/(\d)\s?%/g,                       '$1 por ciento'],
+      [/\baprox\./gi,                     'aproximadamente'],
+      [/(?<!\S)&(?!\S)/g,                 'y'],
+    ],
+  },
+};
+
+// ── Conversion ────────────────────────────────────────────────────────────────
+
+// Emoji and the joiners/selectors that glue them together (이모지와 결합 문자)
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]/gu;
+
+// Bullets, numbered items and headings at the start of a line (줄 시작의 글머리표, 번호 항목, 제목)
+const LINE_MARKER_RE = /(^|\n)[ \t]*(?:[-*•+]|\d{1,2}[.)]|#{1,6})[ \t]+/g;
+
+// "5–9", "11:00 ~ 21:00" and unspaced "Mon–Fri", "AM–2" — a spaced or em dash between words is punctuation
+// ("5–9"와 붙여 쓴 "Mon–Fri" 등은 범위 — 띄어 쓴 대시나 단어 사이 em 대시는 문장 부호)
+const RANGE_RE = /(\d)\s*[–—~]\s*(\d)|([\p{L}\d])–([\p{L}\d])/gu;
+const PRICE_RE = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?/g;
+const TIME_RE  = /\b(\d{1,2})(?::(\d{2}))?(?:\s?([ap])\.?\s?m\b\.?)|\b(\d{1,2}):(\d{2})\b/gi;
+
+/**
+ * Convert one complete segment. `atLineStart` says whether the text before it ended a line,
+ * so a leading "- " is only dropped when it really is a bullet.
+ * (완결된 구간 하나 변환 — atLineStart는 앞 텍스트가 줄을 끝냈는지 여부로, 선두 "- "가 실제
+ *  글머리표일 때만 제거)
+ */
+function convert(text, rules, atLineStart) {
+  let out = text
+    .replace(EMOJI_RE, '')
+    .replace(LINE_MARKER_RE, (marker, newline, offset) => (offset === 0 && !newline && !atLineStart ? marker : newline))
+    .replace(/\]\([^)\s]*\)/g, '')     // [text](url) → text, first the link target (링크 대상 제거)
+    .replace(/\*+|_{2,}|`+|~~|[[\]]/g, '')
+    .replace(/([^\s.,!?:;])[ \t]*\n+/g, '$1, ')
+    .replace(/\n+/g, ' ')
+    .replace(RANGE_RE, (_, a1, b1, a2, b2) => `${a1 ?? a2} ${rules.range} ${b1 ?? b2}`)
+    .replace(PRICE_RE, (_, whole, cents) =>
+      rules.price(Number(whole.replace(/,/g, '')), cents === undefined || cents === '00' ? null : Number(cents)))
+    .replace(TIME_RE, (match, h1, m1, period, h2, m2) => {
+      const hour   = Number(h1 ?? h2);
+      const minute = Number(m1 ?? m2 ?? 0);
+      if (hour > 23 || minute > 59) return match;
+      return rules.time(hour, minute, period ? `${period.toLowerCase()}m` : null);
+    });
+
+  for (const [pattern, replacement] of rules.words) out = out.replace(pattern, replacement);
+  return out.replace(/[ \t]{2,}/g, ' ');
+}
+
+/** Rules for a language code, English for anything unknown (언어 코드의 규칙 — 미지원은 영어) */
+function rulesFor(language) {
+  return RULES[normalizeLanguage(language)] ?? RULES.en;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Convert a complete text to speakable form.
+ * (완결된 텍스트를 발화 가능한 형태로 변환)
+ *
+ * @param {string} text
+ * @param {string} [language] — call language code (통화 언어 코드)
+ * @returns {string}
+ */
+export function toSpeech(text, language) {
+  return convert(String(text ?? ''), rulesFor(language), true);
+}
+
+/**
+ * Streaming converter for one utterance. push() returns what can be spoken now, flush()
+ * whatever was held back; together they produce the same text as toSpeech() on the whole.
+ * (발화 하나의 스트리밍 변환기 — push()는 지금 말할 수 있는 부분, flush()는 보류된 나머지를
+ *  반환하며 둘을 합치면 전체에 toSpeech()를 적용한 결과와 동일)
+ *
+ * @param {string} [language] — call language code (통화 언어 코드)
+ * @returns {{ push: (text: string) => string, flush: () => string }}
+ */
+export function createSpeechStream(language) {
+  const rules       = rulesFor(language);
+  let   pending     = '';
+  let   atLineStart = true;
+
+  const emit = (segment) => {
+    if (!segment) return '';
+    const out   = convert(segment, rules, atLineStart);
+    atLineStart = /\n[ \t]*$/.test(segment);
+    return out;
+  };
+
+  return {
+    push(text) {
+      pending += text ?? '';
+
+      // Last whitespace run that follows a word no rule can extend past (어떤 규칙도 넘어갈 수 없는 단어 뒤의 마지막 공백)
+      let cut = 0;
+      for (const match of pending.matchAll(/(\S+)(\s+)/g)) {
+        if (!/[\d$#–—~&]/.test(match[1])) cut = match.index + match[0].length;
+      }
+
+      const ready = pending.slice(0, cut);
+      pending     = pending.slice(cut);
+      return emit(ready);
+    },
+
+    flush() {
+      const rest = pending;
+      pending    = '';
+      return emit(rest);
+    },
+  };
+}
@@ -52,17 +52,20 @@ export const POS_TOOLS = [
       },
 
       // ── search_menu ─────────────────────────────────────────────────────────
-      // Query the synced menu_items catalog by keyword, or return the full menu_cache.
-      // Prefer this over get_menu when the customer asks about a specific dish or price.
-      // (키워드로 동기화된 menu_items 카탈로그 조회, 또는 전체 menu_cache 반환.
-      //  고객이 특정 요리나 가격을 물을 때 get_menu보다 이 도구를 사용)
+      // Query the synced menu_items catalog by keyword and/or allergen and dietary tags, or
+      // return the full menu_cache. Prefer this over get_menu for a specific dish, price or diet.
+      // (키워드 및/또는 알레르겐·식이 태그로 동기화된 menu_items 카탈로그 조회, 또는 전체 menu_cache 반환.
+      //  특정 요리, 가격, 식이 조건을 물을 때 get_menu보다 이 도구를 사용)
       {
         name: 'search_menu',
         description:
-          'Search for specific menu items by keyword. ' +
-          'Call this when the customer asks about a specific dish, ingredient, or price. ' +
-          'If no keyword is provided, returns the full menu. ' +
-          '(고객이 특정 요리, 재료, 가격을 물을 때 호출. 키워드 없으면 전체 메뉴 반환)',
+          'Search for specific menu items by keyword and/or dietary and allergen tags. ' +
+          'Call this when the customer asks about a specific dish, ingredient, or price, which items ' +
+          'suit a diet (vegan, gluten-free…), or which items avoid an allergen. ' +
+          'Results include each variant (size, style) with its own variant_id and price, the item\'s ' +
+          'recorded allergens and dietary tags, and the option groups (modifiers) it can be customised with. ' +
+          'If no keyword or tag is provided, returns the full menu. ' +
+          '(고객이 특정 요리, 재료, 가격, 식이 조건, 알레르겐을 물을 때 호출. 결과에 변형별 variant_id·가격, 알레르겐·식이 태그, 옵션 그룹 포함. 키워드·태그 없으면 전체 메뉴 반환)',
         parameters: {
           type: 'object',
           properties: {
@@ -70,21 +73,149 @@ export const POS_TOOLS = [
               type:        'string',
               description: 'Search term to find matching menu items by name (이름으로 메뉴 항목을 찾는 검색어)',
             },
+            dietary: {
+              type:        'array',
+              items:       { type: 'string' },
+              description: 'Only items tagged with all of these, e.g. ["vegan"], ["gluten_free"]. ' +
+                           'Known tags: vegan, vegetarian, gluten_free, dairy_free, nut_free, halal, kosher, spicy ' +
+                           '(모든 태그를 가진 항목만)',
+            },
+            exclude_allergens: {
+              type:        'array',
+              items:       { type: 'string' },
+              description: 'Only items recorded as free of these allergens, e.g. ["peanut"]. ' +
+                           'Known allergens: milk, egg, fish, shellfish, tree_nut, peanut, wheat, soy, sesame ' +
+                           '(해당 알레르겐이 없는 것으로 기록된 항목만)',
+            },
           },
-          required: [],  // keyword is optional — omit to get the full menu (키워드는 선택 사항 — 생략 시 전체 메뉴 반환)
+          required: [],  // all optional — omit to get the full menu (모두 선택 사항 — 생략 시 전체 메뉴 반환)
+        },
+      },
+
+      // ── answer_store_question (ACTIVE) ───────────────────────────────────────
+      // Look up the store's owner-maintained FAQ entries — parking, catering, dietary, policies.
+      // (점주가 관리하는 매장 FAQ 항목 조회 — 주차, 케이터링, 식이, 정책)
+      {
+        name: 'answer_store_question',
+        description:
+          'Looks up this store\'s own information for a caller question that is not about a ' +
+          'specific menu item or the opening hours — for example parking, catering, gluten-free ' +
+          'or vegan options, refunds, Wi-Fi, accessibility. Returns the best-matching entries; ' +
+          'answer only from them and never guess. ' +
+          '(특정 메뉴나 영업시간이 아닌 매장 관련 질문 — 주차, 케이터링, 글루텐 프리, 환불 등 — 에 대해 매장 정보 조회. 반환된 항목으로만 답변)',
+        parameters: {
+          type: 'object',
+          properties: {
+            question: {
+              type:        'string',
+              description: 'The caller\'s question in a few words, e.g. "parking", "do you cater events" (발신자 질문 요약)',
+            },
+          },
+          required: ['question'],
+        },
+      },
+
+      // ── Cart tools (ACTIVE) ──────────────────────────────────────────────────
+      // The order is built in a server-held cart priced from menu_items — the model never
+      // computes prices or totals. Every result carries the current cart and its total.
+      // (주문은 menu_items 가격으로 계산되는 서버 보관 장바구니에 구성 — 모델은 가격이나 총액을
+      //  계산하지 않음. 모든 결과에 현재 장바구니와 총액 포함)
+      {
+        name: 'add_to_cart',
+        description:
+          'Adds a menu item to the caller\'s cart, or increases its quantity if already there. ' +
+          'Call this as soon as the caller asks for an item. Pass variant_id when you have it from ' +
+          'search_menu or an earlier cart result; otherwise pass the item name exactly as on the menu. ' +
+          'If the item has variants (e.g. sizes), confirm which one before adding. ' +
+          'Pass any options the caller chose (e.g. "Oat milk", "Extra shot") in modifiers. ' +
+          '(발신자가 항목을 요청하면 바로 호출 — variant_id가 있으면 전달, 없으면 메뉴상 이름 전달. ' +
+          '변형이 있으면 먼저 확인, 선택한 옵션은 modifiers로 전달)',
+        parameters: {
+          type: 'object',
+          properties: {
+            variant_id: {
+              type:        'string',
+              description: 'menu item variant_id from search_menu or a cart result (search_menu 또는 장바구니 결과의 variant_id)',
+            },
+            name: {
+              type:        'string',
+              description: 'Menu item name, used only when variant_id is unknown (variant_id를 모를 때만 사용하는 메뉴 이름)',
+            },
+            quantity: {
+              type:        'integer',
+              description: 'Number of units to add, default 1 (추가할 수량, 기본 1)',
+            },
+            modifiers: {
+              type:        'array',
+              items:       { type: 'string' },
+              description: 'Option names chosen by the caller, as listed by search_menu (search_menu에 나열된 발신자 선택 옵션 이름)',
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'remove_from_cart',
+        description:
+          'Removes an item from the caller\'s cart entirely. ' +
+          '(장바구니에서 항목 전체 삭제)',
+        parameters: {
+          type: 'object',
+          properties: {
+            line_id: {
+              type:        'string',
+              description: 'line_id of the cart line to remove (삭제할 장바구니 라인의 line_id)',
+            },
+          },
+          required: ['line_id'],
+        },
+      },
+      {
+        name: 'update_cart_quantity',
+        description:
+          'Sets the quantity of an item already in the cart. A quantity of 0 removes it. ' +
+          '(장바구니 항목의 수량 설정 — 0이면 삭제)',
+        parameters: {
+          type: 'object',
+          properties: {
+            line_id: {
+              type:        'string',
+              description: 'line_id of the cart line to change (변경할 장바구니 라인의 line_id)',
+            },
+            quantity: {
+              type:        'integer',
+              description: 'New quantity for the line (라인의 새 수량)',
+            },
+          },
+          required: ['line_id', 'quantity'],
+        },
+      },
+      {
+        name: 'view_cart',
+        description:
+          'Returns the items in the caller\'s cart and the server-computed total. ' +
+          'Call this before reading the order back for confirmation. ' +
+          '(장바구니 항목과 서버 계산 총액 반환 — 주문 확인 낭독 전에 호출)',
+        parameters: {
+          type:       'object',
+          properties: {},
+          required:   [],
         },
       },
 
       // ── place_order (ACTIVE) ─────────────────────────────────────────────────
-      // Inserts a confirmed order row into the orders table.
-      // Call ONLY after the customer has explicitly confirmed every item and quantity.
-      // (확정된 주문을 orders 테이블에 삽입. 고객이 모든 항목과 수량을 명시적으로 확인한 후에만 호출)
+      // Submits the server-held cart as a confirmed order row in the orders table.
+      // Call ONLY after the customer has explicitly confirmed the cart read back from view_cart.
+      // (서버 보관 장바구니를 확정 주문으로 orders 테이블에 제출.
+      //  고객이 view_cart로 낭독한 장바구니를 명시적으로 확인한 후에만 호출)
       {
         name: 'place_order',
         description:
-          'Places a new food or drink order for the customer. ' +
-          'Call this ONLY after the customer has confirmed every item and quantity out loud. ' +
-          '(고객이 모든 항목과 수량을 구두로 확인한 후에만 주문 접수)',
+          'Places the order currently in the cart. Items and total come from the cart — do not pass them. ' +
+          'Call this ONLY after the customer has confirmed the cart contents and total out loud. ' +
+          'When the store is closed, pass the pickup date and time the caller agreed to. ' +
+          '(장바구니에 담긴 주문 접수 — 항목과 총액은 장바구니에서 가져옴. 고객이 구두로 확인한 후에만 호출. ' +
+          '매장 휴무 시 합의한 픽업 날짜·시간 전달)',
         parameters: {
           type: 'object',
           properties: {
@@ -99,32 +230,77 @@ export const POS_TOOLS = [
               description: 'Customer email address for order confirmation receipt (주문 확인 영수증 전송을 위한 고객 이메일 주소)',
             },
 
-            items: {
-              type:        'array',
-              description: 'List of items the customer has confirmed they want to order — merge duplicates before calling (고객이 확인한 주문 항목 목록 — 호출 전 중복 항목 합산)',
-              items: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type:        'string',
-                    description: 'Menu item name exactly as spoken by the customer (고객이 말한 메뉴 항목명)',
-                  },
-                  quantity: {
-                    type:        'integer',
-                    description: 'Number of units — must be ≥ 1, duplicates merged (주문 수량 — 최소 1 이상, 중복 합산)',
-                  },
-                },
-                required: ['name', 'quantity'],
-              },
+            pickup_date: {
+              type:        'string',
+              description: 'Scheduled pickup date in YYYY-MM-DD format — only for later pickups (예약 픽업 날짜 — YYYY-MM-DD, 나중 픽업일 때만)',
             },
 
-            total_amount: {
-              type:        'number',
-              description: 'The calculated total amount of the order based on menu prices — you MUST compute this before calling (메뉴 가격 기반 계산된 주문 총액 — 호출 전 반드시 계산 필요)',
+            pickup_time: {
+              type:        'string',
+              description: 'Scheduled pickup time in HH:MM 24-hour format — only for later pickups (예약 픽업 시간 — HH:MM 24시간 형식, 나중 픽업일 때만)',
             },
 
           },
-          required: ['customer_phone', 'customer_email', 'items', 'total_amount'],
+          required: ['customer_phone', 'customer_email'],
+        },
+      },
+
+      // ── Returning caller tools (ACTIVE) ──────────────────────────────────────
+      // Only useful when the prompt names a recognised returning caller.
+      // (프롬프트에 인식된 재방문 발신자가 있을 때만 사용)
+      {
+        name: 'reorder_last_order',
+        description:
+          'Puts the returning caller\'s last order back in the cart at today\'s prices. ' +
+          'Call this only when the caller accepts your offer to repeat their last order. ' +
+          '(재방문 발신자가 마지막 주문 반복 제안을 수락하면 호출 — 오늘 가격으로 장바구니에 다시 담음)',
+        parameters: { type: 'object', properties: {}, required: [] },
+      },
+      {
+        name: 'opt_out_of_recognition',
+        description:
+          'Stops recognising the caller from their order history on future calls. ' +
+          'Call this when the caller asks not to be remembered. ' +
+          '(발신자가 기억하지 말라고 요청하면 호출 — 이후 통화에서 주문 이력으로 인식하지 않음)',
+        parameters: {
+          type: 'object',
+          properties: {
+            customer_phone: {
+              type:        'string',
+              description: 'Phone number to forget — defaults to the caller ID (잊을 전화번호 — 기본값은 발신 번호)',
+            },
+          },
+          required: [],
+        },
+      },
+
+      // ── check_availability (ACTIVE) ──────────────────────────────────────────
+      // Read-only check of a reservation slot; returns the nearest free times when it is taken.
+      // (예약 시간대 읽기 전용 확인 — 불가 시 가장 가까운 빈 시간 반환)
+      {
+        name: 'check_availability',
+        description:
+          'Checks whether a table is available for a party at a given date and time. ' +
+          'Call this as soon as the caller gives a date, time and party size, before collecting contact details. ' +
+          'If the time is taken, offer the alternatives it returns. ' +
+          '(날짜, 시간, 인원을 받으면 바로 호출 — 불가 시 반환된 대안을 제시)',
+        parameters: {
+          type: 'object',
+          properties: {
+            date: {
+              type:        'string',
+              description: 'Requested date in YYYY-MM-DD format (요청 날짜 — YYYY-MM-DD 형식)',
+            },
+            time: {
+              type:        'string',
+              description: 'Requested time in HH:MM 24-hour format (요청 시간 — HH:MM 24시간 형식)',
+            },
+            party_size: {
+              type:        'integer',
+              description: 'Number of guests (예약 인원)',
+            },
+          },
+          required: ['date', 'time', 'party_size'],
         },
       },
 
@@ -135,8 +311,9 @@ export const POS_TOOLS = [
         name: 'make_reservation',
         description:
           'Makes a table reservation for the customer. ' +
-          'Collect date, time, party size, phone number, and email before calling this. ' +
-          '(테이블 예약 접수. 날짜, 시간, 인원, 전화번호, 이메일을 수집한 후 호출)',
+          'Collect date, time, party size, phone number, and email before calling this, ' +
+          'and confirm the time with check_availability first. ' +
+          '(테이블 예약 접수. 날짜, 시간, 인원, 전화번호, 이메일을 수집하고 check_availability로 확인한 후 호출)',
         parameters: {
           type: 'object',
           properties: {
@@ -171,14 +348,16 @@ export const POS_TOOLS = [
         },
       },
 
-      // ── check_order_status (STUB) ────────────────────────────────────────────
-      // Feature under construction — returns a graceful holding message to Gemini.
-      // (개발 중 기능 — Gemini에 정중한 안내 메시지 반환)
+      // ── check_order_status (ACTIVE) ──────────────────────────────────────────
+      // Looks up the caller's most recent orders at this store by phone number.
+      // (전화번호로 이 매장의 발신자 최근 주문 조회)
       {
         name: 'check_order_status',
         description:
-          'Checks the status of an existing order by customer phone number. ' +
-          '(고객 전화번호로 기존 주문 상태 확인)',
+          'Checks the status of the caller\'s recent orders by customer phone number. ' +
+          'Returns each open order\'s status, items, total and whether payment is still outstanding. ' +
+          'Call this when the customer asks whether their order is ready or where it is. ' +
+          '(고객 전화번호로 최근 주문 상태 확인 — 상태, 항목, 총액, 결제 여부 반환)',
         parameters: {
           type: 'object',
           properties: {
@@ -191,14 +370,24 @@ export const POS_TOOLS = [
         },
       },
 
-      // ── cancel_or_modify (STUB) ──────────────────────────────────────────────
-      // Feature under construction — returns a graceful holding message to Gemini.
-      // (개발 중 기능 — Gemini에 정중한 안내 메시지 반환)
+      // ── cancel_or_modify (ACTIVE) ────────────────────────────────────────────
+      // Cancels or changes the caller's open order or upcoming reservation, subject to store policy.
+      // (매장 정책에 따라 발신자의 진행 중 주문 또는 예정 예약 취소/변경)
       {
         name: 'cancel_or_modify',
         description:
-          'Cancels or modifies an existing order or reservation. ' +
-          '(기존 주문 또는 예약 취소 또는 변경)',
+          'Cancels or modifies the caller\'s open order or upcoming reservation. ' +
+          'Confirm exactly what the caller wants before calling. For an order modification, pass the COMPLETE ' +
+          'updated items list (not just the difference) — the server prices it from the menu, so read the new total ' +
+          'from the result. For a reservation modification, ' +
+          'pass only the fields that change. If the result is "ambiguous", ask which one and call again with its ID. ' +
+          'If the result is "verification_required", ask for the order or reservation number from the confirmation ' +
+          'and call again with it. ' +
+          'If the result is "not_allowed" or "error", offer to transfer the caller to staff. ' +
+          '(발신자의 진행 중 주문 또는 예정 예약 취소/변경. 호출 전 요청 내용 확인. ' +
+          '주문 변경 시 변경 후 전체 항목 전달 — 서버가 메뉴 가격으로 계산하므로 새 총액은 결과에서 읽음. 예약 변경 시 바뀌는 필드만 전달. ' +
+          '"ambiguous"면 어느 건인지 묻고 ID로 재호출. "verification_required"면 확인 메시지의 주문/예약 번호를 묻고 재호출. ' +
+          '"not_allowed"/"error"면 직원 연결 제안)',
         parameters: {
           type: 'object',
           properties: {
@@ -206,24 +395,77 @@ export const POS_TOOLS = [
               type:        'string',
               description: 'Phone number associated with the order or reservation (주문 또는 예약에 연결된 전화번호)',
             },
+            target: {
+              type:        'string',
+              format:      'enum',
+              enum:        ['order', 'reservation'],
+              description: 'Whether the change is for an order or a reservation (주문 또는 예약 여부)',
+            },
+            action: {
+              type:        'string',
+              format:      'enum',
+              enum:        ['cancel', 'modify'],
+              description: 'Cancel outright or modify (전체 취소 또는 변경)',
+            },
             request_details: {
               type:        'string',
               description: 'Description of what the customer wants to cancel or change (취소 또는 변경 내용 설명)',
             },
+            order_id: {
+              type:        'string',
+              description: 'Specific order ID — when the caller has several open orders, or gives a number other than the one they are calling from (진행 중 주문이 여러 건이거나 발신 번호가 아닌 번호일 때 특정 주문 ID)',
+            },
+            reservation_id: {
+              type:        'string',
+              description: 'Specific reservation ID — when the caller has several bookings, or gives a number other than the one they are calling from (예약이 여러 건이거나 발신 번호가 아닌 번호일 때 특정 예약 ID)',
+            },
+            items: {
+              type:        'array',
+              description: 'Order modify only — the complete updated list of items (주문 변경 전용 — 변경 후 전체 항목 목록)',
+              items: {
+                type: 'object',
+                properties: {
+                  name:       { type: 'string', description: 'Menu item name (메뉴 항목명)' },
+                  variant_id: { type: 'string', description: 'variant_id from search_menu, when known (search_menu의 variant_id — 알고 있는 경우)' },
+                  quantity:   { type: 'integer', description: 'Quantity (수량)' },
+                  modifiers:  {
+                    type:        'array',
+                    items:       { type: 'string' },
+                    description: 'Option names the caller chose, e.g. ["Oat milk"] (발신자가 선택한 옵션 이름)',
+                  },
+                },
+                required: ['quantity'],
+              },
+            },
+            date: {
+              type:        'string',
+              description: 'Reservation modify only — new date in YYYY-MM-DD format (예약 변경 전용 — 새 날짜)',
+            },
+            time: {
+              type:        'string',
+              description: 'Reservation modify only — new time in HH:MM 24-hour format (예약 변경 전용 — 새 시간)',
+            },
+            party_size: {
+              type:        'integer',
+              description: 'Reservation modify only — new number of guests (예약 변경 전용 — 새 인원 수)',
+            },
           },
-          required: ['customer_phone', 'request_details'],
+          required: ['customer_phone', 'target', 'action'],
         },
       },
 
-      // ── transfer_to_human (STUB) ─────────────────────────────────────────────
-      // Signals that the call should be escalated to a human staff member.
-      // (사람 직원에게 통화를 에스컬레이션해야 함을 신호)
+      // ── transfer_to_human (ACTIVE) ───────────────────────────────────────────
+      // Transfers the call to staff during staffed hours, otherwise takes a callback request.
+      // (근무 시간에는 직원에게 통화 이관, 그 외에는 콜백 요청 접수)
       {
         name: 'transfer_to_human',
         description:
           'Escalates the call to a human staff member when the request is outside the AI\'s capabilities. ' +
           'Use this for complaints, complex special requests, or when the customer explicitly asks for a person. ' +
-          '(AI 처리 범위를 벗어난 요청 시 사람 직원에게 에스컬레이션. 불만, 복잡한 요청, 또는 고객이 직접 사람을 요청할 때 사용)',
+          'If staff are unavailable the result asks you to offer a callback — collect the caller\'s name and ' +
+          'number, then call this again with callback_phone set. ' +
+          '(AI 처리 범위를 벗어난 요청 시 사람 직원에게 에스컬레이션. 불만, 복잡한 요청, 또는 고객이 직접 사람을 요청할 때 사용. ' +
+          '직원 부재 시 콜백 제안 — 이름과 번호를 받아 callback_phone과 함께 재호출)',
         parameters: {
           type: 'object',
           properties: {
@@ -231,6 +473,40 @@ export const POS_TOOLS = [
               type:        'string',
               description: 'Brief description of why the call is being escalated (에스컬레이션 이유에 대한 간략한 설명)',
             },
+            callback_phone: {
+              type:        'string',
+              description: 'Callback only — number the caller wants to be called back on (콜백 전용 — 회신받을 번호)',
+            },
+            callback_name: {
+              type:        'string',
+              description: 'Callback only — caller\'s name (콜백 전용 — 발신자 이름)',
+            },
+          },
+          required: ['reason'],
+        },
+      },
+
+      // ── end_call (ACTIVE) ────────────────────────────────────────────────────
+      // Ends the call after the agent's goodbye — the store's guardrail policy decides which
+      // reasons are allowed. (에이전트 인사 후 통화 종료 — 허용 이유는 매장 가드레일 정책이 결정)
+      {
+        name: 'end_call',
+        description:
+          'Hangs up after your next sentence. Call this when the caller\'s business is done and they have ' +
+          'said goodbye, or — after one polite warning — when the call is clearly a prank or the caller ' +
+          'keeps being abusive. Never call it while an order, booking or question is still open. ' +
+          'After it returns, say one short goodbye. ' +
+          '(다음 문장 후 통화 종료. 발신자 용무가 끝나고 작별 인사를 했을 때, 또는 한 번 정중히 경고한 뒤에도 ' +
+          '장난 전화이거나 폭언이 계속될 때 호출. 주문·예약·질문이 남아 있으면 호출 금지. 반환 후 짧게 인사)',
+        parameters: {
+          type: 'object',
+          properties: {
+            reason: {
+              type:        'string',
+              format:      'enum',
+              enum:        ['completed', 'prank', 'abusive'],
+              description: 'Why the call is ending (통화 종료 이유)',
+            },
           },
           required: ['reason'],
         },
@@ -255,9 +531,11 @@ export class LlmService {
    *   (전체 대화 히스토리 — 마지막 항목이 응답할 새 사용자 메시지여야 함)
    *
    * @param {object} storeConfig   — tenant storeContext from req.storeContext (테넌트 스토어 컨텍스트)
+   * @param {import('./llmProvider.js').LlmProvider} [provider] — the store's LLM provider; Gemini by default
+   *                                                              (매장 LLM 프로바이더 — 기본 Gemini)
    * @returns {Promise<LlmResult>}
    */
-  async generateResponse(conversationHistory, storeConfig) {
+  async generateResponse(conversationHistory, storeConfig, provider = defaultProvider) {
     if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
       // Guard: callers must always provide at least one user turn (가드: 호출자는 최소 하나의 사용자 턴을 제공해야 함)
       throw new LlmError(
@@ -272,49 +550,38 @@ export class LlmService {
     // (모델이 어느 매장을 담당하는지 알 수 있도록 테넌트별 시스템 지시문 구성)
     const systemInstruction = buildSystemInstruction(storeConfig);
 
-    // Create a model instance per call — needed to apply per-tenant system instructions.
-    // getGenerativeModel() is cheap (no network call); it just configures a request builder.
-    // (호출마다 모델 인스턴스 생성 — 테넌트별 시스템 지시문 적용에 필요.
-    //  getGenerativeModel()은 네트워크 호출 없음 — 단순 요청 빌더 설정)
-    const model = _client.getGenerativeModel({
-      model:             GEMINI_MODEL,
-      tools:             POS_TOOLS,
-      systemInstruction: { parts: [{ text: systemInstruction }] },
-    });
-
-    // Split history: prior turns feed the chat context; the last turn is the new user message.
-    // (히스토리 분리: 이전 턴 → 채팅 컨텍스트, 마지막 턴 → 현재 전송 메시지)
-    const priorHistory = conversationHistory.slice(0, -1);
-    const latestTurn   = conversationHistory.at(-1);
-
-    // Flatten the latest turn's parts into a single string for sendMessage()
-    // (최신 턴의 parts 배열을 sendMessage() 단일 문자열로 평탄화)
-    const userMessage = latestTurn.parts
+    // Create a model per call — needed to apply per-tenant system instructions.
+    // createModel() is cheap (no network call); it just configures a request builder.
+    // (호출마다 모델 생성 — 테넌트별 시스템 지시문 적용에 필요. createModel()은 네트워크 호출 없음)
+    const model     = provider.createModel({ systemPrompt: systemInstruction, tools: POS_TOOLS });
+    const modelName = `${provider.name}/${provider.model}`;
+
+    // The latest turn is the new user message — flattened for the log line
+    // (마지막 턴이 새 사용자 메시지 — 로그용으로 평탄화)
+    const userMessage = conversationHistory.at(-1).parts
       .filter((p) => typeof p.text === 'string')
       .map((p) => p.text)
       .join(' ')
       .trim();
 
     console.log(
-      `[LlmService] → ${GEMINI_MODEL} | store: ${storeConfig.storeName} | ` +
-      `history: ${priorHistory.length} turns | message: "${userMessage.slice(0, 60)}…" ` +
-      `(${GEMINI_MODEL}에 메시지 전송 | 스토어: ${storeConfig.storeName} | ` +
-      `히스토리: ${priorHistory.length}턴)`
+      `[LlmService] → ${modelName} | store: ${storeConfig.storeName} | ` +
+      `history: ${conversationHistory.length - 1} turns | message: "${userMessage.slice(0, 60)}…" ` +
+      `(${modelName}에 메시지 전송 | 스토어: ${storeConfig.storeName} | ` +
+      `히스토리: ${conversationHistory.length - 1}턴)`
     );
 
     try {
-      // startChat() is stateless — Gemini manages context entirely via the history array.
-      // (startChat()은 무상태 — Gemini는 히스토리 배열로만 컨텍스트 관리)
-      const chat   = model.startChat({ history: priorHistory });
-      const result = await chat.sendMessage(userMessage);
-
-      // Inspect the first candidate's content parts for a functionCall part
-      // (첫 번째 후보의 content parts에서 functionCall 파트 탐색)
-      const parts      = result.response.candidates?.[0]?.content?.parts ?? [];
-      const fnCallPart = parts.find((p) => p.functionCall != null);
+      // Drain the stream — the chat agent answers in one piece (스트림 전체 수신 — 채팅 에이전트는 한 번에 응답)
+      let   text          = '';
+      const functionCalls = [];
+      for await (const chunk of await model.stream(conversationHistory)) {
+        text += chunk.text;
+        functionCalls.push(...chunk.functionCalls);
+      }
 
-      if (fnCallPart) {
-        const { name, args } = fnCallPart.functionCall;
+      if (functionCalls.length > 0) {
+        const { name, args } = functionCalls[0];
 
         console.log(
           `[LlmService] ↩ Tool call: "${name}" | args: ${JSON.stringify(args)} ` +
@@ -328,8 +595,6 @@ export class LlmService {
 
       // No function call — plain text to continue the voice conversation
       // (함수 호출 없음 — 음성 대화를 이어가는 일반 텍스트 응답)
-      const text = result.response.text();
-
       console.log(
         `[LlmService] ↩ Text response (${text.length} chars) for ${storeConfig.storeName} ` +
         `(텍스트 응답 ${text.length}자 — 스토어: ${storeConfig.storeName})`
@@ -338,6 +603,8 @@ export class LlmService {
       return { type: 'TEXT', text };
 
     } catch (err) {
+      if (err instanceof LlmError) throw err; // Already wrapped by the provider (프로바이더가 이미 래핑)
+
       // Wrap raw SDK errors so callers only deal with LlmError (원시 SDK 오류 래핑 — 호출자는 LlmError만 처리)
       const code = err.status ? `GEMINI_HTTP_${err.status}` : 'GEMINI_ERROR';
       throw new LlmError(
@@ -471,6 +738,9 @@ export class LlmError extends Error {
 // Singleton export — one LlmService instance per process (프로세스당 하나의 LlmService 인스턴스)
 export const llmService = new LlmService();
 
+// Provider used when a caller does not pass one (호출자가 전달하지 않을 때 사용하는 프로바이더)
+const defaultProvider = createGeminiProvider();
+
 // ── Stateful Chat Session Factory (legacy — kept for backward compatibility) ──
 
 /**
@@ -493,7 +763,7 @@ export function createChatSession(systemPrompt) {
   return model.startChat({ history: [] });
 }
 
-// ── Streaming Model Factory ───────────────────────────────────────────────────
+// ── Streaming Model Factory (legacy — superseded by createGeminiProvider) ─────
 
 /**
  * Create a pre-configured GenerativeModel for a WebSocket session.
@@ -525,3 +795,220 @@ export function createGenerationModel(systemPrompt) {
     systemInstruction: { parts: [{ text: systemPrompt }] },
   });
 }
+
+// ── LLM Provider (Gemini) ─────────────────────────────────────────────────────
+
+// Request-level switch for a round that must answer in text (텍스트로만 답해야 하는 라운드의 요청별 설정)
+const GEMINI_TOOLS_DISABLED = { functionCallingConfig: { mode: 'NONE' } };
+
+/**
+ * Gemini implementation of the LLM provider interface (see llmProvider.js).
+ * History is already in Gemini's contents shape, so it is sent as is.
+ * (LLM 프로바이더 인터페이스의 Gemini 구현 — llmProvider.js 참고. 히스토리가 이미 Gemini contents
+ *  형태이므로 그대로 전송)
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.model]       — Gemini model id (Gemini 모델 ID)
+ * @param {number} [opts.temperature]
+ * @returns {import('./llmProvider.js').LlmProvider}
+ */
+export function createGeminiProvider({ model = GEMINI_MODEL, temperature } = {}) {
+  return {
+    name:  'gemini',
+    model,
+
+    createModel({ systemPrompt, tools = POS_TOOLS }) {
+      const generative = _client.getGenerativeModel({
+        model,
+        tools,
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        ...(temperature !== undefined && { generationConfig: { temperature } }),
+      });
+
+      return {
+        async stream(contents, { signal, toolsEnabled = true } = {}) {
+          const result = await generative.generateContentStream(
+            { contents, ...(!toolsEnabled && { toolConfig: GEMINI_TOOLS_DISABLED }) },
+            { signal }
+          );
+          return geminiChunks(result.stream, signal);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Normalise SDK stream chunks to { text, functionCalls }. Function calls are read per chunk,
+ * not from the aggregated result.response: the SDK's aggregation reuses one part object per
+ * chunk, so parallel calls in a chunk collapse into copies of the last one.
+ * A stream cut short by the abort signal just ends — the caller checks the signal itself.
+ * (SDK 스트림 청크를 { text, functionCalls }로 정규화. 함수 호출은 집계된 result.response가 아닌
+ *  청크마다 수집 — SDK 집계가 청크당 하나의 파트 객체를 재사용하여 병렬 호출이 마지막 호출의
+ *  복사본으로 합쳐짐. abort 신호로 끊긴 스트림은 그냥 종료 — 호출자가 신호를 직접 확인)
+ */
+async function* geminiChunks(stream, signal) {
+  try {
+    for await (const chunk of stream) {
+      const parts = chunk.candidates?.[0]?.content?.parts ?? [];
+      yield {
+        text:          parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join(''),
+        functionCalls: parts
+          .filter((p) => p.functionCall)
+          .map((p) => ({ name: p.functionCall.name, args: p.functionCall.args ?? {} })),
+      };
+    }
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+  }
+}
+
+// ── Post-Call Summary ─────────────────────────────────────────────────────────
+
+// Caller intent labels the summary may assign (요약에서 부여 가능한 발신자 의도 레이블)
+export const CALL_INTENTS = ['order', 'reservation', 'question', 'complaint', 'other'];
+
+// Structured-output schema — Gemini must return exactly this JSON shape
+// (구조화된 출력 스키마 — Gemini는 정확히 이 JSON 형태를 반환해야 함)
+const CALL_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type:        'string',
+      description: 'Two or three sentences describing what happened on the call (통화 내용을 설명하는 2~3문장)',
+    },
+    intent: {
+      type:        'string',
+      format:      'enum',
+      enum:        CALL_INTENTS,
+      description: 'The caller\'s primary reason for calling (발신자의 주된 통화 목적)',
+    },
+    sentiment: {
+      type:        'number',
+      description: 'Caller sentiment from -1 (very negative) to 1 (very positive) (발신자 감정 점수, -1~1)',
+    },
+    action_items: {
+      type:        'array',
+      description: 'Follow-ups the store staff should handle; empty when none (매장 직원이 처리할 후속 조치 — 없으면 빈 배열)',
+      items:       { type: 'string' },
+    },
+  },
+  required: ['summary', 'intent', 'sentiment', 'action_items'],
+};
+
+export const CALL_SUMMARY_INSTRUCTION =
+  'You review phone calls handled by a restaurant\'s AI voice assistant and report to the store owner. ' +
+  'Summarize the call factually and briefly. Pick the single intent that best matches why the person called. ' +
+  'List action items only for things a staff member still needs to do (call someone back, fix an order, ' +
+  'answer an unanswered question) — never for things the assistant already completed.';
+
+/**
+ * Summarize a finished call transcript with Gemini structured output.
+ * (Gemini 구조화 출력으로 종료된 통화 대화 내용 요약)
+ *
+ * @param {string} transcript — plain-text transcript, one "Speaker: text" line per turn
+ *                              (턴당 "화자: 텍스트" 한 줄의 일반 텍스트 대화 내용)
+ * @returns {Promise<{ summary: string, intent: string, sentiment: number, action_items: string[] }>}
+ * @throws  {LlmError} on API failure or unparseable output (API 실패 또는 파싱 불가 출력 시)
+ */
+export async function summarizeCallTranscript(transcript) {
+  const model = _client.getGenerativeModel({
+    model:             GEMINI_MODEL,
+    systemInstruction: { parts: [{ text: CALL_SUMMARY_INSTRUCTION }] },
+    generationConfig:  {
+      responseMimeType: 'application/json',
+      responseSchema:   CALL_SUMMARY_SCHEMA,
+      temperature:      0.2, // Low temperature — consistent labels across calls (낮은 온도 — 통화 간 일관된 레이블)
+    },
+  });
+
+  let parsed;
+  try {
+    const result = await model.generateContent(transcript);
+    parsed = JSON.parse(result.response.text());
+  } catch (err) {
+    const code = err.status ? `GEMINI_HTTP_${err.status}` : 'GEMINI_SUMMARY_ERROR';
+    throw new LlmError(
+      `[LlmService] Call summary failed: ${err.message} (통화 요약 실패: ${err.message})`,
+      'LlmService',
+      code,
+      err
+    );
+  }
+
+  return normaliseCallSummary(parsed);
+}
+
+/**
+ * Clamp and normalise a parsed call summary — a schema or instruction is a strong hint, not a
+ * guarantee. Shared with summaries from other providers (see summarizeCallWith()).
+ * (파싱된 통화 요약 보정 및 정규화 — 스키마·지시는 보장이 아닌 강한 힌트. 다른 프로바이더 요약과 공유)
+ *
+ * @param {object} parsed
+ * @returns {{ summary: string, intent: string, sentiment: number, action_items: string[] }}
+ */
+export function normaliseCallSummary(parsed) {
+  return {
+    summary:      String(parsed?.summary ?? '').trim(),
+    intent:       CALL_INTENTS.includes(parsed?.intent) ? parsed.intent : 'other',
+    sentiment:    Math.max(-1, Math.min(1, Number(parsed?.sentiment) || 0)),
+    action_items: Array.isArray(parsed?.action_items) ? parsed.action_items.map(String) : [],
+  };
+}
+
+// ── Rolling Conversation Summary ──────────────────────────────────────────────
+
+export const CONVERSATION_SUMMARY_INSTRUCTION =
+  'You compress the earlier part of a live phone call between a caller and a restaurant\'s AI voice ' +
+  'assistant so the assistant can continue the call without the full transcript. Write a short factual ' +
+  'summary in English, at most 120 words. Keep every detail the caller gave or confirmed: names, phone ' +
+  'numbers, emails, dates, times, party sizes, items and quantities, options, allergies, and anything ' +
+  'still open or promised. If an earlier summary is included, fold it in. Do not add anything that is ' +
+  'not in the transcript.';
+
+/**
+ * Summarize the earlier part of a live call for the rolling history summary.
+ * Bounded by `timeoutMs` — it runs off the voice path, but must not linger.
+ * (진행 중인 통화의 앞부분을 롤링 히스토리 요약용으로 요약 — 음성 경로 밖에서 실행되지만
+ *  timeoutMs로 제한)
+ *
+ * @param {string} transcript — plain-text transcript, one "Speaker: text" line per entry
+ *                              (항목당 "화자: 텍스트" 한 줄의 일반 텍스트 대화 내용)
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=8000]
+ * @returns {Promise<string>}
+ * @throws  {LlmError} on API failure, timeout or empty output (API 실패, 타임아웃, 빈 출력 시)
+ */
+export async function summarizeConversation(transcript, { timeoutMs = 8_000 } = {}) {
+  const model = _client.getGenerativeModel(
+    {
+      model:             GEMINI_MODEL,
+      systemInstruction: { parts: [{ text: CONVERSATION_SUMMARY_INSTRUCTION }] },
+      generationConfig:  { temperature: 0.1, maxOutputTokens: 400 },
+    },
+    { timeout: timeoutMs },
+  );
+
+  let summary;
+  try {
+    const result = await model.generateContent(transcript);
+    summary = result.response.text().trim();
+  } catch (err) {
+    const code = err.status ? `GEMINI_HTTP_${err.status}` : 'GEMINI_SUMMARY_ERROR';
+    throw new LlmError(
+      `[LlmService] Conversation summary failed: ${err.message} (대화 요약 실패: ${err.message})`,
+      'LlmService',
+      code,
+      err
+    );
+  }
+
+  if (!summary) {
+    throw new LlmError(
+      '[LlmService] Conversation summary was empty (대화 요약이 비어 있음)',
+      'LlmService',
+      'GEMINI_SUMMARY_EMPTY'
+    );
+  }
+  return summary;
+}
@@ -0,0 +1,183 @@
+// LLM provider layer — one interface for streaming, function calling and abort, whatever model
+// a store runs on
+// (LLM 프로바이더 레이어 — 매장이 어떤 모델을 쓰든 스트리밍, 함수 호출, 중단을 위한 단일 인터페이스)
+//
+//   gemini            → Google Gemini via @google/generative-ai (default)          gemini.js
+//   openai_compatible → any /v1/chat/completions server, e.g. a local vLLM/Ollama  openaiCompatible.js
+//   scripted          → deterministic replies for offline tests                   scriptedProvider.js
+//                       — only with LLM_ALLOW_SCRIPTED=true (LLM_ALLOW_SCRIPTED=true일 때만)
+//
+// Each store picks its provider and model in stores.llm_policy (see getLlmPolicy()). History
+// stays in Gemini's contents shape everywhere; providers translate at the edge. Rolling history
+// summaries (summarizeConversationWith()) and post-call summaries (summarizeCallWith()) go
+// through the store's own provider too.
+// (각 매장은 stores.llm_policy에서 프로바이더와 모델 선택 — getLlmPolicy() 참고. 히스토리는
+//  어디서나 Gemini contents 형태로 유지되고 프로바이더가 경계에서 변환. 롤링 히스토리 요약
+//  (summarizeConversationWith())과 통화 후 요약(summarizeCallWith())도 매장 자체 프로바이더로 요청)
+
+import { createGeminiProvider,
+         summarizeConversation,
+         summarizeCallTranscript,
+         normaliseCallSummary,
+         CONVERSATION_SUMMARY_INSTRUCTION,
+         CALL_SUMMARY_INSTRUCTION,
+         CALL_INTENTS,
+         LlmError }                       from './gemini.js';
+import { createOpenAiCompatibleProvider } from './openaiCompatible.js';
+import { createScriptedProvider }         from './scriptedProvider.js';
+
+/**
+ * @typedef  {object} LlmChunk
+ * @property {string} text                                         — text to speak, may be '' (발화할 텍스트)
+ * @property {Array<{ name: string, args: object }>} functionCalls — complete calls, may be empty (완성된 호출)
+ */
+
+/**
+ * @typedef  {object} LlmModel
+ * @property {(contents: Array<object>, opts?: { signal?: AbortSignal, toolsEnabled?: boolean })
+ *            => Promise<AsyncIterable<LlmChunk>>} stream
+ *   Resolves once the response has started; the iterable ends early (without throwing) when the
+ *   signal aborts. toolsEnabled: false forces a text-only answer.
+ *   (응답이 시작되면 해결 — 신호가 중단되면 예외 없이 조기 종료. toolsEnabled: false는 텍스트 응답 강제)
+ */
+
+/**
+ * @typedef  {object} LlmProvider
+ * @property {string} name  — 'gemini' | 'openai_compatible' | 'scripted'
+ * @property {string} model — model id, for logs (로그용 모델 ID)
+ * @property {(opts: { systemPrompt: string, tools?: Array<object> }) => LlmModel} createModel
+ *   tools are Gemini-style declarations (POS_TOOLS) (Gemini 형식 도구 선언)
+ */
+
+/**
+ * Build the provider a store's policy asks for. A provider that cannot be built — no model for
+ * an OpenAI-compatible server, or the scripted provider without LLM_ALLOW_SCRIPTED=true — falls
+ * back to Gemini with a warning rather than failing the call. Scripted replies are opt-in so a
+ * store row alone can never put a live line on canned answers.
+ * (매장 정책이 요청하는 프로바이더 생성 — 생성할 수 없으면(OpenAI 호환 서버 모델 미설정,
+ *  LLM_ALLOW_SCRIPTED=true 없는 스크립트 프로바이더) 통화를 실패시키지 않고 경고 후 Gemini로 폴백.
+ *  스크립트 응답은 명시적 허용 — 매장 행만으로 실제 회선을 고정 응답으로 바꿀 수 없음)
+ *
+ * @param {ReturnType<import('../store/storePolicy.js').getLlmPolicy>} policy
+ * @returns {LlmProvider}
+ */
+export function createLlmProvider({ provider, model, baseUrl, temperature, script }) {
+  try {
+    if (provider === 'openai_compatible') {
+      return createOpenAiCompatibleProvider({ model, baseUrl, temperature });
+    }
+    if (provider === 'scripted') {
+      if (process.env.LLM_ALLOW_SCRIPTED !== 'true') {
+        throw new Error('scripted provider needs LLM_ALLOW_SCRIPTED=true (스크립트 프로바이더는 LLM_ALLOW_SCRIPTED=true 필요)');
+      }
+      return createScriptedProvider({ script, model });
+    }
+  } catch (err) {
+    console.warn(
+      `[LlmProvider] Cannot use "${provider}" — falling back to Gemini | ${err.message} ` +
+      `("${provider}" 사용 불가 — Gemini로 폴백)`
+    );
+    return createGeminiProvider({ temperature });
+  }
+
+  return createGeminiProvider({ model, temperature });
+}
+
+/**
+ * Summarize the earlier part of a live call through a store's provider, so a call on a local
+ * or third-party model is never sent to Gemini just to be compacted. Gemini stores keep the
+ * tuned summarizeConversation() request.
+ * (매장 프로바이더로 진행 중인 통화의 앞부분 요약 — 로컬·외부 모델 통화가 압축만을 위해 Gemini로
+ *  전송되지 않음. Gemini 매장은 조정된 summarizeConversation() 요청 유지)
+ *
+ * @param {LlmProvider} provider
+ * @param {string}      transcript — plain-text transcript (일반 텍스트 대화록)
+ * @param {object}      [opts]
+ * @param {number}      [opts.timeoutMs=8000]
+ * @returns {Promise<string>}
+ * @throws  {Error} on provider failure, timeout or empty output (프로바이더 실패, 타임아웃, 빈 출력 시)
+ */
+export async function summarizeConversationWith(provider, transcript, { timeoutMs = 8_000 } = {}) {
+  if (provider.name === 'gemini') return summarizeConversation(transcript, { timeoutMs });
+  return completeText(provider, CONVERSATION_SUMMARY_INSTRUCTION, transcript, { timeoutMs, label: 'Conversation summary' });
+}
+
+// Other providers have no response schema — the shape is asked for in the instruction instead
+// (다른 프로바이더는 응답 스키마가 없음 — 대신 지시문으로 형태 요청)
+const CALL_SUMMARY_JSON_INSTRUCTION =
+  `${CALL_SUMMARY_INSTRUCTION} Reply with one JSON object and nothing else: ` +
+  `{"summary": string, "intent": one of ${CALL_INTENTS.map((i) => `"${i}"`).join(', ')}, ` +
+  '"sentiment": number from -1 (very negative) to 1 (very positive), "action_items": array of strings}.';
+
+/**
+ * Summarize a finished call through a store's provider, so a store on a local or third-party
+ * model never has its transcripts sent to Gemini. Gemini stores keep the structured-output
+ * summarizeCallTranscript() request.
+ * (매장 프로바이더로 종료된 통화 요약 — 로컬·외부 모델 매장의 대화록은 Gemini로 전송되지 않음.
+ *  Gemini 매장은 구조화 출력 summarizeCallTranscript() 요청 유지)
+ *
+ * @param {LlmProvider} provider
+ * @param {string}      transcript — plain-text transcript (일반 텍스트 대화록)
+ * @param {object}      [opts]
+ * @param {number}      [opts.timeoutMs=30000]
+ * @returns {Promise<{ summary: string, intent: string, sentiment: number, action_items: string[] }>}
+ * @throws  {Error} on provider failure, timeout or unparseable output (프로바이더 실패, 타임아웃, 파싱 불가 출력 시)
+ */
+export async function summarizeCallWith(provider, transcript, { timeoutMs = 30_000 } = {}) {
+  if (provider.name === 'gemini') return summarizeCallTranscript(transcript);
+
+  const text = await completeText(provider, CALL_SUMMARY_JSON_INSTRUCTION, transcript, { timeoutMs, label: 'Call summary' });
+
+  // Local models often wrap JSON in a code fence — read from the first { to the last }
+  // (로컬 모델은 JSON을 코드 펜스로 감싸는 경우가 많음 — 첫 { 부터 마지막 } 까지 읽음)
+  try {
+    return normaliseCallSummary(JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1)));
+  } catch (err) {
+    throw new LlmError(
+      `[LlmService] Call summary was not valid JSON: ${err.message} (통화 요약이 올바른 JSON이 아님)`,
+      'LlmService',
+      'SUMMARY_UNPARSEABLE',
+      err
+    );
+  }
+}
+
+/**
+ * One text-only completion through a provider's streaming model, bounded by `timeoutMs`.
+ * (프로바이더 스트리밍 모델로 텍스트 전용 응답 하나 생성 — timeoutMs로 제한)
+ *
+ * @param {LlmProvider} provider
+ * @param {string}      systemPrompt
+ * @param {string}      text
+ * @param {{ timeoutMs: number, label: string }} opts
+ * @returns {Promise<string>}
+ */
+async function completeText(provider, systemPrompt, text, { timeoutMs, label }) {
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const model  = provider.createModel({ systemPrompt });
+    const stream = await model.stream(
+      [{ role: 'user', parts: [{ text }] }],
+      { signal: controller.signal, toolsEnabled: false },
+    );
+
+    let output = '';
+    for await (const chunk of stream) output += chunk.text;
+
+    if (controller.signal.aborted) {
+      throw new LlmError(
+        `[LlmService] ${label} timed out after ${timeoutMs}ms (요약 시간 초과)`,
+        'LlmService',
+        'SUMMARY_TIMEOUT'
+      );
+    }
+    if (!output.trim()) {
+      throw new LlmError(`[LlmService] ${label} was empty (요약이 비어 있음)`, 'LlmService', 'SUMMARY_EMPTY');
+    }
+    return output.trim();
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,215 @@
+// OpenAI-compatible provider — any server that speaks POST /v1/chat/completions with streaming
+// and tool calls (vLLM, Ollama, LM Studio, llama.cpp server, OpenAI itself)
+// (OpenAI 호환 프로바이더 — 스트리밍과 도구 호출을 지원하는 /v1/chat/completions 서버:
+//  vLLM, Ollama, LM Studio, llama.cpp 서버, OpenAI)
+//
+// The rest of the platform keeps history in Gemini's contents shape ({ role: 'user'|'model',
+// parts }). This provider translates it to chat messages on every request and translates the
+// streamed deltas back to { text, functionCalls } chunks, so the WebSocket server and the
+// history budget never see the difference.
+// (플랫폼의 나머지 부분은 히스토리를 Gemini contents 형태로 유지. 이 프로바이더는 요청마다
+//  chat 메시지로 변환하고 스트리밍 델타를 { text, functionCalls } 청크로 되돌려 변환 —
+//  WebSocket 서버와 히스토리 예산은 차이를 알 필요 없음)
+
+import { LlmError } from './gemini.js';
+
+// Local model server by default — Ollama's OpenAI-compatible endpoint
+// (기본값은 로컬 모델 서버 — Ollama의 OpenAI 호환 엔드포인트)
+const DEFAULT_BASE_URL = process.env.OPENAI_COMPAT_BASE_URL ?? 'http://localhost:11434/v1';
+const DEFAULT_MODEL    = process.env.OPENAI_COMPAT_MODEL ?? null;
+
+/** Base URL without trailing slashes, for comparison and building endpoints (비교·엔드포인트 생성용 — 끝 슬래시 제거) */
+const trimBaseUrl = (baseUrl) => baseUrl.replace(/\/+$/, '');
+
+// ── History Translation ───────────────────────────────────────────────────────
+
+/**
+ * Gemini tool declarations → OpenAI tools. Gemini's `format: 'enum'` marker is dropped —
+ * plain JSON Schema only needs `enum`.
+ * (Gemini 도구 선언 → OpenAI 도구. Gemini의 `format: 'enum'` 표지는 제거 — JSON Schema는 `enum`만 필요)
+ */
+function toOpenAiTools(tools) {
+  const clean = (schema) => {
+    if (Array.isArray(schema)) return schema.map(clean);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(
+      Object.entries(schema)
+        .filter(([key, value]) => !(key === 'format' && value === 'enum'))
+        .map(([key, value]) => [key, clean(value)])
+    );
+  };
+
+  return tools.flatMap((tool) => tool.functionDeclarations ?? []).map((decl) => ({
+    type:     'function',
+    function: { name: decl.name, description: decl.description, parameters: clean(decl.parameters) },
+  }));
+}
+
+/**
+ * Gemini contents → chat messages. Function calls get positional ids, and each function
+ * response is matched to the earliest open call of the same name.
+ * (Gemini contents → chat 메시지. 함수 호출에 위치 기반 ID 부여, 각 함수 응답은 같은 이름의
+ *  가장 이른 미응답 호출과 매칭)
+ */
+function toMessages(systemPrompt, contents) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  let   openCalls = [];
+
+  contents.forEach((content, turn) => {
+    const parts = content.parts ?? [];
+    const text  = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('');
+
+    if (content.role === 'model') {
+      const calls = parts.filter((p) => p.functionCall).map((p, i) => ({
+        id:       `call_${turn}_${i}`,
+        type:     'function',
+        function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args ?? {}) },
+      }));
+      openCalls = calls.map((c) => ({ id: c.id, name: c.function.name }));
+      messages.push({ role: 'assistant', content: text || null, ...(calls.length > 0 && { tool_calls: calls }) });
+      return;
+    }
+
+    for (const part of parts.filter((p) => p.functionResponse)) {
+      const index = openCalls.findIndex((c) => c.name === part.functionResponse.name);
+      const [call] = index >= 0 ? openCalls.splice(index, 1) : [{ id: `call_${turn}_orphan` }];
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(part.functionResponse.response ?? {}) });
+    }
+    if (text) messages.push({ role: 'user', content: text });
+  });
+
+  return messages;
+}
+
+// ── Streaming ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the server-sent event stream into { text, functionCalls } chunks. Text is yielded as it
+ * arrives; tool calls stream as argument fragments and are yielded once, complete, at the end.
+ * (SSE 스트림을 { text, functionCalls } 청크로 파싱 — 텍스트는 도착 즉시, 도구 호출은 인자 조각으로
+ *  스트리밍되므로 끝에서 완성된 형태로 한 번 반환)
+ */
+async function* sseChunks(body, signal) {
+  const decoder = new TextDecoder();
+  const calls   = [];
+  let   buffer  = '';
+
+  try {
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : null;
+        if (!data || data === '[DONE]') continue;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta ?? {};
+        for (const call of delta.tool_calls ?? []) {
+          const slot = (calls[call.index ?? 0] ??= { name: '', arguments: '' });
+          if (call.function?.name)      slot.name      += call.function.name;
+          if (call.function?.arguments) slot.arguments += call.function.arguments;
+        }
+        if (delta.content) yield { text: delta.content, functionCalls: [] };
+      }
+    }
+  } catch (err) {
+    if (signal?.aborted) return; // Cut short by barge-in — the caller checks the signal (끼어들기로 중단 — 호출자가 신호 확인)
+    throw new LlmError(
+      `[LlmService] OpenAI-compatible stream failed: ${err.message} (OpenAI 호환 스트림 실패: ${err.message})`,
+      'LlmService',
+      'OPENAI_STREAM_ERROR',
+      err
+    );
+  }
+
+  const functionCalls = calls.filter(Boolean).map((c) => {
+    let args = {};
+    try { args = c.arguments ? JSON.parse(c.arguments) : {}; } catch { /* malformed — run with no args (잘못된 형식 — 인자 없이 실행) */ }
+    return { name: c.name, args };
+  });
+  if (functionCalls.length > 0) yield { text: '', functionCalls };
+}
+
+// ── Provider ──────────────────────────────────────────────────────────────────
+
+/**
+ * OpenAI-compatible implementation of the LLM provider interface (see llmProvider.js).
+ * (LLM 프로바이더 인터페이스의 OpenAI 호환 구현 — llmProvider.js 참고)
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.model]       — model name on the server (서버의 모델 이름)
+ * @param {string} [opts.baseUrl]     — e.g. http://localhost:8000/v1. OPENAI_COMPAT_API_KEY is only
+ *                                      sent to OPENAI_COMPAT_BASE_URL — a store's own base_url gets no key
+ *                                      (OPENAI_COMPAT_API_KEY는 OPENAI_COMPAT_BASE_URL에만 전송 — 매장 자체 base_url에는 키 없음)
+ * @param {number} [opts.temperature]
+ * @returns {import('./llmProvider.js').LlmProvider}
+ * @throws  {LlmError} when no model is configured (모델 미설정 시)
+ */
+export function createOpenAiCompatibleProvider({ model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL, temperature } = {}) {
+  if (!model) {
+    throw new LlmError(
+      '[LlmService] OpenAI-compatible provider needs a model — set llm_policy.model or OPENAI_COMPAT_MODEL ' +
+      '(OpenAI 호환 프로바이더에 모델 필요)',
+      'LlmService',
+      'OPENAI_MODEL_MISSING'
+    );
+  }
+
+  // The env key belongs to the env server — never hand it to a URL taken from a store row
+  // (환경 변수 키는 환경 변수 서버 전용 — 매장 행에서 온 URL에는 절대 전달하지 않음)
+  const url    = `${trimBaseUrl(baseUrl)}/chat/completions`;
+  const apiKey = trimBaseUrl(baseUrl) === trimBaseUrl(DEFAULT_BASE_URL) ? process.env.OPENAI_COMPAT_API_KEY : undefined;
+
+  return {
+    name:  'openai_compatible',
+    model,
+
+    createModel({ systemPrompt, tools = [] }) {
+      const openAiTools = toOpenAiTools(tools);
+
+      return {
+        async stream(contents, { signal, toolsEnabled = true } = {}) {
+          let res;
+          try {
+            res = await fetch(url, {
+              method:  'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+              },
+              body: JSON.stringify({
+                model,
+                stream:   true,
+                messages: toMessages(systemPrompt, contents),
+                ...(openAiTools.length > 0 && { tools: openAiTools, tool_choice: toolsEnabled ? 'auto' : 'none' }),
+                ...(temperature !== undefined && { temperature }),
+              }),
+              signal,
+            });
+          } catch (err) {
+            if (signal?.aborted) throw Object.assign(new Error('Aborted (중단됨)'), { name: 'AbortError' });
+            throw new LlmError(
+              `[LlmService] OpenAI-compatible request failed: ${err.message} (OpenAI 호환 요청 실패: ${err.message})`,
+              'LlmService',
+              'OPENAI_ERROR',
+              err
+            );
+          }
+
+          if (!res.ok) {
+            const detail = (await res.text().catch(() => '')).slice(0, 200);
+            throw new LlmError(
+              `[LlmService] OpenAI-compatible server returned ${res.status}: ${detail} ` +
+              `(OpenAI 호환 서버 오류 ${res.status})`,
+              'LlmService',
+              `OPENAI_HTTP_${res.status}`
+            );
+          }
+
+          return sseChunks(res.body, signal);
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// Scripted provider — deterministic replies for offline tests, no network
+// (스크립트 프로바이더 — 오프라인 테스트용 결정적 응답, 네트워크 없음)
+//
+// Each model round takes the next step of the script:
+//   'Sure, one bulgogi.'                                       → text reply
+//   { text?, function_calls: [{ name, args }], delay_ms? }     → tool round (text spoken first)
+//   (contents, { systemPrompt }) => step                       → computed step (tests only)
+// Once the script runs out every round echoes the caller's last words, so a test always gets
+// an answer. The cursor belongs to the provider, not the model, so rebuilding the session model
+// (language switch, caller lookup) keeps the script's place. Every request is kept on
+// provider.requests for assertions.
+// (모델 라운드마다 스크립트의 다음 단계 사용. 스크립트가 끝나면 발신자의 마지막 말을 되풀이하여
+//  테스트가 항상 응답을 받음. 커서는 모델이 아닌 프로바이더에 속하므로 세션 모델을 재생성해도
+//  (언어 전환, 발신자 조회) 위치 유지. 모든 요청은 검증용으로 provider.requests에 보관)
+
+/** Text of the caller's latest spoken turn (발신자의 최신 발화 텍스트) */
+function lastCallerText(contents) {
+  for (let i = contents.length - 1; i >= 0; i--) {
+    const text = (contents[i].parts ?? []).filter((p) => typeof p.text === 'string').map((p) => p.text).join(' ');
+    if (contents[i].role === 'user' && text) return text;
+  }
+  return '';
+}
+
+/** Resolve after `ms`, or as soon as the signal aborts (ms 후 또는 신호 중단 즉시 해결) */
+function pause(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+  });
+}
+
+/**
+ * Scripted implementation of the LLM provider interface (see llmProvider.js).
+ * (LLM 프로바이더 인터페이스의 스크립트 구현 — llmProvider.js 참고)
+ *
+ * @param {object} [opts]
+ * @param {Array<string|object|Function>} [opts.script]
+ * @param {string}                        [opts.model]
+ * @returns {import('./llmProvider.js').LlmProvider & { requests: Array<object> }}
+ */
+export function createScriptedProvider({ script = [], model = 'scripted' } = {}) {
+  const steps    = [...script];
+  const requests = [];
+
+  return {
+    name: 'scripted',
+    model,
+    requests,
+
+    createModel({ systemPrompt }) {
+      return {
+        async stream(contents, { signal, toolsEnabled = true } = {}) {
+          requests.push({ systemPrompt, contents: structuredClone(contents), toolsEnabled });
+
+          let step = steps.length > 0 ? steps.shift() : null;
+          if (typeof step === 'function') step = step(contents, { systemPrompt });
+          if (typeof step === 'string')   step = { text: step };
+          step ??= { text: `You said: "${lastCallerText(contents)}".` };
+
+          const functionCalls = toolsEnabled
+            ? (step.function_calls ?? step.functionCalls ?? []).map((fc) => ({ name: fc.name, args: fc.args ?? {} }))
+            : [];
+          // A tool-only step in a text-only round still has to say something (도구 전용 단계도 텍스트 라운드에서는 발화 필요)
+          const text = step.text ?? (functionCalls.length === 0 ? 'Okay.' : '');
+
+          if (step.delay_ms) await pause(step.delay_ms, signal);
+
+          return (async function* chunks() {
+            // Word-sized chunks exercise the same streaming path as a real model (실제 모델과 같은 스트리밍 경로를 타도록 단어 단위 청크)
+            for (const word of text.match(/\S+\s*/g) ?? []) {
+              if (signal?.aborted) return;
+              yield { text: word, functionCalls: [] };
+            }
+            if (functionCalls.length > 0) yield { text: '', functionCalls };
+          })();
+        },
+      };
+    },
+  };
+}
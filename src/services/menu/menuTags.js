@@ -0,0 +1,91 @@
+// Menu tags — allergen and dietary attributes on menu_items, and the allergy disclaimer
+// (메뉴 태그 — menu_items의 알레르겐·식이 속성과 알레르기 안내 문구)
+//
+// Loyverse has no allergen data, so store owners tag items themselves (PATCH
+// /api/pos/menu/:storeId/items/:itemId/tags). Tags are item-level: every variant of an item
+// carries the same menu_items.allergens and menu_items.dietary_tags arrays, and the menu sync
+// copies them onto re-synced and newly added variants so an edit survives the next sync.
+// allergens is NULL until an owner has reviewed the item — "no allergens recorded" is never
+// read as "allergen-free", so untagged items are left out of allergen-free search results.
+// (Loyverse에는 알레르겐 데이터가 없어 점주가 직접 태그 지정. 태그는 항목 단위 — 항목의 모든 변형이
+//  같은 allergens·dietary_tags 배열을 가지며, 메뉴 동기화가 재동기화·신규 변형에 복사하여 수정이 유지됨.
+//  allergens는 점주 검토 전까지 NULL — "기록 없음"을 "알레르겐 없음"으로 해석하지 않으므로
+//  태그 없는 항목은 알레르겐 제외 검색 결과에서 빠짐)
+
+// Major food allergens (US FDA "big nine") (주요 식품 알레르겐 — 미국 FDA 9대 알레르겐)
+export const ALLERGENS = [
+  'milk', 'egg', 'fish', 'shellfish', 'tree_nut', 'peanut', 'wheat', 'soy', 'sesame',
+];
+
+// Dietary attributes an owner can vouch for (점주가 보증할 수 있는 식이 속성)
+export const DIETARY_TAGS = [
+  'vegan', 'vegetarian', 'gluten_free', 'dairy_free', 'nut_free', 'halal', 'kosher', 'spicy',
+];
+
+// Scripted allergy caution — spoken whenever allergies come up, never paraphrased away
+// (알레르기 관련 대화 시 항상 안내하는 고정 문구)
+export const ALLERGY_DISCLAIMER =
+  'Our kitchen handles common allergens, so we cannot guarantee any item is completely free of ' +
+  'them. If your allergy is severe, please speak with our staff before ordering.';
+
+// Spoken and written forms → canonical tags. "nuts" is both kinds of nut on purpose.
+// (발화·표기 형태 → 표준 태그. "nuts"는 의도적으로 두 종류의 견과 모두)
+const SYNONYMS = {
+  dairy: ['milk'], lactose: ['milk'], cheese: ['milk'], cream: ['milk'], butter: ['milk'],
+  eggs: ['egg'],
+  shrimp: ['shellfish'], prawn: ['shellfish'], crab: ['shellfish'], lobster: ['shellfish'],
+  nut: ['tree_nut', 'peanut'], nuts: ['tree_nut', 'peanut'],
+  tree_nuts: ['tree_nut'], almond: ['tree_nut'], walnut: ['tree_nut'], cashew: ['tree_nut'],
+  peanuts: ['peanut'],
+  gluten: ['wheat'], flour: ['wheat'],
+  soya: ['soy'], soybean: ['soy'], tofu: ['soy'],
+  sesame_seed: ['sesame'],
+  plant_based: ['vegan'], veggie: ['vegetarian'],
+  celiac: ['gluten_free'], coeliac: ['gluten_free'], no_gluten: ['gluten_free'],
+  no_dairy: ['dairy_free'], non_dairy: ['dairy_free'], lactose_free: ['dairy_free'],
+  no_nuts: ['nut_free'], hot: ['spicy'],
+};
+
+/**
+ * Map free-form tag words onto one vocabulary. Unknown words are returned separately so
+ * callers can reject them (routes) or mention them (tools).
+ * (자유 형식 태그 단어를 하나의 어휘로 매핑 — 알 수 없는 단어는 별도로 반환하여 라우트는 거부,
+ *  도구는 안내에 사용)
+ *
+ * @param {string[]|string|undefined} values   — e.g. ['Peanuts', 'gluten-free']
+ * @param {string[]}                  vocabulary — ALLERGENS or DIETARY_TAGS
+ * @returns {{ tags: string[], unknown: string[] }}
+ */
+export function normaliseTags(values, vocabulary) {
+  const list    = Array.isArray(values) ? values : (values ? [values] : []);
+  const tags    = new Set();
+  const unknown = [];
+
+  for (const raw of list) {
+    const key = String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!key) continue;
+    const candidates = vocabulary.includes(key)
+      ? [key]
+      : (SYNONYMS[key] ?? SYNONYMS[key.replace(/s$/, '')] ?? []).filter((t) => vocabulary.includes(t));
+    if (candidates.length === 0) {
+      unknown.push(String(raw));
+      continue;
+    }
+    candidates.forEach((t) => tags.add(t));
+  }
+
+  return { tags: [...tags], unknown };
+}
+
+/**
+ * Tag fields for a search_menu result row (search_menu 결과 행의 태그 필드)
+ *
+ * @param {{ allergens: string[]|null, dietary_tags: string[]|null }} row
+ * @returns {{ allergens: string[]|string, dietary: string[] }}
+ */
+export function describeTags(row) {
+  return {
+    allergens: row.allergens ?? 'not recorded — do not assume it is allergen-free',
+    dietary:   row.dietary_tags ?? [],
+  };
+}
@@ -0,0 +1,207 @@
+// Notifier message catalog — customer-facing email and SMS copy per language
+// (알림 메시지 카탈로그 — 언어별 고객 대상 이메일 및 SMS 문구)
+//
+// Every language entry must define the same keys. Static strings are plain values;
+// strings with data are small functions so word order can differ per language.
+// Owner-facing alerts (callback requests) stay in English and are not listed here.
+// (모든 언어 항목은 동일한 키를 정의해야 함. 고정 문구는 값, 데이터가 들어가는 문구는
+//  언어별 어순이 다를 수 있도록 작은 함수로 정의. 주인 대상 알림(콜백 요청)은 영어 유지)
+
+import { DEFAULT_LANGUAGE, normalizeLanguage } from '../language/languages.js';
+
+const MESSAGES = {
+  // ── English ────────────────────────────────────────────────────────────────
+  en: {
+    footer: (year, store) => `© ${year} ${store}. All rights reserved.`,
+
+    order: {
+      subject: (store) => `Your Order from ${store} — Complete Payment`,
+      title:   (store) => `Your Order from ${store}`,
+      heading: 'Order Confirmation',
+      intro:   'Thank you for your order! Please review the details below and complete your payment.',
+      qty:     'Qty',
+      item:    'Item',
+      total:   'Order Total',
+      cta:     'Complete Payment',
+      expiry:  'This link expires in 24 hours. If you have any questions, please call us directly.',
+      sms:     ({ store, itemSummary, total, paymentUrl }) =>
+        `${store}: Your order (${itemSummary}) totals $${total}. Pay here: ${paymentUrl}`,
+    },
+
+    reservation: {
+      subject:        (store) => `Reservation Confirmed — ${store}`,
+      heading:        'Reservation Confirmed',
+      intro:          'Your reservation is confirmed! We look forward to seeing you.',
+      date:           'Date',
+      time:           'Time',
+      partySize:      'Party Size',
+      guests:         (n) => `${n} guest${Number(n) !== 1 ? 's' : ''}`,
+      confirmationId: 'Confirmation ID',
+      changeNote:     'Need to change your reservation? Please call us directly and mention your Confirmation ID.',
+      sms:            ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Your reservation for ${partySize} on ${date} at ${time} is confirmed. ID: ${reservationId}`,
+    },
+
+    orderUpdate: {
+      cancelledHeading: 'Order Cancelled',
+      updatedHeading:   'Order Updated',
+      refundNote:       (amount) => ` A refund of $${amount} has been issued.`,
+      cancelledIntro:   (refundNote) => `Your order has been cancelled as requested.${refundNote}`,
+      updatedIntro:     (refundNote) =>
+        `Your order has been updated as requested.${refundNote} Please complete payment for the new total using the button below.`,
+      orderId:          'Order ID',
+      items:            'Items',
+      newTotal:         'New Total',
+      refunded:         'Refunded',
+      cta:              'Pay Updated Order',
+      cancelledSms:     ({ store, orderId, refundNote }) => `${store}: Your order ${orderId} has been cancelled.${refundNote}`,
+      updatedSms:       ({ store, total, refundNote, paymentUrl }) =>
+        `${store}: Your order has been updated. New total $${total}.${refundNote} Pay here: ${paymentUrl}`,
+    },
+
+    reservationUpdate: {
+      cancelledHeading: 'Reservation Cancelled',
+      updatedHeading:   'Reservation Updated',
+      cancelledIntro:   'Your reservation has been cancelled as requested. We hope to see you another time.',
+      updatedIntro:     'Your reservation has been updated. Here are the new details:',
+      cancelledSms:     ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Your reservation for ${partySize} on ${date} at ${time} has been cancelled. ID: ${reservationId}`,
+      updatedSms:       ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Your reservation is now for ${partySize} on ${date} at ${time}. ID: ${reservationId}`,
+    },
+  },
+
+  // ── Korean (한국어) ──────────────────────────────────────────────────────────
+  ko: {
+    footer: (year, store) => `© ${year} ${store}. All rights reserved.`,
+
+    order: {
+      subject: (store) => `${store} 주문 내역 — 결제를 완료해 주세요`,
+      title:   (store) => `${store} 주문 내역`,
+      heading: '주문 확인',
+      intro:   '주문해 주셔서 감사합니다! 아래 내용을 확인하신 후 결제를 완료해 주세요.',
+      qty:     '수량',
+      item:    '메뉴',
+      total:   '합계',
+      cta:     '결제하기',
+      expiry:  '이 링크는 24시간 후 만료됩니다. 문의 사항이 있으시면 매장으로 전화해 주세요.',
+      sms:     ({ store, itemSummary, total, paymentUrl }) =>
+        `${store}: 주문하신 내역(${itemSummary})의 합계는 $${total}입니다. 결제하기: ${paymentUrl}`,
+    },
+
+    reservation: {
+      subject:        (store) => `예약 확정 — ${store}`,
+      heading:        '예약 확정',
+      intro:          '예약이 확정되었습니다! 곧 뵙겠습니다.',
+      date:           '날짜',
+      time:           '시간',
+      partySize:      '인원',
+      guests:         (n) => `${n}명`,
+      confirmationId: '예약 번호',
+      changeNote:     '예약을 변경하시려면 매장으로 전화해 예약 번호를 알려 주세요.',
+      sms:            ({ store, partySize, date, time, reservationId }) =>
+        `${store}: ${date} ${time} ${partySize}명 예약이 확정되었습니다. 예약 번호: ${reservationId}`,
+    },
+
+    orderUpdate: {
+      cancelledHeading: '주문 취소',
+      updatedHeading:   '주문 변경',
+      refundNote:       (amount) => ` $${amount} 환불이 진행되었습니다.`,
+      cancelledIntro:   (refundNote) => `요청하신 대로 주문이 취소되었습니다.${refundNote}`,
+      updatedIntro:     (refundNote) =>
+        `요청하신 대로 주문이 변경되었습니다.${refundNote} 아래 버튼을 눌러 변경된 금액을 결제해 주세요.`,
+      orderId:          '주문 번호',
+      items:            '메뉴',
+      newTotal:         '변경 후 합계',
+      refunded:         '환불 금액',
+      cta:              '변경된 주문 결제하기',
+      cancelledSms:     ({ store, orderId, refundNote }) => `${store}: 주문(${orderId})이 취소되었습니다.${refundNote}`,
+      updatedSms:       ({ store, total, refundNote, paymentUrl }) =>
+        `${store}: 주문이 변경되었습니다. 새 합계 $${total}.${refundNote} 결제하기: ${paymentUrl}`,
+    },
+
+    reservationUpdate: {
+      cancelledHeading: '예약 취소',
+      updatedHeading:   '예약 변경',
+      cancelledIntro:   '요청하신 대로 예약이 취소되었습니다. 다음에 꼭 뵙겠습니다.',
+      updatedIntro:     '예약이 변경되었습니다. 변경된 내용은 다음과 같습니다:',
+      cancelledSms:     ({ store, partySize, date, time, reservationId }) =>
+        `${store}: ${date} ${time} ${partySize}명 예약이 취소되었습니다. 예약 번호: ${reservationId}`,
+      updatedSms:       ({ store, partySize, date, time, reservationId }) =>
+        `${store}: 예약이 ${date} ${time} ${partySize}명으로 변경되었습니다. 예약 번호: ${reservationId}`,
+    },
+  },
+
+  // ── Spanish (Español) ──────────────────────────────────────────────────────
+  es: {
+    footer: (year, store) => `© ${year} ${store}. Todos los derechos reservados.`,
+
+    order: {
+      subject: (store) => `Tu pedido de ${store} — Completa el pago`,
+      title:   (store) => `Tu pedido de ${store}`,
+      heading: 'Confirmación de pedido',
+      intro:   '¡Gracias por tu pedido! Revisa los detalles a continuación y completa tu pago.',
+      qty:     'Cant.',
+      item:    'Artículo',
+      total:   'Total del pedido',
+      cta:     'Completar pago',
+      expiry:  'Este enlace vence en 24 horas. Si tienes alguna pregunta, llámanos directamente.',
+      sms:     ({ store, itemSummary, total, paymentUrl }) =>
+        `${store}: Tu pedido (${itemSummary}) suma $${total}. Paga aquí: ${paymentUrl}`,
+    },
+
+    reservation: {
+      subject:        (store) => `Reservación confirmada — ${store}`,
+      heading:        'Reservación confirmada',
+      intro:          '¡Tu reservación está confirmada! Te esperamos.',
+      date:           'Fecha',
+      time:           'Hora',
+      partySize:      'Personas',
+      guests:         (n) => `${n} persona${Number(n) !== 1 ? 's' : ''}`,
+      confirmationId: 'ID de confirmación',
+      changeNote:     '¿Necesitas cambiar tu reservación? Llámanos y menciona tu ID de confirmación.',
+      sms:            ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Tu reservación para ${partySize} el ${date} a las ${time} está confirmada. ID: ${reservationId}`,
+    },
+
+    orderUpdate: {
+      cancelledHeading: 'Pedido cancelado',
+      updatedHeading:   'Pedido actualizado',
+      refundNote:       (amount) => ` Se emitió un reembolso de $${amount}.`,
+      cancelledIntro:   (refundNote) => `Tu pedido fue cancelado según lo solicitado.${refundNote}`,
+      updatedIntro:     (refundNote) =>
+        `Tu pedido fue actualizado según lo solicitado.${refundNote} Completa el pago del nuevo total con el botón de abajo.`,
+      orderId:          'ID del pedido',
+      items:            'Artículos',
+      newTotal:         'Nuevo total',
+      refunded:         'Reembolsado',
+      cta:              'Pagar pedido actualizado',
+      cancelledSms:     ({ store, orderId, refundNote }) => `${store}: Tu pedido ${orderId} fue cancelado.${refundNote}`,
+      updatedSms:       ({ store, total, refundNote, paymentUrl }) =>
+        `${store}: Tu pedido fue actualizado. Nuevo total $${total}.${refundNote} Paga aquí: ${paymentUrl}`,
+    },
+
+    reservationUpdate: {
+      cancelledHeading: 'Reservación cancelada',
+      updatedHeading:   'Reservación actualizada',
+      cancelledIntro:   'Tu reservación fue cancelada según lo solicitado. Esperamos verte pronto.',
+      updatedIntro:     'Tu reservación fue actualizada. Estos son los nuevos detalles:',
+      cancelledSms:     ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Tu reservación para ${partySize} el ${date} a las ${time} fue cancelada. ID: ${reservationId}`,
+      updatedSms:       ({ store, partySize, date, time, reservationId }) =>
+        `${store}: Tu reservación ahora es para ${partySize} el ${date} a las ${time}. ID: ${reservationId}`,
+    },
+  },
+};
+
+/**
+ * Resolve the message set for a language, falling back to English for unknown codes.
+ * (언어에 맞는 메시지 세트 반환 — 알 수 없는 코드는 영어로 폴백)
+ *
+ * @param {string} [language] — ISO 639-1 code (ISO 639-1 코드)
+ * @returns {{ lang: string } & typeof MESSAGES.en}
+ */
+export function getMessages(language = DEFAULT_LANGUAGE) {
+  const lang = normalizeLanguage(language);
+  return { lang, ...(MESSAGES[lang] ?? MESSAGES[DEFAULT_LANGUAGE]) };
+}
@@ -13,9 +13,15 @@
 // If any required variable for a channel is missing, that channel silently degrades to
 // a console.warn mock so the application never crashes on missing credentials.
 // (필수 환경 변수 누락 시 해당 채널은 console.warn 목 모드로 조용히 전환 — 앱 크래시 방지)
+//
+// Customer-facing copy is localized via messages.js — every public sender accepts an
+// optional `language` code and falls back to English.
+// (고객 대상 문구는 messages.js로 현지화 — 모든 공개 발송 함수는 선택적 `language` 코드를
+//  받으며 영어로 폴백)
 
 import nodemailer from 'nodemailer';
 import twilio     from 'twilio';
+import { getMessages } from './messages.js';
 
 // ── SMTP Transport (Lazy Singleton) ───────────────────────────────────────────
 
@@ -111,17 +117,18 @@ function renderItemRow(item) {
  * @param {Array}    opts.items        — order items [{ name, quantity }] (주문 항목 배열)
  * @param {number}   opts.totalAmount  — order total (주문 총액)
  * @param {string}   opts.paymentUrl   — payment link URL (결제 링크 URL)
+ * @param {object}   opts.t            — message set from getMessages() (getMessages()의 메시지 세트)
  * @returns {string} complete HTML document (완성된 HTML 문서)
  */
-function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
+function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl, t }) {
   const itemRows = items.map(renderItemRow).join('');
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${t.lang}">
 <head>
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>Your Order from ${storeName}</title>
+  <title>${t.order.title(storeName)}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: Arial, Helvetica, sans-serif; background-color: #f8f9fa;">
   <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa; padding: 40px 20px;">
@@ -135,7 +142,7 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
               <h1 style="margin: 0; color: #ffffff; font-size: 22px; font-weight: bold;">
                 ${storeName}
               </h1>
-              <p style="margin: 6px 0 0; color: #adb5bd; font-size: 14px;">Order Confirmation</p>
+              <p style="margin: 6px 0 0; color: #adb5bd; font-size: 14px;">${t.order.heading}</p>
             </td>
           </tr>
 
@@ -143,7 +150,7 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
           <tr>
             <td style="padding: 32px;">
               <p style="margin: 0 0 20px; color: #495057; font-size: 16px;">
-                Thank you for your order! Please review the details below and complete your payment.
+                ${t.order.intro}
               </p>
 
               <!-- Order items table (주문 항목 테이블) -->
@@ -151,8 +158,8 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
                      style="border: 1px solid #e9ecef; border-radius: 6px; border-collapse: collapse; margin-bottom: 24px;">
                 <thead>
                   <tr style="background-color: #f8f9fa;">
-                    <th style="padding: 10px 12px; text-align: left; font-size: 13px; color: #6c757d; border-bottom: 1px solid #e9ecef;">Qty</th>
-                    <th style="padding: 10px 12px; text-align: left; font-size: 13px; color: #6c757d; border-bottom: 1px solid #e9ecef;">Item</th>
+                    <th style="padding: 10px 12px; text-align: left; font-size: 13px; color: #6c757d; border-bottom: 1px solid #e9ecef;">${t.order.qty}</th>
+                    <th style="padding: 10px 12px; text-align: left; font-size: 13px; color: #6c757d; border-bottom: 1px solid #e9ecef;">${t.order.item}</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -163,7 +170,7 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
               <!-- Total amount (총 금액) -->
               <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 28px;">
                 <tr>
-                  <td style="font-size: 16px; color: #495057; font-weight: bold;">Order Total</td>
+                  <td style="font-size: 16px; color: #495057; font-weight: bold;">${t.order.total}</td>
                   <td align="right" style="font-size: 20px; color: #212529; font-weight: bold;">
                     $${Number(totalAmount).toFixed(2)}
                   </td>
@@ -176,12 +183,12 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
                    style="background-color: #28a745; color: #ffffff; padding: 14px 25px;
                           text-align: center; text-decoration: none; display: inline-block;
                           border-radius: 4px; font-weight: bold; font-size: 16px; margin-top: 20px;">
-                  Complete Payment
+                  ${t.order.cta}
                 </a>
               </div>
 
               <p style="margin: 28px 0 0; font-size: 13px; color: #6c757d; text-align: center;">
-                This link expires in 24 hours. If you have any questions, please call us directly.
+                ${t.order.expiry}
               </p>
             </td>
           </tr>
@@ -190,7 +197,7 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
           <tr>
             <td style="background-color: #f8f9fa; padding: 18px 32px; border-top: 1px solid #e9ecef;">
               <p style="margin: 0; font-size: 12px; color: #adb5bd; text-align: center;">
-                © ${new Date().getFullYear()} ${storeName}. All rights reserved.
+                ${t.footer(new Date().getFullYear(), storeName)}
               </p>
             </td>
           </tr>
@@ -213,15 +220,16 @@ function buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }) {
  * @param {string} opts.time         — reservation time HH:MM 24h (예약 시간)
  * @param {number} opts.partySize    — number of guests (인원 수)
  * @param {string} opts.reservationId — confirmation ID (확인 ID)
+ * @param {object} opts.t            — message set from getMessages() (getMessages()의 메시지 세트)
  * @returns {string} complete HTML document (완성된 HTML 문서)
  */
-function buildReservationEmailHtml({ storeName, date, time, partySize, reservationId }) {
+function buildReservationEmailHtml({ storeName, date, time, partySize, reservationId, t }) {
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${t.lang}">
 <head>
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>Reservation Confirmed — ${storeName}</title>
+  <title>${t.reservation.subject(storeName)}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: Arial, Helvetica, sans-serif; background-color: #f8f9fa;">
   <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa; padding: 40px 20px;">
@@ -235,7 +243,7 @@ function buildReservationEmailHtml({ storeName, date, time, partySize, reservati
               <h1 style="margin: 0; color: #ffffff; font-size: 22px; font-weight: bold;">
                 ${storeName}
               </h1>
-              <p style="margin: 6px 0 0; color: #adb5bd; font-size: 14px;">Reservation Confirmed</p>
+              <p style="margin: 6px 0 0; color: #adb5bd; font-size: 14px;">${t.reservation.heading}</p>
             </td>
           </tr>
 
@@ -243,7 +251,7 @@ function buildReservationEmailHtml({ storeName, date, time, partySize, reservati
           <tr>
             <td style="padding: 32px;">
               <p style="margin: 0 0 24px; color: #495057; font-size: 16px;">
-                Your reservation is confirmed! We look forward to seeing you.
+                ${t.reservation.intro}
               </p>
 
               <!-- Reservation details table (예약 상세 테이블) -->
@@ -251,26 +259,26 @@ function buildReservationEmailHtml({ storeName, date, time, partySize, reservati
                      style="border: 1px solid #e9ecef; border-radius: 6px; border-collapse: collapse; margin-bottom: 28px;">
                 <tbody>
                   <tr>
-                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef; width: 40%;">Date</td>
+                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef; width: 40%;">${t.reservation.date}</td>
                     <td style="padding: 12px 16px; color: #212529; font-size: 15px; border-bottom: 1px solid #e9ecef;">${date}</td>
                   </tr>
                   <tr>
-                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef;">Time</td>
+                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef;">${t.reservation.time}</td>
                     <td style="padding: 12px 16px; color: #212529; font-size: 15px; border-bottom: 1px solid #e9ecef;">${time}</td>
                   </tr>
                   <tr>
-                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef;">Party Size</td>
-                    <td style="padding: 12px 16px; color: #212529; font-size: 15px; border-bottom: 1px solid #e9ecef;">${partySize} guest${partySize !== 1 ? 's' : ''}</td>
+                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef;">${t.reservation.partySize}</td>
+                    <td style="padding: 12px 16px; color: #212529; font-size: 15px; border-bottom: 1px solid #e9ecef;">${t.reservation.guests(partySize)}</td>
                   </tr>
                   <tr>
-                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px;">Confirmation ID</td>
+                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px;">${t.reservation.confirmationId}</td>
                     <td style="padding: 12px 16px; color: #212529; font-size: 15px; font-family: monospace;">${reservationId}</td>
                   </tr>
                 </tbody>
               </table>
 
               <p style="margin: 0; font-size: 13px; color: #6c757d; text-align: center;">
-                Need to change your reservation? Please call us directly and mention your Confirmation ID.
+                ${t.reservation.changeNote}
               </p>
             </td>
           </tr>
@@ -279,7 +287,102 @@ function buildReservationEmailHtml({ storeName, date, time, partySize, reservati
           <tr>
             <td style="background-color: #f8f9fa; padding: 18px 32px; border-top: 1px solid #e9ecef;">
               <p style="margin: 0; font-size: 12px; color: #adb5bd; text-align: center;">
-                © ${new Date().getFullYear()} ${storeName}. All rights reserved.
+                ${t.footer(new Date().getFullYear(), storeName)}
+              </p>
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Build the HTML email body for a change notice (cancellation or modification).
+ * Shares the header/footer layout of the confirmation emails; the body is a
+ * simple label/value table plus an optional call-to-action button.
+ * (변경 안내(취소 또는 수정)용 HTML 이메일 본문 생성.
+ *  확인 이메일과 동일한 헤더/푸터 레이아웃 — 본문은 레이블/값 테이블과 선택적 CTA 버튼)
+ *
+ * @param {object} opts
+ * @param {string} opts.storeName   — display name of the store (매장 표시명)
+ * @param {string} opts.heading     — subtitle under the store name (매장명 아래 부제목)
+ * @param {string} opts.intro       — opening paragraph (도입 문단)
+ * @param {Array<[string, string]>} opts.rows — label/value pairs (레이블/값 쌍)
+ * @param {string} [opts.ctaUrl]    — optional button link (선택적 버튼 링크)
+ * @param {string} [opts.ctaLabel]  — button text (버튼 텍스트)
+ * @param {object} opts.t           — message set from getMessages() (getMessages()의 메시지 세트)
+ * @returns {string} complete HTML document (완성된 HTML 문서)
+ */
+function buildChangeEmailHtml({ storeName, heading, intro, rows, ctaUrl, ctaLabel, t }) {
+  const detailRows = rows
+    .map(([label, value]) => `
+                  <tr>
+                    <td style="padding: 12px 16px; font-weight: bold; color: #6c757d; font-size: 13px; border-bottom: 1px solid #e9ecef; width: 40%;">${label}</td>
+                    <td style="padding: 12px 16px; color: #212529; font-size: 15px; border-bottom: 1px solid #e9ecef;">${value}</td>
+                  </tr>`)
+    .join('');
+
+  const cta = ctaUrl
+    ? `
+              <div style="text-align: center;">
+                <a href="${ctaUrl}"
+                   style="background-color: #28a745; color: #ffffff; padding: 14px 25px;
+                          text-align: center; text-decoration: none; display: inline-block;
+                          border-radius: 4px; font-weight: bold; font-size: 16px; margin-top: 20px;">
+                  ${ctaLabel}
+                </a>
+              </div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${t.lang}">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${heading} — ${storeName}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, Helvetica, sans-serif; background-color: #f8f9fa;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 8px rgba(0,0,0,0.08);">
+
+          <!-- Header (헤더) -->
+          <tr>
+            <td style="background-color: #212529; padding: 28px 32px;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 22px; font-weight: bold;">
+                ${storeName}
+              </h1>
+              <p style="margin: 6px 0 0; color: #adb5bd; font-size: 14px;">${heading}</p>
+            </td>
+          </tr>
+
+          <!-- Body (본문) -->
+          <tr>
+            <td style="padding: 32px;">
+              <p style="margin: 0 0 24px; color: #495057; font-size: 16px;">
+                ${intro}
+              </p>
+
+              <!-- Change details table (변경 상세 테이블) -->
+              <table width="100%" cellpadding="0" cellspacing="0"
+                     style="border: 1px solid #e9ecef; border-radius: 6px; border-collapse: collapse; margin-bottom: 28px;">
+                <tbody>${detailRows}
+                </tbody>
+              </table>
+${cta}
+            </td>
+          </tr>
+
+          <!-- Footer (푸터) -->
+          <tr>
+            <td style="background-color: #f8f9fa; padding: 18px 32px; border-top: 1px solid #e9ecef;">
+              <p style="margin: 0; font-size: 12px; color: #adb5bd; text-align: center;">
+                ${t.footer(new Date().getFullYear(), storeName)}
               </p>
             </td>
           </tr>
@@ -403,6 +506,7 @@ async function sendSms({ to, body }) {
  * @param {string}   opts.storeName      — display name of the store (매장 표시명)
  * @param {Array}    opts.items           — order items [{ name, quantity }] (주문 항목)
  * @param {number}   opts.totalAmount     — order total (주문 총액)
+ * @param {string}   [opts.language]      — caller's language code, default 'en' (발신자 언어 코드, 기본 'en')
  * @returns {Promise<void>}
  */
 export async function sendPaymentLink({
@@ -412,7 +516,9 @@ export async function sendPaymentLink({
   storeName,
   items,
   totalAmount,
+  language,
 }) {
+  const t = getMessages(language);
   const itemSummary = items
     .map((i) => `${i.quantity}x ${i.name}`)
     .join(', ');
@@ -420,13 +526,13 @@ export async function sendPaymentLink({
   // Build channel-specific payloads (채널별 페이로드 생성)
   const emailPayload = {
     to:      customerEmail,
-    subject: `Your Order from ${storeName} — Complete Payment`,
-    html:    buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl }),
+    subject: t.order.subject(storeName),
+    html:    buildOrderEmailHtml({ storeName, items, totalAmount, paymentUrl, t }),
   };
 
   const smsPayload = {
     to:   customerPhone,
-    body: `${storeName}: Your order (${itemSummary}) totals $${Number(totalAmount).toFixed(2)}. Pay here: ${paymentUrl}`,
+    body: t.order.sms({ store: storeName, itemSummary, total: Number(totalAmount).toFixed(2), paymentUrl }),
   };
 
   // Dispatch both channels concurrently — one failure does not block the other
@@ -451,6 +557,7 @@ export async function sendPaymentLink({
  * @param {string} opts.time            — reservation time HH:MM 24h (예약 시간)
  * @param {number} opts.partySize       — number of guests (인원 수)
  * @param {string} opts.reservationId   — confirmation ID from the DB (DB 확인 ID)
+ * @param {string} [opts.language]     — caller's language code, default 'en' (발신자 언어 코드, 기본 'en')
  * @returns {Promise<void>}
  */
 export async function sendReservationConfirmation({
@@ -461,17 +568,159 @@ export async function sendReservationConfirmation({
   time,
   partySize,
   reservationId,
+  language,
+}) {
+  const t = getMessages(language);
+
+  // Build channel-specific payloads (채널별 페이로드 생성)
+  const emailPayload = {
+    to:      customerEmail,
+    subject: t.reservation.subject(storeName),
+    html:    buildReservationEmailHtml({ storeName, date, time, partySize, reservationId, t }),
+  };
+
+  const smsPayload = {
+    to:   customerPhone,
+    body: t.reservation.sms({ store: storeName, partySize, date, time, reservationId }),
+  };
+
+  // Dispatch both channels concurrently — one failure does not block the other
+  // (두 채널 동시 발송 — 하나의 실패가 다른 채널을 차단하지 않음)
+  await Promise.all([
+    sendEmail(emailPayload),
+    sendSms(smsPayload),
+  ]);
+}
+
+/**
+ * Notify a customer that their order was cancelled or modified.
+ * A modified order carries a fresh payment link; a cancelled one may carry a refund amount.
+ * (고객에게 주문 취소 또는 변경 알림.
+ *  변경된 주문은 새 결제 링크 포함, 취소된 주문은 환불 금액 포함 가능)
+ *
+ * @param {object}        opts
+ * @param {string}        opts.customerPhone  — recipient phone number (수신자 전화번호)
+ * @param {string}        [opts.customerEmail] — recipient email address (수신자 이메일 주소)
+ * @param {string}        opts.storeName      — display name of the store (매장 표시명)
+ * @param {'cancel'|'modify'} opts.action     — change that was applied (적용된 변경 종류)
+ * @param {string}        opts.orderId        — order row ID (주문 행 ID)
+ * @param {Array}         [opts.items]        — updated line items for a modification (변경 후 주문 항목)
+ * @param {number}        [opts.totalAmount]  — updated total for a modification (변경 후 총액)
+ * @param {string}        [opts.paymentUrl]   — new payment link for a modification (변경 후 새 결제 링크)
+ * @param {number}        [opts.refundAmount] — amount refunded, if any (환불 금액 — 있는 경우)
+ * @param {string}        [opts.language]     — caller's language code, default 'en' (발신자 언어 코드, 기본 'en')
+ * @returns {Promise<void>}
+ */
+export async function sendOrderUpdate({
+  customerPhone,
+  customerEmail,
+  storeName,
+  action,
+  orderId,
+  items,
+  totalAmount,
+  paymentUrl,
+  refundAmount,
+  language,
+}) {
+  const t        = getMessages(language);
+  const m        = t.orderUpdate;
+  const isCancel = action === 'cancel';
+  const refundNote = refundAmount ? m.refundNote(Number(refundAmount).toFixed(2)) : '';
+
+  const rows = [[m.orderId, orderId]];
+  if (!isCancel && items?.length) {
+    rows.push([m.items, items.map((i) => `${i.quantity} × ${i.name}`).join('<br />')]);
+  }
+  if (!isCancel && totalAmount != null) rows.push([m.newTotal, `$${Number(totalAmount).toFixed(2)}`]);
+  if (refundAmount) rows.push([m.refunded, `$${Number(refundAmount).toFixed(2)}`]);
+
+  const heading = isCancel ? m.cancelledHeading : m.updatedHeading;
+
+  // Build channel-specific payloads (채널별 페이로드 생성)
+  const emailPayload = {
+    to:      customerEmail,
+    subject: `${heading} — ${storeName}`,
+    html:    buildChangeEmailHtml({
+      storeName,
+      heading,
+      intro:    isCancel ? m.cancelledIntro(refundNote) : m.updatedIntro(refundNote),
+      rows,
+      ctaUrl:   isCancel ? undefined : paymentUrl,
+      ctaLabel: m.cta,
+      t,
+    }),
+  };
+
+  const smsPayload = {
+    to:   customerPhone,
+    body: isCancel
+      ? m.cancelledSms({ store: storeName, orderId, refundNote })
+      : m.updatedSms({ store: storeName, total: Number(totalAmount).toFixed(2), refundNote, paymentUrl }),
+  };
+
+  // Dispatch both channels concurrently — one failure does not block the other
+  // (두 채널 동시 발송 — 하나의 실패가 다른 채널을 차단하지 않음)
+  await Promise.all([
+    sendEmail(emailPayload),
+    sendSms(smsPayload),
+  ]);
+}
+
+/**
+ * Notify a customer that their reservation was cancelled or changed.
+ * (고객에게 예약 취소 또는 변경 알림)
+ *
+ * @param {object}        opts
+ * @param {string}        opts.customerPhone  — recipient phone number (수신자 전화번호)
+ * @param {string}        [opts.customerEmail] — recipient email address (수신자 이메일 주소)
+ * @param {string}        opts.storeName      — display name of the store (매장 표시명)
+ * @param {'cancel'|'modify'} opts.action     — change that was applied (적용된 변경 종류)
+ * @param {string}        opts.reservationId  — reservation row ID (예약 행 ID)
+ * @param {string}        opts.date           — reservation date after the change (변경 후 예약 날짜)
+ * @param {string}        opts.time           — reservation time after the change (변경 후 예약 시간)
+ * @param {number}        opts.partySize      — party size after the change (변경 후 인원 수)
+ * @param {string}        [opts.language]     — caller's language code, default 'en' (발신자 언어 코드, 기본 'en')
+ * @returns {Promise<void>}
+ */
+export async function sendReservationUpdate({
+  customerPhone,
+  customerEmail,
+  storeName,
+  action,
+  reservationId,
+  date,
+  time,
+  partySize,
+  language,
 }) {
+  const t        = getMessages(language);
+  const m        = t.reservationUpdate;
+  const isCancel = action === 'cancel';
+  const heading  = isCancel ? m.cancelledHeading : m.updatedHeading;
+  const smsData  = { store: storeName, partySize, date, time, reservationId };
+
   // Build channel-specific payloads (채널별 페이로드 생성)
   const emailPayload = {
     to:      customerEmail,
-    subject: `Reservation Confirmed — ${storeName}`,
-    html:    buildReservationEmailHtml({ storeName, date, time, partySize, reservationId }),
+    subject: `${heading} — ${storeName}`,
+    html:    buildChangeEmailHtml({
+      storeName,
+      heading,
+      intro: isCancel ? m.cancelledIntro : m.updatedIntro,
+      rows: [
+        [t.reservation.date,           date],
+        [t.reservation.time,           time],
+        [t.reservation.partySize,      t.reservation.guests(partySize)],
+        [t.reservation.confirmationId, reservationId],
+      ],
+      t,
+    }),
   };
 
   const smsPayload = {
     to:   customerPhone,
-    body: `${storeName}: Your reservation for ${partySize} on ${date} at ${time} is confirmed. ID: ${reservationId}`,
+    body: isCancel ? m.cancelledSms(smsData) : m.updatedSms(smsData),
   };
 
   // Dispatch both channels concurrently — one failure does not block the other
@@ -481,3 +730,24 @@ export async function sendReservationConfirmation({
     sendSms(smsPayload),
   ]);
 }
+
+/**
+ * Text the store owner about a callback request taken outside staffed hours.
+ * SMS only — the owner needs it on their phone, not in an inbox.
+ * (직원 근무 시간 외 접수된 콜백 요청을 매장 주인에게 문자로 알림.
+ *  SMS 전용 — 받은 편지함이 아닌 휴대폰으로 즉시 확인 필요)
+ *
+ * @param {object} opts
+ * @param {string} opts.ownerPhone   — owner phone in E.164 format (E.164 형식 주인 전화번호)
+ * @param {string} opts.storeName    — display name of the store (매장 표시명)
+ * @param {string} opts.callerPhone  — number to call back (콜백할 번호)
+ * @param {string} [opts.callerName] — caller's name if given (발신자 이름 — 제공된 경우)
+ * @param {string} opts.reason       — why the caller wanted a person (직원 연결 요청 이유)
+ * @returns {Promise<void>}
+ */
+export async function sendCallbackRequestAlert({ ownerPhone, storeName, callerPhone, callerName, reason }) {
+  await sendSms({
+    to:   ownerPhone,
+    body: `${storeName}: Callback requested by ${callerName ? `${callerName} ` : ''}${callerPhone}. Reason: ${reason}`,
+  });
+}
@@ -0,0 +1,400 @@
+// Cart service — server-held voice order cart priced from the menu_items catalog
+// (장바구니 서비스 — menu_items 카탈로그 가격으로 계산되는 서버 보관 음성 주문 장바구니)
+//
+// One cart lives on each call session. Items are keyed by menu_items.variant_id plus the chosen
+// modifier options (line_id) and priced from the catalog — variant price plus each option's
+// adjustment — so the total the caller hears and the amount on the payment link are computed
+// here, never by the model. place_order submits this cart as-is.
+// Every tool function returns a voiceable payload that includes the current cart summary, and
+// never throws — DB failures come back as { status: 'error' }.
+// (통화 세션마다 장바구니 하나. 항목은 menu_items.variant_id와 선택한 수정자 옵션(line_id)으로
+//  식별하고 카탈로그(변형 가격 + 옵션별 조정 금액)로 가격을 매기므로 발신자가 듣는 총액과 결제 링크 금액은 모델이 아닌 여기서 계산됨.
+//  place_order는 이 장바구니를 그대로 제출. 모든 도구 함수는 현재 장바구니 요약을 포함한
+//  음성 안내용 페이로드를 반환하며 throw 하지 않음 — DB 실패는 { status: 'error' }로 반환)
+
+import { randomUUID } from 'node:crypto';
+import { supabase }   from '../../config/supabase.js';
+
+// Upper bound per line — a misheard "forty" should not become a 40-item order silently
+// (라인당 상한 — 잘못 들은 "forty"가 조용히 40개 주문이 되지 않도록)
+export const MAX_LINE_QUANTITY = 20;
+
+// Candidates offered back when a spoken name matches several catalog rows (발화 이름이 여러 행과 일치할 때 제시하는 후보 수)
+const MAX_NAME_CANDIDATES = 5;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty cart. Plain JSON so it can be checkpointed with the session. Each cart gets
+ * its own id, so an order placed from it is told apart from a later one with the same items.
+ * (빈 장바구니 생성. 세션과 함께 체크포인트할 수 있도록 일반 JSON. 장바구니마다 고유 id가 있어
+ *  이 장바구니로 낸 주문과 이후 같은 항목의 주문을 구분)
+ *
+ * @returns {{ id: string, lines: Array<object> }}
+ */
+export function createCart() {
+  return { id: randomUUID(), lines: [] };
+}
+
+const toCents   = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Cart total in dollars, summed in integer cents to avoid float drift.
+ * (정수 센트로 합산한 장바구니 총액 — 부동소수점 오차 방지)
+ *
+ * @param {{ lines: Array<object> }} cart
+ * @returns {number}
+ */
+export function cartTotal(cart) {
+  const cents = cart.lines.reduce((sum, l) => sum + toCents(l.unit_price) * l.quantity, 0);
+  return cents / 100;
+}
+
+/**
+ * Order line items as stored on orders.items — { name, quantity } stays first-class for the
+ * notifier and POS receipt mapping, with catalog ids, variant label, modifiers and the charged
+ * unit price alongside.
+ * (orders.items에 저장되는 주문 라인 — 알림과 POS 영수증 매핑을 위해 { name, quantity }를
+ *  유지하고 카탈로그 ID, 변형 레이블, 수정자, 청구 단가를 함께 저장)
+ *
+ * @param {{ lines: Array<object> }} cart
+ * @returns {Array<{ name: string, quantity: number, variant_id: string, item_id: string, variant_name: string|null,
+ *                   modifiers: Array<{ modifier_option_id: string, name: string, price: number }>, unit_price: number }>}
+ */
+export function cartOrderItems(cart) {
+  return cart.lines.map((l) => ({
+    name:         l.name,
+    quantity:     l.quantity,
+    variant_id:   l.variant_id,
+    item_id:      l.item_id,
+    variant_name: l.variant_name ?? null,
+    modifiers:    l.modifiers ?? [],
+    unit_price:   l.unit_price,
+  }));
+}
+
+/**
+ * Spoken label for a line or catalog row — "Latte (Large) with Oat milk".
+ * (라인 또는 카탈로그 행의 음성 레이블 — "Latte (Large) with Oat milk")
+ */
+function describeItem({ name, variant_name: variantName, modifiers = [] }) {
+  const base = variantName ? `${name} (${variantName})` : name;
+  return modifiers.length > 0 ? `${base} with ${modifiers.map((m) => m.name).join(', ')}` : base;
+}
+
+/**
+ * Cart summary returned with every tool result — the model reads totals from here.
+ * (모든 도구 결과에 포함되는 장바구니 요약 — 모델은 여기서 총액을 읽음)
+ */
+function summarizeCart(cart) {
+  return {
+    items: cart.lines.map((l) => ({
+      line_id:    l.line_id,
+      name:       describeItem(l),
+      quantity:   l.quantity,
+      unit_price: fromCents(toCents(l.unit_price)),
+      line_total: fromCents(toCents(l.unit_price) * l.quantity),
+    })),
+    total: fromCents(toCents(cartTotal(cart))),
+  };
+}
+
+/**
+ * Validate a spoken quantity. Returns the integer or null when out of range.
+ * (발화 수량 검증 — 범위를 벗어나면 null)
+ */
+function parseQuantity(value, { allowZero = false } = {}) {
+  const qty = Number(value ?? 1);
+  if (!Number.isInteger(qty)) return null;
+  if (qty < (allowZero ? 0 : 1) || qty > MAX_LINE_QUANTITY) return null;
+  return qty;
+}
+
+/**
+ * Resolve the catalog row for an item — by variant_id when the model has one (from
+ * search_menu), otherwise by spoken name. Several name matches are returned as candidates.
+ * (항목의 카탈로그 행 조회 — 모델이 search_menu로 얻은 variant_id가 있으면 그것으로,
+ *  없으면 발화 이름으로. 이름이 여러 행과 일치하면 후보로 반환)
+ *
+ * @returns {Promise<{ row?: object, candidates?: Array<object>, error?: object }>}
+ */
+async function resolveMenuItem(storeId, { variant_id: variantId, name }) {
+  let query = supabase
+    .from('menu_items')
+    .select('variant_id, item_id, name, variant_name, price, modifier_ids')
+    .eq('store_id', storeId);
+
+  query = variantId
+    ? query.eq('variant_id', variantId)
+    : query.ilike('name', `%${name.trim()}%`).limit(MAX_NAME_CANDIDATES + 1);
+
+  const { data: rows, error } = await query;
+  if (error) return { error };
+  if (!rows?.length) return { candidates: [] };
+
+  // An exact (case-insensitive) name match wins over partial matches (정확한 이름 일치가 부분 일치보다 우선)
+  const exact = name ? rows.filter((r) => r.name.toLowerCase() === name.trim().toLowerCase()) : rows;
+  if (exact.length === 1) return { row: exact[0] };
+  if (rows.length === 1)  return { row: rows[0] };
+
+  return {
+    candidates: rows.slice(0, MAX_NAME_CANDIDATES).map((r) => ({
+      variant_id: r.variant_id,
+      name:       describeItem(r),
+      price:      fromCents(toCents(r.price)),
+    })),
+  };
+}
+
+/**
+ * Load the modifier sets (option groups) with the given ids from menu_modifiers.
+ * (menu_modifiers에서 주어진 ID의 수정자 세트(옵션 그룹) 조회)
+ *
+ * @param {string}   storeId
+ * @param {string[]} modifierIds
+ * @returns {Promise<{ groups: Array<{ modifier_id: string, name: string, options: Array<object> }>, error?: object }>}
+ */
+export async function loadModifierGroups(storeId, modifierIds) {
+  if (!modifierIds?.length) return { groups: [] };
+
+  const { data, error } = await supabase
+    .from('menu_modifiers')
+    .select('modifier_id, name, options')
+    .eq('store_id', storeId)
+    .in('modifier_id', modifierIds);
+
+  return error ? { groups: [], error } : { groups: data ?? [] };
+}
+
+/**
+ * Match spoken modifier names ("oat milk", "extra shot") against an item's option groups.
+ * An exact option name wins; otherwise a single partial match is accepted.
+ * (발화된 수정자 이름을 항목의 옵션 그룹과 매칭. 정확한 옵션명 우선, 아니면 단일 부분 일치 허용)
+ *
+ * @returns {{ modifiers: Array<{ modifier_option_id: string, name: string, price: number }>, unmatched: string[] }}
+ */
+function matchModifiers(groups, requested) {
+  const options   = groups.flatMap((g) => (g.options ?? []).map((o) => ({ ...o, group: g.name })));
+  const modifiers = [];
+  const unmatched = [];
+
+  for (const spoken of requested) {
+    const needle  = String(spoken).trim().toLowerCase();
+    const exact   = options.filter((o) => o.name.toLowerCase() === needle);
+    const partial = options.filter((o) => o.name.toLowerCase().includes(needle) || needle.includes(o.name.toLowerCase()));
+    const option  = exact.length === 1 ? exact[0] : (partial.length === 1 ? partial[0] : null);
+
+    if (!option) {
+      unmatched.push(spoken);
+    } else if (!modifiers.some((m) => m.modifier_option_id === option.id)) {
+      modifiers.push({ modifier_option_id: option.id, name: option.name, price: Number(option.price ?? 0) });
+    }
+  }
+
+  return { modifiers, unmatched };
+}
+
+/**
+ * Cart line identity — the same variant with different options is a different line.
+ * (장바구니 라인 식별자 — 같은 변형이라도 옵션이 다르면 다른 라인)
+ */
+function lineIdFor(variantId, modifiers) {
+  const optionIds = modifiers.map((m) => m.modifier_option_id).sort();
+  return optionIds.length > 0 ? `${variantId}+${optionIds.join('+')}` : variantId;
+}
+
+// ── Public API — Cart Tools ───────────────────────────────────────────────────
+
+/**
+ * add_to_cart — add an item (or more of one already in the cart).
+ * (add_to_cart — 항목 추가, 이미 있으면 수량 증가)
+ *
+ * @param {object} params
+ * @param {string} params.storeId
+ * @param {{ lines: Array<object> }} params.cart — session cart, mutated in place (세션 장바구니 — 직접 변경)
+ * @param {{ variant_id?: string, name?: string, quantity?: number, modifiers?: string[] }} params.args
+ * @returns {Promise<object>}
+ */
+export async function addToCart({ storeId, cart, args }) {
+  if (!args.variant_id && !args.name?.trim()) {
+    return { status: 'needs_details', message: 'Ask the caller which menu item they want.', cart: summarizeCart(cart) };
+  }
+
+  const quantity = parseQuantity(args.quantity);
+  if (quantity === null) {
+    return {
+      status:  'invalid_quantity',
+      message: `Quantities must be whole numbers from 1 to ${MAX_LINE_QUANTITY}. Confirm the quantity with the caller.`,
+      cart:    summarizeCart(cart),
+    };
+  }
+
+  const { row, candidates, error } = await resolveMenuItem(storeId, args);
+
+  if (error) {
+    console.error(`[Cart] menu_items lookup failed | store: ${storeId} | ${error.message} (메뉴 항목 조회 실패)`);
+    return { status: 'error', message: 'The menu could not be checked just now. Apologize and try again.', cart: summarizeCart(cart) };
+  }
+
+  if (!row) {
+    return candidates.length > 0
+      ? {
+          status:     'ambiguous',
+          message:    'Several menu items match. Ask the caller which one they mean, then call add_to_cart with its variant_id.',
+          candidates,
+          cart:       summarizeCart(cart),
+        }
+      : {
+          status:  'not_found',
+          message: `"${args.name ?? args.variant_id}" is not on the menu. Tell the caller and offer similar items.`,
+          cart:    summarizeCart(cart),
+        };
+  }
+
+  // Spoken options are resolved against this item's modifier sets only
+  // (발화된 옵션은 이 항목의 수정자 세트에 대해서만 매칭)
+  const requested = (args.modifiers ?? []).filter((m) => String(m ?? '').trim());
+  let modifiers   = [];
+
+  if (requested.length > 0) {
+    const { groups, error: modifierError } = await loadModifierGroups(storeId, row.modifier_ids);
+
+    if (modifierError) {
+      console.error(`[Cart] menu_modifiers lookup failed | store: ${storeId} | ${modifierError.message} (수정자 조회 실패)`);
+      return { status: 'error', message: 'The menu options could not be checked just now. Apologize and try again.', cart: summarizeCart(cart) };
+    }
+
+    const match = matchModifiers(groups, requested);
+    if (match.unmatched.length > 0) {
+      return {
+        status:    'invalid_modifier',
+        message:   groups.length > 0
+          ? `${row.name} has no option "${match.unmatched.join('", "')}". Offer the caller the available options below.`
+          : `${row.name} cannot be customised. Tell the caller and ask whether to add it as is.`,
+        available: groups.map((g) => ({
+          group:   g.name,
+          options: (g.options ?? []).map((o) => ({ name: o.name, price: fromCents(toCents(o.price ?? 0)) })),
+        })),
+        cart:      summarizeCart(cart),
+      };
+    }
+    modifiers = match.modifiers;
+  }
+
+  const lineId   = lineIdFor(row.variant_id, modifiers);
+  const existing = cart.lines.find((l) => l.line_id === lineId);
+  const newQty   = (existing?.quantity ?? 0) + quantity;
+  const label    = describeItem({ ...row, modifiers });
+
+  if (newQty > MAX_LINE_QUANTITY) {
+    return {
+      status:  'invalid_quantity',
+      message: `That would make ${newQty} ${label} — the limit per item is ${MAX_LINE_QUANTITY}. Confirm with the caller.`,
+      cart:    summarizeCart(cart),
+    };
+  }
+
+  // Always the current catalog price: variant price plus each option's adjustment
+  // (항상 현재 카탈로그 가격: 변형 가격 + 옵션별 조정 금액)
+  const unitCents = toCents(row.price) + modifiers.reduce((sum, m) => sum + toCents(m.price), 0);
+
+  if (existing) {
+    existing.quantity   = newQty;
+    existing.modifiers  = modifiers;
+    existing.unit_price = unitCents / 100;
+  } else {
+    cart.lines.push({
+      line_id:      lineId,
+      variant_id:   row.variant_id,
+      item_id:      row.item_id,
+      name:         row.name,
+      variant_name: row.variant_name ?? null,
+      modifiers,
+      unit_price:   unitCents / 100,
+      quantity,
+    });
+  }
+
+  return {
+    status:  'success',
+    message: `Added ${quantity} ${label}. Read the cart total from this result — never calculate it yourself.`,
+    cart:    summarizeCart(cart),
+  };
+}
+
+/**
+ * remove_from_cart — drop a line entirely.
+ * (remove_from_cart — 라인 전체 삭제)
+ *
+ * @param {object} params
+ * @param {{ lines: Array<object> }} params.cart
+ * @param {{ line_id: string }}      params.args
+ * @returns {object}
+ */
+export function removeFromCart({ cart, args }) {
+  const index = cart.lines.findIndex((l) => l.line_id === args.line_id);
+
+  if (index === -1) {
+    return {
+      status:  'not_found',
+      message: 'That item is not in the cart. Use the line_id from the cart below.',
+      cart:    summarizeCart(cart),
+    };
+  }
+
+  const [removed] = cart.lines.splice(index, 1);
+  return { status: 'success', message: `Removed ${describeItem(removed)}.`, cart: summarizeCart(cart) };
+}
+
+/**
+ * update_cart_quantity — set a line's quantity; 0 removes it.
+ * (update_cart_quantity — 라인 수량 설정, 0이면 삭제)
+ *
+ * @param {object} params
+ * @param {{ lines: Array<object> }} params.cart
+ * @param {{ line_id: string, quantity: number }} params.args
+ * @returns {object}
+ */
+export function updateCartQuantity({ cart, args }) {
+  const line = cart.lines.find((l) => l.line_id === args.line_id);
+
+  if (!line) {
+    return {
+      status:  'not_found',
+      message: 'That item is not in the cart. Use the line_id from the cart below.',
+      cart:    summarizeCart(cart),
+    };
+  }
+
+  const quantity = parseQuantity(args.quantity, { allowZero: true });
+  if (quantity === null) {
+    return {
+      status:  'invalid_quantity',
+      message: `Quantities must be whole numbers from 0 to ${MAX_LINE_QUANTITY}. Confirm the quantity with the caller.`,
+      cart:    summarizeCart(cart),
+    };
+  }
+
+  if (quantity === 0) return removeFromCart({ cart, args });
+
+  line.quantity = quantity;
+  return { status: 'success', message: `${describeItem(line)} is now ${quantity}.`, cart: summarizeCart(cart) };
+}
+
+/**
+ * view_cart — current lines and server-computed total.
+ * (view_cart — 현재 라인과 서버 계산 총액)
+ *
+ * @param {{ lines: Array<object> }} cart
+ * @returns {object}
+ */
+export function viewCart(cart) {
+  return {
+    status:  cart.lines.length > 0 ? 'success' : 'empty',
+    message: cart.lines.length > 0
+      ? 'Read the items and the total below back to the caller exactly as given.'
+      : 'The cart is empty.',
+    cart:    summarizeCart(cart),
+  };
+}
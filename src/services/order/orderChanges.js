@@ -0,0 +1,637 @@
+// Order changes service — caller-initiated cancellations and modifications
+// (주문 변경 서비스 — 발신자가 요청한 취소 및 변경 처리)
+//
+// Backs the cancel_or_modify voice tool for both orders and reservations:
+//   1. Find the caller's open order / upcoming reservation by phone number — a number other than
+//      the call's caller ID must come with the order / reservation id as a second factor
+//   2. Enforce the store's modification policy (locked statuses, reservation cutoff)
+//   3. Apply the change — refund + POS receipt void for paid orders, DB update, notify
+// An order is claimed with a conditional update to an interim status before anything is refunded,
+// so a payment callback, POS injection or a second call racing the change cannot double-refund it.
+// A modified order is re-priced from menu_items the same way as the call's cart — the model
+// only names the items, never the amount.
+// Never throws — every outcome is returned as a voiceable payload. Refusals tell
+// Gemini to offer transfer_to_human instead of improvising.
+// (cancel_or_modify 음성 도구의 주문·예약 처리:
+//   1. 전화번호로 발신자의 진행 중 주문 / 예정된 예약 조회 — 발신자 번호가 아닌 번호는
+//      두 번째 확인 수단으로 주문/예약 ID 필요
+//   2. 매장 변경 정책 적용 (잠금 상태, 예약 변경 기한)
+//   3. 변경 적용 — 결제된 주문은 환불 + POS 영수증 무효화, DB 업데이트, 알림
+//  환불 전에 조건부 업데이트로 주문을 중간 상태로 선점 — 결제 콜백, POS 주입, 다른 통화와 경합해도 이중 환불 없음
+//  변경된 주문은 통화 장바구니와 같은 방식으로 menu_items에서 가격 재계산 — 모델은 항목만 지정하고 금액은 지정하지 않음.
+//  절대 throw 하지 않음 — 모든 결과는 음성 안내용 페이로드로 반환.
+//  거절 시 Gemini가 임의로 대응하지 않고 transfer_to_human을 제안하도록 안내)
+
+import { supabase } from '../../config/supabase.js';
+import { createPaymentLink, processRefund } from '../payment/maverickPg.js';
+import { voidOrderReceipt } from '../pos/posService.js';
+import { sendOrderUpdate, sendReservationUpdate } from '../notification/notifier.js';
+import { getModificationPolicy, getContactPolicy } from '../store/storePolicy.js';
+import { normalizePhone } from '../customer/contactDetails.js';
+import { DEFAULT_TIMEZONE, getZonedParts, minutesUntil } from '../store/storeClock.js';
+import { ACTIVE_RESERVATION_STATUSES, reserveSlot } from '../reservation/availability.js';
+import { OPEN_ORDER_STATUSES } from './orderStatus.js';
+import { createCart, addToCart, cartTotal, cartOrderItems } from './cart.js';
+
+// Order statuses that mean the customer has already been charged (고객에게 이미 청구된 주문 상태)
+const CHARGED_ORDER_STATUSES = ['paid', 'sent_to_pos', 'ready'];
+
+// Appended to every refusal so Gemini offers a human instead of arguing with the caller
+// (모든 거절 메시지에 추가 — Gemini가 발신자와 논쟁하지 않고 직원 연결을 제안하도록)
+const OFFER_STAFF = 'Apologise, explain briefly, and offer to transfer the caller to a staff member.';
+
+// Returned when the order moved on between the lookup and the claim (조회와 선점 사이에 주문 상태가 바뀐 경우 반환)
+const ORDER_CHANGED = {
+  status:  'order_changed',
+  message: 'The order was updated just now (for example, it was paid or sent to the kitchen). Call ' +
+           'cancel_or_modify again to check it before telling the caller anything.',
+};
+
+// ── Lookup Helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Whether the number the caller gave is the number the call is coming from. Both sides are
+ * normalized the same way, so "503-555-0100" matches a caller ID of +15035550100.
+ * (발신자가 말한 번호가 통화 발신 번호와 같은지 여부 — 양쪽을 같은 방식으로 정규화)
+ *
+ * @param {string}      phone       — number from the tool call (도구 호출의 번호)
+ * @param {string|null} callerPhone — the call's caller ID (통화 발신자 번호)
+ * @param {object}      storeData
+ * @returns {boolean}
+ */
+function isCallerNumber(phone, callerPhone, storeData) {
+  if (!callerPhone) return false;
+  const options = getContactPolicy(storeData);
+  const spoken  = normalizePhone(phone, options).phone;
+  return Boolean(spoken) && spoken === normalizePhone(callerPhone, options).phone;
+}
+
+/**
+ * Resolve the single order the caller wants to change.
+ * (발신자가 변경하려는 단일 주문 확인)
+ *
+ * @returns {Promise<{ order?: object, result?: object }>} order on success, otherwise a ready-to-return result
+ */
+async function findTargetOrder(storeId, phone, orderId) {
+  let query = supabase
+    .from('orders')
+    .select('id, status, items, total_amount, customer_phone, customer_email, pos_receipt_number, language, paid_at, created_at')
+    .eq('store_id', storeId)
+    .eq('customer_phone', phone)
+    .in('status', OPEN_ORDER_STATUSES)
+    .order('created_at', { ascending: false });
+
+  if (orderId) query = query.eq('id', orderId);
+
+  const { data: orders, error } = await query;
+
+  if (error) {
+    console.error(
+      `[OrderChanges] order lookup failed | store: ${storeId} | ${error.message} ` +
+      `(주문 조회 실패 | 매장: ${storeId} | 오류: ${error.message})`
+    );
+    return { result: { status: 'error', message: `Order changes are temporarily unavailable. ${OFFER_STAFF}` } };
+  }
+
+  if (!orders?.length) {
+    return {
+      result: {
+        status:  'not_found',
+        message: `No open order was found for ${phone}. Ask the caller to confirm the number they ordered with.`,
+      },
+    };
+  }
+
+  if (orders.length > 1) {
+    // Never guess between orders — let the caller pick (주문 간 추측 금지 — 발신자가 선택)
+    return {
+      result: {
+        status: 'ambiguous',
+        orders: orders.map((o) => ({
+          order_id:     o.id,
+          status:       o.status,
+          items:        (o.items ?? []).map((i) => `${i.quantity ?? 1} ${i.name}`).join(', '),
+          total_amount: Number(o.total_amount ?? 0).toFixed(2),
+        })),
+        message: 'The caller has several open orders. Read them back briefly, ask which one to change, ' +
+                 'then call cancel_or_modify again with that order_id.',
+      },
+    };
+  }
+
+  return { order: orders[0] };
+}
+
+/**
+ * Resolve the single upcoming reservation the caller wants to change.
+ * (발신자가 변경하려는 단일 예정 예약 확인)
+ *
+ * @returns {Promise<{ reservation?: object, result?: object }>}
+ */
+async function findTargetReservation(storeId, phone, reservationId, timezone) {
+  const today = getZonedParts(new Date(), timezone).dateStr;
+
+  let query = supabase
+    .from('reservations')
+    .select('id, status, reservation_date, reservation_time, party_size, customer_phone, customer_email, language')
+    .eq('store_id', storeId)
+    .eq('customer_phone', phone)
+    .in('status', ACTIVE_RESERVATION_STATUSES)
+    .gte('reservation_date', today)
+    .order('reservation_date', { ascending: true });
+
+  if (reservationId) query = query.eq('id', reservationId);
+
+  const { data: reservations, error } = await query;
+
+  if (error) {
+    console.error(
+      `[OrderChanges] reservation lookup failed | store: ${storeId} | ${error.message} ` +
+      `(예약 조회 실패 | 매장: ${storeId} | 오류: ${error.message})`
+    );
+    return { result: { status: 'error', message: `Reservation changes are temporarily unavailable. ${OFFER_STAFF}` } };
+  }
+
+  if (!reservations?.length) {
+    return {
+      result: {
+        status:  'not_found',
+        message: `No upcoming reservation was found for ${phone}. Ask the caller to confirm the number they booked with.`,
+      },
+    };
+  }
+
+  if (reservations.length > 1) {
+    return {
+      result: {
+        status:       'ambiguous',
+        reservations: reservations.map((r) => ({
+          reservation_id: r.id,
+          date:           r.reservation_date,
+          time:           r.reservation_time,
+          party_size:     r.party_size,
+        })),
+        message: 'The caller has several upcoming reservations. Read them back briefly, ask which one to change, ' +
+                 'then call cancel_or_modify again with that reservation_id.',
+      },
+    };
+  }
+
+  return { reservation: reservations[0] };
+}
+
+// ── Order Claims ──────────────────────────────────────────────────────────────
+
+/**
+ * Claim an order for a change by moving it to an interim status — only while it is still in the
+ * status it was read in. Returns false when something else changed it first.
+ * (주문이 조회 시점의 상태일 때만 중간 상태로 옮겨 변경을 위해 선점 — 다른 쪽이 먼저 바꿨으면 false)
+ *
+ * @param {object} order
+ * @param {'cancelling'|'modifying'} interimStatus
+ * @returns {Promise<boolean>}
+ */
+async function claimOrder(order, interimStatus) {
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ status: interimStatus })
+    .eq('id', order.id)
+    .eq('status', order.status)
+    .select('id');
+
+  if (error) throw new Error(`Order claim failed: ${error.message}`);
+  return (data?.length ?? 0) > 0;
+}
+
+/**
+ * Put a claimed order back in its original status after the change failed before the refund
+ * went through. Best-effort — a failure is logged and leaves the order for staff.
+ * (환불 전에 변경이 실패한 경우 선점한 주문을 원래 상태로 복원 — 최선 노력, 실패 시 로깅 후 직원 처리)
+ */
+async function releaseOrder(order, interimStatus) {
+  const { error } = await supabase
+    .from('orders')
+    .update({ status: order.status })
+    .eq('id', order.id)
+    .eq('status', interimStatus);
+
+  if (error) {
+    console.error(
+      `[OrderChanges] order release failed | order: ${order.id} | stuck in: ${interimStatus} | ${error.message} ` +
+      `(주문 선점 해제 실패 | 주문: ${order.id} | 상태: ${interimStatus})`
+    );
+  }
+}
+
+/**
+ * Result for a claimed change whose final write matched no row — the order left its interim
+ * status while the change ran. Nothing is sent to the customer; staff reconcile the order.
+ * (선점한 변경의 최종 쓰기가 일치하는 행이 없을 때의 결과 — 변경 중 주문이 중간 상태를 벗어남.
+ *  고객에게 알림을 보내지 않고 직원이 주문 정리)
+ *
+ * @param {object}      order
+ * @param {'cancelling'|'modifying'} interimStatus
+ * @param {number|null} refundAmount — already refunded, if any (이미 환불된 금액 — 있는 경우)
+ * @returns {object}
+ */
+function changeNotRecorded(order, interimStatus, refundAmount) {
+  console.error(
+    `[OrderChanges] change not recorded — order left ${interimStatus} | order: ${order.id} | ` +
+    `refunded: ${refundAmount ?? 'none'} ` +
+    `(변경 미기록 — 주문이 ${interimStatus} 상태를 벗어남 | 주문: ${order.id} | 환불: ${refundAmount ?? '없음'})`
+  );
+  return {
+    status:        'error',
+    order_id:      order.id,
+    refund_amount: refundAmount != null ? refundAmount.toFixed(2) : null,
+    message:       (refundAmount != null
+      ? `The original payment of $${refundAmount.toFixed(2)} was refunded, but the change could not be saved. `
+      : 'The change could not be saved. ') + OFFER_STAFF,
+  };
+}
+
+/**
+ * Idempotency key for refunding an order's current charge — one per payment, so a retried
+ * refund is deduplicated by the PG while a re-billed order can still be refunded again.
+ * (주문의 현재 결제 환불용 멱등성 키 — 결제당 하나. 재시도된 환불은 PG에서 중복 제거되고,
+ *  재청구된 주문은 다시 환불 가능)
+ */
+const refundKey = (order) => `order-refund:${order.id}:${order.paid_at ?? order.created_at}`;
+
+// ── Order Changes ─────────────────────────────────────────────────────────────
+
+/**
+ * Refund a charged order and void its POS receipt so the kitchen stops preparing it.
+ * Returns the refunded amount, or null when the order was never charged.
+ * Call only on a claimed order (see claimOrder()).
+ * (청구된 주문 환불 및 POS 영수증 무효화 — 주방 조리 중단. 환불 금액 반환, 미청구 시 null.
+ *  선점한 주문에만 호출 — claimOrder() 참고)
+ */
+async function reverseCharge(order, storeData) {
+  if (!CHARGED_ORDER_STATUSES.includes(order.status)) return null;
+
+  const refund = await processRefund(order.id, order.total_amount, { idempotencyKey: refundKey(order) });
+  if (!refund.success) {
+    throw new Error(`Refund failed for order ${order.id}: ${refund.message}`);
+  }
+
+  // Receipt void is best-effort — the refund already went through (영수증 무효화는 최선 노력 — 환불은 이미 완료)
+  if (order.pos_receipt_number) {
+    await voidOrderReceipt(order, storeData.pos_api_key);
+  }
+
+  return Number(order.total_amount ?? 0);
+}
+
+/**
+ * Cancel an order — refund if charged, mark cancelled, notify the customer.
+ * (주문 취소 — 청구된 경우 환불, 취소 상태로 변경, 고객 알림)
+ */
+async function cancelOrder(order, storeData) {
+  if (!(await claimOrder(order, 'cancelling'))) return ORDER_CHANGED;
+
+  let refundAmount;
+  try {
+    refundAmount = await reverseCharge(order, storeData);
+  } catch (err) {
+    await releaseOrder(order, 'cancelling');
+    throw err;
+  }
+
+  const { data: cancelled, error } = await supabase
+    .from('orders')
+    .update({ status: 'cancelled' })
+    .eq('id', order.id)
+    .eq('status', 'cancelling')
+    .select('id');
+
+  if (error) throw new Error(`Order cancel update failed: ${error.message}`);
+  if (!cancelled?.length) return changeNotRecorded(order, 'cancelling', refundAmount);
+
+  await sendOrderUpdate({
+    customerPhone: order.customer_phone,
+    customerEmail: order.customer_email,
+    storeName:     storeData.store_name ?? 'Our Restaurant',
+    action:        'cancel',
+    orderId:       order.id,
+    refundAmount,
+    language:      order.language,
+  });
+
+  return {
+    status:        'success',
+    order_id:      order.id,
+    refund_amount: refundAmount != null ? refundAmount.toFixed(2) : null,
+    message:       refundAmount != null
+      ? `The order is cancelled and $${refundAmount.toFixed(2)} is being refunded. Confirm this to the caller.`
+      : 'The order is cancelled. It was never paid, so no refund is needed. Confirm this to the caller.',
+  };
+}
+
+/**
+ * Price the updated items from the menu through a scratch cart — same catalog lookup, modifier
+ * matching, quantity limits and cent arithmetic as add_to_cart.
+ * (임시 장바구니로 변경 항목 가격 계산 — add_to_cart와 같은 카탈로그 조회, 수정자 매칭, 수량 제한, 센트 계산)
+ *
+ * @param {string} storeId
+ * @param {Array<{ name?: string, variant_id?: string, quantity?: number, modifiers?: string[] }>} requested
+ * @returns {Promise<{ items?: Array<object>, totalAmount?: number, result?: object }>}
+ */
+async function priceOrderItems(storeId, requested) {
+  const cart = createCart();
+
+  for (const item of requested) {
+    const added = await addToCart({ storeId, cart, args: item ?? {} });
+    if (added.status === 'success') continue;
+
+    // The scratch cart is not the caller's cart — leave it out of the result (임시 장바구니는 발신자 장바구니가 아니므로 결과에서 제외)
+    const { cart: _scratch, ...refusal } = added;
+    return {
+      result: {
+        ...refusal,
+        item:    item?.name ?? item?.variant_id ?? null,
+        message: added.status === 'ambiguous'
+          ? 'Several menu items match one of the updated items. Ask the caller which one they mean, then call ' +
+            'cancel_or_modify again with its variant_id in items.'
+          : added.message,
+      },
+    };
+  }
+
+  return { items: cartOrderItems(cart), totalAmount: cartTotal(cart) };
+}
+
+/**
+ * Replace an order's items — refund if charged, reset to pending, send a new payment link.
+ * (주문 항목 교체 — 청구된 경우 환불, pending으로 재설정, 새 결제 링크 발송)
+ */
+async function modifyOrder(order, storeData, { items: requested }) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return {
+      status:  'needs_details',
+      message: 'Confirm the complete updated order with the caller, then call cancel_or_modify again with ' +
+               'the full items list.',
+    };
+  }
+
+  // Priced before anything is refunded — an item that cannot be priced leaves the order untouched
+  // (환불 전에 가격 계산 — 가격을 매길 수 없는 항목이 있으면 주문은 그대로 유지)
+  const priced = await priceOrderItems(storeData.id, requested);
+  if (priced.result) return priced.result;
+  const { items, totalAmount } = priced;
+
+  if (!(await claimOrder(order, 'modifying'))) return ORDER_CHANGED;
+
+  // A paid order is refunded and re-billed — the customer pays the new total via a fresh link
+  // (결제된 주문은 환불 후 재청구 — 고객은 새 링크로 새 총액 결제)
+  let refundAmount;
+  try {
+    refundAmount = await reverseCharge(order, storeData);
+  } catch (err) {
+    await releaseOrder(order, 'modifying');
+    throw err;
+  }
+
+  const { data: modified, error } = await supabase
+    .from('orders')
+    .update({
+      items,
+      total_amount:       totalAmount,
+      status:             'pending',
+      pos_receipt_number: null,
+      paid_at:            null,
+    })
+    .eq('id', order.id)
+    .eq('status', 'modifying')
+    .select('id');
+
+  if (error) throw new Error(`Order modify update failed: ${error.message}`);
+  if (!modified?.length) return changeNotRecorded(order, 'modifying', refundAmount);
+
+  // The order is already updated (and any refund gone out) — a link failure is handed to staff
+  // rather than surfacing as a generic error (주문은 이미 변경됨(환불 포함) — 링크 실패는 일반 오류가 아닌 직원 처리로 전달)
+  let paymentUrl;
+  try {
+    ({ paymentUrl } = await createPaymentLink(order.id, totalAmount, storeData.id));
+  } catch (err) {
+    console.error(
+      `[OrderChanges] payment link failed after modify | order: ${order.id} | total: ${totalAmount} | ` +
+      `refunded: ${refundAmount ?? 'none'} | ${err.message} ` +
+      `(변경 후 결제 링크 생성 실패 | 주문: ${order.id} | 총액: ${totalAmount} | 환불: ${refundAmount ?? '없음'})`
+    );
+    return {
+      status:        'payment_link_failed',
+      order_id:      order.id,
+      total_amount:  Number(totalAmount).toFixed(2),
+      refund_amount: refundAmount != null ? refundAmount.toFixed(2) : null,
+      message:       (refundAmount != null
+        ? `The original payment of $${refundAmount.toFixed(2)} is being refunded. `
+        : '') +
+        `The order is updated to a new total of $${Number(totalAmount).toFixed(2)}, but the new payment link ` +
+        'could not be sent. Tell the caller the store will send it shortly, and offer to transfer them to a ' +
+        'staff member now.',
+    };
+  }
+
+  await sendOrderUpdate({
+    customerPhone: order.customer_phone,
+    customerEmail: order.customer_email,
+    storeName:     storeData.store_name ?? 'Our Restaurant',
+    action:        'modify',
+    orderId:       order.id,
+    items,
+    totalAmount,
+    paymentUrl,
+    refundAmount,
+    language:      order.language,
+  });
+
+  return {
+    status:        'success',
+    order_id:      order.id,
+    total_amount:  Number(totalAmount).toFixed(2),
+    refund_amount: refundAmount != null ? refundAmount.toFixed(2) : null,
+    message:       (refundAmount != null
+      ? `The original payment of $${refundAmount.toFixed(2)} is being refunded. `
+      : '') +
+      `The order is updated to a new total of $${Number(totalAmount).toFixed(2)} and a new payment link was sent ` +
+      'to the caller\'s phone and email. Read the total from this result and tell them to check the link.',
+  };
+}
+
+// ── Reservation Changes ───────────────────────────────────────────────────────
+
+/**
+ * Cancel a reservation or move it to a new date / time / party size, then notify.
+ * (예약 취소 또는 날짜/시간/인원 변경 후 알림)
+ */
+async function changeReservation(reservation, storeData, action, args) {
+  const isCancel = action === 'cancel';
+
+  const updates = isCancel
+    ? { status: 'cancelled' }
+    : {
+        reservation_date: args.date       ?? reservation.reservation_date,
+        reservation_time: args.time       ?? reservation.reservation_time,
+        party_size:       args.party_size ?? reservation.party_size,
+      };
+
+  if (!isCancel && !args.date && !args.time && !args.party_size) {
+    return {
+      status:  'needs_details',
+      message: 'Ask the caller what they would like to change — date, time, or party size — then call cancel_or_modify again.',
+    };
+  }
+
+  if (isCancel) {
+    const { error } = await supabase
+      .from('reservations')
+      .update(updates)
+      .eq('id', reservation.id);
+
+    if (error) throw new Error(`Reservation update failed: ${error.message}`);
+  } else {
+    // A changed booking is re-checked against hours and seating like a new one, with its own
+    // slot released, and may move to a different table
+    // (변경된 예약은 자기 자리를 제외하고 새 예약처럼 영업시간·좌석을 재확인 — 테이블이 바뀔 수 있음)
+    const { result } = await reserveSlot({
+      storeData,
+      date:      updates.reservation_date,
+      time:      updates.reservation_time,
+      partySize: updates.party_size,
+      excludeId: reservation.id,
+      write:     (tableId, signal) => supabase
+        .from('reservations')
+        .update({ ...updates, table_id: tableId })
+        .eq('id', reservation.id)
+        .abortSignal(signal),
+    });
+    if (result) return result;
+  }
+
+  const final = { ...reservation, ...updates };
+
+  await sendReservationUpdate({
+    customerPhone: reservation.customer_phone,
+    customerEmail: reservation.customer_email,
+    storeName:     storeData.store_name ?? 'Our Restaurant',
+    action,
+    reservationId: reservation.id,
+    date:          final.reservation_date,
+    time:          final.reservation_time,
+    partySize:     final.party_size,
+    language:      reservation.language,
+  });
+
+  return {
+    status:         'success',
+    reservation_id: reservation.id,
+    date:           final.reservation_date,
+    time:           final.reservation_time,
+    party_size:     final.party_size,
+    message:        isCancel
+      ? 'The reservation is cancelled and a confirmation was sent. Confirm this to the caller.'
+      : `The reservation is now for ${final.party_size} on ${final.reservation_date} at ${final.reservation_time}. ` +
+        'A confirmation was sent. Read the new details back to the caller.',
+  };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Cancel or modify the caller's open order or upcoming reservation.
+ *
+ * Result shapes (결과 형태):
+ *   { status: 'success', ... }                 — change applied and customer notified
+ *   { status: 'ambiguous', orders|reservations } — several matches; ask the caller which one
+ *   { status: 'verification_required', message } — number is not the caller ID and no id was given
+ *   { status: 'order_changed', message }       — the order moved on mid-change; look it up again
+ *   { status: 'not_found' | 'missing_phone' | 'needs_details', message }
+ *   { status: 'not_allowed', message }         — blocked by store policy; offer staff transfer
+ *   { status: 'error', message }               — DB / payment failure; offer staff transfer
+ *
+ * Nothing is looked up, disclosed or changed for a number other than the caller ID unless the
+ * caller also gives the order / reservation id from their confirmation — anyone can say a number.
+ * (발신자의 진행 중 주문 또는 예정 예약 취소/변경.
+ *  정책상 불가하거나 실패 시 직원 연결을 제안하도록 안내.
+ *  발신자 번호가 아닌 번호는 확인 메시지의 주문/예약 ID가 없으면 조회·공개·변경하지 않음 — 번호는 누구나 말할 수 있음)
+ *
+ * @param {object}      opts
+ * @param {object}      opts.storeData     — stores row of the serving store (서비스 중인 매장의 stores 행)
+ * @param {object}      opts.args          — cancel_or_modify function-call arguments (cancel_or_modify 함수 호출 인자)
+ * @param {string|null} [opts.callerPhone] — the call's caller ID (통화 발신자 번호)
+ * @returns {Promise<object>}
+ */
+export async function cancelOrModify({ storeData, args, callerPhone = null }) {
+  const phone    = args.customer_phone?.trim();
+  const target   = args.target === 'reservation' ? 'reservation' : 'order';
+  const action   = args.action === 'modify' ? 'modify' : 'cancel';
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+  const policy   = getModificationPolicy(storeData);
+
+  if (!phone) {
+    return {
+      status:  'missing_phone',
+      message: `Ask the caller for the phone number they used for the ${target}.`,
+    };
+  }
+
+  const targetId = target === 'order' ? args.order_id : args.reservation_id;
+  if (!targetId && !isCallerNumber(phone, callerPhone, storeData)) {
+    console.warn(
+      `[OrderChanges] ${action} ${target} refused — not the caller ID and no ${target} id | ` +
+      `store: ${storeData.id} | phone: ${phone} (발신자 번호 불일치 및 ID 없음 — 거부)`
+    );
+    return {
+      status:  'verification_required',
+      message: `${phone} is not the number this call is coming from. Ask the caller for the ${target} number ` +
+               `from their confirmation text or email, then call cancel_or_modify again with ${target}_id. ` +
+               `Do not say whether any ${target} exists for that number.`,
+    };
+  }
+
+  console.log(
+    `[OrderChanges] ${action} ${target} | store: ${storeData.id} | phone: ${phone} | ` +
+    `details: ${args.request_details ?? '-'} (${target === 'order' ? '주문' : '예약'} ${action === 'cancel' ? '취소' : '변경'} 요청)`
+  );
+
+  try {
+    if (target === 'order') {
+      const { order, result } = await findTargetOrder(storeData.id, phone, args.order_id);
+      if (result) return result;
+
+      const allowed = action === 'cancel' ? policy.allowOrderCancel : policy.allowOrderModify;
+      if (!allowed || policy.orderLockedStatuses.includes(order.status)) {
+        return {
+          status:  'not_allowed',
+          message: order.status === 'pending' || order.status === 'paid'
+            ? `This store does not allow orders to be ${action === 'cancel' ? 'cancelled' : 'changed'} over the phone. ${OFFER_STAFF}`
+            : `The order has already gone to the kitchen, so it can no longer be changed automatically. ${OFFER_STAFF}`,
+        };
+      }
+
+      return action === 'cancel'
+        ? await cancelOrder(order, storeData)
+        : await modifyOrder(order, storeData, args);
+    }
+
+    const { reservation, result } = await findTargetReservation(storeData.id, phone, args.reservation_id, timezone);
+    if (result) return result;
+
+    const minutesLeft = minutesUntil(reservation.reservation_date, reservation.reservation_time, timezone);
+    if (minutesLeft != null && minutesLeft < policy.reservationCutoffMinutes) {
+      return {
+        status:  'not_allowed',
+        message: `Reservations cannot be changed within ${policy.reservationCutoffMinutes} minutes of the booking time. ${OFFER_STAFF}`,
+      };
+    }
+
+    return await changeReservation(reservation, storeData, action, args);
+  } catch (err) {
+    console.error(
+      `[OrderChanges] ${action} ${target} failed | store: ${storeData.id} | ${err.message} ` +
+      `(${target === 'order' ? '주문' : '예약'} 변경 실패 | 오류: ${err.message})`
+    );
+    return { status: 'error', message: `The change could not be completed. ${OFFER_STAFF}` };
+  }
+}
@@ -0,0 +1,181 @@
+// Order status service — caller-facing order lookups for the voice agent
+// (주문 상태 서비스 — 음성 에이전트용 발신자 주문 조회)
+//
+// Reads the caller's most recent orders for one store from the orders table and
+// shapes them into a payload Gemini can read back naturally over the phone.
+// Never throws — DB failures are returned as voiceable error payloads.
+// (한 매장에 대한 발신자의 최근 주문을 orders 테이블에서 조회하여
+//  Gemini가 전화로 자연스럽게 읽을 수 있는 페이로드로 변환.
+//  절대 throw 하지 않음 — DB 실패는 음성 안내용 오류 페이로드로 반환)
+
+import { supabase } from '../../config/supabase.js';
+
+// Maximum number of recent orders considered per lookup (조회당 고려하는 최근 주문 최대 수)
+const RECENT_ORDER_LIMIT = 5;
+
+// Statuses that are still "in progress" from the caller's point of view (발신자 관점에서 아직 진행 중인 상태)
+export const OPEN_ORDER_STATUSES = ['pending', 'paid', 'sent_to_pos', 'ready'];
+
+// Statuses staff can move an order to, and the statuses each may come from — the kitchen marks a
+// paid order ready, then picked up (직원이 설정할 수 있는 상태와 각 상태의 이전 상태 — 주방이 결제된 주문을
+// 준비 완료로, 이후 수령 완료로 변경)
+export const STAFF_STATUS_TRANSITIONS = {
+  ready:     ['paid', 'sent_to_pos'],
+  completed: ['ready'],
+};
+
+// Spoken description per order status — phrased so Gemini can drop it into a sentence
+// (주문 상태별 음성 설명 — Gemini가 문장에 그대로 넣을 수 있도록 작성)
+const STATUS_DESCRIPTIONS = {
+  pending:     'received and waiting for payment through the link we sent',
+  paid:        'paid and about to be sent to the kitchen',
+  sent_to_pos: 'paid and sent to the kitchen — it is being prepared now',
+  ready:       'ready for pickup',
+  cancelling:  'being cancelled right now',
+  modifying:   'being changed right now',
+  completed:   'already picked up',
+  cancelled:   'cancelled',
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Describe the payment-link state of an order for the caller.
+ * (발신자에게 안내할 주문의 결제 링크 상태 설명)
+ *
+ * @param {string} status — orders.status value (orders.status 값)
+ * @returns {'awaiting_payment'|'paid'|'void'}
+ */
+function paymentLinkState(status) {
+  if (status === 'pending')   return 'awaiting_payment'; // Link sent, not yet paid (링크 발송됨, 미결제)
+  if (status === 'cancelled') return 'void';             // Link no longer valid (링크 무효)
+  return 'paid';                                         // Every later stage implies payment (이후 모든 단계는 결제 완료 의미)
+}
+
+/**
+ * Flatten an order's items array into a short spoken summary, e.g. "2 Bulgogi, 1 Soju".
+ * (주문 항목 배열을 짧은 음성 요약으로 평탄화 — 예: "2 Bulgogi, 1 Soju")
+ *
+ * @param {Array<{ name: string, quantity: number }>} items
+ * @returns {string}
+ */
+export function summariseItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return 'no items recorded';
+  return items.map((i) => `${i.quantity ?? 1} ${i.name}`).join(', ');
+}
+
+/**
+ * Format an ISO timestamp as a short local time in the store's timezone, e.g. "Tue 6:42 PM".
+ * (ISO 타임스탬프를 매장 시간대의 짧은 현지 시간으로 형식화 — 예: "Tue 6:42 PM")
+ *
+ * @param {string} isoString
+ * @param {string} timezone
+ * @returns {string|null}
+ */
+function formatPlacedAt(isoString, timezone) {
+  if (!isoString) return null;
+  return new Date(isoString).toLocaleString('en-US', {
+    timeZone: timezone,
+    weekday:  'short',
+    hour:     'numeric',
+    minute:   '2-digit',
+    hour12:   true,
+  });
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Look up the caller's most recent orders at one store and build a functionResponse payload.
+ *
+ * Result shapes (결과 형태):
+ *   { status: 'not_found', message }                          — no orders for this number
+ *   { status: 'found', open_order_count, orders[], message }  — one or more orders
+ *   { status: 'error', message }                              — DB failure
+ *
+ * When several orders are still open, the message tells Gemini to list them briefly
+ * and ask the caller which one they mean instead of guessing.
+ * (발신자의 최근 주문을 조회하여 functionResponse 페이로드 생성.
+ *  진행 중인 주문이 여러 건이면 Gemini가 추측하지 않고 간단히 나열 후 어느 주문인지 묻도록 안내)
+ *
+ * @param {object} opts
+ * @param {string} opts.storeId        — stores.id of the serving store (서비스 중인 매장 ID)
+ * @param {string} opts.customerPhone  — phone number the order was placed with (주문 시 사용한 전화번호)
+ * @param {string} [opts.timezone]     — store timezone for spoken times (음성 시간 표시용 매장 시간대)
+ * @returns {Promise<object>}
+ */
+export async function lookupOrderStatus({ storeId, customerPhone, timezone = 'America/Los_Angeles' }) {
+  const phone = customerPhone?.trim();
+
+  if (!phone) {
+    return {
+      status:  'missing_phone',
+      message: 'Ask the caller for the phone number they used when placing the order.',
+    };
+  }
+
+  const { data: orders, error } = await supabase
+    .from('orders')
+    .select('id, status, items, total_amount, created_at')
+    .eq('store_id', storeId)
+    .eq('customer_phone', phone)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_ORDER_LIMIT);
+
+  if (error) {
+    console.error(
+      `[OrderStatus] lookup failed | store: ${storeId} | ${error.message} ` +
+      `(주문 상태 조회 실패 | 매장: ${storeId} | 오류: ${error.message})`
+    );
+    return {
+      status:  'error',
+      message: 'Order lookup is temporarily unavailable. Apologise and offer to transfer the caller to a staff member.',
+    };
+  }
+
+  if (!orders?.length) {
+    return {
+      status:  'not_found',
+      message: `No orders were found for ${phone} at this store. ` +
+               'Ask the caller to double-check the number they ordered with.',
+    };
+  }
+
+  const shaped = orders.map((o) => ({
+    order_id:           o.id,
+    status:             o.status,
+    status_description: STATUS_DESCRIPTIONS[o.status] ?? o.status,
+    items:              summariseItems(o.items),
+    total_amount:       Number(o.total_amount ?? 0).toFixed(2),
+    payment_link:       paymentLinkState(o.status),
+    placed_at:          formatPlacedAt(o.created_at, timezone),
+    is_open:            OPEN_ORDER_STATUSES.includes(o.status),
+  }));
+
+  const openOrders = shaped.filter((o) => o.is_open);
+
+  // Prefer open orders — closed ones only matter when nothing is in progress
+  // (진행 중인 주문 우선 — 진행 중인 주문이 없을 때만 종료된 주문 안내)
+  let message;
+  if (openOrders.length > 1) {
+    message = `The caller has ${openOrders.length} open orders. List each one briefly by time placed and items, ` +
+              'give its status, and ask which one they are calling about if it is unclear.';
+  } else if (openOrders.length === 1) {
+    message = 'Tell the caller the status of this order in one or two sentences, including the total and ' +
+              'whether payment is still outstanding.';
+  } else {
+    message = 'None of the caller\'s recent orders are still open. Tell them the status of the most recent one.';
+  }
+
+  console.log(
+    `[OrderStatus] lookup | store: ${storeId} | orders: ${shaped.length} | open: ${openOrders.length} ` +
+    `(주문 상태 조회 | 매장: ${storeId} | 주문: ${shaped.length} | 진행 중: ${openOrders.length})`
+  );
+
+  return {
+    status:           'found',
+    open_order_count: openOrders.length,
+    orders:           openOrders.length > 0 ? openOrders : shaped.slice(0, 1),
+    message,
+  };
+}
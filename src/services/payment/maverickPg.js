@@ -43,15 +43,23 @@ export async function createPaymentLink(orderId, amount, storeId) {
  *  스텁: 목 성공 페이로드 반환 — 실제 네트워크 호출 없음.
  *  프로덕션에서 실제 Maverick PG 환불 API로 교체)
  *
+ * The live call must pass idempotencyKey to the PG — a retried refund with the same key returns
+ * the original result instead of refunding twice.
+ * (실제 호출은 idempotencyKey를 PG에 전달해야 함 — 같은 키로 재시도하면 이중 환불 없이 기존 결과 반환)
+ *
  * @param {string|number} orderId  — order to refund (환불할 주문)
+ * @param {number}        [amount] — amount to refund; omit for a full refund (환불 금액 — 생략 시 전액 환불)
+ * @param {object}        [opts]
+ * @param {string}        [opts.idempotencyKey] — one key per charge being refunded (환불 대상 결제당 하나의 키)
  * @returns {Promise<{ success: boolean, refundId: string, message: string }>}
  */
-export async function processRefund(orderId) {
+export async function processRefund(orderId, amount, { idempotencyKey } = {}) {
   // Generate a deterministic stub refund ID for traceability (추적 가능성을 위한 결정론적 스텁 환불 ID 생성)
   const refundId = `refund-mock-${orderId}`;
 
   console.log(
-    `[MaverickPG] processRefund (stub) | orderId: ${orderId} | refundId: ${refundId} ` +
+    `[MaverickPG] processRefund (stub) | orderId: ${orderId} | amount: ${amount ?? 'full'} | refundId: ${refundId} | ` +
+    `key: ${idempotencyKey ?? '-'} ` +
     `(환불 처리 스텁 | 주문: ${orderId} | 환불 ID: ${refundId})`
   );
 
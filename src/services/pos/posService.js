@@ -23,6 +23,9 @@ const RECEIPTS_ENDPOINT = `${LOYVERSE_BASE_URL}/receipts`;
 // Loyverse items endpoint for catalog sync (카탈로그 동기화용 Loyverse 항목 엔드포인트)
 const ITEMS_ENDPOINT = `${LOYVERSE_BASE_URL}/items`;
 
+// Loyverse modifier sets endpoint for catalog sync (카탈로그 동기화용 Loyverse 수정자 세트 엔드포인트)
+const MODIFIERS_ENDPOINT = `${LOYVERSE_BASE_URL}/modifiers`;
+
 // HTTP request timeout for Loyverse API calls in milliseconds (Loyverse API 호출 HTTP 요청 타임아웃 밀리초)
 const LOYVERSE_TIMEOUT_MS = parseInt(process.env.LOYVERSE_TIMEOUT_MS ?? '8000', 10);
 
@@ -31,38 +34,57 @@ const LOYVERSE_TIMEOUT_MS = parseInt(process.env.LOYVERSE_TIMEOUT_MS ?? '8000',
 /**
  * Map a single order item from our internal format to a Loyverse receipt line item.
  *
- * When a menuRecord is supplied (synced from Loyverse catalog), the real item_id,
- * variant_id, and unit price are used. Without a menuRecord (catalog not yet synced),
- * the unit price is approximated by dividing total_amount evenly across all units.
+ * Cart orders carry the unit_price charged to the customer (variant price + modifier
+ * adjustments) and the chosen modifier options — those are used as-is so the receipt
+ * matches the payment. Older orders without unit_price fall back to the catalog record,
+ * then to an even split of total_amount across all units.
  *
  * (내부 형식의 단일 주문 항목을 Loyverse 영수증 라인 항목으로 매핑.
- *  menuRecord가 있으면 실제 item_id, variant_id, 단가 사용.
- *  없으면 total_amount를 전체 수량으로 균등 분배한 근사 단가 사용)
+ *  장바구니 주문은 고객에게 청구된 unit_price(변형 가격 + 수정자 조정)와 선택한 수정자 옵션을
+ *  포함 — 영수증이 결제와 일치하도록 그대로 사용. unit_price 없는 이전 주문은 카탈로그
+ *  레코드, 그다음 total_amount 균등 분배 순으로 폴백)
  *
- * @param {{ name: string, quantity: number }} item        — internal order item (내부 주문 항목)
+ * @param {{ name: string, quantity: number, unit_price?: number,
+ *           modifiers?: Array<{ modifier_option_id: string, price: number }> }} item — internal order item (내부 주문 항목)
  * @param {number}                             unitPrice   — fallback unit price when no catalog record (카탈로그 없을 때 폴백 단가)
  * @param {{ variant_id: string, item_id: string, price: number } | null} menuRecord
  *   — catalog record from menu_items table, or null if catalog not yet synced (menu_items 카탈로그 레코드 또는 null)
  * @returns {object} Loyverse receipt line_item object (Loyverse 영수증 라인 항목 객체)
  */
 function mapItemToLineItem(item, unitPrice, menuRecord) {
-  // Use catalog price when available, otherwise fall back to the evenly-split approximation
-  // (카탈로그 가격이 있으면 사용, 없으면 균등 분배 근사값 폴백)
-  const resolvedPrice = menuRecord?.price ?? unitPrice;
+  const modifiers     = item.modifiers ?? [];
+  const modifierTotal = modifiers.reduce((sum, m) => sum + Number(m.price ?? 0), 0);
+
+  // Charged unit price first, then catalog price plus modifiers, then the evenly-split approximation
+  // (청구된 단가 우선, 다음 카탈로그 가격 + 수정자, 마지막으로 균등 분배 근사값)
+  const resolvedPrice = item.unit_price != null
+    ? Number(item.unit_price)
+    : (menuRecord?.price != null ? menuRecord.price + modifierTotal : unitPrice);
   const grossTotal    = parseFloat((resolvedPrice * item.quantity).toFixed(2));
 
   const lineItem = {
-    item_name:          item.name,                             // Display label on the receipt (영수증 표시 레이블)
-    quantity:           item.quantity,                         // Units ordered (주문 수량)
-    price:              parseFloat(resolvedPrice.toFixed(2)),  // Unit price from catalog or approximation (카탈로그 또는 근사 단가)
-    gross_total_money:  grossTotal,                            // quantity × unit price before discounts (할인 전 소계)
-    total_money:        grossTotal,                            // Net line total — no discounts in MVP (순 라인 합계 — MVP 할인 없음)
+    item_name:          item.name,                                             // Display label on the receipt (영수증 표시 레이블)
+    quantity:           item.quantity,                                         // Units ordered (주문 수량)
+    price:              parseFloat((resolvedPrice - modifierTotal).toFixed(2)), // Base unit price — modifiers are listed separately (기본 단가 — 수정자는 별도 표시)
+    gross_total_money:  grossTotal,                                            // quantity × (base + modifiers) before discounts (할인 전 소계)
+    total_money:        grossTotal,                                            // Net line total — no discounts in MVP (순 라인 합계 — MVP 할인 없음)
   };
 
+  // Modifier options ride along as line_modifiers with their per-unit price adjustment
+  // (수정자 옵션은 단위당 가격 조정과 함께 line_modifiers로 전달)
+  if (modifiers.length > 0) {
+    lineItem.line_modifiers = modifiers.map((m) => ({
+      modifier_option_id: m.modifier_option_id,
+      price:              parseFloat(Number(m.price ?? 0).toFixed(2)),
+    }));
+  }
+
   // Include real Loyverse IDs when the catalog has been synced — required for production receipts
   // (카탈로그 동기화 시 실제 Loyverse ID 포함 — 프로덕션 영수증에 필수)
-  if (menuRecord?.variant_id) lineItem.variant_id = menuRecord.variant_id;
-  if (menuRecord?.item_id)    lineItem.item_id    = menuRecord.item_id;
+  const variantId = item.variant_id ?? menuRecord?.variant_id;
+  const itemId    = item.item_id    ?? menuRecord?.item_id;
+  if (variantId) lineItem.variant_id = variantId;
+  if (itemId)    lineItem.item_id    = itemId;
 
   return lineItem;
 }
@@ -70,23 +92,24 @@ function mapItemToLineItem(item, unitPrice, menuRecord) {
 /**
  * Build the full Loyverse POST /receipts payload from our order data.
  *
- * When menuLookup is provided, each line item is matched by name (case-insensitive)
- * to a catalog record and uses the real variant_id, item_id, and price.
- * When menuLookup is null (catalog not yet synced), prices are approximated.
+ * When a catalog is provided, each line item is matched to a catalog record — by variant_id
+ * for cart orders, by name (case-insensitive) for older orders — and uses the real
+ * variant_id, item_id, and price. When catalog is null (not yet synced), prices are approximated.
  * paymentTypeId is required by Loyverse — omitting it causes MISSING_REQUIRED_PARAMETER.
  *
  * (주문 데이터에서 Loyverse POST /receipts 전체 페이로드 생성.
- *  menuLookup이 있으면 항목명(대소문자 무시)으로 카탈로그 레코드 매칭 후 실제 ID·가격 사용.
+ *  카탈로그가 있으면 variant_id(장바구니 주문) 또는 항목명(이전 주문, 대소문자 무시)으로
+ *  카탈로그 레코드 매칭 후 실제 ID·가격 사용.
  *  없으면 총액 균등 분배 근사값 사용.
  *  paymentTypeId는 Loyverse 필수 필드 — 누락 시 MISSING_REQUIRED_PARAMETER 오류 발생)
  *
  * @param {object}      orderData       — full order row from Supabase (Supabase의 전체 주문 행)
- * @param {Map|null}    menuLookup      — lowercase name → menu record map, or null (소문자 이름 → 메뉴 레코드 맵 또는 null)
+ * @param {{ byVariant: Map, byName: Map }|null} catalog — menu records keyed by variant_id and lowercase name, or null (variant_id·소문자 이름별 메뉴 레코드 또는 null)
  * @param {string|null} paymentTypeId   — Loyverse payment_type_id fetched from /payment_types (Loyverse /payment_types에서 조회한 결제 유형 ID)
  * @param {string|null} loyverseStoreId — Loyverse internal store ID fetched from /stores (Loyverse /stores에서 조회한 내부 매장 ID)
  * @returns {object} Loyverse receipt request body (Loyverse 영수증 요청 바디)
  */
-function buildReceiptPayload(orderData, menuLookup, paymentTypeId, loyverseStoreId) {
+function buildReceiptPayload(orderData, catalog, paymentTypeId, loyverseStoreId) {
   const items      = orderData.items ?? [];
   const totalUnits = items.reduce((sum, i) => sum + (i.quantity ?? 1), 0);
   const totalAmount = parseFloat(orderData.total_amount ?? 0);
@@ -95,16 +118,20 @@ function buildReceiptPayload(orderData, menuLookup, paymentTypeId, loyverseStore
   const unitPrice = totalUnits > 0 ? totalAmount / totalUnits : 0;
 
   const lineItems = items.map((item) => {
-    // Case-insensitive name lookup in the catalog map (카탈로그 맵에서 대소문자 무시 이름 조회)
+    // variant_id lookup for cart orders, case-insensitive name lookup otherwise
+    // (장바구니 주문은 variant_id로, 그 외는 대소문자 무시 이름으로 조회)
     const key        = item.name?.toLowerCase()?.trim() ?? '';
-    const menuRecord = menuLookup?.get(key) ?? null;
+    const menuRecord = (item.variant_id && catalog?.byVariant.get(item.variant_id))
+      ?? catalog?.byName.get(key)
+      ?? null;
     return mapItemToLineItem(item, unitPrice, menuRecord);
   });
 
-  // Calculate total directly from mapped line_items — avoids undefined from orderData.total_amount
-  // (매핑된 line_items에서 직접 총액 계산 — orderData.total_amount의 undefined 방지)
+  // Calculate total directly from mapped line_items (modifiers included) — avoids undefined
+  // from orderData.total_amount
+  // (매핑된 line_items에서 수정자 포함 총액 직접 계산 — orderData.total_amount의 undefined 방지)
   const calculatedTotal = parseFloat(
-    lineItems.reduce((sum, item) => sum + (item.price * item.quantity), 0).toFixed(2)
+    lineItems.reduce((sum, item) => sum + item.total_money, 0).toFixed(2)
   );
 
   // Flat receipt object sent directly to POST /receipts — no wrapper array
@@ -174,21 +201,22 @@ export async function injectOrder(orderData, storeApiKey) {
 
   // Fetch menu_items for this store to resolve variant_id and item_id per line item
   // (라인 항목별 variant_id, item_id 조회를 위해 이 매장의 menu_items 조회)
-  let menuLookup = null;
+  let catalog = null;
   const { data: menuItems } = await supabase
     .from('menu_items')
     .select('variant_id, item_id, name, price')
     .eq('store_id', orderData.store_id);
 
   if (menuItems?.length) {
-    // Build a lowercase name → menu record map for O(1) lookup per line item
-    // (라인 항목당 O(1) 조회를 위한 소문자 이름 → 메뉴 레코드 맵 생성)
-    menuLookup = new Map(
-      menuItems.map((m) => [m.name.toLowerCase().trim(), m])
-    );
+    // variant_id and lowercase name → menu record maps for O(1) lookup per line item
+    // (라인 항목당 O(1) 조회를 위한 variant_id 및 소문자 이름 → 메뉴 레코드 맵 생성)
+    catalog = {
+      byVariant: new Map(menuItems.map((m) => [m.variant_id, m])),
+      byName:    new Map(menuItems.map((m) => [m.name.toLowerCase().trim(), m])),
+    };
     console.log(
-      `[PosService] Menu catalog loaded | store: ${orderData.store_id} | items: ${menuLookup.size} ` +
-      `(메뉴 카탈로그 로드 | 매장: ${orderData.store_id} | 항목 수: ${menuLookup.size})`
+      `[PosService] Menu catalog loaded | store: ${orderData.store_id} | items: ${catalog.byVariant.size} ` +
+      `(메뉴 카탈로그 로드 | 매장: ${orderData.store_id} | 항목 수: ${catalog.byVariant.size})`
     );
   } else {
     // No catalog rows — variant_id will be omitted; run /api/pos/sync/:storeId first
@@ -250,7 +278,7 @@ export async function injectOrder(orderData, storeApiKey) {
     );
   }
 
-  const payload = buildReceiptPayload(orderData, menuLookup, paymentTypeId, loyverseStoreId);
+  const payload = buildReceiptPayload(orderData, catalog, paymentTypeId, loyverseStoreId);
 
   console.log(
     `[PosService] Posting to Loyverse /receipts | items: ${payload.line_items.length} | ` +
@@ -294,20 +322,114 @@ export async function injectOrder(orderData, storeApiKey) {
 }
 
 /**
- * Synchronise the Loyverse item catalog into the local menu_items table and
- * write a formatted menu_cache string to the stores row for fast LLM access.
+ * Void a previously injected order in Loyverse by posting a REFUND receipt for it.
+ *
+ * Loyverse receipts are immutable, so a cancellation or amendment is recorded as a
+ * refund receipt that references the original via refund_for. The original receipt is
+ * fetched first so the refund mirrors its store, line items and payment exactly.
+ * An amended order is re-injected with injectOrder() once it is paid again.
+ *
+ * Like injectOrder, failures are logged and returned as null — never thrown.
+ *
+ * (Loyverse에 주입된 주문을 REFUND 영수증으로 무효화.
+ *  Loyverse 영수증은 수정 불가 — 취소·변경은 refund_for로 원본을 참조하는 환불 영수증으로 기록.
+ *  원본 영수증을 먼저 조회하여 매장, 라인 항목, 결제를 정확히 반영.
+ *  변경된 주문은 재결제 후 injectOrder()로 다시 주입.
+ *  injectOrder와 동일하게 실패 시 로깅 후 null 반환 — 절대 throw 안 함)
+ *
+ * @param {object} orderData   — full order row with pos_receipt_number (pos_receipt_number가 포함된 전체 주문 행)
+ * @param {string} storeApiKey — Loyverse Bearer token from stores.pos_api_key (stores.pos_api_key의 Bearer 토큰)
+ * @returns {Promise<object|null>} Loyverse refund receipt or null on failure (Loyverse 환불 영수증 또는 실패 시 null)
+ */
+export async function voidOrderReceipt(orderData, storeApiKey) {
+  const receiptNumber = orderData.pos_receipt_number;
+
+  if (!receiptNumber || !storeApiKey) {
+    // Nothing to void or no way to authenticate (무효화할 영수증 없음 또는 인증 불가)
+    console.warn(
+      `[PosService] voidOrderReceipt skipped | orderId: ${orderData.id} | ` +
+      `receipt: ${receiptNumber ?? 'none'} | apiKey: ${storeApiKey ? 'set' : 'missing'} ` +
+      `(영수증 무효화 건너뜀 | 주문: ${orderData.id})`
+    );
+    return null;
+  }
+
+  const headers = {
+    Authorization:  `Bearer ${storeApiKey.trim()}`, // Trimmed per-tenant token (공백 제거된 테넌트별 토큰)
+    'Content-Type': 'application/json',
+  };
+
+  try {
+    // Fetch the original sale so the refund mirrors it line-for-line (환불이 원본과 동일하도록 원본 판매 영수증 조회)
+    const { data: original } = await axios.get(`${RECEIPTS_ENDPOINT}/${encodeURIComponent(receiptNumber)}`, {
+      timeout: LOYVERSE_TIMEOUT_MS,
+      headers,
+    });
+
+    const refundPayload = {
+      store_id:     original.store_id,
+      receipt_type: 'REFUND',                        // Marks this receipt as a refund in Loyverse (Loyverse에서 환불로 표시)
+      refund_for:   receiptNumber,                   // Links the refund to the original sale (환불을 원본 판매에 연결)
+      order:        orderData.id.toString(),
+      source:       'AI_Voice_Assistant',
+      receipt_date: new Date().toISOString(),
+      line_items:   (original.line_items ?? []).map((li) => ({
+        variant_id: li.variant_id,
+        quantity:   li.quantity,
+        price:      li.price,
+        // Mirror modifier options so the refund matches the original amount (환불 금액이 원본과 일치하도록 수정자 옵션 반영)
+        ...(li.line_modifiers?.length && {
+          line_modifiers: li.line_modifiers.map((m) => ({ modifier_option_id: m.modifier_option_id, price: m.price })),
+        }),
+      })),
+      payments: (original.payments ?? []).map((p) => ({
+        payment_type_id: p.payment_type_id,
+        money_amount:    p.money_amount,
+      })),
+    };
+
+    const response = await axios.post(RECEIPTS_ENDPOINT, refundPayload, {
+      timeout: LOYVERSE_TIMEOUT_MS,
+      headers,
+    });
+
+    console.log(
+      `[PosService] voidOrderReceipt success | orderId: ${orderData.id} | original: ${receiptNumber} | ` +
+      `refund_receipt: ${response.data?.receipt_number ?? 'N/A'} ` +
+      `(영수증 무효화 성공 | 주문: ${orderData.id} | 원본: ${receiptNumber})`
+    );
+
+    return response.data;
+
+  } catch (err) {
+    const status = err.response?.status;
+    const detail = err.response?.data ?? err.message;
+    console.error(
+      `[PosService] voidOrderReceipt failed | orderId: ${orderData.id} | receipt: ${receiptNumber} | ` +
+      `HTTP: ${status ?? 'N/A'} | detail: ${JSON.stringify(detail)} ` +
+      `(영수증 무효화 실패 | 주문: ${orderData.id} | HTTP: ${status ?? 'N/A'})`
+    );
+    return null;
+  }
+}
+
+/**
+ * Synchronise the Loyverse item catalog into the local menu_items table (one row per
+ * variant, with its option label and modifier set ids), modifier sets into menu_modifiers,
+ * and write a formatted menu_cache string to the stores row for fast LLM access.
  *
  * Called manually via GET /api/pos/sync/:storeId or on a schedule.
- * Safe to call repeatedly — upserts on (store_id, variant_id) are idempotent.
+ * Safe to call repeatedly — upserts on (store_id, variant_id) are idempotent, and
+ * owner-set allergen and dietary tags are preserved.
  *
- * (Loyverse 항목 카탈로그를 로컬 menu_items 테이블에 동기화하고
- *  LLM 빠른 접근을 위해 stores 행에 형식화된 menu_cache 문자열 작성.
+ * (Loyverse 항목 카탈로그를 로컬 menu_items 테이블(변형당 한 행, 옵션 레이블·수정자 세트 ID 포함)에,
+ *  수정자 세트를 menu_modifiers에 동기화하고 LLM 빠른 접근을 위해 stores 행에 형식화된 menu_cache 문자열 작성.
  *  GET /api/pos/sync/:storeId 또는 스케줄러로 수동 호출.
- *  반복 호출 안전 — (store_id, variant_id) 업서트는 멱등성 보장)
+ *  반복 호출 안전 — (store_id, variant_id) 업서트는 멱등성 보장, 점주가 지정한 알레르겐·식이 태그 유지)
  *
  * @param {string} storeId     — store UUID from the stores table (stores 테이블의 매장 UUID)
  * @param {string} storeApiKey — Loyverse Bearer token from stores.pos_api_key (stores.pos_api_key의 Bearer 토큰)
- * @returns {Promise<{ success: boolean, synced?: number, itemCount?: number, error?: string }>}
+ * @returns {Promise<{ success: boolean, synced?: number, itemCount?: number, modifierCount?: number, error?: string }>}
  */
 export async function syncMenuFromLoyverse(storeId, storeApiKey) {
   console.log(
@@ -356,6 +478,29 @@ export async function syncMenuFromLoyverse(storeId, storeApiKey) {
     `(Loyverse 항목 조회 완료 | 매장: ${storeId} | 항목 수: ${loyverseItems.length})`
   );
 
+  // ── Step 1b: Fetch modifier sets ───────────────────────────────────────────
+  // GET /v1.0/modifiers — option groups ("Milk": Oat +$0.50, …) referenced by item.modifier_ids.
+  // Non-fatal: without them items still sync, they just cannot be customised by voice.
+  // (GET /v1.0/modifiers — item.modifier_ids가 참조하는 옵션 그룹.
+  //  치명적이지 않음: 없어도 항목은 동기화되며 음성으로 옵션 선택만 불가)
+  let loyverseModifiers = [];
+  try {
+    const response = await axios.get(`${MODIFIERS_ENDPOINT}?limit=250`, {
+      timeout: LOYVERSE_TIMEOUT_MS,
+      headers: {
+        Authorization:  `Bearer ${cleanApiKey}`, // Trimmed per-tenant token (공백 제거된 테넌트별 토큰)
+        'Content-Type': 'application/json',
+      },
+    });
+    loyverseModifiers = response.data?.modifiers ?? [];
+  } catch (err) {
+    console.error(
+      `[PosService] syncMenuFromLoyverse modifier fetch failed — continuing without modifiers | store: ${storeId} | ` +
+      `HTTP: ${err.response?.status ?? 'N/A'} | ${err.message} ` +
+      `(Loyverse 수정자 조회 실패 — 수정자 없이 계속 | 매장: ${storeId})`
+    );
+  }
+
   // ── Step 2: Flatten item → variants into upsertable rows ──────────────────
   // Each Loyverse item has one or more variants (size, style, etc.).
   // We store one row per variant so variant_id is available for receipt injection.
@@ -376,13 +521,21 @@ export async function syncMenuFromLoyverse(storeId, storeApiKey) {
         ? storeOverride
         : (variant.default_price || 0);
 
+      // Option values joined into one label, e.g. "Large / Iced" — null for single-variant items
+      // (옵션 값을 하나의 레이블로 결합, 예: "Large / Iced" — 단일 변형 항목은 null)
+      const variantName = [variant.option1_value, variant.option2_value, variant.option3_value]
+        .filter(Boolean)
+        .join(' / ') || null;
+
       rows.push({
-        store_id:   storeId,
-        item_id:    item.id,                    // Loyverse item UUID (Loyverse 항목 UUID)
-        variant_id: variant.variant_id,         // Loyverse variant UUID for receipt line items (영수증 라인 항목용 UUID)
-        name:       item.item_name,             // Display name used to match order items (주문 항목 매칭에 사용되는 표시명)
-        price:      parseFloat(finalPrice),     // Resolved price: store override → default_price → 0 (매장별 가격 → default_price → 0 순으로 결정된 단가)
-        category:   item.category_id ?? null,   // Optional category ID for filtering (선택적 카테고리 ID)
+        store_id:     storeId,
+        item_id:      item.id,                    // Loyverse item UUID (Loyverse 항목 UUID)
+        variant_id:   variant.variant_id,         // Loyverse variant UUID for receipt line items (영수증 라인 항목용 UUID)
+        name:         item.item_name,             // Display name used to match order items (주문 항목 매칭에 사용되는 표시명)
+        variant_name: variantName,                // Variant option label spoken to the caller (발신자에게 안내하는 변형 옵션 레이블)
+        price:        parseFloat(finalPrice),     // Resolved price: store override → default_price → 0 (매장별 가격 → default_price → 0 순으로 결정된 단가)
+        category:     item.category_id ?? null,   // Optional category ID for filtering (선택적 카테고리 ID)
+        modifier_ids: item.modifier_ids ?? [],    // Modifier sets that apply to this item (이 항목에 적용되는 수정자 세트)
       });
     }
   }
@@ -397,6 +550,40 @@ export async function syncMenuFromLoyverse(storeId, storeApiKey) {
     return { success: true, synced: 0, itemCount: loyverseItems.length };
   }
 
+  // ── Step 2b: Carry owner-set allergen and dietary tags ─────────────────────
+  // Tags are edited per item in our DB, not in Loyverse. A bulk upsert writes every column
+  // present on any row, so each row carries its item's current tags — otherwise they would be
+  // reset, and a newly added variant would start untagged. See services/menu/menuTags.js.
+  // (태그는 Loyverse가 아닌 자체 DB에서 항목별로 편집. 일괄 업서트는 어느 행에든 있는 모든 컬럼을
+  //  쓰므로 각 행에 항목의 현재 태그를 실음 — 그렇지 않으면 초기화되고 새 변형은 태그 없이 시작)
+  const { data: taggedRows, error: tagError } = await supabase
+    .from('menu_items')
+    .select('item_id, allergens, dietary_tags')
+    .eq('store_id', storeId);
+
+  if (tagError) {
+    // Fatal — upserting without the tags would wipe every owner edit (치명적 — 태그 없이 업서트하면 점주 수정이 모두 삭제됨)
+    console.error(
+      `[PosService] syncMenuFromLoyverse tag read failed | store: ${storeId} | ${tagError.message} ` +
+      `(태그 조회 실패 — 동기화 중단 | 매장: ${storeId})`
+    );
+    return { success: false, error: `Tag read failed: ${tagError.message}` };
+  }
+
+  const tagsByItem = new Map();
+  for (const r of taggedRows ?? []) {
+    // Prefer a reviewed variant — allergens is NULL until an owner has tagged the item
+    // (검토된 변형 우선 — allergens는 점주가 태그하기 전까지 NULL)
+    if (!tagsByItem.has(r.item_id) || r.allergens !== null) {
+      tagsByItem.set(r.item_id, { allergens: r.allergens, dietary_tags: r.dietary_tags });
+    }
+  }
+  for (const row of rows) {
+    const tags = tagsByItem.get(row.item_id);
+    row.allergens    = tags?.allergens ?? null;
+    row.dietary_tags = tags?.dietary_tags ?? [];
+  }
+
   // ── Step 3: Upsert into menu_items ─────────────────────────────────────────
   // onConflict targets variant_id — the unique constraint defined on the table.
   // Repeated syncs safely overwrite name, price, and category without inserting duplicates.
@@ -419,22 +606,68 @@ export async function syncMenuFromLoyverse(storeId, storeApiKey) {
     `(menu_items 업서트 완료 | 매장: ${storeId} | 행 수: ${rows.length})`
   );
 
+  // ── Step 3b: Upsert modifier sets into menu_modifiers ─────────────────────
+  // One row per modifier set with its options as jsonb; onConflict modifier_id.
+  // (수정자 세트당 한 행, 옵션은 jsonb로 저장 — onConflict modifier_id)
+  const modifierRows = loyverseModifiers.map((m) => ({
+    store_id:    storeId,
+    modifier_id: m.id,
+    name:        m.name,
+    options:     (m.modifier_options ?? []).map((o) => ({
+      id:    o.id,
+      name:  o.name,
+      price: parseFloat(o.price ?? 0),
+    })),
+  }));
+
+  if (modifierRows.length > 0) {
+    const { error: modifierError } = await supabase
+      .from('menu_modifiers')
+      .upsert(modifierRows, { onConflict: 'modifier_id' });
+
+    if (modifierError) {
+      // Non-fatal — items are synced; modifiers catch up on the next run
+      // (치명적이지 않음 — 항목은 동기화됨, 수정자는 다음 실행 시 반영)
+      console.error(
+        `[PosService] syncMenuFromLoyverse modifier upsert failed | store: ${storeId} | ${modifierError.message} ` +
+        `(menu_modifiers 업서트 실패 — 치명적이지 않음 | 매장: ${storeId})`
+      );
+    }
+  }
+
   // ── Step 4: Build and cache the LLM menu_cache string ─────────────────────
   // A deduplicated, human-readable menu list written to stores.menu_cache so the
   // WebSocket server can embed it in the Gemini system prompt without a DB round-trip.
   // Deduplication prevents duplicate lines when an item has multiple variants.
+  // Items with several variants list each variant's price; modifier sets follow as options.
   // (중복 제거된 사람이 읽을 수 있는 메뉴 목록을 stores.menu_cache에 작성.
   //  WebSocket 서버가 DB 왕복 없이 Gemini 시스템 프롬프트에 포함 가능.
-  //  항목에 여러 변형이 있는 경우 중복 줄 방지)
-  const priceByName = {};
+  //  항목에 여러 변형이 있는 경우 중복 줄 방지 — 변형별 가격을 나열하고 수정자 세트는 옵션으로 추가)
+  const modifierById = new Map(modifierRows.map((m) => [m.modifier_id, m]));
+  const rowsByName   = new Map();
   for (const r of rows) {
-    // Use the lowest variant price as the representative display price (표시 가격으로 최저 변형 가격 사용)
-    if (priceByName[r.name] == null || r.price < priceByName[r.name]) {
-      priceByName[r.name] = r.price;
-    }
+    if (!rowsByName.has(r.name)) rowsByName.set(r.name, []);
+    rowsByName.get(r.name).push(r);
   }
-  const menuCache = Object.entries(priceByName)
-    .map(([name, price]) => `${name} - $${price.toFixed(2)}`)  // Dollar sign for US market; toFixed(2) ensures consistent decimal format (미국 시장용 달러 기호 — toFixed(2)로 소수점 형식 통일)
+
+  // Dollar sign for US market; toFixed(2) ensures consistent decimal format (미국 시장용 달러 기호 — toFixed(2)로 소수점 형식 통일)
+  const money = (amount) => `$${amount.toFixed(2)}`;
+
+  const menuCache = [...rowsByName.entries()]
+    .map(([name, variants]) => {
+      const priced = variants.length > 1 && variants.every((v) => v.variant_name)
+        ? variants.map((v) => `${v.variant_name} ${money(v.price)}`).join(', ')
+        : money(Math.min(...variants.map((v) => v.price))); // Lowest variant price as the display price (표시 가격으로 최저 변형 가격 사용)
+
+      const optionGroups = (variants[0].modifier_ids ?? [])
+        .map((id) => modifierById.get(id))
+        .filter(Boolean)
+        .map((m) => `${m.name}: ${m.options.map((o) => (o.price ? `${o.name} +${money(o.price)}` : o.name)).join(', ')}`);
+
+      return optionGroups.length > 0
+        ? `${name} - ${priced} (options — ${optionGroups.join('; ')})`
+        : `${name} - ${priced}`;
+    })
     .join('\n');
 
   const { error: cacheError } = await supabase
@@ -452,12 +685,12 @@ export async function syncMenuFromLoyverse(storeId, storeApiKey) {
   } else {
     console.log(
       `[PosService] syncMenuFromLoyverse menu_cache updated | store: ${storeId} | ` +
-      `${Object.keys(priceByName).length} unique items ` +
-      `(menu_cache 업데이트 완료 | 매장: ${storeId} | 고유 항목: ${Object.keys(priceByName).length}개)`
+      `${rowsByName.size} unique items | modifier sets: ${modifierRows.length} ` +
+      `(menu_cache 업데이트 완료 | 매장: ${storeId} | 고유 항목: ${rowsByName.size}개 | 수정자 세트: ${modifierRows.length}개)`
     );
   }
 
-  return { success: true, synced: rows.length, itemCount: loyverseItems.length };
+  return { success: true, synced: rows.length, itemCount: loyverseItems.length, modifierCount: modifierRows.length };
 }
 
 /**
@@ -0,0 +1,343 @@
+// Reservation availability — slot checks, nearest alternatives and locked booking writes
+// (예약 가용성 — 시간대 확인, 가장 가까운 대안, 잠금 하의 예약 기록)
+//
+// Backs the check_availability voice tool and every reservation write (make_reservation and
+// cancel_or_modify reschedules). A slot is bookable when it is in the future, inside the
+// store's reservation hours, the party is within max_party_size, and either a table or enough
+// seats are free for the whole turn (see storePolicy.getReservationPolicy):
+//   tables defined    → the smallest free table that fits the party is assigned
+//   capacity defined  → seats held by overlapping bookings + party ≤ capacity
+//   neither           → only hours and party size are enforced
+// Bookings are stored with only a start time; every booking holds its table for turn_minutes,
+// so two bookings overlap when their starts are less than one turn apart.
+// Writes run inside withBookingLock so the availability read and the write cannot interleave
+// with another call's. Never throws — refusals come back as voiceable payloads.
+// (check_availability 음성 도구와 모든 예약 쓰기(make_reservation, cancel_or_modify 일정 변경) 지원.
+//  미래 시각, 예약 가능 시간 내, 최대 인원 이내, 전체 이용 시간 동안 테이블 또는 좌석 여유가 있으면 예약 가능.
+//  예약은 시작 시간만 저장 — 모든 예약은 turn_minutes 동안 테이블을 점유하므로 시작 시각 차이가
+//  이용 시간 미만이면 겹침. 쓰기는 withBookingLock 안에서 실행되어 다른 통화와 섞이지 않음.
+//  절대 throw 하지 않음 — 거절은 음성 안내용 페이로드로 반환)
+
+import { supabase } from '../../config/supabase.js';
+import { getReservationPolicy } from '../store/storePolicy.js';
+import { checkReservationTime, getReservationSpans } from '../store/businessHours.js';
+import { DEFAULT_TIMEZONE, addDays, minutesUntil } from '../store/storeClock.js';
+import { withBookingLock } from './bookingLock.js';
+
+// Reservation statuses that still hold a table (아직 테이블을 점유하는 예약 상태)
+export const ACTIVE_RESERVATION_STATUSES = ['pending', 'confirmed'];
+
+// Alternatives offered when the requested slot is taken (요청 시간대가 불가할 때 제시하는 대안 수)
+const MAX_ALTERNATIVES = 3;
+
+// Days searched after the requested date when it has no free slot (요청 날짜에 빈 시간이 없을 때 탐색하는 일수)
+const ALTERNATIVE_SEARCH_DAYS = 7;
+
+// Without structured hours, alternatives are searched this many slots either side of the request
+// (구조화된 영업시간이 없으면 요청 시각 전후로 이 슬롯 수만큼 대안 탐색)
+const UNSTRUCTURED_SEARCH_SLOTS = 6;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const toMinutes = (timeStr) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(timeStr ?? '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Active bookings on a date, as { id, start, partySize, tableId }.
+ * (날짜의 유효한 예약 목록)
+ *
+ * @returns {Promise<{ bookings?: Array<object>, error?: object }>}
+ */
+async function loadBookings(storeId, date, excludeId, signal) {
+  let query = supabase
+    .from('reservations')
+    .select('id, reservation_time, party_size, table_id')
+    .eq('store_id', storeId)
+    .eq('reservation_date', date)
+    .in('status', ACTIVE_RESERVATION_STATUSES);
+
+  if (excludeId) query = query.neq('id', excludeId);
+  if (signal)    query = query.abortSignal(signal);
+
+  const { data, error } = await query;
+  if (error) return { error };
+
+  return {
+    bookings: (data ?? []).map((r) => ({
+      id:        r.id,
+      start:     toMinutes(r.reservation_time),
+      partySize: Number(r.party_size ?? 0),
+      tableId:   r.table_id ?? null,
+    })),
+  };
+}
+
+/**
+ * Whether a party fits at a start time given the day's bookings, and which table it gets.
+ * (해당 날짜 예약을 기준으로 시작 시각에 인원이 들어갈 수 있는지와 배정 테이블)
+ *
+ * @returns {{ fits: boolean, tableId: string|null }}
+ */
+function fitParty(policy, bookings, start, partySize) {
+  const overlapping = bookings.filter((b) => b.start != null && Math.abs(b.start - start) < policy.turnMinutes);
+
+  if (policy.tables.length > 0) {
+    const busy  = new Set(overlapping.map((b) => b.tableId).filter(Boolean));
+    const table = policy.tables
+      .filter((t) => !busy.has(t.id) && t.seats >= partySize && t.minSeats <= partySize)
+      .sort((a, b) => a.seats - b.seats)[0];
+    return { fits: Boolean(table), tableId: table?.id ?? null };
+  }
+
+  if (policy.capacity != null) {
+    const held = overlapping.reduce((sum, b) => sum + b.partySize, 0);
+    return { fits: held + partySize <= policy.capacity, tableId: null };
+  }
+
+  return { fits: true, tableId: null };
+}
+
+/**
+ * Evaluate one date + time against time, hours and seating rules.
+ * (날짜 + 시간 하나를 시간·영업시간·좌석 규칙으로 평가)
+ *
+ * @returns {{ ok: boolean, reason?: 'past'|'outside_hours'|'full', tableId?: string|null }}
+ */
+function evaluateSlot(storeData, policy, bookings, date, start, partySize, now) {
+  const time     = fromMinutes(start);
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+
+  if ((minutesUntil(date, time, timezone, now) ?? -1) <= 0) return { ok: false, reason: 'past' };
+  if (checkReservationTime(storeData, date, time).result)   return { ok: false, reason: 'outside_hours' };
+
+  const { fits, tableId } = fitParty(policy, bookings, start, partySize);
+  return fits ? { ok: true, tableId } : { ok: false, reason: 'full' };
+}
+
+/**
+ * Candidate start times for a date, nearest to `target` first.
+ * (날짜의 후보 시작 시각 — target에 가까운 순)
+ */
+function candidateStarts(storeData, policy, date, target) {
+  const spans = getReservationSpans(storeData, date);
+  const starts = [];
+
+  if (spans) {
+    for (const { open, close } of spans) {
+      const from = toMinutes(open);
+      const to   = close > open ? toMinutes(close) : MINUTES_PER_DAY; // Overnight spans are offered up to midnight (자정 넘김 구간은 자정까지만 제시)
+      for (let t = from; t < to; t += policy.slotMinutes) starts.push(t);
+    }
+  } else {
+    for (let k = -UNSTRUCTURED_SEARCH_SLOTS; k <= UNSTRUCTURED_SEARCH_SLOTS; k++) {
+      const t = target + k * policy.slotMinutes;
+      if (t >= 0 && t < MINUTES_PER_DAY) starts.push(t);
+    }
+  }
+
+  return starts.sort((a, b) => Math.abs(a - target) - Math.abs(b - target) || a - b);
+}
+
+/**
+ * Nearest free slots — on the requested date first, then on the following days.
+ * (가장 가까운 빈 시간대 — 요청 날짜 우선, 그다음 이후 날짜)
+ *
+ * @returns {Promise<Array<{ date: string, time: string }>>}
+ */
+async function findAlternatives(storeData, policy, date, target, partySize, sameDayBookings, excludeId, now) {
+  for (let offset = 0; offset <= ALTERNATIVE_SEARCH_DAYS; offset++) {
+    const { dateStr } = addDays(date, offset);
+
+    let bookings = sameDayBookings;
+    if (offset > 0) {
+      const loaded = await loadBookings(storeData.id, dateStr, excludeId);
+      if (loaded.error) return [];
+      bookings = loaded.bookings;
+    }
+
+    const found = candidateStarts(storeData, policy, dateStr, target)
+      .filter((start) => start !== target || offset > 0)
+      .filter((start) => evaluateSlot(storeData, policy, bookings, dateStr, start, partySize, now).ok)
+      .slice(0, MAX_ALTERNATIVES)
+      .sort((a, b) => a - b)
+      .map((start) => ({ date: dateStr, time: fromMinutes(start) }));
+
+    if (found.length > 0) return found;
+  }
+  return [];
+}
+
+/**
+ * Validate the request shape shared by the check and the write.
+ * (확인과 쓰기가 공유하는 요청 형태 검증)
+ *
+ * @returns {{ start?: number, partySize?: number, result?: object }}
+ */
+function parseRequest(policy, { date, time, partySize }) {
+  const start = toMinutes(time);
+  const size  = Number(partySize);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? '') || start == null || !Number.isInteger(size) || size < 1) {
+    return { result: { status: 'needs_details', message: 'Confirm the date, time and number of guests with the caller.' } };
+  }
+
+  if (size > policy.maxPartySize) {
+    return {
+      result: {
+        status:         'party_too_large',
+        max_party_size: policy.maxPartySize,
+        message:        `Parties larger than ${policy.maxPartySize} cannot be booked by phone. ` +
+                        'Apologise and offer to transfer the caller to a staff member.',
+      },
+    };
+  }
+
+  return { start, partySize: size };
+}
+
+/**
+ * Voiceable refusal for a slot that cannot be booked, with the nearest alternatives.
+ * (예약할 수 없는 시간대에 대한 음성 안내용 거절 — 가장 가까운 대안 포함)
+ */
+async function unavailableResult(storeData, policy, request, evaluation, bookings, excludeId, now) {
+  const alternatives = await findAlternatives(
+    storeData, policy, request.date, request.start, request.partySize, bookings, excludeId, now,
+  );
+
+  const why = {
+    past:          'That time has already passed.',
+    outside_hours: 'That time is outside reservation hours.',
+    full:          'There is no table available for that party at that time.',
+  }[evaluation.reason];
+
+  return {
+    status:       'unavailable',
+    reason:       evaluation.reason,
+    alternatives,
+    message:      alternatives.length > 0
+      ? `${why} Offer the caller the nearest available times listed in alternatives.`
+      : `${why} There is nothing available in the coming week. Apologise and offer to transfer the caller to a staff member.`,
+  };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * check_availability — is the requested slot free, and if not, what is nearest.
+ * (check_availability — 요청 시간대 가능 여부, 불가 시 가장 가까운 대안)
+ *
+ * Result shapes (결과 형태):
+ *   { status: 'available', date, time, party_size, message }
+ *   { status: 'unavailable', reason, alternatives: [{ date, time }], message }
+ *   { status: 'party_too_large' | 'needs_details' | 'error', message }
+ *
+ * @param {object} opts
+ * @param {object} opts.storeData
+ * @param {{ date: string, time: string, party_size: number }} opts.args
+ * @param {Date}   [opts.now]
+ * @returns {Promise<object>}
+ */
+export async function checkAvailability({ storeData, args, now = new Date() }) {
+  const policy  = getReservationPolicy(storeData);
+  const request = { date: args.date, time: args.time, partySize: args.party_size };
+  const parsed  = parseRequest(policy, request);
+  if (parsed.result) return parsed.result;
+
+  const { bookings, error } = await loadBookings(storeData.id, request.date, null);
+  if (error) {
+    console.error(
+      `[Availability] reservation lookup failed | store: ${storeData.id} | ${error.message} ` +
+      `(예약 조회 실패 | 매장: ${storeData.id})`
+    );
+    return { status: 'error', message: 'Availability could not be checked just now. Apologise and try again.' };
+  }
+
+  const evaluation = evaluateSlot(storeData, policy, bookings, request.date, parsed.start, parsed.partySize, now);
+  if (evaluation.ok) {
+    return {
+      status:     'available',
+      date:       request.date,
+      time:       fromMinutes(parsed.start),
+      party_size: parsed.partySize,
+      message:    'This time is available. Confirm the details with the caller, then call make_reservation.',
+    };
+  }
+
+  return unavailableResult(storeData, policy, { ...request, ...parsed }, evaluation, bookings, null, now);
+}
+
+/**
+ * Re-check a slot and write the booking while holding the store/date booking lock.
+ * `write(tableId, signal)` performs the insert or update and returns the PostgREST result; it must
+ * pass `signal` to the query (.abortSignal(signal)) so a write that overruns the lock is cancelled.
+ * (예약 잠금을 보유한 상태에서 시간대를 재확인하고 예약 기록.
+ *  write(tableId, signal)가 삽입 또는 갱신을 수행하고 PostgREST 결과를 반환 — 잠금 시간을 넘긴
+ *  쓰기가 취소되도록 쿼리에 signal을 전달해야 함(.abortSignal(signal)))
+ *
+ * @param {object}   opts
+ * @param {object}   opts.storeData
+ * @param {string}   opts.date
+ * @param {string}   opts.time
+ * @param {number}   opts.partySize
+ * @param {string}   [opts.excludeId] — reservation being moved; its own slot does not count (이동 중인 예약 — 자기 자리는 제외)
+ * @param {(tableId: string|null, signal: AbortSignal) => PromiseLike<{ data?: object, error?: object }>} opts.write
+ * @param {Date}     [opts.now]
+ * @returns {Promise<{ data?: object, tableId?: string|null, result?: object }>} data on success, otherwise a ready-to-return result
+ */
+export async function reserveSlot({ storeData, date, time, partySize, excludeId = null, write, now = new Date() }) {
+  const policy = getReservationPolicy(storeData);
+  const parsed = parseRequest(policy, { date, time, partySize });
+  if (parsed.result) return { result: parsed.result };
+
+  const failed = (label, err) => {
+    console.error(
+      `[Availability] ${label} | store: ${storeData.id} | ${date} ${time} | ${err.message} ` +
+      `(예약 기록 실패 | 매장: ${storeData.id})`
+    );
+    return {
+      result: {
+        status:  'error',
+        message: 'The booking could not be completed just now. Apologise and offer to try again or transfer the caller to a staff member.',
+      },
+    };
+  };
+
+  // The work is cut off inside the lock's TTL — a timed-out booking is refused, never written late
+  // (작업은 잠금 TTL 안에서 중단 — 시간 초과된 예약은 늦게 기록되지 않고 거절)
+  let lock;
+  try {
+    lock = await withBookingLock(storeData.id, date, async ({ signal }) => {
+      const { bookings, error } = await loadBookings(storeData.id, date, excludeId, signal);
+      if (error) return failed('reservation lookup failed', error);
+
+      const evaluation = evaluateSlot(storeData, policy, bookings, date, parsed.start, parsed.partySize, now);
+      if (!evaluation.ok) {
+        return { result: await unavailableResult(storeData, policy, { date, ...parsed }, evaluation, bookings, excludeId, now) };
+      }
+
+      if (signal.aborted) return failed('booking write skipped', new Error('lock work timed out'));
+      const { data, error: writeError } = await write(evaluation.tableId, signal);
+      if (writeError) return failed('booking write failed', writeError);
+
+      console.log(
+        `[Availability] booked | store: ${storeData.id} | ${date} ${fromMinutes(parsed.start)} | ` +
+        `party: ${parsed.partySize} | table: ${evaluation.tableId ?? '-'} ` +
+        `(예약 완료 | 매장: ${storeData.id} | 인원: ${parsed.partySize} | 테이블: ${evaluation.tableId ?? '-'})`
+      );
+      return { data, tableId: evaluation.tableId };
+    });
+  } catch (err) {
+    return failed(err.code === 'BOOKING_LOCK_TIMEOUT' ? 'booking timed out under the lock' : 'booking failed', err);
+  }
+
+  return lock.locked
+    ? lock.value
+    : failed('booking lock unavailable', new Error('lock not acquired'));
+}
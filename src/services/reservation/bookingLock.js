@@ -0,0 +1,130 @@
+// Booking lock — serialises reservation writes per store and date across server instances
+// (예약 잠금 — 서버 인스턴스 간 매장·날짜별 예약 쓰기 직렬화)
+//
+// Availability is read from the reservations table and a booking is then inserted. Two calls
+// doing that at once could both see the same free table, so the read-check-insert runs while
+// holding a short Redis lock keyed by store and date (SET NX PX with a random token; release
+// only deletes the key when the token still matches).
+// The shared redisClient is created with maxRetriesPerRequest: null, so every command here is
+// bounded by a timeout. If the lock cannot be taken the booking is refused rather than made
+// unchecked — a double-booked table is worse than asking the caller to hold on.
+// The work done under the lock is bounded too, well inside the lock's TTL: past WORK_TIMEOUT_MS
+// its signal aborts the in-flight queries and the booking fails, so it can never still be
+// writing once the key has expired and another call holds the lock.
+// (가용성은 reservations 테이블에서 읽은 후 예약을 삽입. 두 통화가 동시에 수행하면 같은 빈
+//  테이블을 볼 수 있으므로 읽기-확인-삽입은 매장·날짜별 짧은 Redis 잠금을 보유한 상태에서 실행.
+//  공유 redisClient는 maxRetriesPerRequest: null이므로 모든 명령은 타임아웃으로 제한.
+//  잠금을 얻지 못하면 확인 없이 예약하지 않고 거절 — 중복 예약이 대기 요청보다 나쁨.
+//  잠금 하의 작업도 잠금 TTL보다 충분히 짧게 제한 — WORK_TIMEOUT_MS를 넘으면 신호가 진행 중인 쿼리를
+//  중단하고 예약은 실패하므로, 키가 만료되어 다른 통화가 잠금을 잡은 뒤에 쓰기가 계속되는 일이 없음)
+
+import { randomUUID } from 'node:crypto';
+import { redisClient } from '../../config/redis.js';
+
+// Lock lifetime — comfortably longer than one availability read plus one insert
+// (잠금 수명 — 가용성 조회 1회와 삽입 1회보다 충분히 길게)
+const LOCK_TTL_MS = 5_000;
+
+// Time the locked work may take — leaves the rest of the TTL as margin for the abort to land
+// (잠금 하 작업 허용 시간 — 나머지 TTL은 중단이 반영될 여유)
+const WORK_TIMEOUT_MS = 3_000;
+
+// How long to keep retrying a held lock before giving up (보유 중인 잠금 재시도 최대 시간)
+const ACQUIRE_TIMEOUT_MS = 2_000;
+const RETRY_DELAY_MS     = 100;
+
+// Upper bound on any single Redis command (단일 Redis 명령의 상한)
+const COMMAND_TIMEOUT_MS = 500;
+
+// Delete the key only if it still holds our token (토큰이 일치할 때만 키 삭제)
+const RELEASE_SCRIPT =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+const lockKey = (storeId, date) => `reservation-lock:${storeId}:${date}`;
+const sleep   = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Race a Redis command against COMMAND_TIMEOUT_MS. Resolves null on timeout.
+ * (Redis 명령을 COMMAND_TIMEOUT_MS와 경쟁 — 타임아웃 시 null)
+ */
+async function bounded(commandPromise) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), COMMAND_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([commandPromise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run `fn` while holding the booking lock for a store and date.
+ * Resolves `{ locked: false }` when the lock could not be taken, otherwise `{ locked: true, value }`.
+ * `fn` gets a signal that aborts after WORK_TIMEOUT_MS — pass it to every query it makes. If `fn`
+ * has not settled by then, withBookingLock rejects with code 'BOOKING_LOCK_TIMEOUT'.
+ * Errors thrown by `fn` propagate after the lock is released.
+ * (매장·날짜 예약 잠금을 보유한 상태에서 fn 실행.
+ *  잠금을 얻지 못하면 { locked: false }, 성공 시 { locked: true, value }.
+ *  fn은 WORK_TIMEOUT_MS 후 중단되는 신호를 받으며 모든 쿼리에 전달해야 함 — 그때까지 끝나지 않으면
+ *  'BOOKING_LOCK_TIMEOUT' 코드로 거부. fn 오류는 잠금 해제 후 전파)
+ *
+ * @template T
+ * @param {string}                                    storeId
+ * @param {string}                                    date — 'YYYY-MM-DD'
+ * @param {(opts: { signal: AbortSignal }) => Promise<T>} fn
+ * @returns {Promise<{ locked: false } | { locked: true, value: T }>}
+ */
+export async function withBookingLock(storeId, date, fn) {
+  const key      = lockKey(storeId, date);
+  const token    = randomUUID();
+  const deadline = Date.now() + ACQUIRE_TIMEOUT_MS;
+
+  let acquired = false;
+  while (!acquired && Date.now() < deadline) {
+    try {
+      acquired = (await bounded(redisClient.set(key, token, 'PX', LOCK_TTL_MS, 'NX'))) === 'OK';
+    } catch (err) {
+      console.error(
+        `[BookingLock] acquire failed | key: ${key} | ${err.message} ` +
+        `(예약 잠금 획득 실패 | 키: ${key})`
+      );
+      return { locked: false };
+    }
+    if (!acquired) await sleep(RETRY_DELAY_MS);
+  }
+
+  if (!acquired) {
+    console.warn(
+      `[BookingLock] lock busy or Redis unavailable | key: ${key} ` +
+      `(예약 잠금 사용 중 또는 Redis 사용 불가 | 키: ${key})`
+    );
+    return { locked: false };
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(
+        new Error(`booking work exceeded ${WORK_TIMEOUT_MS}ms under ${key} (잠금 하 예약 작업 시간 초과)`),
+        { code: 'BOOKING_LOCK_TIMEOUT' },
+      ));
+    }, WORK_TIMEOUT_MS);
+  });
+
+  try {
+    return { locked: true, value: await Promise.race([fn({ signal: controller.signal }), timeout]) };
+  } finally {
+    clearTimeout(timer);
+    // Fire-and-forget — the TTL frees the key even if this never lands (발사 후 망각 — 실패해도 TTL로 해제)
+    redisClient.eval(RELEASE_SCRIPT, 1, key, token).catch((err) => {
+      console.error(
+        `[BookingLock] release failed | key: ${key} | ${err.message} ` +
+        `(예약 잠금 해제 실패 | 키: ${key})`
+      );
+    });
+  }
+}
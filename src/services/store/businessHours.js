@@ -0,0 +1,267 @@
+// Business hours — open/closed state, next opening and slot checks per store
+// (영업시간 — 매장별 영업 여부, 다음 영업 시작, 시간대 확인)
+//
+// Evaluates stores.hours_policy (see storePolicy.getHoursPolicy) in the store's timezone.
+// A date's spans come from, in order: a holiday (closed), a special_hours override, or the
+// weekly schedule. Spans whose close is at or before their open run past midnight, exactly as
+// in storeClock.isWithinSchedule. Stores without a weekly schedule are treated as always open
+// so existing tenants keep working until they configure hours.
+// Check helpers return { result } with a ready-to-return voiceable payload when the request is
+// refused, mirroring the lookup helpers in orderChanges.
+// (stores.hours_policy를 매장 시간대 기준으로 평가. 날짜의 영업 구간 우선순위: 휴일(휴무) →
+//  special_hours 재정의 → 주간 일정. 마감이 시작 이하인 구간은 isWithinSchedule과 동일하게 자정을 넘김.
+//  주간 일정이 없는 매장은 항상 영업 중으로 처리 — 기존 테넌트는 설정 전까지 그대로 동작.
+//  확인 헬퍼는 거절 시 바로 반환 가능한 음성 안내용 페이로드를 { result }로 반환)
+
+import { getHoursPolicy } from './storePolicy.js';
+import { DEFAULT_TIMEZONE, WEEKDAY_KEYS, addDays, getZonedParts, zonedTimeToUtc } from './storeClock.js';
+
+// How many days ahead to search for the next opening (다음 영업 시작을 찾는 최대 일수)
+const NEXT_OPENING_HORIZON_DAYS = 14;
+
+// Weekday labels for spoken and prompt text (음성·프롬프트용 요일 레이블)
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Spans for one calendar date — holiday, then special hours, then the weekly schedule.
+ * (달력 날짜 하나의 영업 구간 — 휴일, 특별 영업시간, 주간 일정 순)
+ *
+ * @returns {Array<{ open: string, close: string }>}
+ */
+function spansForDate(policy, schedule, dateStr, weekday) {
+  if (dateStr in policy.holidays) return [];
+  if (policy.specialHours[dateStr]) return policy.specialHours[dateStr];
+  return schedule?.[WEEKDAY_KEYS[weekday]] ?? [];
+}
+
+/**
+ * The span containing a store-local date + time, or null when closed.
+ * Checks today's spans and yesterday's overnight spill.
+ * (매장 현지 날짜 + 시간을 포함하는 구간 — 닫혀 있으면 null. 오늘 구간과 어제의 자정 넘김 구간 확인)
+ */
+function findOpenSpan(policy, schedule, dateStr, weekday, timeStr) {
+  const today     = spansForDate(policy, schedule, dateStr, weekday);
+  const prev      = addDays(dateStr, -1);
+  const yesterday = spansForDate(policy, schedule, prev.dateStr, prev.weekday);
+
+  return today.find(({ open, close }) => (close > open ? timeStr >= open && timeStr < close : timeStr >= open))
+    ?? yesterday.find(({ open, close }) => close <= open && timeStr < close)
+    ?? null;
+}
+
+/**
+ * First span opening after `now`, searched day by day in store-local time.
+ * (now 이후 처음 시작하는 영업 구간 — 매장 현지 시간 기준 일 단위 탐색)
+ *
+ * @returns {{ date: string, weekday: string, open: string, close: string, at: Date }|null}
+ */
+function findNextOpening(policy, timezone, now) {
+  const { dateStr: today } = getZonedParts(now, timezone);
+
+  for (let offset = 0; offset <= NEXT_OPENING_HORIZON_DAYS; offset++) {
+    const { dateStr, weekday } = addDays(today, offset);
+    const spans = [...spansForDate(policy, policy.weekly, dateStr, weekday)].sort((a, b) => a.open.localeCompare(b.open));
+
+    for (const span of spans) {
+      const at = zonedTimeToUtc(dateStr, span.open, timezone);
+      if (at && at > now) {
+        return { date: dateStr, weekday: WEEKDAY_LABELS[weekday], open: span.open, close: span.close, at };
+      }
+    }
+  }
+  return null;
+}
+
+const describeSpans = (spans) =>
+  spans.length > 0 ? spans.map((s) => `${s.open}–${s.close}`).join(', ') : 'closed';
+
+const describeOpening = (next) => `${next.weekday} ${next.date} at ${next.open}`;
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Current open/closed state of a store.
+ * (매장의 현재 영업 상태)
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @param {Date}   [now]
+ * @returns {{ configured: boolean, open: boolean, closesAt: string|null, holidayName: string|null,
+ *             nextOpen: { date: string, weekday: string, open: string, close: string, at: Date }|null }}
+ */
+export function getStoreStatus(storeData, now = new Date()) {
+  const policy = getHoursPolicy(storeData);
+  if (!policy.configured) {
+    return { configured: false, open: true, closesAt: null, holidayName: null, nextOpen: null };
+  }
+
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+  const { dateStr, weekday, timeStr } = getZonedParts(now, timezone);
+  const span = findOpenSpan(policy, policy.weekly, dateStr, weekday, timeStr);
+
+  return {
+    configured:  true,
+    open:        Boolean(span),
+    closesAt:    span?.close ?? null,
+    holidayName: dateStr in policy.holidays ? (policy.holidays[dateStr] ?? 'a holiday') : null,
+    nextOpen:    span ? null : findNextOpening(policy, timezone, now),
+  };
+}
+
+/**
+ * Prompt block describing the store's hours and, when closed, the after-hours rules.
+ * Returns null for stores without structured hours.
+ * (매장 영업시간과 휴무 시 응대 규칙을 설명하는 프롬프트 블록 — 구조화된 영업시간이 없으면 null)
+ *
+ * @param {object} storeData
+ * @param {Date}   [now]
+ * @returns {string|null}
+ */
+export function buildHoursPromptBlock(storeData, now = new Date()) {
+  const policy = getHoursPolicy(storeData);
+  if (!policy.configured) return null;
+
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+  const status   = getStoreStatus(storeData, now);
+  const { dateStr: today } = getZonedParts(now, timezone);
+
+  // The coming week with overrides applied, so the model can answer "are you open Sunday?"
+  // (재정의가 적용된 다가오는 일주일 — "일요일에 영업하나요?"에 답할 수 있도록)
+  const week = Array.from({ length: 7 }, (_, offset) => {
+    const { dateStr, weekday } = addDays(today, offset);
+    const holiday = dateStr in policy.holidays ? ` (${policy.holidays[dateStr] ?? 'holiday'})` : '';
+    return `${WEEKDAY_LABELS[weekday]} ${dateStr}: ${describeSpans(spansForDate(policy, policy.weekly, dateStr, weekday))}${holiday}`;
+  }).join('; ');
+
+  if (status.open) {
+    return `STORE HOURS: The store is OPEN now and closes at ${status.closesAt}. ` +
+      `Hours for the coming week — ${week}. Reservations are only taken for times within these hours.`;
+  }
+
+  const reason = status.holidayName ? ` for ${status.holidayName}` : '';
+  const next   = status.nextOpen ? `It next opens ${describeOpening(status.nextOpen)}.` : 'No upcoming opening is scheduled.';
+  return `AFTER HOURS: The store is CLOSED right now${reason}. ${next} ` +
+    `Hours for the coming week — ${week}. Do not take orders for right now. Offer the caller a scheduled ` +
+    `pickup at or after the next opening and pass pickup_date and pickup_time to place_order. ` +
+    `Reservations are still taken, but only for times within service hours.`;
+}
+
+/**
+ * Validate when an order may be placed. Without a pickup time the store must be open now;
+ * with one, the time must fall within opening hours and the scheduling window.
+ * (주문 가능 시점 검증. 픽업 시간이 없으면 지금 영업 중이어야 하며, 있으면 영업시간과
+ *  예약 가능 기간 내여야 함)
+ *
+ * @param {object} storeData
+ * @param {{ date?: string, time?: string }} pickup — store-local 'YYYY-MM-DD' / 'HH:MM' (매장 현지 날짜/시간)
+ * @param {Date}   [now]
+ * @returns {{ scheduledFor?: Date|null, result?: object }} scheduledFor on success, otherwise a ready-to-return result
+ */
+export function checkOrderTime(storeData, { date, time } = {}, now = new Date()) {
+  const policy   = getHoursPolicy(storeData);
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+
+  if (!date && !time) {
+    const status = getStoreStatus(storeData, now);
+    if (status.open) return { scheduledFor: null };
+    return {
+      result: {
+        status:    'store_closed',
+        next_open: status.nextOpen ? describeOpening(status.nextOpen) : null,
+        message:   status.nextOpen
+          ? `The store is closed right now. Offer a scheduled pickup — it next opens ${describeOpening(status.nextOpen)} — ` +
+            'and call place_order again with pickup_date and pickup_time once the caller agrees.'
+          : 'The store is closed and has no upcoming opening scheduled. Apologise and do not take the order.',
+      },
+    };
+  }
+
+  const pickupDate = date ?? getZonedParts(now, timezone).dateStr;
+  const at         = zonedTimeToUtc(pickupDate, time, timezone);
+  if (!at) {
+    return { result: { status: 'needs_details', message: 'Confirm the pickup date and time with the caller.' } };
+  }
+
+  if (at < now) {
+    return { result: { status: 'invalid_pickup_time', message: 'That pickup time has already passed. Ask the caller for a later time.' } };
+  }
+
+  if (at - now > policy.maxScheduleDays * 24 * 60 * 60 * 1000) {
+    return {
+      result: {
+        status:  'invalid_pickup_time',
+        message: `Pickups can be scheduled at most ${policy.maxScheduleDays} days ahead. Ask the caller for an earlier time.`,
+      },
+    };
+  }
+
+  if (policy.configured) {
+    const { dateStr, weekday, timeStr } = getZonedParts(at, timezone);
+    if (!findOpenSpan(policy, policy.weekly, dateStr, weekday, timeStr)) {
+      return {
+        result: {
+          status:  'outside_hours',
+          hours:   describeSpans(spansForDate(policy, policy.weekly, dateStr, weekday)),
+          message: `The store is not open at ${timeStr} on ${WEEKDAY_LABELS[weekday]} ${dateStr}. ` +
+                   'Offer the caller a pickup time within the hours given.',
+        },
+      };
+    }
+  }
+
+  return { scheduledFor: at };
+}
+
+/**
+ * Reservation service spans for one store-local date, or null when the store has no
+ * structured hours (any time may be booked).
+ * (매장 현지 날짜 하나의 예약 서비스 구간 — 구조화된 영업시간이 없으면 null)
+ *
+ * @param {object} storeData
+ * @param {string} dateStr — 'YYYY-MM-DD'
+ * @returns {Array<{ open: string, close: string }>|null}
+ */
+export function getReservationSpans(storeData, dateStr) {
+  const policy = getHoursPolicy(storeData);
+  if (!policy.reservationHours) return null;
+
+  const { weekday } = addDays(dateStr, 0);
+  return spansForDate(policy, policy.reservationHours, dateStr, weekday);
+}
+
+/**
+ * Validate that a reservation falls within the store's service hours.
+ * (예약이 매장 서비스 시간 내인지 검증)
+ *
+ * @param {object} storeData
+ * @param {string} date — store-local 'YYYY-MM-DD' (매장 현지 날짜)
+ * @param {string} time — store-local 'HH:MM' (매장 현지 시간)
+ * @returns {{ result?: object }} empty on success, otherwise a ready-to-return result
+ */
+export function checkReservationTime(storeData, date, time) {
+  const policy = getHoursPolicy(storeData);
+  if (!policy.reservationHours) return {};
+
+  const timezone = storeData.timezone ?? DEFAULT_TIMEZONE;
+  const at       = zonedTimeToUtc(date, time, timezone);
+  if (!at) {
+    return { result: { status: 'needs_details', message: 'Confirm the reservation date and time with the caller.' } };
+  }
+
+  const { dateStr, weekday, timeStr } = getZonedParts(at, timezone);
+  if (findOpenSpan(policy, policy.reservationHours, dateStr, weekday, timeStr)) return {};
+
+  const holiday = policy.holidays[dateStr];
+  const spans   = spansForDate(policy, policy.reservationHours, dateStr, weekday);
+  return {
+    result: {
+      status:  'outside_hours',
+      hours:   describeSpans(spans),
+      message: spans.length === 0
+        ? `The store is closed on ${WEEKDAY_LABELS[weekday]} ${dateStr}${holiday ? ` for ${holiday}` : ''}. Offer the caller another day.`
+        : `Reservations on ${WEEKDAY_LABELS[weekday]} ${dateStr} are only available during the hours given. ` +
+          'Offer the caller a time within them.',
+    },
+  };
+}
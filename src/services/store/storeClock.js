@@ -0,0 +1,146 @@
+// Store clock — timezone-aware date helpers for per-store rules
+// (매장 시계 — 매장별 규칙을 위한 시간대 인식 날짜 헬퍼)
+//
+// Stores record dates and times in their own local timezone (reservation_date,
+// reservation_time, business hours). These helpers convert between that local wall
+// clock and absolute instants using only Intl — no timezone library dependency.
+// (매장은 자체 현지 시간대로 날짜·시간을 기록함. 이 헬퍼는 Intl만 사용하여
+//  현지 벽시계와 절대 시각 간 변환 — 시간대 라이브러리 의존성 없음)
+
+// Fallback timezone when a store row has none configured (매장 행에 시간대 미설정 시 폴백)
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// Weekday keys indexed by Date#getDay() order (Date#getDay() 순서의 요일 키)
+export const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Break an instant into wall-clock parts in the given timezone.
+ * (주어진 시간대의 벽시계 구성 요소로 시각 분해)
+ *
+ * @param {Date}   date
+ * @param {string} [timezone]
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number,
+ *             weekday: number, dateStr: string, timeStr: string }}
+ */
+export function getZonedParts(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year:     'numeric',
+    month:    '2-digit',
+    day:      '2-digit',
+    hour:     '2-digit',
+    minute:   '2-digit',
+    weekday:  'short',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  const year   = Number(get('year'));
+  const month  = Number(get('month'));
+  const day    = Number(get('day'));
+  const hour   = Number(get('hour'));
+  const minute = Number(get('minute'));
+  const weekday = WEEKDAY_KEYS.indexOf(get('weekday').toLowerCase().slice(0, 3));
+
+  return {
+    year, month, day, hour, minute, weekday,
+    dateStr: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    timeStr: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Convert a local wall-clock date + time in a timezone to an absolute Date.
+ * Uses a two-pass offset correction so DST transitions resolve correctly.
+ * (시간대의 현지 날짜 + 시간을 절대 Date로 변환.
+ *  DST 전환이 올바르게 처리되도록 2단계 오프셋 보정 사용)
+ *
+ * @param {string} dateStr  — 'YYYY-MM-DD'
+ * @param {string} timeStr  — 'HH:MM' 24-hour
+ * @param {string} [timezone]
+ * @returns {Date|null} null when the inputs cannot be parsed (입력 파싱 불가 시 null)
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timezone = DEFAULT_TIMEZONE) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr ?? '');
+  const timeMatch = /^(\d{1,2}):(\d{2})/.exec(timeStr ?? '');
+  if (!dateMatch || !timeMatch) return null;
+
+  const [, y, mo, d] = dateMatch.map(Number);
+  const [, h, mi]    = timeMatch.map(Number);
+  const wallClockMs  = Date.UTC(y, mo - 1, d, h, mi);
+
+  // Offset = how far the zone's wall clock is from UTC at a given instant (해당 시각에 시간대 벽시계와 UTC 간 차이)
+  const offsetAt = (instantMs) => {
+    const p = getZonedParts(new Date(instantMs), timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instantMs;
+  };
+
+  let guess = wallClockMs - offsetAt(wallClockMs);
+  guess     = wallClockMs - offsetAt(guess); // Second pass settles DST edges (두 번째 패스로 DST 경계 보정)
+  return new Date(guess);
+}
+
+/**
+ * Minutes from `now` until a local date + time in the store's timezone (negative when past).
+ * (매장 시간대의 현지 날짜 + 시간까지 남은 분 — 지난 경우 음수)
+ *
+ * @param {string} dateStr
+ * @param {string} timeStr
+ * @param {string} [timezone]
+ * @param {Date}   [now]
+ * @returns {number|null}
+ */
+export function minutesUntil(dateStr, timeStr, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const target = zonedTimeToUtc(dateStr, timeStr, timezone);
+  if (!target) return null;
+  return Math.round((target.getTime() - now.getTime()) / 60_000);
+}
+
+/**
+ * Check whether an instant falls inside a weekly schedule in the store's timezone.
+ * Spans whose close time is at or before the open time run past midnight into the next day.
+ * (주간 일정 내에 시각이 포함되는지 매장 시간대 기준으로 확인.
+ *  마감 시간이 시작 시간 이하인 구간은 자정을 넘어 다음 날까지 이어짐)
+ *
+ * Schedule shape (일정 형태):
+ *   { mon: [{ open: '11:00', close: '22:00' }], sat: [{ open: '18:00', close: '02:00' }], ... }
+ *   Missing weekday keys mean closed all day (요일 키 없음 → 하루 종일 닫힘)
+ *
+ * @param {object} schedule
+ * @param {Date}   [date]
+ * @param {string} [timezone]
+ * @returns {boolean}
+ */
+export function isWithinSchedule(schedule, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  if (!schedule) return false;
+
+  const { weekday, timeStr } = getZonedParts(date, timezone);
+  const today     = schedule[WEEKDAY_KEYS[weekday]] ?? [];
+  const yesterday = schedule[WEEKDAY_KEYS[(weekday + 6) % 7]] ?? [];
+
+  // Zero-padded 'HH:MM' strings compare correctly as plain strings ('HH:MM' 문자열은 그대로 비교 가능)
+  const inToday = today.some(({ open, close }) =>
+    close > open ? timeStr >= open && timeStr < close : timeStr >= open
+  );
+  const inYesterdayOvernight = yesterday.some(({ open, close }) => close <= open && timeStr < close);
+
+  return inToday || inYesterdayOvernight;
+}
+
+/**
+ * Add whole days to a 'YYYY-MM-DD' calendar date (no timezone involved).
+ * ('YYYY-MM-DD' 달력 날짜에 일수 더하기 — 시간대 무관)
+ *
+ * @param {string} dateStr
+ * @param {number} days — may be negative (음수 가능)
+ * @returns {{ dateStr: string, weekday: number }}
+ */
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const shifted   = new Date(Date.UTC(y, m - 1, d + days));
+  return {
+    dateStr: shifted.toISOString().slice(0, 10),
+    weekday: shifted.getUTCDay(),
+  };
+}
@@ -0,0 +1,340 @@
+// Store policy resolver — per-store rule sets with safe platform defaults
+// (매장 정책 해석기 — 안전한 플랫폼 기본값이 적용된 매장별 규칙 세트)
+//
+// Each policy lives in a jsonb column on the stores row (snake_case keys, all optional).
+// Resolvers merge the stored values over the defaults and return camelCase objects,
+// so callers never have to null-check individual keys.
+// (각 정책은 stores 행의 jsonb 컬럼에 저장 — snake_case 키, 모두 선택 사항.
+//  해석기는 저장된 값을 기본값 위에 병합하여 camelCase 객체로 반환 —
+//  호출자가 개별 키를 null 확인할 필요 없음)
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from '../language/languages.js';
+
+// ── Modification Policy (stores.modification_policy) ──────────────────────────
+
+// Default cancel/modify cutoffs — once the kitchen has the order, changes go to staff
+// (기본 취소/변경 기한 — 주방에 주문이 전달되면 변경은 직원이 처리)
+const DEFAULT_MODIFICATION_POLICY = {
+  orderLockedStatuses:      ['sent_to_pos', 'ready', 'completed', 'cancelled'],
+  allowOrderModify:         true,
+  allowOrderCancel:         true,
+  reservationCutoffMinutes: 60,
+};
+
+/**
+ * Resolve the cancel/modify cutoff rules for a store.
+ * (매장의 취소/변경 기한 규칙 해석)
+ *
+ * stores.modification_policy shape (all keys optional):
+ *   {
+ *     order_locked_statuses:      string[] — order statuses that can no longer be changed by voice
+ *     allow_order_modify:         boolean  — false → modifications always go to staff
+ *     allow_order_cancel:         boolean  — false → cancellations always go to staff
+ *     reservation_cutoff_minutes: number   — no changes within this many minutes of the booking
+ *   }
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ orderLockedStatuses: string[], allowOrderModify: boolean,
+ *             allowOrderCancel: boolean, reservationCutoffMinutes: number }}
+ */
+export function getModificationPolicy(storeData) {
+  const raw = storeData?.modification_policy ?? {};
+  return {
+    orderLockedStatuses:      raw.order_locked_statuses      ?? DEFAULT_MODIFICATION_POLICY.orderLockedStatuses,
+    allowOrderModify:         raw.allow_order_modify         ?? DEFAULT_MODIFICATION_POLICY.allowOrderModify,
+    allowOrderCancel:         raw.allow_order_cancel         ?? DEFAULT_MODIFICATION_POLICY.allowOrderCancel,
+    reservationCutoffMinutes: raw.reservation_cutoff_minutes ?? DEFAULT_MODIFICATION_POLICY.reservationCutoffMinutes,
+  };
+}
+
+// ── Escalation Policy (stores.escalation_policy) ──────────────────────────────
+
+/**
+ * Resolve how a store wants live-agent escalations handled.
+ * (매장의 직원 연결 에스컬레이션 처리 방식 해석)
+ *
+ * stores.escalation_policy shape (all keys optional):
+ *   {
+ *     transfer_number: string — E.164 number Retell transfers the call to
+ *     staffed_hours:   object — weekly schedule (see storeClock.isWithinSchedule);
+ *                               omitted → transfers allowed whenever a number is set
+ *     owner_phone:     string — receives callback-request texts outside staffed hours
+ *   }
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ transferNumber: string|null, staffedHours: object|null, ownerPhone: string|null }}
+ */
+export function getEscalationPolicy(storeData) {
+  const raw = storeData?.escalation_policy ?? {};
+  return {
+    transferNumber: raw.transfer_number?.trim() || null,
+    staffedHours:   raw.staffed_hours ?? null,
+    ownerPhone:     raw.owner_phone?.trim()     || null,
+  };
+}
+
+// ── Language Policy (stores.supported_languages) ──────────────────────────────
+
+/**
+ * Resolve which languages a store's voice agent may speak.
+ * The first entry is the store's default — used for the greeting and whenever the
+ * caller's language cannot be detected or is not supported by the store.
+ * (매장 음성 에이전트가 사용할 수 있는 언어 해석.
+ *  첫 항목이 매장 기본 언어 — 인사말과 발신자 언어를 감지할 수 없거나 미지원일 때 사용)
+ *
+ * stores.supported_languages shape: string[] of ISO 639-1 codes, e.g. ['en', 'ko', 'es'].
+ * Codes the platform does not speak are dropped.
+ * (ISO 639-1 코드 배열 — 플랫폼이 지원하지 않는 코드는 제외)
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ supportedLanguages: string[], defaultLanguage: string }}
+ */
+export function getLanguagePolicy(storeData) {
+  const configured = Array.isArray(storeData?.supported_languages) ? storeData.supported_languages : [];
+  const supported  = [...new Set(
+    configured
+      .map((code) => String(code).toLowerCase().slice(0, 2))
+      .filter((code) => LANGUAGES[code])
+  )];
+
+  const supportedLanguages = supported.length > 0 ? supported : [DEFAULT_LANGUAGE];
+  return { supportedLanguages, defaultLanguage: supportedLanguages[0] };
+}
+
+// ── Hours Policy (stores.hours_policy) ────────────────────────────────────────
+
+// How far ahead a closed-hours caller may schedule a pickup (휴무 시간 발신자가 픽업을 예약할 수 있는 기간)
+const DEFAULT_MAX_SCHEDULE_DAYS = 2;
+
+/**
+ * Resolve a store's structured opening hours. The free-text stores.business_hours column
+ * stays prompt copy; this policy is what the tools enforce.
+ * (매장의 구조화된 영업시간 해석. 자유 텍스트 stores.business_hours 컬럼은 프롬프트 문구로
+ *  유지되며, 도구가 실제로 적용하는 것은 이 정책)
+ *
+ * stores.hours_policy shape (all keys optional):
+ *   {
+ *     weekly:            object   — weekly schedule (see storeClock.isWithinSchedule);
+ *                                   omitted → the store is treated as always open
+ *     reservation_hours: object   — weekly schedule for seating; omitted → same as weekly
+ *     holidays:          Array<string | { date: 'YYYY-MM-DD', name?: string }> — closed all day
+ *     special_hours:     { 'YYYY-MM-DD': [{ open, close }] } — replaces that day's weekly spans
+ *     max_schedule_days: number   — how many days ahead a pickup may be scheduled
+ *   }
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ configured: boolean, weekly: object|null, reservationHours: object|null,
+ *             holidays: Object<string, string|null>, specialHours: object, maxScheduleDays: number }}
+ */
+export function getHoursPolicy(storeData) {
+  const raw = storeData?.hours_policy ?? {};
+
+  // Normalize holidays to a date → name map for O(1) lookup (O(1) 조회를 위해 날짜 → 이름 맵으로 정규화)
+  const holidays = {};
+  for (const entry of Array.isArray(raw.holidays) ? raw.holidays : []) {
+    const date = typeof entry === 'string' ? entry : entry?.date;
+    if (date) holidays[date] = typeof entry === 'string' ? null : (entry.name ?? null);
+  }
+
+  return {
+    configured:       Boolean(raw.weekly),
+    weekly:           raw.weekly ?? null,
+    reservationHours: raw.reservation_hours ?? raw.weekly ?? null,
+    holidays,
+    specialHours:     raw.special_hours ?? {},
+    maxScheduleDays:  raw.max_schedule_days ?? DEFAULT_MAX_SCHEDULE_DAYS,
+  };
+}
+
+// ── Reservation Policy (stores.reservation_policy) ────────────────────────────
+
+// Default seating rules — capacity checks stay off until a store defines tables or capacity
+// (기본 좌석 규칙 — 매장이 테이블 또는 수용 인원을 정의하기 전까지 수용량 확인 비활성)
+const DEFAULT_RESERVATION_POLICY = {
+  slotMinutes:  30,
+  turnMinutes:  90,
+  maxPartySize: 10,
+};
+
+/**
+ * Resolve a store's seating rules for the reservation availability engine.
+ * (예약 가능 여부 엔진용 매장 좌석 규칙 해석)
+ *
+ * stores.reservation_policy shape (all keys optional):
+ *   {
+ *     slot_minutes:   number — spacing of the bookable time grid offered to callers
+ *     turn_minutes:   number — how long a booking holds its table / seats
+ *     max_party_size: number — larger parties are handed to staff
+ *     tables:         Array<{ id: string, seats: number, min_seats?: number }> — bookable tables;
+ *                     when set, every booking is assigned one table
+ *     capacity:       number — total seats, used when no tables are defined
+ *   }
+ *   Neither tables nor capacity → only hours and max party size are enforced.
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ slotMinutes: number, turnMinutes: number, maxPartySize: number,
+ *             tables: Array<{ id: string, seats: number, minSeats: number }>, capacity: number|null }}
+ */
+export function getReservationPolicy(storeData) {
+  const raw    = storeData?.reservation_policy ?? {};
+  const tables = (Array.isArray(raw.tables) ? raw.tables : [])
+    .filter((t) => t?.id && Number(t.seats) > 0)
+    .map((t) => ({ id: String(t.id), seats: Number(t.seats), minSeats: Number(t.min_seats ?? 1) }));
+
+  return {
+    slotMinutes:  raw.slot_minutes   ?? DEFAULT_RESERVATION_POLICY.slotMinutes,
+    turnMinutes:  raw.turn_minutes   ?? DEFAULT_RESERVATION_POLICY.turnMinutes,
+    maxPartySize: raw.max_party_size ?? DEFAULT_RESERVATION_POLICY.maxPartySize,
+    tables,
+    capacity:     raw.capacity ?? null,
+  };
+}
+
+// ── Privacy Policy (stores.privacy_policy) ────────────────────────────────────
+
+// Caller recognition is opt-in per store — nothing from past orders reaches the prompt by default
+// (발신자 인식은 매장별 옵트인 — 기본적으로 과거 주문 정보가 프롬프트에 들어가지 않음)
+const DEFAULT_PRIVACY_POLICY = {
+  recognizeCallers: false,
+  greetByName:      true,
+  offerReorder:     true,
+  prefillEmail:     true,
+  historyDays:      180,
+};
+
+/**
+ * Resolve how much of a returning caller's history the voice agent may use.
+ * (재방문 발신자의 이력을 음성 에이전트가 어디까지 사용할 수 있는지 해석)
+ *
+ * stores.privacy_policy shape (all keys optional):
+ *   {
+ *     recognize_callers: boolean — look the caller ID up against past orders at all
+ *     greet_by_name:     boolean — greet by the name saved on the customers row
+ *     offer_reorder:     boolean — offer to repeat the last order ("the usual")
+ *     prefill_email:     boolean — confirm the saved email instead of asking for it
+ *     history_days:      number  — only orders from the last N days are considered
+ *   }
+ *   Individual callers can still opt out via customers.opted_out.
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ recognizeCallers: boolean, greetByName: boolean, offerReorder: boolean,
+ *             prefillEmail: boolean, historyDays: number }}
+ */
+export function getPrivacyPolicy(storeData) {
+  const raw = storeData?.privacy_policy ?? {};
+  return {
+    recognizeCallers: raw.recognize_callers ?? DEFAULT_PRIVACY_POLICY.recognizeCallers,
+    greetByName:      raw.greet_by_name     ?? DEFAULT_PRIVACY_POLICY.greetByName,
+    offerReorder:     raw.offer_reorder     ?? DEFAULT_PRIVACY_POLICY.offerReorder,
+    prefillEmail:     raw.prefill_email     ?? DEFAULT_PRIVACY_POLICY.prefillEmail,
+    historyDays:      raw.history_days      ?? DEFAULT_PRIVACY_POLICY.historyDays,
+  };
+}
+
+// ── Contact Policy (stores.contact_policy) ────────────────────────────────────
+
+// Callers give national numbers — the store's country code turns them into E.164
+// (발신자는 국내 번호로 말함 — 매장 국가 코드로 E.164 변환)
+const DEFAULT_CONTACT_POLICY = {
+  defaultCountryCode: '1',
+};
+
+/**
+ * Resolve how spoken contact details are normalised for a store.
+ * (매장의 발화 연락처 정규화 방식 해석)
+ *
+ * stores.contact_policy shape (all keys optional):
+ *   {
+ *     default_country_code: string — calling code for numbers given without one, e.g. '1', '82'
+ *   }
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ defaultCountryCode: string }}
+ */
+export function getContactPolicy(storeData) {
+  const raw  = storeData?.contact_policy ?? {};
+  const code = String(raw.default_country_code ?? '').replace(/\D/g, '');
+  return {
+    defaultCountryCode: code || DEFAULT_CONTACT_POLICY.defaultCountryCode,
+  };
+}
+
+// ── Guardrail Policy (stores.guardrail_policy) ────────────────────────────────
+
+// When the agent may hang up on its own — always after a polite closing line
+// (에이전트가 스스로 통화를 끝낼 수 있는 경우 — 항상 정중한 마무리 문구 후)
+const DEFAULT_GUARDRAIL_POLICY = {
+  maxCallMinutes:  20,
+  maxReminders:    2,
+  abuseStrikes:    2,
+  endAfterGoodbye: true,
+  endPrankCalls:   true,
+};
+
+/**
+ * Resolve the call guardrails for a store.
+ * (매장의 통화 가드레일 해석)
+ *
+ * stores.guardrail_policy shape (all keys optional):
+ *   {
+ *     max_call_minutes:  number  — end the call at the next turn after this long; 0 = no limit
+ *     max_reminders:     number  — re-prompts to a silent caller before hanging up; 0 = never end for silence
+ *     abuse_strikes:     number  — abusive caller turns before hanging up; 0 = never end for abuse
+ *     end_after_goodbye: boolean — the agent ends the call once the caller is done and says goodbye
+ *     end_prank_calls:   boolean — the agent may end a call it judges to be a prank
+ *   }
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ maxCallMinutes: number, maxReminders: number, abuseStrikes: number,
+ *             endAfterGoodbye: boolean, endPrankCalls: boolean }}
+ */
+export function getGuardrailPolicy(storeData) {
+  const raw = storeData?.guardrail_policy ?? {};
+  return {
+    maxCallMinutes:  raw.max_call_minutes  ?? DEFAULT_GUARDRAIL_POLICY.maxCallMinutes,
+    maxReminders:    raw.max_reminders     ?? DEFAULT_GUARDRAIL_POLICY.maxReminders,
+    abuseStrikes:    raw.abuse_strikes     ?? DEFAULT_GUARDRAIL_POLICY.abuseStrikes,
+    endAfterGoodbye: raw.end_after_goodbye ?? DEFAULT_GUARDRAIL_POLICY.endAfterGoodbye,
+    endPrankCalls:   raw.end_prank_calls   ?? DEFAULT_GUARDRAIL_POLICY.endPrankCalls,
+  };
+}
+
+// ── LLM Policy (stores.llm_policy) ────────────────────────────────────────────
+
+// Providers a store may choose (매장이 선택할 수 있는 프로바이더)
+export const LLM_PROVIDERS = ['gemini', 'openai_compatible', 'scripted'];
+
+/**
+ * Resolve which model provider answers a store's calls and chats, and summarizes its calls.
+ * (매장의 통화와 채팅에 응답하고 통화를 요약할 모델 프로바이더 해석)
+ *
+ * stores.llm_policy shape (all keys optional):
+ *   {
+ *     provider:    'gemini' | 'openai_compatible' | 'scripted' — default 'gemini'
+ *     model:       string — model id; default per provider (gemini-2.5-flash, OPENAI_COMPAT_MODEL)
+ *     base_url:    string — OpenAI-compatible server, e.g. http://10.0.0.5:8000/v1;
+ *                           default OPENAI_COMPAT_BASE_URL
+ *     temperature: number
+ *     script:      Array  — scripted provider steps (see scriptedProvider.js); needs LLM_ALLOW_SCRIPTED=true
+ *   }
+ *   API keys never live in the row — OPENAI_COMPAT_API_KEY and GEMINI_API_KEY come from the env,
+ *   and OPENAI_COMPAT_API_KEY is only sent when base_url is unset or equals OPENAI_COMPAT_BASE_URL.
+ *   (API 키는 행에 저장하지 않음 — 환경 변수에서 가져오며, OPENAI_COMPAT_API_KEY는 base_url이
+ *    없거나 OPENAI_COMPAT_BASE_URL과 같을 때만 전송)
+ *
+ * @param {object} storeData — stores row (stores 행)
+ * @returns {{ provider: string, model: string|undefined, baseUrl: string|undefined,
+ *             temperature: number|undefined, script: Array }}
+ */
+export function getLlmPolicy(storeData) {
+  const raw      = storeData?.llm_policy ?? {};
+  const provider = LLM_PROVIDERS.includes(raw.provider) ? raw.provider : 'gemini';
+
+  return {
+    provider,
+    model:       raw.model    || undefined,
+    baseUrl:     raw.base_url || undefined,
+    temperature: typeof raw.temperature === 'number' ? raw.temperature : undefined,
+    script:      Array.isArray(raw.script) ? raw.script : [],
+  };
+}
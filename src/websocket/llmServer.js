@@ -6,26 +6,41 @@
  *
  * ── Retell Custom LLM WebSocket Protocol ──────────────────────────────────────
  *
- * Retell does NOT send an initial call_details setup message.
- * It immediately begins sending update_only / response_required frames.
- * The agent_id is therefore passed by the caller as a URL query parameter:
- *   wss://host/llm-websocket/<call_id>?agent_id=<agent_id>
- * (Retell은 초기 call_details 설정 메시지를 전송하지 않음.
- *  즉시 update_only / response_required 프레임을 전송하기 시작함.
- *  따라서 agent_id는 호출자가 URL 쿼리 파라미터로 전달)
+ * The agent_id is needed before any frame arrives (the store config drives the prompt), so it
+ * is passed as a URL query parameter:
+ *   wss://host/llm-websocket/<call_id>?agent_id=<agent_id>&secret=<RETELL_WS_SECRET>
+ * The upgrade is authenticated, IP-filtered and rate-limited before the store is looked up —
+ * see websocket/upgradeAuth.js.
+ * Once the session is ready the server sends a config frame asking Retell for auto-reconnect
+ * and a call_details frame; caller details arrive asynchronously after that.
+ * (프롬프트가 매장 설정에 의존하므로 agent_id는 어떤 프레임보다 먼저 필요 — URL 쿼리 파라미터로 전달.
+ *  업그레이드는 매장 조회 전에 인증, IP 필터링, 요청 제한을 거침 — websocket/upgradeAuth.js 참고.
+ *  세션 준비 후 서버가 config 프레임으로 자동 재연결과 call_details 프레임을 요청하며,
+ *  발신자 정보는 그 후 비동기로 도착)
  *
  * Retell → Server (receives):
- *   update_only      : transcript state push — signals barge-in (끼어들기 신호 — 응답 불필요)
- *   response_required: agent must reply with a spoken utterance (에이전트가 발화로 응답해야 함)
+ *   call_details      : caller number, direction and metadata (발신자 번호, 방향, 메타데이터)
+ *   ping_pong         : keepalive — echoed back with the same timestamp (연결 유지 — 같은 타임스탬프로 응답)
+ *   update_only       : transcript state push — signals barge-in (끼어들기 신호 — 응답 불필요)
+ *   response_required : agent must reply with a spoken utterance (에이전트가 발화로 응답해야 함)
+ *   reminder_required : caller has been silent — agent should re-prompt (발신자 무응답 — 다시 안내해야 함)
  *
  * Server → Retell (sends) — streaming protocol:
+ *   Config         : { response_type: 'config', config: { auto_reconnect, call_details } } — once on connect
+ *   Ping           : { response_type: 'ping_pong', timestamp }
  *   Partial chunk  : { response_type, response_id, content, content_complete: false, end_call: false }
  *   Final chunk    : { response_type, response_id, content, content_complete: true,  end_call: false }
+ *   Transfer       : final chunk + transfer_number — Retell transfers the call after speaking
+ *                    (최종 청크 + transfer_number — Retell이 발화 후 통화 이관)
+ *   End call       : final chunk with end_call: true — Retell hangs up after speaking; set by the
+ *                    store's guardrails (see services/call/guardrails.js)
+ *                    (end_call: true인 최종 청크 — Retell이 발화 후 통화 종료, 매장 가드레일이 설정)
  *
  * ── Three-Pillar Architecture: Streaming + Barge-in + Freeze Prevention ───────
  *
  * PILLAR 1 — Ultra-Fast Streaming
- *   model.generateContentStream({ contents: history }) streams tokens as they arrive.
+ *   session.model.stream(history) streams tokens as they arrive (Gemini by default, or the
+ *   store's provider — see services/llm/llmProvider.js).
  *   Each chunk is forwarded to Retell immediately via sendChunk(..., false).
  *   A final sendChunk(..., true) signals utterance completion to Retell's TTS engine.
  *   (토큰이 도착하는 즉시 Retell에 스트리밍. 최종 프레임으로 TTS 완료 신호 전송)
@@ -62,20 +77,68 @@
  *    abort 신호가 요청 시작 전에 await를 거절 → finally 항상 실행 → 큐 항상 진행)
  */
 
+import { randomUUID }           from 'node:crypto';
 import { WebSocketServer }      from 'ws';
+import { STATUS_CODES }         from 'node:http';
 import { supabase }             from '../config/supabase.js';
-import { createGenerationModel } from '../services/llm/gemini.js';
+import { POS_TOOLS }            from '../services/llm/gemini.js';
+import { createLlmProvider }    from '../services/llm/llmProvider.js';
 import { createPaymentLink }           from '../services/payment/maverickPg.js';
 import { sendPaymentLink,
          sendReservationConfirmation } from '../services/notification/notifier.js';
+import { lookupOrderStatus }           from '../services/order/orderStatus.js';
+import { cancelOrModify }              from '../services/order/orderChanges.js';
+import { createCart, addToCart,
+         removeFromCart, updateCartQuantity,
+         viewCart, cartTotal,
+         cartOrderItems,
+         loadModifierGroups }          from '../services/order/cart.js';
+import { escalateToHuman }             from '../services/call/escalation.js';
+import { transactionKey,
+         duplicateResult }             from '../services/call/idempotency.js';
+import { FILLER_THRESHOLD_MS,
+         fillerFor }                   from '../services/call/fillerSpeech.js';
+import { scheduleHistoryCompaction,
+         applyHistoryCompaction }      from '../services/call/historyBudget.js';
+import { CallRecorder }                from '../services/call/callRecorder.js';
+import { END_REASONS, closingLine,
+         isOverTime, detectAbuse,
+         resolveEndCall }              from '../services/call/guardrails.js';
+import { enqueueCallSummary,
+         cancelCallSummary }           from '../queue/producer.js';
+import { RESUME_GRACE_SECONDS,
+         saveSessionCheckpoint,
+         loadSessionCheckpoint,
+         expireSessionCheckpoint,
+         claimCallGeneration,
+         isCurrentGeneration }         from '../services/call/sessionCheckpoint.js';
+import { getLanguagePolicy,
+         getPrivacyPolicy,
+         getGuardrailPolicy,
+         getLlmPolicy }                from '../services/store/storePolicy.js';
+import { normalizeContactArgs }        from '../services/customer/contactDetails.js';
+import { lookupCallerProfile,
+         repeatLastOrder,
+         optOutCaller }                from '../services/customer/callerProfile.js';
+import { answerStoreQuestion }         from '../services/knowledge/storeKnowledge.js';
+import { ALLERGENS, DIETARY_TAGS,
+         ALLERGY_DISCLAIMER,
+         normaliseTags, describeTags } from '../services/menu/menuTags.js';
+import { buildHoursPromptBlock,
+         checkOrderTime }              from '../services/store/businessHours.js';
+import { checkAvailability,
+         reserveSlot }                 from '../services/reservation/availability.js';
+import { LANGUAGES, detectLanguage }   from '../services/language/languages.js';
+import { createSpeechStream }          from '../services/language/speechText.js';
+import { createUpgradeGuard }          from './upgradeAuth.js';
 
 // WebSocket path — must match the path configured in Retell's agent dashboard
 // (WebSocket 경로 — Retell 에이전트 대시보드에 설정된 경로와 일치해야 함)
 const WS_PATH = '/llm-websocket';
 
-// Gemini request timeout — abort any call that hasn't started streaming within this window
-// (Gemini 요청 타임아웃 — 이 시간 내에 스트리밍이 시작되지 않으면 중단)
-const GEMINI_TIMEOUT_MS = 15_000;
+// LLM request timeout — abort any call that hasn't started streaming within this window
+// (LLM 요청 타임아웃 — 이 시간 내에 스트리밍이 시작되지 않으면 중단)
+const LLM_TIMEOUT_MS = 15_000;
 
 // Greeting prompt — injected as a hidden first turn to seed the LLM persona
 // (인사말 프롬프트 — LLM 페르소나를 시작하기 위한 숨겨진 첫 번째 턴으로 주입)
@@ -83,6 +146,56 @@ const GREETING_PROMPT =
   'Greet the caller warmly, introduce yourself by name, and ask how you can help them today. ' +
   'Keep it to one or two natural sentences suitable for a voice call.';
 
+// Hidden instruction for reminder_required — the caller has gone quiet after our last turn
+// (reminder_required용 숨겨진 지시문 — 마지막 응답 후 발신자가 조용해짐)
+const REMINDER_PROMPT =
+  '(The caller has been silent for a while. Gently check whether they are still there and ' +
+  'briefly repeat or rephrase your last question. One short sentence.)';
+
+// Sent once per connection: Retell reconnects dropped sockets (with ping_pong keepalives)
+// and delivers a call_details frame with the caller's number and metadata
+// (연결당 한 번 전송: Retell이 끊긴 소켓을 재연결(ping_pong 유지 신호 포함)하고
+//  발신자 번호와 메타데이터가 담긴 call_details 프레임 전달)
+const RETELL_CONFIG = { auto_reconnect: true, call_details: true };
+
+// Tool loop bounds for one caller turn — a model that keeps calling tools cannot stall the call.
+// Past either limit one final round runs with function calling off.
+// (발신자 턴 하나의 도구 루프 한도 — 도구를 계속 호출하는 모델이 통화를 멈추게 할 수 없음.
+//  어느 한도든 넘으면 함수 호출을 끈 마지막 라운드 실행)
+const MAX_TOOL_CALLS_PER_TURN = 6;
+const TURN_TOOL_BUDGET_MS     = 20_000;
+const FINAL_ROUND_TIMEOUT_MS  = 8_000;
+
+// Function result returned for calls skipped by the tool budget (도구 예산으로 건너뛴 호출의 결과)
+const TOOL_BUDGET_RESULT = {
+  status:  'skipped',
+  message: 'Not run — too many steps for one reply. Answer the caller now with what you already know, ' +
+           'and ask them to confirm before trying anything else.',
+};
+
+// Tools with external side effects (charges, bookings, refunds). A successful call restored from
+// a checkpoint is answered from its saved result when the resumed conversation repeats it.
+// (외부 부수 효과가 있는 도구 — 결제, 예약, 환불. 체크포인트에서 복원된 성공 호출은
+//  재개된 대화가 반복할 때 저장된 결과로 응답)
+const SIDE_EFFECT_TOOLS = new Set(['place_order', 'make_reservation', 'cancel_or_modify']);
+
+// Caller turns inspected for language detection — after this the call's language is locked
+// so a stray foreign menu item name cannot flip the conversation mid-order
+// (언어 감지에 사용하는 발신자 턴 수 — 이후 통화 언어 고정,
+//  외국어 메뉴 이름 하나로 주문 도중 대화 언어가 바뀌지 않도록)
+const LANGUAGE_DETECTION_TURNS = 2;
+
+// How long the greeting waits for call_details and the caller lookup on stores that recognise
+// callers — Retell sends call_details right after config, so this is rarely reached
+// (발신자 인식 매장에서 인사말이 call_details와 발신자 조회를 기다리는 최대 시간 —
+//  Retell은 config 직후 call_details를 보내므로 거의 도달하지 않음)
+const CALLER_LOOKUP_WAIT_MS = 1_500;
+
+// Session behind each socket — lets sendChunk() keep one speech stream per utterance without
+// threading the session through every call site (소켓별 세션 — 모든 호출부에 세션을 넘기지 않고
+// sendChunk()가 발화마다 음성 스트림 하나를 유지하도록 함)
+const socketSessions = new WeakMap();
+
 // ── Public Setup Function ─────────────────────────────────────────────────────
 
 /**
@@ -97,16 +210,27 @@ const GREETING_PROMPT =
 export function setupWebSocket(httpServer) {
   // noServer mode — manual upgrade routing to support Retell's call_id URL suffix
   // (noServer 모드 — Retell의 call_id URL 접미사를 지원하기 위한 수동 업그레이드 라우팅)
-  const wss = new WebSocketServer({ noServer: true });
+  const wss   = new WebSocketServer({ noServer: true });
+  const guard = createUpgradeGuard();
 
   httpServer.on('upgrade', (req, socket, head) => {
-    if (req.url.startsWith(WS_PATH)) {
-      wss.handleUpgrade(req, socket, head, (ws) => {
-        wss.emit('connection', ws, req);
-      });
-    } else {
+    if (!req.url.startsWith(WS_PATH)) {
       socket.destroy(); // Reject unrecognised upgrade paths (인식되지 않는 경로 거절)
+      return;
+    }
+
+    // Rate limit, IP allowlist and credential — an unauthenticated upgrade never reaches
+    // fetchStoreData() or the model (요청 제한, IP 허용 목록, 자격 증명 — 인증되지 않은 업그레이드는
+    // fetchStoreData()나 모델에 도달하지 않음)
+    const verdict = guard.check(req);
+    if (!verdict.ok) {
+      socket.end(`HTTP/1.1 ${verdict.status} ${STATUS_CODES[verdict.status]}\r\nConnection: close\r\n\r\n`);
+      return;
     }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
   });
 
   // ── Connection Handler ─────────────────────────────────────────────────────
@@ -133,7 +257,17 @@ export function setupWebSocket(httpServer) {
     }
 
     // ── Fetch store configuration on connect ───────────────────────────────
-    const storeData = await fetchStoreData(agentId);
+    // A checkpoint for this call_id means Retell is reconnecting a dropped socket — loaded
+    // alongside the store so a resume adds no connect latency. The connection also claims the
+    // next generation of the call_id, so the old socket's close handler can tell it was replaced.
+    // (이 call_id의 체크포인트는 Retell이 끊긴 소켓을 재연결 중임을 의미 —
+    //  재개가 연결 지연을 늘리지 않도록 매장 정보와 함께 로드. 연결은 call_id의 다음 세대도
+    //  선점하므로 이전 소켓의 종료 핸들러가 교체되었음을 알 수 있음)
+    const [storeData, checkpoint, generation] = await Promise.all([
+      fetchStoreData(agentId),
+      callId ? loadSessionCheckpoint(callId) : null,
+      callId ? claimCallGeneration(callId) : null,
+    ]);
     if (!storeData) {
       console.error(`[WS] No store found for agent_id: ${agentId} — closing (스토어 없음 — 연결 종료)`);
       ws.close(1008, `No store found for agent_id: ${agentId}`);
@@ -149,6 +283,10 @@ export function setupWebSocket(httpServer) {
     const urlStoreId = searchParams.get('store_id');
     const storeId    = urlStoreId ?? storeData.id;
 
+    // Caller ID may also arrive on the URL (e.g. a dynamic Retell LLM URL); call_details overrides it
+    // (발신 번호는 URL로도 전달될 수 있음 — 예: 동적 Retell LLM URL. call_details가 덮어씀)
+    const urlCallerPhone = searchParams.get('from_number')?.trim() || null;
+
     if (!urlStoreId) {
       // Warn so the absence is visible in logs — not a hard error because storeData.id is a safe fallback
       // (부재가 로그에 표시되도록 경고 — storeData.id가 안전한 폴백이므로 하드 오류 아님)
@@ -158,36 +296,39 @@ export function setupWebSocket(httpServer) {
       );
     }
 
-    // ── Initialise Gemini model with store-specific master prompt ──────────
-    // createGenerationModel() returns a raw GenerativeModel — NOT a ChatSession.
-    // We call model.generateContentStream({ contents: history }) on every turn,
-    // passing the full history array each time. This makes every call fully
-    // independent and trivially abortable via AbortController.
-    // storeId is injected into the system instruction so Gemini knows exactly which
+    // ── Initialise the store's LLM model with its master prompt ───────────
+    // The store's llm_policy picks the provider (Gemini by default). The model is stateless:
+    // we call model.stream(history) on every turn, passing the full history array each time.
+    // This makes every call fully independent and trivially abortable via AbortController.
+    // storeId is injected into the system instruction so the model knows exactly which
     // tenant it is serving — prevents cross-tenant context bleed on shared endpoints.
-    // (createGenerationModel()은 원시 GenerativeModel 반환 — ChatSession 아님.
-    //  매 턴마다 model.generateContentStream({ contents: history }) 호출.
-    //  storeId를 시스템 지시문에 주입 — Gemini가 서비스 중인 테넌트를 정확히 알 수 있음.
+    // (매장 llm_policy가 프로바이더 선택 — 기본 Gemini. 모델은 무상태: 매 턴마다
+    //  model.stream(history) 호출.
+    //  storeId를 시스템 지시문에 주입 — 모델이 서비스 중인 테넌트를 정확히 알 수 있음.
     //  공유 엔드포인트에서 교차 테넌트 컨텍스트 유출 방지)
-    const masterPrompt = buildMasterPrompt(storeData, storeId);
-    const model        = createGenerationModel(masterPrompt);
+    const { supportedLanguages, defaultLanguage } = getLanguagePolicy(storeData);
+    const masterPrompt = buildMasterPrompt(storeData, storeId, { language: defaultLanguage, supportedLanguages });
+    const llm          = createLlmProvider(getLlmPolicy(storeData));
+    const model        = llm.createModel({ systemPrompt: masterPrompt, tools: POS_TOOLS });
 
     // ── Per-connection session state ───────────────────────────────────────
     //
-    //  model          — GenerativeModel configured with the store's master prompt.
+    //  llm            — The store's LLM provider; rebuilds the model when the prompt changes.
+    //  model          — Provider model configured with the store's master prompt.
     //  history        — Plain JS array of { role, parts } turns. Manually managed:
     //                   pushed BEFORE generation, rolled back on abort or error.
     //  isGenerating   — Boolean lock. Set true BEFORE any await; always released in
     //                   a finally block. Lets the message handler know whether to call abort().
     //  abortController— Owned by the current generation. Replaced atomically on each new turn.
-    //                   Calling .abort() races against the pending generateContentStream await
+    //                   Calling .abort() races against the pending model.stream() await
     //                   and rejects it via generateWithAbort(), triggering the finally block.
     //  generationQueue— Promise chain. Serialises history writes so two concurrent calls
     //                   never mutate the history array at the same time.
     //                   Because abort() unblocks the current await immediately, the queue
     //                   advances with near-zero latency after a barge-in.
     //
-    // (model: 마스터 프롬프트로 설정된 GenerativeModel.
+    // (llm: 매장 LLM 프로바이더 — 프롬프트 변경 시 모델 재생성.
+    //  model: 마스터 프롬프트로 설정된 프로바이더 모델.
     //  history: { role, parts } 턴의 일반 JS 배열. 생성 전 추가, 중단/오류 시 롤백.
     //  isGenerating: finally로 항상 해제되는 불리언 잠금.
     //  abortController: 현재 생성이 소유. 새 턴마다 원자적으로 교체.
@@ -196,20 +337,63 @@ export function setupWebSocket(httpServer) {
     const session = {
       agentId,
       callId,
+      connectionGeneration: generation, // This socket's claim on callId — a reconnect claims a higher one (이 소켓의 callId 세대 — 재연결은 더 높은 세대 선점)
+      storeId,
       storeData,
+      llm,
       model,
+      language:           defaultLanguage,   // Current call language — switched by detection (현재 통화 언어 — 감지로 전환)
+      supportedLanguages,                    // Languages this store allows (매장이 허용하는 언어)
+      userTurnCount:      0,                 // Caller turns seen — bounds language detection (확인한 발신자 턴 수 — 언어 감지 범위 제한)
       history:         [],
       isGenerating:    false,
       abortController: null,
       generationQueue: Promise.resolve(),
+      pendingTransfer: null, // Transfer number armed by transfer_to_human for this turn's final frame (이번 턴 최종 프레임용 이관 번호)
+      guardrails:      getGuardrailPolicy(storeData), // When the agent may end the call itself (에이전트가 스스로 통화를 끝낼 수 있는 경우)
+      pendingEnd:      null, // End reason armed by end_call for this turn's final frame (이번 턴 최종 프레임용 종료 이유)
+      endReason:       null, // Why the agent ended the call — later turns only repeat the goodbye (에이전트가 통화를 끝낸 이유 — 이후 턴은 인사만 반복)
+      silentReminders: 0,    // reminder_required frames since the caller last spoke (발신자가 마지막으로 말한 후의 reminder_required 수)
+      abuseStrikes:    0,    // Caller turns flagged as abusive (폭언으로 판단된 발신자 턴 수)
+      escalationId:    null, // escalations row for this call, once one is logged (기록된 이 통화의 escalations 행)
+      caller:          urlCallerPhone ? { phone: urlCallerPhone, toNumber: null, direction: null, metadata: {} } : null, // { phone, toNumber, direction, metadata } from call_details (call_details의 발신자 정보)
+      callerProfile:   null, // Returning-caller profile from order history, per the store's privacy policy (매장 개인정보 정책에 따른 재방문 발신자 프로필)
+      callerKnown:     null, // Settles once the caller has been looked up — the greeting waits on it (발신자 조회 완료 시 해결 — 인사말이 대기)
+      markCallerKnown: null,
+      cart:            createCart(), // Server-priced order the caller is building (발신자가 구성 중인 서버 가격 주문)
+      executedTools:   {},   // Successful side-effecting tool results keyed by call — checkpointed (성공한 부수 효과 도구 결과 — 체크포인트 대상)
+      resumedTools:    {},   // executedTools restored from a checkpoint, consulted before re-running (체크포인트에서 복원 — 재실행 전 확인)
+      completedTransactions: {},        // Successful orders/bookings keyed by content — repeats get the original (내용별 성공 주문·예약 — 반복 시 원래 결과)
+      lastPlacedOrder: null, // place_order result for the spent cart — a repeat on the empty cart gets it back (소진된 장바구니의 place_order 결과 — 빈 장바구니 반복 시 반환)
+      pendingTransactions:   new Map(), // Orders/bookings still running, so a parallel duplicate waits for them (실행 중 주문·예약 — 병렬 중복이 대기)
+      compaction:      null, // Rolling history summary being prepared — see services/call/historyBudget.js (준비 중인 롤링 히스토리 요약)
+      speech:          null, // { responseId, stream } — speech-safe rewrite of the utterance being sent (전송 중인 발화의 음성용 변환 스트림)
+      // Persists the call, its committed turns and tool calls — writes never block the voice path.
+      // A connection without a call_id still gets a unique local key so its record is not lost.
+      // (통화, 커밋된 턴, 도구 호출 영구 저장 — 쓰기는 음성 경로를 차단하지 않음.
+      //  call_id 없는 연결도 기록이 유실되지 않도록 고유 로컬 키 부여)
+      recorder: new CallRecorder({ callId: callId ?? `local-${randomUUID()}`, agentId, storeId }),
     };
 
+    session.callerKnown = new Promise((resolve) => { session.markCallerKnown = resolve; });
+    socketSessions.set(ws, session);
+
+    if (checkpoint) restoreSession(session, checkpoint);
+    session.recorder.start();
+    if (!checkpoint && urlCallerPhone) recognizeCaller(session);
+
     console.log(
       `[WS] Session ready | agent: ${agentId} | store_id: ${storeId} | ` +
-      `store: ${storeData.store_name ?? '(unnamed)'} | prompt: ${masterPrompt.length} chars ` +
-      `(세션 준비 완료 | 에이전트: ${agentId} | 매장 ID: ${storeId} | 프롬프트: ${masterPrompt.length}자)`
+      `store: ${storeData.store_name ?? '(unnamed)'} | llm: ${llm.name}/${llm.model} | prompt: ${masterPrompt.length} chars ` +
+      `(세션 준비 완료 | 에이전트: ${agentId} | 매장 ID: ${storeId} | LLM: ${llm.name}/${llm.model} | 프롬프트: ${masterPrompt.length}자)`
     );
 
+    // Ask Retell for keepalives / auto-reconnect and the call_details frame. The message
+    // handler below is attached in this same tick, so no reply can arrive unhandled.
+    // (Retell에 유지 신호 / 자동 재연결과 call_details 프레임 요청. 아래 메시지 핸들러가
+    //  같은 틱에 등록되므로 응답이 처리되지 않고 도착할 수 없음)
+    sendFrame(ws, { response_type: 'config', config: RETELL_CONFIG });
+
     // ── Proactive Greeting (response_id: 0) ───────────────────────────────
     // Stream the opening utterance before the caller says anything.
     // Uses a one-shot generateContentStream call that is NOT added to session.history —
@@ -218,7 +402,12 @@ export function setupWebSocket(httpServer) {
     // (발신자가 말하기 전 여는 발화 스트리밍.
     //  session.history에 추가되지 않는 일회성 generateContentStream 호출 — 인사말은 페르소나 시드.
     //  early response_required가 완료를 기다리도록 generationQueue를 통해 실행)
-    _enqueueGeneration(ws, session, agentId, () => handleGreeting(ws, session));
+    // Skipped on a resumed call — the caller is mid-conversation and the next
+    // response_required continues from the restored history.
+    // (재개된 통화는 건너뜀 — 발신자는 대화 중이며 다음 response_required가 복원된 히스토리에서 이어감)
+    if (!checkpoint) {
+      _enqueueGeneration(ws, session, agentId, () => handleGreeting(ws, session));
+    }
 
     // ── Message Handler ────────────────────────────────────────────────────
     ws.on('message', (rawData) => {
@@ -231,6 +420,24 @@ export function setupWebSocket(httpServer) {
         return;
       }
 
+      // ping_pong — keepalive while auto_reconnect is on. Retell reconnects the socket if these
+      // stop coming back, so answer immediately, outside the generation queue.
+      // (ping_pong — auto_reconnect 활성 시 연결 유지 신호. 응답이 끊기면 Retell이 재연결하므로
+      //  생성 큐를 거치지 않고 즉시 응답)
+      if (msg.interaction_type === 'ping_pong') {
+        sendFrame(ws, { response_type: 'ping_pong', timestamp: msg.timestamp });
+        return;
+      }
+
+      // call_details — caller number and metadata, sent once after the config frame.
+      // The prompt is rebuilt so the model can use the number instead of asking for it.
+      // (call_details — 발신자 번호와 메타데이터, config 프레임 후 한 번 전송.
+      //  모델이 번호를 묻지 않고 사용할 수 있도록 프롬프트 재생성)
+      if (msg.interaction_type === 'call_details') {
+        applyCallDetails(session, msg.call ?? {});
+        return;
+      }
+
       // update_only — transcript state push from Retell.
       // Retell sends these continuously as the user's speech is transcribed.
       // Most are routine updates and must NOT abort the active generation.
@@ -282,18 +489,77 @@ export function setupWebSocket(httpServer) {
         return;
       }
 
-      // All other types (ping, call_ended, etc.) — silently ignored
-      // (그 외 타입 — 무시)
+      // reminder_required — the caller has said nothing since our last utterance.
+      // Queued like response_required so it never overlaps a running generation, and it
+      // takes over the abort controller so a barge-in can still cut it off.
+      // (reminder_required — 마지막 발화 이후 발신자 무응답.
+      //  실행 중인 생성과 겹치지 않도록 response_required처럼 큐에 추가하고,
+      //  끼어들기로 중단할 수 있도록 abort 컨트롤러를 넘겨받음)
+      if (msg.interaction_type === 'reminder_required') {
+        const responseId = msg.response_id;
+        const controller = new AbortController();
+        session.abortController = controller;
+
+        _enqueueGeneration(ws, session, agentId, () => {
+          if (session.abortController !== controller) return Promise.resolve();
+          return handleReminder(ws, session, responseId, controller.signal);
+        });
+
+        return;
+      }
+
+      // All other types — silently ignored (그 외 타입 — 무시)
     });
 
     // ── Close Handler ──────────────────────────────────────────────────────
     ws.on('close', (code) => {
       // Abort any pending stream so the queue drains cleanly (보류 중인 스트림 중단 — 큐 정리)
       if (session.abortController) session.abortController.abort();
+
       console.log(
         `[WS] Connection closed | agent: ${agentId} | call: ${callId ?? 'unknown'} | code: ${code} ` +
         `(연결 종료 | 에이전트: ${agentId} | 통화: ${callId ?? 'unknown'})`
       );
+
+      // Finalize the call record with duration, close code and outcome, then queue the
+      // post-call summary once every recorded row has landed. Fire-and-forget — the socket
+      // is already closed and nothing here may throw into the ws event loop.
+      // A Retell call can still reconnect: its checkpoint stays for the grace window and the
+      // summary is held back just as long, so a resumed call can cancel it.
+      // (통화 시간, 종료 코드, 결과로 통화 기록 마무리 후 모든 행이 기록되면 통화 후 요약 등록.
+      //  발사 후 망각 — 소켓은 이미 닫혔고 ws 이벤트 루프로 예외가 전파되면 안 됨.
+      //  Retell 통화는 재연결될 수 있음: 체크포인트는 유예 시간 동안 유지되고 요약도 같은 시간
+      //  지연되어 재개된 통화가 취소할 수 있음)
+      // A socket that a reconnect already replaced does none of this — the live connection owns
+      // the checkpoint, the calls row and the summary. Ownership is checked again once the
+      // summary is queued, in case the reconnect landed (and cancelled) in between.
+      // (재연결로 이미 교체된 소켓은 아무것도 하지 않음 — 체크포인트, calls 행, 요약은 현재 연결 소유.
+      //  요약 등록 후 소유권을 다시 확인 — 그사이 재연결이 도착(및 취소)했을 수 있음)
+      const { recorder } = session;
+      const delayMs      = callId ? RESUME_GRACE_SECONDS * 1000 : 0;
+      const ownsCall     = () => (callId ? isCurrentGeneration(callId, session.connectionGeneration) : Promise.resolve(true));
+
+      (async () => {
+        if (!(await ownsCall())) {
+          console.log(
+            `[WS] Superseded connection closed — the reconnected socket keeps the call | call: ${callId} ` +
+            `(교체된 연결 종료 — 재연결된 소켓이 통화 유지 | 통화: ${callId})`
+          );
+          return;
+        }
+
+        if (callId) expireSessionCheckpoint(callId);
+        await recorder.finalize(code);
+        if (recorder.seq === 0) return;
+
+        await enqueueCallSummary(recorder.callId, { delayMs });
+        if (!(await ownsCall())) await cancelCallSummary(recorder.callId);
+      })().catch((err) => {
+        console.error(
+          `[WS] Call summary enqueue failed | call: ${recorder.callId} | ${err.message} ` +
+          `(통화 요약 등록 실패 | 통화: ${recorder.callId})`
+        );
+      });
     });
 
     // ── Error Handler ──────────────────────────────────────────────────────
@@ -353,25 +619,35 @@ async function handleGreeting(ws, session) {
   session.abortController = controller; // Allow early barge-in to abort the greeting (초기 끼어들기로 인사말 중단 허용)
   session.isGenerating = true;          // Set BEFORE any await (모든 await 전에 설정)
 
+  // Give call_details and the caller lookup a moment so a returning caller is greeted by name
+  // (재방문 발신자를 이름으로 맞이하도록 call_details와 발신자 조회를 잠시 대기)
+  if (getPrivacyPolicy(session.storeData).recognizeCallers) {
+    await Promise.race([session.callerKnown, new Promise((resolve) => setTimeout(resolve, CALLER_LOOKUP_WAIT_MS))]);
+  }
+
   // Greeting uses a fresh single-turn contents array — not session.history
   // (인사말은 신선한 단일 턴 contents 배열 사용 — session.history 아님)
   const greetContents = [
-    { role: 'user', parts: [{ text: GREETING_PROMPT }] },
+    { role: 'user', parts: [{ text: buildGreetingPrompt(session) }] },
   ];
 
   try {
     const stream = await generateWithAbort(
       session.model, greetContents, controller.signal
     );
+    let greetingText = '';
 
-    for await (const chunk of stream.stream) {
+    for await (const { text } of stream) {
       if (controller.signal.aborted) break; // Stop sending if interrupted (중단 시 전송 중지)
-      const text = textFromChunk(chunk);
-      if (text) sendChunk(ws, 0, text, false);
+      if (text) {
+        greetingText += text;
+        sendChunk(ws, 0, text, false);
+      }
     }
 
     if (!controller.signal.aborted) {
       sendChunk(ws, 0, '', true); // Final frame — closes the utterance (최종 프레임 — 발화 완료)
+      session.recorder.recordTurn('assistant', greetingText);
     }
 
   } catch (err) {
@@ -380,13 +656,258 @@ async function handleGreeting(ws, session) {
     } else {
       console.error(`[WS] [${session.agentId}] Greeting error (인사말 오류):`, err);
       // Send static fallback so Retell isn't left waiting (Retell이 기다리지 않도록 정적 폴백 전송)
-      sendChunk(ws, 0, "Hello! I'm your voice assistant. How can I help you today?", true);
+      const fallback = "Hello! I'm your voice assistant. How can I help you today?";
+      sendChunk(ws, 0, fallback, true);
+      session.recorder.recordTurn('assistant', fallback);
     }
   } finally {
     session.isGenerating = false; // ALWAYS released — cannot be skipped (항상 해제 — 건너뛸 수 없음)
   }
 }
 
+// ── Session Checkpoints ───────────────────────────────────────────────────────
+
+/**
+ * Save the resumable session state for this call. Only real Retell call_ids are checkpointed —
+ * a local-only connection can never be reconnected.
+ * (이 통화의 재개 가능한 세션 상태 저장. 실제 Retell call_id만 대상 — 로컬 연결은 재연결 불가)
+ *
+ * @param {object} session
+ */
+function checkpointSession(session) {
+  if (!session.callId) return;
+
+  saveSessionCheckpoint(session.callId, {
+    history:       session.history,
+    language:      session.language,
+    userTurnCount: session.userTurnCount,
+    caller:        session.caller,
+    callerProfile: session.callerProfile,
+    escalationId:  session.escalationId,
+    cart:          session.cart,
+    executedTools: session.executedTools,
+    completedTransactions: session.completedTransactions,
+    lastPlacedOrder: session.lastPlacedOrder,
+    endReason:       session.endReason,
+    silentReminders: session.silentReminders,
+    abuseStrikes:    session.abuseStrikes,
+    recorder:      session.recorder.snapshot(),
+  });
+}
+
+/**
+ * Restore a checkpoint into a freshly built session and cancel the summary the previous
+ * connection queued on close.
+ * (새로 만든 세션에 체크포인트를 복원하고 이전 연결이 종료 시 등록한 요약 취소)
+ *
+ * @param {object} session
+ * @param {object} checkpoint — state saved by checkpointSession() (checkpointSession()이 저장한 상태)
+ */
+function restoreSession(session, checkpoint) {
+  session.history       = checkpoint.history ?? [];
+  session.userTurnCount = checkpoint.userTurnCount ?? 0;
+  session.caller        = checkpoint.caller ?? null;
+  session.callerProfile = checkpoint.callerProfile ?? null;
+  session.escalationId  = checkpoint.escalationId ?? null;
+  session.cart          = checkpoint.cart ?? createCart();
+  session.executedTools = { ...checkpoint.executedTools };
+  session.resumedTools  = { ...checkpoint.executedTools };
+  session.completedTransactions = { ...checkpoint.completedTransactions };
+  session.lastPlacedOrder = checkpoint.lastPlacedOrder ?? null;
+  session.endReason       = checkpoint.endReason ?? null;
+  session.silentReminders = checkpoint.silentReminders ?? 0;
+  session.abuseStrikes    = checkpoint.abuseStrikes ?? 0;
+
+  if (session.supportedLanguages.includes(checkpoint.language)) session.language = checkpoint.language;
+  if (checkpoint.recorder) session.recorder.restore(checkpoint.recorder);
+
+  // The prompt depends on language and caller ID — rebuild if either differs from the defaults
+  // (프롬프트는 언어와 발신 번호에 의존 — 기본값과 다르면 재생성)
+  if (session.caller?.phone || session.language !== session.supportedLanguages[0]) {
+    rebuildSessionModel(session);
+  }
+
+  cancelCallSummary(session.callId).catch((err) => {
+    console.error(
+      `[WS] [${session.agentId}] Call summary cancel failed | call: ${session.callId} | ${err.message} ` +
+      `(통화 요약 취소 실패 | 통화: ${session.callId})`
+    );
+  });
+
+  console.log(
+    `[WS] [${session.agentId}] Session resumed | call: ${session.callId} | ` +
+    `turns: ${session.history.length} | saved: ${checkpoint.savedAt} ` +
+    `(세션 재개 | 통화: ${session.callId} | 턴: ${session.history.length})`
+  );
+}
+
+/**
+ * Run a tool, answering a side-effecting call that a previous connection already completed
+ * from its saved result instead of charging, booking or refunding twice. An order or booking
+ * whose content matches one already completed — or still running in a parallel call — in this
+ * call gets the original result back instead of a second order row, payment link or SMS.
+ * (도구 실행 — 이전 연결이 이미 완료한 부수 효과 호출은 이중 결제·예약·환불 대신 저장된 결과로 응답.
+ *  이 통화에서 이미 완료되었거나 병렬 호출로 실행 중인 주문·예약과 내용이 같으면
+ *  두 번째 주문 행·결제 링크·SMS 대신 원래 결과 반환)
+ *
+ * @param {string} fnName
+ * @param {object} fnArgs
+ * @param {object} session
+ * @returns {Promise<object>}
+ */
+async function executeToolOnce(fnName, fnArgs, session) {
+  // Spoken phone numbers and emails become E.164 and checked addresses before anything is keyed
+  // on them; the caller ID fills in a phone the model left out — see services/customer/contactDetails.js
+  // (발화된 전화번호와 이메일을 키로 쓰기 전에 E.164와 검증된 주소로 변환 — 누락된 번호는 발신 번호로 보완)
+  const contact = normalizeContactArgs(fnArgs, { storeData: session.storeData, callerPhone: session.caller?.phone });
+  if (contact.result) {
+    console.warn(
+      `[WS] [${session.agentId}] ${fnName} refused — ${contact.result.status} | ` +
+      `phone: ${fnArgs.customer_phone} | email: ${fnArgs.customer_email} (연락처 확인 필요 — 도구 실행 거절)`
+    );
+    return contact.result;
+  }
+  fnArgs = contact.args;
+
+  if (!SIDE_EFFECT_TOOLS.has(fnName)) return executeFunctionCall(fnName, fnArgs, session);
+
+  const key      = toolCallKey(fnName, fnArgs);
+  const previous = session.resumedTools[key];
+
+  if (previous) {
+    delete session.resumedTools[key]; // Replay once — a later identical request is a new one (한 번만 재사용 — 이후 동일 요청은 새 요청)
+    console.log(
+      `[WS] [${session.agentId}] ${fnName} already done before reconnect — replaying saved result ` +
+      `(재연결 전 이미 실행됨 — 저장된 결과 재사용)`
+    );
+    return previous;
+  }
+
+  const txKey     = transactionKey(fnName, fnArgs, { cart: session.cart, callerPhone: session.caller?.phone });
+  const completed = txKey && session.completedTransactions[txKey];
+  const inFlight  = txKey && session.pendingTransactions.get(txKey);
+
+  if (completed || inFlight) {
+    console.warn(
+      `[WS] [${session.agentId}] Duplicate ${fnName} suppressed — returning the original result | ` +
+      `key: ${txKey} | ${completed ? 'completed' : 'in flight'} ` +
+      `(중복 ${fnName} 차단 — 원래 결과 반환 | 키: ${txKey})`
+    );
+    const original = completed ?? await inFlight;
+    return original?.status === 'success' ? duplicateResult(original) : original;
+  }
+
+  const run = executeFunctionCall(fnName, fnArgs, session);
+  if (txKey) session.pendingTransactions.set(txKey, run);
+
+  let result;
+  try {
+    result = await run;
+  } finally {
+    if (txKey) session.pendingTransactions.delete(txKey);
+  }
+
+  // Checkpoint immediately — a drop before this turn commits must not repeat the side effect
+  // (즉시 체크포인트 — 이 턴이 커밋되기 전 연결이 끊겨도 부수 효과가 반복되면 안 됨)
+  if (result?.status === 'success') {
+    session.executedTools[key] = result;
+    if (txKey) session.completedTransactions[txKey] = result;
+    checkpointSession(session);
+  }
+
+  return result;
+}
+
+/**
+ * Stable identity for a tool call — argument key order from the model is not guaranteed.
+ * (도구 호출의 안정적 식별자 — 모델의 인자 키 순서는 보장되지 않음)
+ *
+ * @param {string} fnName
+ * @param {object} fnArgs
+ * @returns {string}
+ */
+function toolCallKey(fnName, fnArgs) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map((k) => [k, sortKeys(value[k])]));
+    }
+    return value;
+  };
+  return `${fnName}:${JSON.stringify(sortKeys(fnArgs ?? {}))}`;
+}
+
+// ── Reminder Handler ──────────────────────────────────────────────────────────
+
+/**
+ * Stream a short re-prompt for reminder_required. Like the greeting it is one-shot: the
+ * hidden instruction and the reply are not committed to session.history, so a silent
+ * stretch leaves no trace in the conversation the model sees on the next real turn.
+ * (reminder_required용 짧은 재안내 스트리밍. 인사말처럼 일회성 — 숨겨진 지시문과 응답은
+ *  session.history에 커밋되지 않아 다음 실제 턴에서 모델이 보는 대화에 흔적을 남기지 않음)
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {object}      session
+ * @param {number}      responseId — echoed in every outbound frame (모든 출력 프레임에 반환)
+ * @param {AbortSignal} signal
+ */
+async function handleReminder(ws, session, responseId, signal) {
+  session.isGenerating = true;
+
+  // Past the re-prompt limit or the call's time limit, say goodbye instead of asking again
+  // (재안내 한도나 통화 제한 시간을 넘으면 다시 묻는 대신 마무리 인사)
+  session.silentReminders += 1;
+  const { maxReminders } = session.guardrails;
+  const endReason = session.endReason
+    ?? (isOverTime(session.recorder.startedAt, session.guardrails) ? END_REASONS.maxDuration : null)
+    ?? (maxReminders > 0 && session.silentReminders > maxReminders ? END_REASONS.noResponse : null);
+
+  if (endReason) {
+    endCallWithGoodbye(ws, session, responseId, endReason);
+    session.isGenerating = false;
+    return;
+  }
+
+  const contents = [
+    ...session.history,
+    { role: 'user', parts: [{ text: REMINDER_PROMPT }] },
+  ];
+
+  try {
+    const stream = await generateWithAbort(session.model, contents, signal);
+    let reminderText = '';
+
+    for await (const { text } of stream) {
+      if (signal.aborted) break;
+      if (text) {
+        reminderText += text;
+        sendChunk(ws, responseId, text, false);
+      }
+    }
+
+    if (!signal.aborted) {
+      sendChunk(ws, responseId, '', true);
+      session.recorder.recordTurn('assistant', reminderText);
+      console.log(
+        `[WS] [${session.agentId}] Reminder sent | response_id: ${responseId} ` +
+        `(무응답 재안내 전송)`
+      );
+    }
+
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      console.log(`[WS] [${session.agentId}] Reminder aborted (재안내 중단) | response_id: ${responseId}`);
+    } else {
+      console.error(`[WS] [${session.agentId}] Reminder error (재안내 오류):`, err);
+      if (!signal.aborted && ws.readyState === ws.OPEN) {
+        sendChunk(ws, responseId, 'Are you still there? How can I help you?', true);
+      }
+    }
+  } finally {
+    session.isGenerating = false; // ALWAYS released (항상 해제)
+  }
+}
+
 // ── Transcript Handler (Streaming) ────────────────────────────────────────────
 
 /**
@@ -402,10 +923,15 @@ async function handleGreeting(ws, session) {
  *   3. Freeze prevention — isGenerating set BEFORE the first await and reset in finally
  *                   for every exit path: clean completion, abort, error, function-call chain.
  *
+ * Function calls run in a bounded loop: every call from one model round runs concurrently,
+ * and rounds repeat until Gemini answers in text or the per-turn tool budget is spent.
+ *
  * (스트리밍 + 끼어들기 + 동결 방지 3중 구현:
  *  1. 스트리밍: generateContentStream() + 청크별 sendChunk(..., false) + 최종 true.
  *  2. 끼어들기: 각 sendChunk 전 signal.aborted 확인, 히스토리 롤백, finally 즉시 실행.
- *  3. 동결 방지: 첫 await 전 isGenerating 설정, 모든 종료 경로에서 finally로 해제)
+ *  3. 동결 방지: 첫 await 전 isGenerating 설정, 모든 종료 경로에서 finally로 해제.
+ *  함수 호출은 제한된 루프로 실행: 한 라운드의 모든 호출은 동시 실행, Gemini가 텍스트로
+ *  답하거나 턴별 도구 예산이 소진될 때까지 라운드 반복)
  *
  * @param {import('ws').WebSocket} ws
  * @param {object}      session     — live session state (라이브 세션 상태)
@@ -433,6 +959,26 @@ async function handleTranscript(ws, session, transcript, responseId, signal) {
     `(사용자 발화) | response_id: ${responseId}`
   );
 
+  // Guardrails the server decides on its own — no model round-trip for these
+  // (서버가 직접 판단하는 가드레일 — 모델 호출 없음)
+  const endReason = session.endReason ?? checkTurnGuardrails(session, userText);
+  if (endReason) {
+    session.recorder.recordTurn('user', userText);
+    endCallWithGoodbye(ws, session, responseId, endReason);
+    session.isGenerating = false;
+    return;
+  }
+
+  // Early turns decide the call language — switch the model before generating so this
+  // very reply already comes back in the caller's language
+  // (초기 턴에서 통화 언어 결정 — 이번 응답부터 발신자 언어로 나오도록 생성 전에 모델 전환)
+  updateCallLanguage(session, userText);
+
+  // Fold older turns into the rolling summary if one finished since the last turn — before the
+  // snapshot, so a rollback of this turn never undoes it (마지막 턴 이후 완료된 롤링 요약이 있으면
+  // 이전 턴을 교체 — 스냅샷 전에 수행하여 이 턴의 롤백이 되돌리지 않도록)
+  applyHistoryCompaction(session);
+
   // Snapshot history length — used to roll back all writes if this turn is aborted or errors.
   // Because generationQueue serialises calls, no other turn can write between checkpoint
   // and rollback, so the truncation is always safe.
@@ -447,96 +993,135 @@ async function handleTranscript(ws, session, transcript, responseId, signal) {
   session.history.push({ role: 'user', parts: [{ text: userText }] });
 
   try {
-    // ── Turn 1: stream the user utterance to Gemini ────────────────────────
-    const turn1 = await generateWithAbort(session.model, session.history, signal);
-    let   turn1Text = '';
-
-    for await (const chunk of turn1.stream) {
-      if (signal.aborted) break; // Barge-in guard — stop sending stale chunks (끼어들기 보호 — 오래된 청크 전송 중지)
-      const text = textFromChunk(chunk);
-      if (text) {
-        turn1Text += text;
-        sendChunk(ws, responseId, text, false); // Partial chunk — TTS starts immediately (부분 청크 — TTS 즉시 시작)
+    // ── Tool loop: generate → run tools → generate … until Gemini answers in text ──
+    // Each round streams its text to Retell as it arrives. When a round ends in function
+    // calls they all run concurrently, their results go back into history, and the next
+    // round starts. The loop is bounded by MAX_TOOL_CALLS_PER_TURN and TURN_TOOL_BUDGET_MS;
+    // once either is spent, one last round runs with tools disabled so the caller always
+    // hears an answer built from whatever the tools returned so far.
+    // (도구 루프: 생성 → 도구 실행 → 생성 … Gemini가 텍스트로 답할 때까지 반복.
+    //  각 라운드의 텍스트는 도착 즉시 Retell로 스트리밍. 함수 호출로 끝난 라운드는 모든 호출을
+    //  동시 실행하고 결과를 히스토리에 추가한 뒤 다음 라운드 시작. MAX_TOOL_CALLS_PER_TURN과
+    //  TURN_TOOL_BUDGET_MS로 제한 — 소진 시 도구를 끈 마지막 라운드로 지금까지의 결과를
+    //  바탕으로 항상 응답)
+    const deadline  = Date.now() + TURN_TOOL_BUDGET_MS;
+    const toolNames = [];
+    let   spokenText = '';
+    let   toolsOff   = false;
+    let   fillerSent = false;
+
+    for (;;) {
+      const remainingMs = deadline - Date.now();
+      const round = await streamModelRound(ws, session, responseId, signal, toolsOff
+        ? { timeoutMs: FINAL_ROUND_TIMEOUT_MS, toolsEnabled: false }
+        : { timeoutMs: Math.min(LLM_TIMEOUT_MS, Math.max(remainingMs, 1)) });
+
+      if (!round) {
+        session.history.length = historyCheckpoint; // Barge-in — rollback all (끼어들기 — 전체 롤백)
+        return;
       }
-    }
 
-    if (signal.aborted) {
-      session.history.length = historyCheckpoint; // Rollback user turn (사용자 턴 롤백)
-      return;
-    }
+      spokenText += round.text;
 
-    // Await the aggregated response to check for a function call.
-    // The stream is already complete at this point — this is a resolved promise.
-    // (함수 호출 확인을 위해 집계된 응답 대기.
-    //  스트림이 이미 완료된 시점 — 이미 resolved된 promise)
-    const turn1Response = await turn1.response;
-
-    if (signal.aborted) {
-      session.history.length = historyCheckpoint;
-      return;
-    }
+      // ── Plain text — the turn is answered ─────────────────────────────────
+      // Calls from the tools-off round are ignored rather than run (도구 끈 라운드의 호출은 실행하지 않고 무시)
+      if (round.functionCalls.length === 0 || toolsOff) {
+        session.history.push({ role: 'model', parts: [{ text: round.text }] });
+        break;
+      }
 
-    const turn1Parts = turn1Response.candidates?.[0]?.content?.parts ?? [];
-    const fnPart     = turn1Parts.find((p) => p.functionCall != null);
+      console.log(
+        `[WS] [${session.agentId}] Function call${round.functionCalls.length > 1 ? 's' : ''}: ` +
+        round.functionCalls.map((fc) => `"${fc.name}" ${JSON.stringify(fc.args)}`).join(', ') +
+        ` (함수 호출 ${round.functionCalls.length}건)`
+      );
 
-    // ── Pure text response — commit history and close the utterance ────────
-    if (!fnPart) {
-      session.history.push({ role: 'model', parts: [{ text: turn1Text }] });
-      sendChunk(ws, responseId, '', true); // Final frame — signals TTS completion (최종 프레임 — TTS 완료 신호)
-      return;
-    }
+      // Commit the model's function-call turn (and any text spoken before it) to history
+      // (모델의 함수 호출 턴과 그 앞의 발화 텍스트를 히스토리에 커밋)
+      session.history.push({
+        role:  'model',
+        parts: [
+          ...(round.text ? [{ text: round.text }] : []),
+          ...round.functionCalls.map((fc) => ({ functionCall: fc })),
+        ],
+      });
 
-    // ── Function call detected ─────────────────────────────────────────────
-    const { name: fnName, args: fnArgs } = fnPart.functionCall;
-    console.log(
-      `[WS] [${session.agentId}] Function call: "${fnName}" | args: ${JSON.stringify(fnArgs)} ` +
-      `(함수 호출: "${fnName}")`
-    );
+      // Budget check — calls past the cap or the deadline are answered without running
+      // (예산 확인 — 한도나 기한을 넘긴 호출은 실행하지 않고 응답)
+      const overBudget = toolNames.length + round.functionCalls.length > MAX_TOOL_CALLS_PER_TURN
+        || Date.now() >= deadline;
+
+      // Filler speech — at most once per turn, and only when the model has not already said
+      // something ahead of its calls (채움 발화 — 턴당 최대 한 번, 모델이 호출 전에 아무 말도 하지 않은 경우에만)
+      const stopFiller = !overBudget && !fillerSent && !round.text.trim()
+        ? armFillerSpeech(ws, session, responseId, signal, round.functionCalls)
+        : null;
+
+      const results = overBudget
+        ? round.functionCalls.map(() => TOOL_BUDGET_RESULT)
+        : await runToolCalls(round.functionCalls, session);
+
+      const fillerText = stopFiller?.() ?? '';
+      if (fillerText) {
+        spokenText += fillerText;
+        fillerSent  = true;
+      }
 
-    // Commit the model's function-call turn to history (모델의 함수 호출 턴을 히스토리에 커밋)
-    session.history.push({ role: 'model', parts: [{ functionCall: { name: fnName, args: fnArgs } }] });
+      if (overBudget) {
+        toolsOff = true;
+        console.warn(
+          `[WS] [${session.agentId}] Tool budget reached | calls: ${toolNames.length} | ` +
+          `response_id: ${responseId} — answering without further tools ` +
+          `(도구 예산 도달 — 추가 도구 없이 응답)`
+        );
+      } else {
+        toolNames.push(...round.functionCalls.map((fc) => fc.name));
+      }
 
-    const fnResponse = await executeFunctionCall(fnName, fnArgs, session);
+      if (signal.aborted) {
+        session.history.length = historyCheckpoint; // Rollback all (전체 롤백)
+        return;
+      }
 
-    if (signal.aborted) {
-      session.history.length = historyCheckpoint; // Rollback user + model turns (사용자 + 모델 턴 롤백)
-      return;
+      // Function results go back as one user-role turn, in call order — required by
+      // Gemini's multi-turn protocol (함수 결과를 호출 순서대로 하나의 사용자 역할 턴으로 추가 — Gemini 멀티턴 프로토콜 요구사항)
+      session.history.push({
+        role:  'user',
+        parts: round.functionCalls.map((fc, i) => ({
+          functionResponse: { name: fc.name, response: results[i] },
+        })),
+      });
     }
 
-    // Add function result as a user-role turn — required by Gemini's multi-turn protocol
-    // (함수 결과를 사용자 역할 턴으로 추가 — Gemini 멀티턴 프로토콜 요구사항)
-    session.history.push({
-      role:  'user',
-      parts: [{ functionResponse: { name: fnName, response: fnResponse } }],
-    });
-
-    // ── Turn 2: stream Gemini's function-informed reply ────────────────────
-    const turn2 = await generateWithAbort(session.model, session.history, signal);
-    let   turn2Text = '';
-
-    for await (const chunk of turn2.stream) {
-      if (signal.aborted) break;
-      const text = textFromChunk(chunk);
-      if (text) {
-        turn2Text += text;
-        sendChunk(ws, responseId, text, false);
-      }
+    // Close the utterance — carrying the transfer number when transfer_to_human armed one,
+    // so Retell hands the call over once the reply is spoken, or end_call when end_call armed a
+    // reason. A transfer wins over hanging up.
+    // (발화 완료 — transfer_to_human이 이관 번호를 설정한 경우 함께 전송해 Retell이 응답 발화 후
+    //  통화를 이관, end_call이 종료 이유를 설정한 경우 end_call 전송. 이관이 종료보다 우선)
+    const endingAs = session.pendingTransfer ? null : session.pendingEnd;
+    sendChunk(ws, responseId, '', true, Boolean(endingAs), session.pendingTransfer);
+
+    session.recorder.recordTurn('user', userText);
+    session.recorder.recordTurn('assistant', spokenText);
+    if (endingAs) markCallEnded(session, endingAs);
+    checkpointSession(session);
+    scheduleHistoryCompaction(session);
+
+    if (session.pendingTransfer) {
+      session.recorder.markOutcome('transferred');
+      console.log(
+        `[WS] [${session.agentId}] Transfer frame sent | to: ${session.pendingTransfer} ` +
+        `(이관 프레임 전송 | 대상: ${session.pendingTransfer})`
+      );
     }
 
-    if (signal.aborted) {
-      session.history.length = historyCheckpoint; // Rollback all (전체 롤백)
-      return;
+    if (toolNames.length > 0) {
+      console.log(
+        `[WS] [${session.agentId}] Turn complete | tools: ${toolNames.join(', ')} | response_id: ${responseId} ` +
+        `(턴 완료 | 도구 ${toolNames.length}건)`
+      );
     }
 
-    // Commit model's reply and close the utterance (모델 응답 커밋 및 발화 완료)
-    session.history.push({ role: 'model', parts: [{ text: turn2Text }] });
-    sendChunk(ws, responseId, '', true);
-
-    console.log(
-      `[WS] [${session.agentId}] Turn complete | fn: "${fnName}" | response_id: ${responseId} ` +
-      `(턴 완료 | 함수: "${fnName}")`
-    );
-
   } catch (err) {
     // Always rollback history so future turns start from a clean state
     // (항상 히스토리 롤백 — 미래 턴이 깨끗한 상태에서 시작)
@@ -568,60 +1153,242 @@ async function handleTranscript(ws, session, transcript, responseId, signal) {
     //  모든 정상 경로, AbortError, 네트워크/Gemini 오류, 타임아웃.
     //  generationQueue의 다음 .then()은 이것이 resolved될 때까지 실행되지 않음.
     //  isGenerating 재설정으로 큐가 항상 진행됨을 보장)
-    session.isGenerating = false;
+    session.isGenerating    = false;
+    session.pendingTransfer = null; // Only a cleanly completed turn may transfer (정상 완료된 턴만 이관 가능)
+    session.pendingEnd      = null; // …or hang up (…또는 통화 종료)
+  }
+}
+
+// ── Call Guardrails ───────────────────────────────────────────────────────────
+
+/**
+ * Check a caller turn against the guardrails the server enforces itself: the call's time limit
+ * and repeated abuse. A caller who speaks also resets the silence count.
+ * (서버가 직접 적용하는 가드레일로 발신자 턴 확인 — 통화 제한 시간과 반복된 폭언.
+ *  발신자가 말하면 무응답 횟수도 초기화)
+ *
+ * @param {object} session
+ * @param {string} userText
+ * @returns {string|null} end reason, or null to answer normally (종료 이유, 정상 응답 시 null)
+ */
+function checkTurnGuardrails(session, userText) {
+  session.silentReminders = 0;
+
+  if (isOverTime(session.recorder.startedAt, session.guardrails)) return END_REASONS.maxDuration;
+
+  if (session.guardrails.abuseStrikes > 0 && detectAbuse(userText)) {
+    session.abuseStrikes += 1;
+    console.warn(
+      `[WS] [${session.agentId}] Abusive caller turn | strike: ${session.abuseStrikes}/${session.guardrails.abuseStrikes} ` +
+      `(폭언 발신자 턴 | 경고: ${session.abuseStrikes}/${session.guardrails.abuseStrikes})`
+    );
+    if (session.abuseStrikes >= session.guardrails.abuseStrikes) return END_REASONS.abusive;
+  }
+
+  return null;
+}
+
+/**
+ * Speak the closing line for a server-decided end and hang up. A call that has already ended
+ * only hears the goodbye again — Retell may still deliver a turn before it disconnects.
+ * (서버가 판단한 종료의 마무리 문구를 말하고 통화 종료. 이미 종료된 통화는 인사만 다시 들음 —
+ *  Retell이 연결을 끊기 전에 턴을 전달할 수 있음)
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {object} session
+ * @param {number} responseId
+ * @param {string} reason — one of END_REASONS (END_REASONS 중 하나)
+ */
+function endCallWithGoodbye(ws, session, responseId, reason) {
+  const goodbye = closingLine(reason, session.language);
+  sendChunk(ws, responseId, goodbye, true, true);
+  session.recorder.recordTurn('assistant', goodbye);
+
+  if (!session.endReason) {
+    markCallEnded(session, reason);
+    checkpointSession(session);
   }
 }
 
+/**
+ * Record why the agent ended the call (에이전트가 통화를 끝낸 이유 기록)
+ *
+ * @param {object} session
+ * @param {string} reason
+ */
+function markCallEnded(session, reason) {
+  session.endReason = reason;
+  session.recorder.recordEndReason(reason);
+  console.log(
+    `[WS] [${session.agentId}] Ending call | reason: ${reason} | call: ${session.callId} ` +
+    `(통화 종료 | 이유: ${reason})`
+  );
+}
+
+// ── Tool Loop Helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Run one model round over session.history, streaming its text to Retell as it arrives.
+ * (session.history로 모델 라운드 하나를 실행하고 텍스트를 도착 즉시 Retell로 스트리밍)
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {object}      session
+ * @param {number}      responseId
+ * @param {AbortSignal} signal
+ * @param {object}      [opts]
+ * @param {number}      [opts.timeoutMs]  — max wait for the stream to start (스트림 시작 대기 최대 시간)
+ * @param {boolean}     [opts.toolsEnabled=true] — false forces a text-only answer (false면 텍스트 응답 강제)
+ * @returns {Promise<{ text: string, functionCalls: Array<{ name: string, args: object }> }|null>}
+ *          null when the round was aborted (중단 시 null)
+ */
+async function streamModelRound(ws, session, responseId, signal, { timeoutMs, toolsEnabled = true } = {}) {
+  const stream = await generateWithAbort(session.model, session.history, signal, timeoutMs, { toolsEnabled });
+  let text = '';
+  const functionCalls = [];
+
+  for await (const chunk of stream) {
+    if (signal.aborted) break; // Barge-in guard — stop sending stale chunks (끼어들기 보호 — 오래된 청크 전송 중지)
+    if (chunk.text) {
+      text += chunk.text;
+      sendChunk(ws, responseId, chunk.text, false); // Partial chunk — TTS starts immediately (부분 청크 — TTS 즉시 시작)
+    }
+    functionCalls.push(...chunk.functionCalls);
+  }
+
+  if (signal.aborted) return null;
+
+  return { text, functionCalls };
+}
+
+/**
+ * Arm the filler line for a round of tool calls — sent at once for tools expected to be slow,
+ * otherwise only if the round is still running after FILLER_THRESHOLD_MS. It goes out as a
+ * partial chunk on the turn's response_id, so the reply that follows continues the same
+ * utterance and content_complete still arrives exactly once, at the end of the turn. Nothing
+ * is sent after a barge-in.
+ * (도구 호출 라운드의 채움 문구 예약 — 느릴 것으로 예상되는 도구는 즉시, 그 외에는
+ *  FILLER_THRESHOLD_MS 후에도 실행 중일 때만 전송. 턴의 response_id로 부분 청크로 나가므로
+ *  뒤따르는 응답이 같은 발화를 이어가며 content_complete는 턴 끝에 정확히 한 번만 전송.
+ *  끼어들기 후에는 전송하지 않음)
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {object}      session
+ * @param {number}      responseId
+ * @param {AbortSignal} signal
+ * @param {Array<{ name: string }>} functionCalls
+ * @returns {() => string} call once the tools settle — cancels a pending filler and returns
+ *                         the text that was spoken, if any (도구 완료 후 호출 — 대기 중 문구 취소, 발화된 텍스트 반환)
+ */
+function armFillerSpeech(ws, session, responseId, signal, functionCalls) {
+  const { text, immediate } = fillerFor(functionCalls.map((fc) => fc.name), session.language);
+  let spoken = '';
+
+  const timer = setTimeout(() => {
+    if (signal.aborted || ws.readyState !== ws.OPEN) return;
+    sendChunk(ws, responseId, text, false);
+    spoken = text;
+    console.log(
+      `[WS] [${session.agentId}] Filler sent | response_id: ${responseId} | ${immediate ? 'slow tool' : 'threshold passed'} ` +
+      `(채움 발화 전송 | response_id: ${responseId})`
+    );
+  }, immediate ? 0 : FILLER_THRESHOLD_MS);
+
+  return () => {
+    clearTimeout(timer);
+    return spoken;
+  };
+}
+
+/**
+ * Run every function call from one round concurrently and record each as it settles.
+ * A tool that throws is reported back to the model as an error result instead of failing
+ * the whole turn — the other tools' side effects have already happened.
+ * (한 라운드의 모든 함수 호출을 동시 실행하고 완료되는 대로 기록.
+ *  예외가 발생한 도구는 턴 전체를 실패시키지 않고 오류 결과로 모델에 전달 — 다른 도구의
+ *  부수 효과는 이미 발생함)
+ *
+ * @param {Array<{ name: string, args: object }>} functionCalls
+ * @param {object} session
+ * @returns {Promise<object[]>} results in call order (호출 순서의 결과)
+ */
+async function runToolCalls(functionCalls, session) {
+  const settled = await Promise.allSettled(
+    functionCalls.map(async ({ name, args }) => {
+      const result = await executeToolOnce(name, args, session);
+      // Record right away — side effects stand even if this turn is rolled back
+      // (즉시 기록 — 이 턴이 롤백되어도 부수 효과는 유지됨)
+      session.recorder.recordToolCall(name, args, result);
+      return result;
+    })
+  );
+
+  return settled.map((outcome, i) => {
+    if (outcome.status === 'fulfilled') return outcome.value;
+
+    console.error(
+      `[WS] [${session.agentId}] Tool "${functionCalls[i].name}" threw (도구 예외):`, outcome.reason
+    );
+    const result = {
+      status:  'error',
+      message: 'This action failed due to a system error. Apologize and offer to try again or transfer to staff.',
+    };
+    session.recorder.recordToolCall(functionCalls[i].name, functionCalls[i].args, result);
+    return result;
+  });
+}
+
 // ── generateWithAbort ─────────────────────────────────────────────────────────
 
 /**
- * Wrap model.generateContentStream() with an AbortController and timeout.
+ * Wrap model.stream() with an AbortController and timeout.
  *
  * Why this is necessary:
- *   model.generateContentStream() returns a Promise. If Gemini is slow (network stall,
- *   cold start, rate limiting), this await can block for many seconds. Without a way to
- *   reject it early, the generationQueue deadlocks: new response_required events pile up,
- *   session.isGenerating stays true, and the voice agent freezes completely.
+ *   model.stream() returns a Promise that settles once the response starts. If the model is
+ *   slow (network stall, cold start, rate limiting), this await can block for many seconds.
+ *   Without a way to reject it early, the generationQueue deadlocks: new response_required
+ *   events pile up, session.isGenerating stays true, and the voice agent freezes completely.
  *
- *   This function races the Gemini call against two rejection sources:
+ *   This function races the model call against two rejection sources:
  *     a) abort()   — fired by the message handler on barge-in or new response_required.
  *                    The abort event listener rejects synchronously, so the await in
  *                    handleTranscript resolves (to a rejection) in the same JS tick.
- *     b) timeout   — a 15-second safety net for network failures or Gemini cold starts.
+ *     b) timeout   — a 15-second safety net for network failures or model cold starts.
  *
  *   When either fires, handleTranscript's catch block runs, history is rolled back,
  *   and the finally block resets isGenerating — the queue advances.
  *
- *   Note: calling abort() does NOT cancel the underlying HTTP request to Gemini
- *   (the SDK does not support AbortSignal natively). The request runs to completion
- *   in the background, but its result is discarded because we manage history manually
- *   and only commit after a non-aborted generation.
+ *   The signal is also handed to the provider, which cancels the underlying HTTP request on
+ *   abort. A timed-out request runs to completion in the background, but its result is
+ *   discarded because we manage history manually and only commit after a non-aborted generation.
  *
- * (왜 필요한가: model.generateContentStream()이 느린 경우 await가 수 초간 블록.
- *  이 함수는 Gemini 호출을 두 가지 거절 소스에 대해 경쟁:
+ * (왜 필요한가: model.stream()이 느린 경우 await가 수 초간 블록.
+ *  이 함수는 모델 호출을 두 가지 거절 소스에 대해 경쟁:
  *  a) abort() — 끼어들기나 새 response_required 시 메시지 핸들러가 즉시 호출.
- *  b) 타임아웃 — 네트워크 장애나 Gemini 콜드 스타트에 대한 15초 안전망.
- *  어느 쪽이 먼저 발생해도 catch 블록 실행, 히스토리 롤백, finally로 잠금 해제.)
+ *  b) 타임아웃 — 네트워크 장애나 모델 콜드 스타트에 대한 15초 안전망.
+ *  어느 쪽이 먼저 발생해도 catch 블록 실행, 히스토리 롤백, finally로 잠금 해제.
+ *  신호는 프로바이더에도 전달되어 중단 시 실제 HTTP 요청도 취소)
  *
- * @param {import('@google/generative-ai').GenerativeModel} model
+ * @param {import('../services/llm/llmProvider.js').LlmModel} model
  * @param {Array}       contents    — full history to send (전송할 전체 히스토리)
  * @param {AbortSignal} signal      — abort signal for this generation (이번 생성의 abort 신호)
- * @param {number}      [timeoutMs] — max wait for Gemini to start streaming (스트리밍 시작 대기 최대 시간)
- * @returns {Promise<import('@google/generative-ai').GenerateContentStreamResult>}
+ * @param {number}      [timeoutMs] — max wait for the model to start streaming (스트리밍 시작 대기 최대 시간)
+ * @param {object}      [opts]
+ * @param {boolean}     [opts.toolsEnabled=true] — false forces a text-only answer (false면 텍스트 응답 강제)
+ * @returns {Promise<AsyncIterable<import('../services/llm/llmProvider.js').LlmChunk>>}
  * @throws  {Error} with name 'AbortError' if aborted or timed out (중단 또는 타임아웃 시 AbortError)
  */
-function generateWithAbort(model, contents, signal, timeoutMs = GEMINI_TIMEOUT_MS) {
+function generateWithAbort(model, contents, signal, timeoutMs = LLM_TIMEOUT_MS, { toolsEnabled = true } = {}) {
   return new Promise((resolve, reject) => {
     // Reject immediately if already aborted before the call (호출 전에 이미 중단된 경우 즉시 거절)
     if (signal.aborted) {
-      reject(makeAbortError('Aborted before Gemini call (Gemini 호출 전 이미 중단됨)'));
+      reject(makeAbortError('Aborted before LLM call (LLM 호출 전 이미 중단됨)'));
       return;
     }
 
-    // Safety-net timeout — rejects if Gemini hasn't responded within GEMINI_TIMEOUT_MS
-    // (안전망 타임아웃 — GEMINI_TIMEOUT_MS 내에 Gemini가 응답하지 않으면 거절)
+    // Safety-net timeout — rejects if the model hasn't responded within LLM_TIMEOUT_MS
+    // (안전망 타임아웃 — LLM_TIMEOUT_MS 내에 모델이 응답하지 않으면 거절)
     const timer = setTimeout(() => {
-      reject(makeAbortError(`Gemini request timed out after ${timeoutMs}ms (Gemini 요청 ${timeoutMs}ms 후 타임아웃)`));
+      reject(makeAbortError(`LLM request timed out after ${timeoutMs}ms (LLM 요청 ${timeoutMs}ms 후 타임아웃)`));
     }, timeoutMs);
 
     // Abort listener — fires synchronously when abort() is called on the signal.
@@ -630,16 +1397,16 @@ function generateWithAbort(model, contents, signal, timeoutMs = GEMINI_TIMEOUT_M
     //  abort()와 동일한 JS 틱에서 promise를 거절 — 즉각적인 차단 해제)
     const onAbort = () => {
       clearTimeout(timer);
-      reject(makeAbortError('Aborted during Gemini call (Gemini 호출 중 중단됨)'));
+      reject(makeAbortError('Aborted during LLM call (LLM 호출 중 중단됨)'));
     };
     signal.addEventListener('abort', onAbort, { once: true });
 
-    // Issue the actual Gemini streaming request (실제 Gemini 스트리밍 요청 발행)
-    model.generateContentStream({ contents })
-      .then((result) => {
+    // Issue the actual streaming request (실제 스트리밍 요청 발행)
+    model.stream(contents, { signal, toolsEnabled })
+      .then((stream) => {
         clearTimeout(timer);
         signal.removeEventListener('abort', onAbort);
-        resolve(result);
+        resolve(stream);
       })
       .catch((err) => {
         clearTimeout(timer);
@@ -682,64 +1449,190 @@ function makeAbortError(message) {
  */
 async function executeFunctionCall(fnName, fnArgs, session) {
 
+  // A returning caller's saved email likewise fills a left-out customer_email
+  // (재방문 발신자의 저장된 이메일로 누락된 customer_email 보완)
+  if (!fnArgs.customer_email && session.callerProfile?.email && ['place_order', 'make_reservation'].includes(fnName)) {
+    fnArgs = { ...fnArgs, customer_email: session.callerProfile.email };
+  }
+
   // ── get_menu ───────────────────────────────────────────────────────────────
   // Return pre-cached menu text — no network call needed (사전 캐시된 메뉴 텍스트 반환 — 네트워크 호출 불필요)
   if (fnName === 'get_menu') {
-    const menuContent = session.storeData.menu_cache ?? 'Menu information is currently unavailable.';
+    const menuContent = localizedMenu(session.storeData, session.language) ?? 'Menu information is currently unavailable.';
     return { menu: menuContent };
   }
 
   // ── search_menu ────────────────────────────────────────────────────────────
-  // Query menu_items by keyword (ilike), or return full menu_cache if no keyword.
-  // Allows Gemini to answer specific price / availability questions accurately.
-  // (키워드로 menu_items 조회(ilike), 키워드 없으면 전체 menu_cache 반환.
-  //  Gemini가 특정 가격/재고 질문에 정확하게 답할 수 있도록 함)
+  // Query menu_items by keyword (ilike) and/or dietary and allergen tags, or return full
+  // menu_cache if neither is given. Allows Gemini to answer specific price / availability /
+  // "which items are vegan?" questions accurately.
+  // (키워드(ilike) 및/또는 식이·알레르겐 태그로 menu_items 조회, 둘 다 없으면 전체 menu_cache 반환.
+  //  Gemini가 특정 가격/재고/"비건 메뉴는?" 질문에 정확하게 답할 수 있도록 함)
   if (fnName === 'search_menu') {
-    const keyword = fnArgs.keyword?.trim() ?? '';
+    const keyword  = fnArgs.keyword?.trim() ?? '';
+    const dietary  = normaliseTags(fnArgs.dietary, DIETARY_TAGS);
+    const excluded = normaliseTags(fnArgs.exclude_allergens, ALLERGENS);
+    const filtered = dietary.tags.length > 0 || excluded.tags.length > 0;
+    const unknown  = [...dietary.unknown, ...excluded.unknown];
+
     console.log(
-      `[WS] [${session.agentId}] search_menu | keyword: "${keyword}" ` +
-      `(메뉴 검색 | 키워드: "${keyword}")`
+      `[WS] [${session.agentId}] search_menu | keyword: "${keyword}" | dietary: [${dietary.tags}] | ` +
+      `exclude: [${excluded.tags}] (메뉴 검색 | 키워드: "${keyword}")`
     );
 
-    if (!keyword) {
+    if (!keyword && !filtered) {
+      if (unknown.length > 0) {
+        return {
+          results:    [],
+          message:    `This store does not track "${unknown.join('", "')}" on its menu. Do not guess — ` +
+                      'offer to transfer the caller to a staff member who can check.',
+          disclaimer: ALLERGY_DISCLAIMER,
+        };
+      }
       // No keyword — return the pre-cached full menu string (키워드 없음 — 사전 캐시된 전체 메뉴 문자열 반환)
-      const menuContent = session.storeData.menu_cache ?? 'Menu information is currently unavailable.';
+      const menuContent = localizedMenu(session.storeData, session.language) ?? 'Menu information is currently unavailable.';
       return { menu: menuContent };
     }
 
-    // Keyword supplied — query menu_items for partial name matches using ilike
-    // (키워드 있음 — ilike로 부분 이름 일치하는 menu_items 조회)
-    const { data: items, error } = await supabase
+    // Keyword and/or tag filters supplied — untagged items (allergens NULL) never count as
+    // allergen-free (키워드 및/또는 태그 필터 — 태그 없는 항목(allergens NULL)은 알레르겐 없음으로 간주하지 않음)
+    let query = supabase
       .from('menu_items')
-      .select('name, price, category')
-      .eq('store_id', session.storeData.id)
-      .ilike('name', `%${keyword}%`);
+      .select('variant_id, name, variant_name, price, category, modifier_ids, allergens, dietary_tags')
+      .eq('store_id', session.storeData.id);
+    if (keyword)                  query = query.ilike('name', `%${keyword}%`);
+    if (dietary.tags.length > 0)  query = query.contains('dietary_tags', dietary.tags);
+    if (excluded.tags.length > 0) {
+      query = query.not('allergens', 'is', null).not('allergens', 'ov', `{${excluded.tags.join(',')}}`);
+    }
+
+    const { data: items, error } = await query;
 
     if (error) {
       console.error(`[WS] [${session.agentId}] search_menu DB error (메뉴 검색 DB 오류):`, error);
       return { results: [], message: 'Menu search failed. Please ask the customer to repeat their request.' };
     }
 
+    // Allergy-related searches always carry the scripted caution (알레르기 관련 검색에는 항상 고정 안내 문구 포함)
+    const caution = excluded.tags.length > 0 || unknown.length > 0
+      ? { disclaimer: ALLERGY_DISCLAIMER }
+      : {};
+    const untracked = unknown.length > 0
+      ? ` This store does not track "${unknown.join('", "')}" — do not make claims about it.`
+      : '';
+
     if (!items?.length) {
       return {
         results: [],
-        message: `No menu items found matching "${keyword}". Please ask the customer if they meant something else.`,
+        message: filtered
+          ? `No menu items are tagged to match that request.${untracked} Do not suggest items as safe on ` +
+            'your own — offer to transfer the caller to a staff member who can check.'
+          : `No menu items found matching "${keyword}". Please ask the customer if they meant something else.`,
+        ...caution,
       };
     }
 
-    return { results: items };
+    // Attach each item's option groups so the model can offer them and pass them to add_to_cart.
+    // A modifier lookup failure only drops the options — the items themselves are still valid.
+    // (모델이 옵션을 안내하고 add_to_cart에 전달할 수 있도록 항목별 옵션 그룹 첨부.
+    //  수정자 조회 실패 시 옵션만 누락 — 항목 자체는 유효)
+    const modifierIds = [...new Set(items.flatMap((i) => i.modifier_ids ?? []))];
+    const { groups, error: modifierError } = await loadModifierGroups(session.storeData.id, modifierIds);
+    if (modifierError) {
+      console.error(`[WS] [${session.agentId}] search_menu modifier lookup failed (수정자 조회 실패):`, modifierError);
+    }
+    const groupById = new Map(groups.map((g) => [g.modifier_id, g]));
+
+    return {
+      results: items.map(({ modifier_ids: ids, allergens, dietary_tags, ...item }) => ({
+        ...item,
+        ...describeTags({ allergens, dietary_tags }),
+        options: (ids ?? [])
+          .map((id) => groupById.get(id))
+          .filter(Boolean)
+          .map((g) => ({ group: g.name, choices: (g.options ?? []).map((o) => ({ name: o.name, price: o.price })) })),
+      })),
+      ...(untracked && { message: untracked.trim() }),
+      ...caution,
+    };
+  }
+
+  // ── answer_store_question (ACTIVE) ─────────────────────────────────────────
+  // Owner-maintained FAQ entries ranked against the question — see services/knowledge/storeKnowledge.js
+  // (질문에 대해 순위화된 점주 관리 FAQ 항목 — services/knowledge/storeKnowledge.js 참고)
+  if (fnName === 'answer_store_question') {
+    return answerStoreQuestion({ storeId: session.storeData.id, args: fnArgs });
+  }
+
+  // ── Cart tools (ACTIVE) ────────────────────────────────────────────────────
+  // Session-scoped cart priced from menu_items — see services/order/cart.js
+  // (menu_items 가격으로 계산되는 세션 단위 장바구니 — services/order/cart.js 참고)
+  if (fnName === 'add_to_cart') {
+    return addToCart({ storeId: session.storeData.id, cart: session.cart, args: fnArgs });
+  }
+  if (fnName === 'remove_from_cart') {
+    return removeFromCart({ cart: session.cart, args: fnArgs });
+  }
+  if (fnName === 'update_cart_quantity') {
+    return updateCartQuantity({ cart: session.cart, args: fnArgs });
+  }
+  if (fnName === 'view_cart') {
+    return viewCart(session.cart);
+  }
+
+  // ── Returning caller tools (ACTIVE) ────────────────────────────────────────
+  // "The usual" and opting out of recognition — see services/customer/callerProfile.js
+  // ("늘 먹던 것"과 인식 거부 — services/customer/callerProfile.js 참고)
+  if (fnName === 'reorder_last_order') {
+    return repeatLastOrder({ storeId: session.storeData.id, cart: session.cart, profile: session.callerProfile });
+  }
+  if (fnName === 'opt_out_of_recognition') {
+    const result = await optOutCaller({ storeData: session.storeData, phone: fnArgs.customer_phone });
+    if (result.status === 'success') {
+      session.callerProfile = null;
+      rebuildSessionModel(session);
+    }
+    return result;
   }
 
   // ── place_order (ACTIVE) ───────────────────────────────────────────────────
-  // Insert a confirmed order row, generate a payment link, and notify the customer.
-  // Pipeline: DB insert → createPaymentLink → sendPaymentLink → return result to Gemini.
-  // (확정된 주문 삽입 → 결제 링크 생성 → 고객 알림 → Gemini에 결과 반환.
+  // Submit the server-held cart as an order row, generate a payment link, and notify the customer.
+  // Pipeline: DB insert → createPaymentLink → sendPaymentLink → clear cart → return result to Gemini.
+  // (서버 보관 장바구니를 주문으로 삽입 → 결제 링크 생성 → 고객 알림 → 장바구니 비움 → Gemini에 결과 반환.
   //  각 단계 실패 시 Gemini가 고객에게 안내할 실패 메시지 반환)
   if (fnName === 'place_order') {
+    if (session.cart.lines.length === 0) {
+      // The cart was spent by an order earlier in this call — a repeat gets that order back
+      // (이 통화에서 앞서 주문으로 장바구니 소진 — 반복 호출에는 그 주문을 반환)
+      if (session.lastPlacedOrder) {
+        console.warn(
+          `[WS] [${session.agentId}] Duplicate place_order suppressed — cart already spent, returning the original result | ` +
+          `order_id: ${session.lastPlacedOrder.order_id} ` +
+          `(중복 place_order 차단 — 장바구니 소진됨, 원래 결과 반환 | 주문: ${session.lastPlacedOrder.order_id})`
+        );
+        return duplicateResult(session.lastPlacedOrder);
+      }
+      return {
+        status:  'empty_cart',
+        message: 'The cart is empty. Add the caller\'s items with add_to_cart before placing the order.',
+      };
+    }
+
+    // Orders go through only while the store is open, or for a pickup inside a future opening
+    // (매장 영업 중이거나 향후 영업시간 내 픽업일 때만 주문 접수)
+    const { scheduledFor, result: timingRefusal } = checkOrderTime(session.storeData, {
+      date: fnArgs.pickup_date,
+      time: fnArgs.pickup_time,
+    });
+    if (timingRefusal) return timingRefusal;
+
+    const items       = cartOrderItems(session.cart);
+    const totalAmount = cartTotal(session.cart);
+
     console.log(
       `[WS] [${session.agentId}] place_order | phone: ${fnArgs.customer_phone} | ` +
-      `email: ${fnArgs.customer_email} | total: ${fnArgs.total_amount} | ` +
-      `items: ${JSON.stringify(fnArgs.items)} (주문 접수 시도)`
+      `email: ${fnArgs.customer_email} | total: ${totalAmount} | pickup: ${scheduledFor?.toISOString() ?? 'asap'} | ` +
+      `items: ${JSON.stringify(items.map((i) => `${i.quantity} ${i.name}`))} (주문 접수 시도)`
     );
 
     // Step 1: Persist the order and retrieve the generated order ID (주문 저장 및 생성된 주문 ID 조회)
@@ -750,8 +1643,10 @@ async function executeFunctionCall(fnName, fnArgs, session) {
         agent_id:       session.agentId,         // Retell agent ID retained for call tracing (통화 추적용 Retell 에이전트 ID 보존)
         customer_phone: fnArgs.customer_phone,
         customer_email: fnArgs.customer_email,   // Email for payment link delivery (결제 링크 전송용 이메일)
-        items:          fnArgs.items,            // JSON array of { name, quantity } — duplicates pre-merged by Gemini (Gemini가 사전 합산한 항목 배열)
-        total_amount:   fnArgs.total_amount,     // Calculated total from Gemini based on menu prices (메뉴 가격 기반 Gemini 계산 총액)
+        items,                                   // Cart lines: { name, quantity, variant_id, variant_name, modifiers, unit_price, … } (장바구니 라인)
+        total_amount:   totalAmount,             // Server-computed from menu_items prices (menu_items 가격으로 서버 계산)
+        language:       session.language,        // Caller's language — drives follow-up SMS/email (발신자 언어 — 후속 SMS/이메일에 사용)
+        scheduled_for:  scheduledFor?.toISOString() ?? null, // After-hours pickup time, null for ASAP (휴무 시간 예약 픽업 시각, 즉시면 null)
         status:         'pending',
         created_at:     new Date().toISOString(),
       })
@@ -772,7 +1667,7 @@ async function executeFunctionCall(fnName, fnArgs, session) {
     // Step 2: Generate the payment link for the new order (새 주문에 대한 결제 링크 생성)
     const { paymentUrl } = await createPaymentLink(
       data.id,
-      fnArgs.total_amount,
+      totalAmount,
       session.storeData.id,
     );
 
@@ -782,10 +1677,14 @@ async function executeFunctionCall(fnName, fnArgs, session) {
       customerEmail: fnArgs.customer_email,
       paymentUrl,
       storeName:     session.storeData.store_name ?? 'Our Restaurant',
-      items:         fnArgs.items,
-      totalAmount:   fnArgs.total_amount,
+      items,
+      totalAmount,
+      language:      session.language,
     });
 
+    // The cart is spent — a follow-up order in the same call starts empty (장바구니 소진 — 같은 통화의 후속 주문은 빈 상태로 시작)
+    session.cart = createCart();
+
     console.log(
       `[WS] [${session.agentId}] place_order pipeline complete | order_id: ${data.id} | ` +
       `payment_url: ${paymentUrl} (주문 파이프라인 완료)`
@@ -793,16 +1692,34 @@ async function executeFunctionCall(fnName, fnArgs, session) {
 
     // Return a structured result — Gemini converts this into a natural spoken confirmation
     // (구조화된 결과 반환 — Gemini가 자연스러운 음성 확인으로 변환)
-    return {
-      status:  'success',
-      message: 'Order saved. Payment link sent to customer\'s email/phone. Tell them to check it.',
+    const result = {
+      status:       'success',
+      order_id:     data.id,
+      total_amount: totalAmount.toFixed(2),
+      ...(scheduledFor && { pickup: `${fnArgs.pickup_date ?? 'today'} ${fnArgs.pickup_time}` }),
+      message:      scheduledFor
+        ? 'Order saved for the scheduled pickup. Payment link sent to customer\'s email/phone. Confirm the pickup time and tell them to check it.'
+        : 'Order saved. Payment link sent to customer\'s email/phone. Tell them to check it.',
     };
+    session.lastPlacedOrder = result;
+    return result;
+  }
+
+  // ── check_availability (ACTIVE) ────────────────────────────────────────────
+  // Read-only slot check against hours, party size and seating; offers the nearest free times.
+  // (영업시간·인원·좌석 기준 읽기 전용 시간대 확인 — 가장 가까운 빈 시간 제시)
+  if (fnName === 'check_availability') {
+    console.log(
+      `[WS] [${session.agentId}] check_availability | ${fnArgs.date} ${fnArgs.time} | party: ${fnArgs.party_size} ` +
+      `(예약 가능 여부 확인)`
+    );
+    return checkAvailability({ storeData: session.storeData, args: fnArgs });
   }
 
   // ── make_reservation (ACTIVE) ──────────────────────────────────────────────
   // Insert a confirmed reservation row, then notify the customer via email and SMS.
-  // Pipeline: DB insert → sendReservationConfirmation → return result to Gemini.
-  // (확정된 예약 삽입 → 이메일/SMS 알림 발송 → Gemini에 결과 반환.
+  // Pipeline: locked availability check + DB insert → sendReservationConfirmation → return result to Gemini.
+  // (잠금 하 가용성 확인 + 예약 삽입 → 이메일/SMS 알림 발송 → Gemini에 결과 반환.
   //  각 단계 실패 시 Gemini가 고객에게 안내할 실패 메시지 반환)
   if (fnName === 'make_reservation') {
     console.log(
@@ -810,31 +1727,36 @@ async function executeFunctionCall(fnName, fnArgs, session) {
       `email: ${fnArgs.customer_email} | ${fnArgs.date} ${fnArgs.time} | party: ${fnArgs.party_size} (예약 접수 시도)`
     );
 
-    // Step 1: Persist the reservation and retrieve the generated reservation ID (예약 저장 및 생성된 예약 ID 조회)
-    const { data, error } = await supabase
-      .from('reservations')
-      .insert({
-        store_id:         session.storeData.id,  // Primary store identifier from schema (스키마의 기본 매장 식별자)
-        agent_id:         session.agentId,        // Retell agent ID retained for call tracing (통화 추적용 Retell 에이전트 ID 보존)
-        customer_phone:   fnArgs.customer_phone,
-        customer_email:   fnArgs.customer_email,  // Email for confirmation receipt delivery (확인 영수증 전송용 이메일)
-        reservation_date: fnArgs.date,
-        reservation_time: fnArgs.time,
-        party_size:       fnArgs.party_size,
-        status:           'pending',
-        created_at:       new Date().toISOString(),
-      })
-      .select('id')
-      .single();
+    // Step 1: Re-check the slot and persist the reservation under the booking lock — hours, party
+    // size and seating refusals come back as results with the nearest alternatives
+    // (Step 1: 예약 잠금 하에 시간대 재확인 후 예약 저장 — 영업시간·인원·좌석 거절은 가장 가까운
+    //  대안과 함께 결과로 반환)
+    const { data, result: bookingRefusal } = await reserveSlot({
+      storeData: session.storeData,
+      date:      fnArgs.date,
+      time:      fnArgs.time,
+      partySize: fnArgs.party_size,
+      write:     (tableId, signal) => supabase
+        .from('reservations')
+        .insert({
+          store_id:         session.storeData.id,  // Primary store identifier from schema (스키마의 기본 매장 식별자)
+          agent_id:         session.agentId,        // Retell agent ID retained for call tracing (통화 추적용 Retell 에이전트 ID 보존)
+          customer_phone:   fnArgs.customer_phone,
+          customer_email:   fnArgs.customer_email,  // Email for confirmation receipt delivery (확인 영수증 전송용 이메일)
+          reservation_date: fnArgs.date,
+          reservation_time: fnArgs.time,
+          party_size:       fnArgs.party_size,
+          table_id:         tableId,                // Assigned table, null when the store seats by capacity (배정 테이블 — 수용 인원 방식이면 null)
+          language:         session.language,       // Caller's language — drives follow-up SMS/email (발신자 언어 — 후속 SMS/이메일에 사용)
+          status:           'pending',
+          created_at:       new Date().toISOString(),
+        })
+        .select('id')
+        .abortSignal(signal)
+        .single(),
+    });
 
-    if (error) {
-      // Log the raw error but return a voiceable message to Gemini (원시 오류 기록, Gemini용 안내 메시지 반환)
-      console.error(`[WS] [${session.agentId}] make_reservation DB error (예약 DB 오류):`, error);
-      return {
-        success: false,
-        error:   'We were unable to process your reservation right now. Please call us directly to book.',
-      };
-    }
+    if (bookingRefusal) return bookingRefusal;
 
     console.log(`[WS] [${session.agentId}] make_reservation DB insert success | reservation_id: ${data.id} (예약 DB 삽입 성공)`);
 
@@ -847,6 +1769,7 @@ async function executeFunctionCall(fnName, fnArgs, session) {
       time:          fnArgs.time,
       partySize:     fnArgs.party_size,
       reservationId: data.id,
+      language:      session.language,
     });
 
     console.log(
@@ -864,44 +1787,61 @@ async function executeFunctionCall(fnName, fnArgs, session) {
     };
   }
 
-  // ── check_order_status (STUB) ──────────────────────────────────────────────
-  // Feature under construction — return a graceful holding message to Gemini.
-  // Gemini will speak this to the caller naturally.
-  // (개발 중 기능 — Gemini에 정중한 안내 메시지 반환. Gemini가 고객에게 자연스럽게 안내)
+  // ── check_order_status (ACTIVE) ────────────────────────────────────────────
+  // Look up the caller's most recent orders at this store by phone number.
+  // Returns status, items, total and payment-link state shaped for speech.
+  // (전화번호로 이 매장의 발신자 최근 주문 조회.
+  //  상태, 항목, 총액, 결제 링크 상태를 음성용으로 가공하여 반환)
   if (fnName === 'check_order_status') {
-    console.log(`[WS] [${session.agentId}] check_order_status called (stub) (주문 상태 확인 호출 — 스텁)`);
-    return {
-      status:  'under_construction',
-      message: 'Order status lookup is not yet available through this line. ' +
-               'Please call our main number and a staff member will check your order for you.',
-    };
+    console.log(
+      `[WS] [${session.agentId}] check_order_status | phone: ${fnArgs.customer_phone} ` +
+      `(주문 상태 확인 | 전화번호: ${fnArgs.customer_phone})`
+    );
+    return lookupOrderStatus({
+      storeId:       session.storeData.id,
+      customerPhone: fnArgs.customer_phone,
+      timezone:      session.storeData.timezone ?? 'America/Los_Angeles',
+    });
   }
 
-  // ── cancel_or_modify (STUB) ────────────────────────────────────────────────
-  // Feature under construction — return a graceful holding message to Gemini.
-  // (개발 중 기능 — Gemini에 정중한 안내 메시지 반환)
+  // ── cancel_or_modify (ACTIVE) ──────────────────────────────────────────────
+  // Cancel or change the caller's open order / upcoming reservation under the store's policy.
+  // Paid orders are refunded and their POS receipt voided; the customer is notified either way.
+  // (매장 정책에 따라 발신자의 진행 중 주문 / 예정 예약 취소·변경.
+  //  결제된 주문은 환불 및 POS 영수증 무효화 — 모든 경우 고객에게 알림)
   if (fnName === 'cancel_or_modify') {
-    console.log(`[WS] [${session.agentId}] cancel_or_modify called (stub) (취소/변경 호출 — 스텁)`);
-    return {
-      status:  'under_construction',
-      message: 'Order changes and cancellations are not yet available through this line. ' +
-               'Please call our main number and a staff member will assist you right away.',
-    };
+    console.log(
+      `[WS] [${session.agentId}] cancel_or_modify | ${fnArgs.action} ${fnArgs.target} | ` +
+      `phone: ${fnArgs.customer_phone} (취소/변경 요청)`
+    );
+    return cancelOrModify({ storeData: session.storeData, args: fnArgs, callerPhone: session.caller?.phone });
   }
 
-  // ── transfer_to_human (STUB) ───────────────────────────────────────────────
-  // Signal that this call should be escalated — return a message Gemini voices before transfer.
-  // (통화 에스컬레이션 신호 — 이관 전 Gemini가 발화할 메시지 반환)
+  // ── transfer_to_human (ACTIVE) ─────────────────────────────────────────────
+  // Escalate per the store's policy: live transfer during staffed hours (sets
+  // session.pendingTransfer for the final frame), otherwise a callback request.
+  // (매장 정책에 따라 에스컬레이션: 근무 시간에는 실시간 이관 — 최종 프레임용
+  //  session.pendingTransfer 설정, 그 외에는 콜백 요청)
   if (fnName === 'transfer_to_human') {
     console.log(
       `[WS] [${session.agentId}] transfer_to_human called | reason: ${fnArgs.reason} ` +
       `(사람 직원 이관 호출 | 이유: ${fnArgs.reason})`
     );
-    return {
-      status:  'transferring',
-      message: 'Of course! Let me transfer you to one of our staff members right now. ' +
-               'Please hold for just a moment.',
-    };
+    return escalateToHuman({ session, args: fnArgs });
+  }
+
+  // ── end_call (ACTIVE) ──────────────────────────────────────────────────────
+  // Arm a hang-up for this turn's final frame when the store's guardrails allow the reason —
+  // the model says its goodbye in the next round (매장 가드레일이 이유를 허용하면 이번 턴 최종
+  // 프레임용 통화 종료 설정 — 모델은 다음 라운드에서 인사)
+  if (fnName === 'end_call') {
+    const { reason, result } = resolveEndCall(fnArgs, session.guardrails);
+    console.log(
+      `[WS] [${session.agentId}] end_call | reason: ${fnArgs.reason} | ${reason ? 'armed' : 'not allowed'} ` +
+      `(통화 종료 요청 | 이유: ${fnArgs.reason} | ${reason ? '설정' : '허용 안 됨'})`
+    );
+    if (reason) session.pendingEnd = reason;
+    return result;
   }
 
   // ── Unknown function — neutral fallback ───────────────────────────────────
@@ -965,27 +1905,49 @@ async function fetchStoreData(agentId) {
  * Structure (always in this order):
  *   1. DATE CONTEXT         — current date/time in the store's timezone so Gemini never
  *                             hallucinates relative dates ("tomorrow", "next Wednesday").
- *   2. STORE PERSONA        — system_prompt + business_hours + parking_info +
- *                             custom_knowledge + menu_cache from storeData.
+ *   2. LANGUAGE             — the language to speak and which other languages the store
+ *                             allows the caller to switch to. Followed by the caller's number
+ *                             once Retell's call_details frame has provided it (with the
+ *                             returning-caller profile when recognised), then the
+ *                             store's open/closed state and after-hours rules when it has
+ *                             structured hours.
+ *   3. STORE PERSONA        — system_prompt + business_hours + parking_info +
+ *                             custom_knowledge + menu (localized when available) from storeData.
  *                             Falls back to a generic assistant persona if all are empty.
- *   3. ORDER RULES          — item-grouping and total_amount calculation instructions.
- *   4. CONFIRMATION RULES   — strict gate that prevents place_order / make_reservation
+ *   4. ORDER RULES          — build the order with the cart tools; totals come from the server.
+ *                             Followed by the allergy rules (tags from search_menu, scripted
+ *                             caution) and the rule to answer other store questions from
+ *                             answer_store_question rather than from memory, and when to
+ *                             hang up with end_call under the store's guardrail policy.
+ *   5. CONFIRMATION RULES   — strict gate that prevents place_order / make_reservation
  *                             from firing before explicit user confirmation and prevents
  *                             duplicate tool calls for the same transaction.
  *                             Placed absolutely last so it overrides everything above it.
  *
  * (마스터 프롬프트 구성:
  *  1. 날짜 컨텍스트 — 매장 시간대의 현재 날짜/시간 주입 — Gemini의 상대적 날짜 환각 방지.
- *  2. 매장 페르소나 — system_prompt, 영업시간, 주차, 지식, 메뉴 캐시 순서로 조립.
- *  3. 주문 규칙 — 항목 그룹화와 total_amount 계산 지시문.
- *  4. 확인 규칙 — 명시적 사용자 확인 전 도구 호출 금지 및 중복 호출 방지.
+ *  2. 언어 — 응답 언어와 발신자가 전환할 수 있는 다른 매장 지원 언어.
+ *     Retell call_details 프레임으로 받은 경우 발신 번호, 구조화된 영업시간이 있으면
+ *     영업 상태와 휴무 시 규칙이 뒤따름.
+ *  3. 매장 페르소나 — system_prompt, 영업시간, 주차, 지식, 메뉴(현지화 가능 시) 순서로 조립.
+ *  4. 주문 규칙 — 장바구니 도구로 주문 구성, 총액은 서버에서 계산.
+ *     이후 알레르기 규칙(search_menu 태그, 고정 주의 문구)과 기타 매장 질문은
+ *     answer_store_question으로만 답하라는 규칙, 매장 가드레일 정책에 따른 end_call 사용 규칙이 뒤따름.
+ *  5. 확인 규칙 — 명시적 사용자 확인 전 도구 호출 금지 및 중복 호출 방지.
  *     절대적으로 마지막에 위치하여 위의 모든 지시문을 재정의)
  *
  * @param {object} storeData — full store row from Supabase or mock (Supabase 또는 목에서 가져온 전체 스토어 행)
  * @param {string} storeId  — resolved store UUID for this connection; injected into the system instruction (이 연결의 확인된 매장 UUID — 시스템 지시문에 주입)
+ * @param {object} [context]
+ * @param {string}   [context.language]           — language to speak, default 'en' (응답 언어, 기본 'en')
+ * @param {string[]} [context.supportedLanguages] — languages the store allows (매장 허용 언어)
+ * @param {string}   [context.callerPhone]        — caller ID from call_details, if received (수신된 경우 call_details의 발신 번호)
+ * @param {object}   [context.callerProfile]      — returning-caller profile, if recognised (인식된 경우 재방문 발신자 프로필)
  * @returns {string}
  */
-function buildMasterPrompt(storeData, storeId) {
+function buildMasterPrompt(storeData, storeId, {
+  language = 'en', supportedLanguages = [language], callerPhone = null, callerProfile = null,
+} = {}) {
   const timezone = storeData.timezone ?? 'America/Los_Angeles';
 
   // Generate the current date/time in the store's local timezone at session-start time.
@@ -1021,13 +1983,81 @@ function buildMasterPrompt(storeData, storeId) {
     `This is the unique identifier for your store in our system. ` +
     `Always use this store_id when making any API call or tool invocation that requires it.`;
 
-  // Order rules block — item grouping and total_amount calculation before calling place_order.
-  // (주문 규칙 블록 — place_order 호출 전 항목 그룹화 및 total_amount 계산 지시)
+  // Language block — pins the reply language; tool arguments stay in the menu's own language
+  // so item names still match menu_items on the server.
+  // (언어 블록 — 응답 언어 고정. 서버의 menu_items와 일치하도록 도구 인자는 메뉴 원어 유지)
+  const languageName   = LANGUAGES[language]?.name ?? 'English';
+  const otherLanguages = supportedLanguages
+    .filter((code) => code !== language)
+    .map((code) => LANGUAGES[code]?.name)
+    .filter(Boolean);
+
+  const languageBlock =
+    `LANGUAGE: Speak ${languageName} with this caller. ` +
+    (otherLanguages.length > 0
+      ? `This store also serves callers in ${otherLanguages.join(' and ')} — if the caller clearly ` +
+        `switches to one of those, switch with them. `
+      : `If the caller speaks another language, politely explain in ${languageName} that you can only ` +
+        `help in ${languageName} and offer to transfer them to a staff member. `) +
+    `When calling tools, always pass menu item names exactly as written on the menu, ` +
+    `even if you pronounce or translate them differently for the caller.`;
+
+  // Caller block — the number Retell reported, so the model confirms it instead of asking for it,
+  // plus the returning-caller profile when the store recognises callers
+  // (발신자 블록 — Retell이 알려준 번호, 모델이 번호를 묻는 대신 확인만 하도록.
+  //  매장이 발신자를 인식하면 재방문 발신자 프로필 추가)
+  const callerBlock = callerPhone
+    ? `CALLER: The caller is calling from ${callerPhone}. Use this number as customer_phone for ` +
+      `every tool. Do not ask for their phone number — instead, when a number is needed, briefly ` +
+      `confirm that texts can go to the number they are calling from, and use a different one only ` +
+      `if the caller gives it.` +
+      (callerProfile ? `\n${buildReturningCallerNote(callerProfile)}` : '')
+    : null;
+
+  // Hours block — open/closed right now, the coming week and after-hours rules (null without structured hours)
+  // (영업시간 블록 — 현재 영업 여부, 다가오는 일주일, 휴무 시 규칙 — 구조화된 영업시간 없으면 null)
+  const hoursBlock = buildHoursPromptBlock(storeData);
+
+  // Order rules block — the cart tools own items and prices; the model only relays them.
+  // (주문 규칙 블록 — 항목과 가격은 장바구니 도구가 관리, 모델은 전달만 함)
   const orderRulesBlock =
-    `Order Instructions: When the user orders, group identical items ` +
-    `(e.g., if they order 1 Latte and then another 1 Latte, merge it to 2 Lattes). ` +
-    `You MUST calculate the total_amount based on the menu prices. ` +
-    `Speak the final order summary and the total amount to the user before calling the place_order tool.`;
+    `Order Instructions: Build every order in the cart. Call add_to_cart as soon as the user asks ` +
+    `for an item, and remove_from_cart or update_cart_quantity when they change their mind. ` +
+    `When an item comes in several sizes or styles, ask which one; pass any options they choose ` +
+    `(milk, extra shot, toppings) as modifiers — option prices are added by the cart. ` +
+    `NEVER calculate prices or totals yourself — always read the total from the latest cart tool ` +
+    `result. Before calling place_order, call view_cart and speak the items and total it returns.`;
+
+  // Allergy block — tags come from search_menu only, and the caution is always spoken
+  // (알레르기 블록 — 태그는 search_menu에서만 확인, 주의 문구는 항상 안내)
+  const allergyBlock =
+    `Allergies and Diets: When the caller asks which items suit a diet (vegan, gluten-free…) or ` +
+    `avoid an allergen, call search_menu with dietary or exclude_allergens; to check a single item, ` +
+    `search it by name and read its allergens. Only state what the results say — if an item's ` +
+    `allergens are not recorded, say you cannot confirm it. Whenever allergies come up, also say: ` +
+    `"${ALLERGY_DISCLAIMER}"`;
+
+  // Store questions block — FAQ entries are fetched on demand rather than listed in the prompt
+  // (매장 질문 블록 — FAQ 항목은 프롬프트에 나열하지 않고 필요할 때 조회)
+  const storeQuestionsBlock =
+    `Store Questions: When the caller asks about the store itself — parking, catering, dietary ` +
+    `options, refunds, policies or anything else not covered above — call answer_store_question ` +
+    `and answer only from what it returns. If it has no answer, say you are not sure; never make ` +
+    `up store details.`;
+
+  // Call ending block — only the end_call reasons this store allows (이 매장이 허용하는 end_call 이유만)
+  const guardrails      = getGuardrailPolicy(storeData);
+  const callEndingRules = [
+    guardrails.endAfterGoodbye &&
+      `- When the caller's business is done and they say goodbye, say one short goodbye and call end_call with reason "completed".`,
+    guardrails.endPrankCalls &&
+      `- If the call is clearly a prank, ask once whether there is anything you can help with; if it continues, call end_call with reason "prank".`,
+    guardrails.abuseStrikes > 0 &&
+      `- If the caller is abusive, ask them once to keep it respectful; if it continues, call end_call with reason "abusive".`,
+  ].filter(Boolean);
+  const callEndingBlock = callEndingRules.length > 0 &&
+    `Ending the Call:\n${callEndingRules.join('\n')}\n` +
+    `Never end the call while an order, booking or question is still open.`;
 
   // Confirmation rules block — absolutely last so it overrides all persona and order instructions.
   // Prevents premature tool calls and duplicate calls for the same transaction.
@@ -1037,7 +2067,7 @@ function buildMasterPrompt(storeData, storeId) {
     `CRITICAL RULE FOR TOOL EXECUTION:\n` +
     `Do NOT call place_order or make_reservation immediately as the user provides details.\n` +
     `Step 1 — Summarize: Once you have all required details, summarize the complete ` +
-    `order or reservation (including total_amount for orders) and ask the user for ` +
+    `order or reservation (including the cart total for orders) and ask the user for ` +
     `explicit confirmation. Example: "Your total is $15.00 for 2 Bulgogi and 1 Soju. ` +
     `Should I go ahead and place this order?"\n` +
     `Step 2 — Wait for confirmation: ONLY call the tool AFTER the user explicitly confirms ` +
@@ -1056,7 +2086,7 @@ function buildMasterPrompt(storeData, storeId) {
     storeData.business_hours   && `Business Hours:\n${storeData.business_hours}`,
     storeData.parking_info     && `Parking & Directions:\n${storeData.parking_info}`,
     storeData.custom_knowledge && `Additional Information:\n${storeData.custom_knowledge}`,
-    storeData.menu_cache       && `Current Menu:\n${storeData.menu_cache}`,
+    localizedMenu(storeData, language) && `Current Menu:\n${localizedMenu(storeData, language)}`,
   ].filter(Boolean);
 
   // Fall back to a generic persona if the store has no configured content.
@@ -1070,35 +2100,214 @@ function buildMasterPrompt(storeData, storeId) {
   // storeIdentityBlock follows dateContextBlock so store identity is established before persona.
   // (confirmationRulesBlock은 항상 마지막 섹션 — 최근 편향으로 가장 높은 우선순위 보장.
   //  storeIdentityBlock은 dateContextBlock 다음 — 페르소나 전에 매장 정체성 확립)
-  return [dateContextBlock, storeIdentityBlock, personaBlock, orderRulesBlock, confirmationRulesBlock].join('\n\n');
+  return [
+    dateContextBlock, storeIdentityBlock, languageBlock, callerBlock, hoursBlock, personaBlock,
+    orderRulesBlock, allergyBlock, storeQuestionsBlock, callEndingBlock, confirmationRulesBlock,
+  ].filter(Boolean).join('\n\n');
 }
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+// ── Call Details ──────────────────────────────────────────────────────────────
+
+/**
+ * Store the caller details from Retell's call_details frame on the session and the call
+ * record, then rebuild the model so the prompt knows the caller's number and start the
+ * returning-caller lookup.
+ * (Retell call_details 프레임의 발신자 정보를 세션과 통화 기록에 저장한 뒤,
+ *  프롬프트가 발신자 번호를 알 수 있도록 모델 재생성 및 재방문 발신자 조회 시작)
+ *
+ * @param {object} session
+ * @param {object} call — Retell call object (Retell 통화 객체)
+ */
+function applyCallDetails(session, call) {
+  session.caller = {
+    phone:     call.from_number ?? null,
+    toNumber:  call.to_number   ?? null,
+    direction: call.direction   ?? null,
+    metadata:  call.metadata    ?? {},
+  };
+
+  session.recorder.recordCallDetails(session.caller);
+
+  if (session.caller.phone) {
+    rebuildSessionModel(session);
+    recognizeCaller(session);
+  } else {
+    session.markCallerKnown();
+  }
+
+  console.log(
+    `[WS] [${session.agentId}] Call details | from: ${session.caller.phone ?? 'unknown'} | ` +
+    `direction: ${session.caller.direction ?? 'unknown'} ` +
+    `(통화 정보 수신 | 발신 번호: ${session.caller.phone ?? 'unknown'})`
+  );
+}
+
+/**
+ * Look the caller ID up against the store's order history and, for a returning caller,
+ * rebuild the model so the prompt carries their profile. Settles session.callerKnown either way.
+ * (발신 번호를 매장 주문 이력에서 조회하고, 재방문 발신자면 프로필이 프롬프트에 포함되도록
+ *  모델 재생성. 어느 경우든 session.callerKnown 해결)
+ *
+ * @param {object} session
+ */
+async function recognizeCaller(session) {
+  const phone = session.caller?.phone;
+  try {
+    session.callerProfile = await lookupCallerProfile({ storeData: session.storeData, phone });
+  } catch (err) {
+    console.error(`[WS] [${session.agentId}] Caller lookup failed (발신자 조회 실패): ${err.message}`);
+    session.callerProfile = null;
+  } finally {
+    session.markCallerKnown();
+  }
+
+  if (!session.callerProfile) return;
+  rebuildSessionModel(session);
+
+  console.log(
+    `[WS] [${session.agentId}] Returning caller recognised | named: ${Boolean(session.callerProfile.name)} | ` +
+    `orders: ${session.callerProfile.orderCount} | reorder offer: ${Boolean(session.callerProfile.lastOrder)} ` +
+    `(재방문 발신자 인식 | 주문 수: ${session.callerProfile.orderCount})`
+  );
+}
+
+/**
+ * Prompt lines describing a recognised returning caller — only the fields the store's
+ * privacy policy let through are present on the profile.
+ * (인식된 재방문 발신자를 설명하는 프롬프트 문구 — 매장 개인정보 정책이 허용한 필드만 프로필에 존재)
+ *
+ * @param {object} profile
+ * @returns {string}
+ */
+function buildReturningCallerNote(profile) {
+  const lines = [`RETURNING CALLER: This caller has ordered here before.`];
+
+  if (profile.name) {
+    lines.push(`Their name is ${profile.name} — use it naturally, but do not overuse it.`);
+  }
+  if (profile.lastOrder) {
+    lines.push(
+      `Their last order was: ${profile.lastOrder.summary}. Early in the call, offer once to repeat it ` +
+      `("the usual"); if they accept, call reorder_last_order and read back the cart it returns — ` +
+      `prices may have changed.`
+    );
+  }
+  if (profile.email) {
+    lines.push(
+      `Their saved email is ${profile.email}. When an email is needed, confirm this one instead of asking ` +
+      `for it, and use a different one only if the caller gives it.`
+    );
+  }
+  lines.push(
+    `If the caller asks not to be remembered, call opt_out_of_recognition and stop using these details.`
+  );
+
+  return lines.join(' ');
+}
+
+// ── Language Helpers ──────────────────────────────────────────────────────────
 
 /**
- * Safely extract plain text from a streaming Gemini chunk.
- * Filters out function-call parts so we never call .text on a non-text response.
- * (스트리밍 Gemini 청크에서 일반 텍스트 안전 추출.
- *  비텍스트 응답에서 .text 호출을 방지하도록 함수 호출 파트 필터링)
+ * Greeting instruction for the session's current language. When the store serves more
+ * than one language, the greeting briefly mentions the others in their own language so
+ * callers know they can switch.
+ * (세션 현재 언어용 인사말 지시문. 매장이 여러 언어를 지원하면 발신자가 전환할 수 있음을
+ *  알 수 있도록 인사말에서 다른 언어를 해당 언어로 짧게 언급)
  *
- * @param {import('@google/generative-ai').GenerateContentResponse} chunk
+ * @param {object} session
  * @returns {string}
  */
-function textFromChunk(chunk) {
-  return (chunk.candidates?.[0]?.content?.parts ?? [])
-    .filter((p) => typeof p.text === 'string')
-    .map((p) => p.text)
-    .join('');
+function buildGreetingPrompt(session) {
+  const languageName = LANGUAGES[session.language]?.name ?? 'English';
+  const others       = session.supportedLanguages
+    .filter((code) => code !== session.language)
+    .map((code) => LANGUAGES[code]?.nativeName)
+    .filter(Boolean);
+
+  const welcomeBack = session.callerProfile?.name
+    ? ` The caller is a returning customer named ${session.callerProfile.name} — welcome them back by name.`
+    : '';
+
+  return `${GREETING_PROMPT} Speak ${languageName}.${welcomeBack}` +
+    (others.length > 0
+      ? ` After the greeting, add one very short phrase in each of these languages saying the caller ` +
+        `may also speak it: ${others.join(', ')}.`
+      : '');
+}
+
+/**
+ * Detect the caller's language during the first turns and, when it changes to another
+ * language the store supports, rebuild the session model with a prompt in that language.
+ * (첫 턴 동안 발신자 언어를 감지하고, 매장이 지원하는 다른 언어로 바뀌면 해당 언어의
+ *  프롬프트로 세션 모델 재생성)
+ *
+ * @param {object} session
+ * @param {string} userText — latest caller utterance (최신 발신자 발화)
+ */
+function updateCallLanguage(session, userText) {
+  session.userTurnCount += 1;
+  if (session.userTurnCount > LANGUAGE_DETECTION_TURNS) return;
+
+  const detected = detectLanguage(userText);
+  if (!detected || detected === session.language || !session.supportedLanguages.includes(detected)) return;
+
+  console.log(
+    `[WS] [${session.agentId}] Language switch | ${session.language} → ${detected} ` +
+    `(언어 전환 | ${session.language} → ${detected})`
+  );
+
+  session.language = detected;
+  rebuildSessionModel(session);
+}
+
+/**
+ * Recreate the session model from the current call context (language, caller details).
+ * History is kept — only the system instruction changes.
+ * (현재 통화 컨텍스트(언어, 발신자 정보)로 세션 모델 재생성. 히스토리 유지 — 시스템 지시문만 변경)
+ *
+ * @param {object} session
+ */
+function rebuildSessionModel(session) {
+  session.model = session.llm.createModel({
+    systemPrompt: buildMasterPrompt(session.storeData, session.storeId, {
+      language:           session.language,
+      supportedLanguages: session.supportedLanguages,
+      callerPhone:        session.caller?.phone ?? null,
+      callerProfile:      session.callerProfile,
+    }),
+    tools: POS_TOOLS,
+  });
+}
+
+/**
+ * Menu text in the requested language — stores.menu_cache_i18n holds owner-maintained
+ * translations keyed by language code; falls back to the synced menu_cache.
+ * (요청 언어의 메뉴 텍스트 — stores.menu_cache_i18n에 언어 코드별 주인 관리 번역 저장,
+ *  없으면 동기화된 menu_cache로 폴백)
+ *
+ * @param {object} storeData
+ * @param {string} language
+ * @returns {string|null}
+ */
+function localizedMenu(storeData, language) {
+  return storeData.menu_cache_i18n?.[language] ?? storeData.menu_cache ?? null;
 }
 
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
 /**
  * Send a Retell-protocol streaming frame over the WebSocket.
  * contentComplete=false → partial chunk; Retell's TTS engine starts speaking immediately.
  * contentComplete=true  → final frame; signals the complete utterance to Retell.
+ * Content passes through the utterance's speech stream first (services/language/speechText.js):
+ * markdown and emoji are dropped, prices and times spelled out, and a partial chunk that ends
+ * mid-expression is held back and sent with the next one — or with the final frame.
  * No-ops silently if the socket is not OPEN — safe to call after barge-in.
  * (WebSocket을 통해 Retell 프로토콜 스트리밍 프레임 전송.
  *  contentComplete=false → 부분 청크; Retell TTS 엔진이 즉시 말하기 시작.
  *  contentComplete=true → 최종 프레임; 완전한 발화 신호.
+ *  내용은 먼저 발화의 음성 스트림을 거침 — 마크다운·이모지 제거, 가격·시간 풀어 읽기, 표현 중간에서
+ *  끝나는 부분 청크는 보류 후 다음 청크나 최종 프레임과 함께 전송.
  *  소켓이 OPEN이 아니면 조용히 무시 — 끼어들기 후 안전하게 호출 가능)
  *
  * @param {import('ws').WebSocket} ws
@@ -1106,16 +2315,56 @@ function textFromChunk(chunk) {
  * @param {string}  content         — text for Retell TTS (Retell TTS용 텍스트)
  * @param {boolean} contentComplete — true signals utterance end (true는 발화 종료 신호)
  * @param {boolean} [endCall]       — true instructs Retell to hang up (true이면 Retell에 전화 종료 지시)
+ * @param {string}  [transferNumber] — when set, Retell transfers the call to this number (설정 시 Retell이 이 번호로 통화 이관)
  */
-function sendChunk(ws, responseId, content, contentComplete, endCall = false) {
-  if (ws.readyState !== ws.OPEN) return;
-  ws.send(JSON.stringify({
+function sendChunk(ws, responseId, content, contentComplete, endCall = false, transferNumber = null) {
+  const spoken = speakable(ws, responseId, content, contentComplete);
+  if (!spoken && !contentComplete) return; // Held back until the expression is complete (표현이 완성될 때까지 보류)
+
+  sendFrame(ws, {
     response_type:    'response',
     response_id:      responseId,
-    content,
+    content:          spoken,
     content_complete: contentComplete,
     end_call:         endCall,
-  }));
+    ...(transferNumber && { transfer_number: transferNumber }),
+  });
+}
+
+/**
+ * Run content through the speech stream of its utterance. A new response_id starts a new
+ * stream, so text held back from an interrupted reply is never spoken.
+ * (내용을 발화의 음성 스트림에 통과 — 새 response_id는 새 스트림을 시작하므로 중단된 응답에서
+ *  보류된 텍스트는 발화되지 않음)
+ *
+ * @returns {string} text to send now (지금 전송할 텍스트)
+ */
+function speakable(ws, responseId, content, contentComplete) {
+  const session = socketSessions.get(ws);
+  if (!session) return content;
+
+  if (session.speech?.responseId !== responseId) {
+    session.speech = { responseId, stream: createSpeechStream(session.language) };
+  }
+
+  let text = session.speech.stream.push(content);
+  if (contentComplete) {
+    text += session.speech.stream.flush();
+    session.speech = null;
+  }
+  return text;
+}
+
+/**
+ * Send any Retell-protocol frame (config, ping_pong, response). No-ops if the socket is not OPEN.
+ * (Retell 프로토콜 프레임 전송 — config, ping_pong, response. 소켓이 OPEN이 아니면 무시)
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {object} frame
+ */
+function sendFrame(ws, frame) {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify(frame));
 }
 
 /**
@@ -1157,6 +2406,73 @@ function getMockStoreData(agentId) {
       active:           true,
       is_active:        true,
 
+      // Greets in English; Korean and Spanish callers are answered in their language (영어 인사, 한국어·스페인어 발신자는 해당 언어로 응대)
+      supported_languages: ['en', 'ko', 'es'],
+
+      // Structured hours enforced by the order and reservation tools (주문·예약 도구가 적용하는 구조화된 영업시간)
+      hours_policy: {
+        weekly: {
+          mon: [{ open: '11:00', close: '22:00' }],
+          tue: [{ open: '11:00', close: '22:00' }],
+          wed: [{ open: '11:00', close: '22:00' }],
+          thu: [{ open: '11:00', close: '22:00' }],
+          fri: [{ open: '11:00', close: '22:00' }],
+          sat: [{ open: '11:00', close: '23:00' }],
+          sun: [{ open: '11:00', close: '23:00' }],
+        },
+        reservation_hours: {
+          mon: [{ open: '11:00', close: '21:30' }],
+          tue: [{ open: '11:00', close: '21:30' }],
+          wed: [{ open: '11:00', close: '21:30' }],
+          thu: [{ open: '11:00', close: '21:30' }],
+          fri: [{ open: '11:00', close: '21:30' }],
+          sat: [{ open: '11:00', close: '22:30' }],
+          sun: [{ open: '11:00', close: '22:30' }],
+        },
+        holidays:      [{ date: '2026-12-25', name: 'Christmas Day' }],
+        special_hours: { '2026-12-24': [{ open: '11:00', close: '16:00' }] },
+      },
+
+      // Recognise returning callers from order history (주문 이력으로 재방문 발신자 인식)
+      privacy_policy: {
+        recognize_callers: true,
+        history_days:      365,
+      },
+
+      // Bookable tables — check_availability and make_reservation assign one per booking
+      // (예약 가능 테이블 — check_availability와 make_reservation이 예약마다 하나씩 배정)
+      reservation_policy: {
+        slot_minutes:   30,
+        turn_minutes:   90,
+        max_party_size: 8,
+        tables: [
+          { id: 'T1', seats: 2 }, { id: 'T2', seats: 2 },
+          { id: 'T3', seats: 4 }, { id: 'T4', seats: 4 },
+          { id: 'T5', seats: 8, min_seats: 5 },
+        ],
+      },
+
+      // Cancel/modify cutoffs for voice changes (음성 취소/변경 기한)
+      modification_policy: {
+        order_locked_statuses:      ['sent_to_pos', 'ready', 'completed', 'cancelled'],
+        reservation_cutoff_minutes: 120,
+      },
+
+      // Live transfer during staffed hours, owner-texted callback otherwise (근무 시간 이관, 그 외 주인에게 콜백 문자)
+      escalation_policy: {
+        transfer_number: '+15550100001',
+        owner_phone:     '+15550100002',
+        staffed_hours: {
+          mon: [{ open: '11:00', close: '21:00' }],
+          tue: [{ open: '11:00', close: '21:00' }],
+          wed: [{ open: '11:00', close: '21:00' }],
+          thu: [{ open: '11:00', close: '21:00' }],
+          fri: [{ open: '11:00', close: '22:00' }],
+          sat: [{ open: '11:00', close: '22:00' }],
+          sun: [{ open: '11:00', close: '22:00' }],
+        },
+      },
+
       system_prompt:
         'You are Mina, a warm and knowledgeable voice assistant for JM Korean BBQ Downtown. ' +
         'You speak naturally and help customers order Korean BBQ dishes with enthusiasm. ' +
@@ -0,0 +1,248 @@
+// WebSocket upgrade authentication — decides whether an /llm-websocket upgrade may proceed
+// (WebSocket 업그레이드 인증 — /llm-websocket 업그레이드 진행 여부 판단)
+//
+// Every session runs the model and can create orders, so an upgrade is checked before the
+// socket is accepted and before the store is ever looked up:
+//   1. Rate limit   — an address with too many rejected upgrades in the window is refused (429)
+//   2. IP allowlist — WS_IP_ALLOWLIST, when set, limits upgrades to those addresses / CIDRs (403)
+//   3. Credential   — with RETELL_WS_SECRET set, the upgrade must carry either the secret itself
+//                     (?secret= or an x-ws-secret header) or a token signed with it
+//                     (?token= or Authorization: Bearer) (401)
+// Only rejections count toward the rate limit — a busy store's real calls never trip it.
+// In production (NODE_ENV=production) a missing RETELL_WS_SECRET refuses every upgrade (503)
+// instead of leaving the endpoint open.
+// (모든 세션은 모델을 실행하고 주문을 생성할 수 있으므로, 소켓 수락 전이자 매장 조회 전에 확인:
+//  1. 요청 제한 — 기간 내 거절이 너무 많은 주소는 거부(429)
+//  2. IP 허용 목록 — WS_IP_ALLOWLIST 설정 시 해당 주소/CIDR만 허용(403)
+//  3. 자격 증명 — RETELL_WS_SECRET 설정 시 비밀 값 자체 또는 그것으로 서명된 토큰 필요(401)
+//  거절만 요청 제한에 집계 — 바쁜 매장의 실제 통화는 제한에 걸리지 않음.
+//  프로덕션(NODE_ENV=production)에서 RETELL_WS_SECRET이 없으면 엔드포인트를 열어 두지 않고 모든 업그레이드 거부(503))
+//
+// Retell's LLM URL is fixed per agent and Retell appends the call_id itself, so the secret
+// goes on the configured URL: wss://host/llm-websocket?agent_id=…&secret=…
+// Signed tokens are for URLs built per call (e.g. a dynamic LLM URL) — see signUpgradeToken().
+// (Retell LLM URL은 에이전트별 고정이며 call_id는 Retell이 직접 붙이므로 비밀 값은 설정된 URL에 포함.
+//  서명 토큰은 통화별로 만드는 URL용 — signUpgradeToken() 참고)
+
+import { BlockList, isIPv4, isIPv6 } from 'node:net';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Rejected upgrades allowed per address per window before the address is refused outright
+// (주소가 완전히 거부되기 전 기간당 허용되는 거절된 업그레이드 수)
+const DEFAULT_MAX_FAILURES   = 10;
+const DEFAULT_WINDOW_SECONDS = 60;
+
+// Failure counters kept before expired ones are swept (만료된 카운터 정리 전 유지하는 카운터 수)
+const MAX_TRACKED_ADDRESSES = 10_000;
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+
+/**
+ * Upgrade auth settings from the environment.
+ * (환경 변수의 업그레이드 인증 설정)
+ *
+ * WS_TRUST_PROXY is the number of proxies in front of the server that append to X-Forwarded-For;
+ * 'true' means one.
+ * (WS_TRUST_PROXY는 서버 앞에서 X-Forwarded-For에 주소를 추가하는 프록시 수 — 'true'는 1)
+ *
+ * @returns {{ secret: string|null, requireSecret: boolean, allowlist: string[], trustedProxies: number,
+ *             maxFailures: number, windowSeconds: number }}
+ */
+export function upgradeAuthConfigFromEnv() {
+  const trustProxy = process.env.WS_TRUST_PROXY ?? '';
+  return {
+    secret:         process.env.RETELL_WS_SECRET || null,
+    requireSecret:  process.env.NODE_ENV === 'production',
+    allowlist:      (process.env.WS_IP_ALLOWLIST ?? '').split(',').map((s) => s.trim()).filter(Boolean),
+    trustedProxies: trustProxy === 'true' ? 1 : Math.max(0, parseInt(trustProxy, 10) || 0),
+    maxFailures:    parseInt(process.env.WS_AUTH_MAX_FAILURES || `${DEFAULT_MAX_FAILURES}`, 10),
+    windowSeconds:  parseInt(process.env.WS_AUTH_FAILURE_WINDOW_SECONDS || `${DEFAULT_WINDOW_SECONDS}`, 10),
+  };
+}
+
+/**
+ * Build a BlockList from addresses and CIDR ranges. Invalid entries are skipped with a warning —
+ * an allowlist with none left admits no one rather than everyone.
+ * (주소와 CIDR 범위로 BlockList 생성 — 잘못된 항목은 경고 후 건너뜀.
+ *  남은 항목이 없는 허용 목록은 모두가 아닌 아무도 허용하지 않음)
+ *
+ * @param {string[]} entries — e.g. ['203.0.113.7', '10.0.0.0/8', '2001:db8::/32']
+ * @returns {BlockList}
+ */
+function buildAllowlist(entries) {
+  const list  = new BlockList();
+  let   added = 0;
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = isIPv4(address) ? 'ipv4' : isIPv6(address) ? 'ipv6' : null;
+    if (!type) {
+      console.warn(`[WS Auth] Ignoring invalid WS_IP_ALLOWLIST entry: "${entry}" (잘못된 허용 목록 항목 무시)`);
+      continue;
+    }
+    if (prefix === undefined) list.addAddress(address, type);
+    else                      list.addSubnet(address, parseInt(prefix, 10), type);
+    added++;
+  }
+
+  if (added === 0) {
+    console.error('[WS Auth] WS_IP_ALLOWLIST has no valid entries — refusing every upgrade (유효한 항목 없음 — 모든 업그레이드 거부)');
+  }
+  return list;
+}
+
+// ── Signed Tokens ─────────────────────────────────────────────────────────────
+
+const tokenSignature = (secret, agentId, expiresAt) =>
+  createHmac('sha256', secret).update(`${agentId}.${expiresAt}`).digest('hex');
+
+/**
+ * Sign an upgrade token for one agent, valid until `ttlSeconds` from now. Put it on a per-call
+ * LLM URL as ?token=… (or send it as Authorization: Bearer …).
+ * (에이전트 하나에 대한 업그레이드 토큰 서명 — ttlSeconds 후 만료. 통화별 LLM URL에
+ *  ?token=…으로 추가하거나 Authorization: Bearer …로 전송)
+ *
+ * @param {object} opts
+ * @param {string} opts.agentId
+ * @param {number} [opts.ttlSeconds]
+ * @param {string} [opts.secret] — defaults to RETELL_WS_SECRET (기본값 RETELL_WS_SECRET)
+ * @returns {string} `<expires epoch seconds>.<hex HMAC-SHA256>`
+ */
+export function signUpgradeToken({ agentId, ttlSeconds = 300, secret = process.env.RETELL_WS_SECRET }) {
+  if (!secret) throw new Error('RETELL_WS_SECRET is not set (RETELL_WS_SECRET 미설정)');
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expiresAt}.${tokenSignature(secret, agentId, expiresAt)}`;
+}
+
+/** Constant-time string comparison (상수 시간 문자열 비교) */
+function safeEqual(a, b) {
+  const left  = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Whether the upgrade carries the shared secret or a valid, unexpired token for its agent.
+ * (업그레이드에 공유 비밀 값 또는 해당 에이전트의 유효한 미만료 토큰이 있는지 여부)
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {URLSearchParams} searchParams
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function hasValidCredential(req, searchParams, secret) {
+  const presented = searchParams.get('secret') ?? req.headers['x-ws-secret'];
+  if (presented) return safeEqual(presented, secret);
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '')?.[1];
+  const token  = searchParams.get('token') ?? bearer;
+  if (!token) return false;
+
+  const [expiresAt, signature] = token.split('.');
+  if (!/^\d+$/.test(expiresAt ?? '') || Number(expiresAt) < Date.now() / 1000) return false;
+  return safeEqual(signature ?? '', tokenSignature(secret, searchParams.get('agent_id') ?? '', expiresAt));
+}
+
+// ── Guard ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Client address of an upgrade request. Behind N trusted proxies it is the X-Forwarded-For hop
+ * the outermost one appended — N from the right. Hops to the left of it come from the client
+ * and are never trusted. IPv4-mapped IPv6 addresses are unwrapped so allowlists can stay in IPv4.
+ * (업그레이드 요청의 클라이언트 주소 — 신뢰하는 프록시 N개 뒤에서는 가장 바깥 프록시가 추가한
+ *  X-Forwarded-For 홉(오른쪽에서 N번째). 그보다 왼쪽 홉은 클라이언트가 보낸 값이므로 신뢰하지 않음.
+ *  IPv4 매핑 IPv6 주소는 풀어서 허용 목록을 IPv4로 유지 가능)
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {number} trustedProxies
+ * @returns {string}
+ */
+function clientAddress(req, trustedProxies) {
+  const hops      = (req.headers['x-forwarded-for'] ?? '').split(',').map((h) => h.trim()).filter(Boolean);
+  const forwarded = trustedProxies > 0 && hops.length > 0 ? hops[Math.max(0, hops.length - trustedProxies)] : null;
+  return (forwarded || req.socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+/**
+ * Create the upgrade guard for one WebSocket server. Failure counters live in this process —
+ * each instance limits the addresses that reach it.
+ * (WebSocket 서버 하나의 업그레이드 가드 생성 — 실패 카운터는 이 프로세스에 유지되며
+ *  각 인스턴스가 자신에게 도달한 주소를 제한)
+ *
+ * @param {object} [config] — upgradeAuthConfigFromEnv() shape (upgradeAuthConfigFromEnv() 형태)
+ * @returns {{ check: (req: import('http').IncomingMessage) =>
+ *             { ok: true, address: string }|{ ok: false, address: string, status: number, reason: string } }}
+ */
+export function createUpgradeGuard(config = upgradeAuthConfigFromEnv()) {
+  const { secret, requireSecret, trustedProxies, maxFailures, windowSeconds } = config;
+  const allowlist = config.allowlist.length > 0 ? buildAllowlist(config.allowlist) : null;
+  const failures  = new Map(); // address → { count, resetAt }
+
+  const unconfigured = !secret && requireSecret;
+  if (unconfigured) {
+    console.error(
+      '[WS Auth] RETELL_WS_SECRET is not set in production — refusing every WebSocket upgrade ' +
+      '(프로덕션에서 RETELL_WS_SECRET 미설정 — 모든 WebSocket 업그레이드 거부)'
+    );
+  } else if (!secret) {
+    console.warn(
+      '[WS Auth] RETELL_WS_SECRET is not set — WebSocket upgrades are not authenticated ' +
+      '(RETELL_WS_SECRET 미설정 — WebSocket 업그레이드 인증 안 함)'
+    );
+  }
+
+  const failureEntry = (address, now) => {
+    const entry = failures.get(address);
+    return entry && entry.resetAt > now ? entry : null;
+  };
+
+  const reject = (address, now, status, reason) => {
+    if (failures.size >= MAX_TRACKED_ADDRESSES) {
+      for (const [key, entry] of failures) if (entry.resetAt <= now) failures.delete(key);
+    }
+    const entry = failureEntry(address, now) ?? { count: 0, resetAt: now + windowSeconds * 1000 };
+    entry.count += 1;
+    failures.set(address, entry);
+
+    console.warn(
+      `[WS Auth] Upgrade rejected | ${status} ${reason} | from: ${address} | ` +
+      `failures: ${entry.count}/${maxFailures} (업그레이드 거절 | ${status} | 출처: ${address})`
+    );
+    return { ok: false, address, status, reason };
+  };
+
+  return {
+    check(req) {
+      const now     = Date.now();
+      const address = clientAddress(req, trustedProxies);
+
+      // Misconfiguration, not the caller's fault — refused without counting (설정 오류 — 집계 없이 거부)
+      if (unconfigured) return { ok: false, address, status: 503, reason: 'Upgrade auth is not configured' };
+
+      // Refused without counting — a flood is logged once, when the limit is first reached
+      // (집계 없이 거부 — 대량 시도는 한도에 처음 도달했을 때 한 번만 로깅)
+      const limited = failureEntry(address, now);
+      if (limited && limited.count >= maxFailures) {
+        if (!limited.logged) {
+          limited.logged = true;
+          console.warn(
+            `[WS Auth] Rate limited | from: ${address} | until: ${new Date(limited.resetAt).toISOString()} ` +
+            `(요청 제한 | 출처: ${address})`
+          );
+        }
+        return { ok: false, address, status: 429, reason: 'Too many rejected upgrades' };
+      }
+
+      if (allowlist && !allowlist.check(address, isIPv6(address) ? 'ipv6' : 'ipv4')) {
+        return reject(address, now, 403, 'Address not allowed');
+      }
+
+      if (secret) {
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        if (!hasValidCredential(req, searchParams, secret)) return reject(address, now, 401, 'Missing or invalid credential');
+      }
+
+      return { ok: true, address };
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// In-memory Redis for the WebSocket harness — the commands the voice agent sends through the
+// shared redisClient: session checkpoints (get / set EX / expire), connection generations (incr)
+// and booking locks (set PX NX / compare-and-delete eval)
+// (WebSocket 하네스용 인메모리 Redis — 음성 에이전트가 공유 redisClient로 보내는 명령:
+//  세션 체크포인트, 연결 세대, 예약 잠금)
+
+/**
+ * @returns {{ entries: Map<string, { value: string, expiresAt: number|null }>,
+ *             get: Function, set: Function, incr: Function, expire: Function, del: Function, eval: Function }}
+ */
+export function createMemoryRedis() {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) entries.delete(key);
+    return entries.get(key) ?? null;
+  };
+
+  return {
+    entries,
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    // set key value [EX seconds | PX ms] [NX] (set 키 값 [EX 초 | PX 밀리초] [NX])
+    async set(key, value, ...options) {
+      const flags = options.map((o) => String(o).toUpperCase());
+      if (flags.includes('NX') && live(key)) return null;
+
+      const ex = flags.indexOf('EX');
+      const px = flags.indexOf('PX');
+      const ttlMs = ex >= 0 ? Number(options[ex + 1]) * 1000 : (px >= 0 ? Number(options[px + 1]) : null);
+
+      entries.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return 'OK';
+    },
+
+    async incr(key) {
+      const entry = live(key);
+      const value = Number(entry?.value ?? 0) + 1;
+      entries.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+      return value;
+    },
+
+    async expire(key, seconds) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+
+    async del(key) {
+      return entries.delete(key) ? 1 : 0;
+    },
+
+    // The only script the app runs is the booking lock's compare-and-delete release
+    // (앱이 실행하는 유일한 스크립트는 예약 잠금의 비교 후 삭제 해제)
+    async eval(_script, _numKeys, key, token) {
+      if (live(key)?.value !== token) return 0;
+      entries.delete(key);
+      return 1;
+    },
+  };
+}
@@ -0,0 +1,210 @@
+// In-memory Supabase backend for the WebSocket harness — the slice of the PostgREST query
+// builder the voice agent uses, over plain arrays of rows
+// (WebSocket 하네스용 인메모리 Supabase 백엔드 — 음성 에이전트가 사용하는 PostgREST 쿼리 빌더
+//  일부를 일반 행 배열 위에 구현)
+//
+// Supported: select (plain column lists are projected, { count: 'exact' }), insert, update,
+// upsert ({ onConflict }), delete, eq, neq, gt, gte, lt, lte, in, is, ilike, contains, not
+// ('is' | 'in' | 'ov'), match, order, limit, single, maybeSingle, abortSignal. Inserted rows get an id and
+// created_at when they have none. Rows are cloned in and out, so a test can only change the
+// data through the builder or through `tables`.
+// (지원 범위는 위와 같음. 삽입 행에 id·created_at이 없으면 부여. 행은 입출력 시 복제되므로
+//  테스트는 빌더나 `tables`로만 데이터를 변경)
+
+import { randomUUID } from 'node:crypto';
+
+// Deep copy of JSON-like data; functions (scripted model steps in llm_policy) are kept by reference
+// (JSON 형태 데이터의 깊은 복사 — 함수(llm_policy의 스크립트 모델 단계)는 참조 유지)
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+// PostgREST-style errors the app branches on (앱이 분기하는 PostgREST 형식 오류)
+const NO_SINGLE_ROW = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+/** '{a,b}' or '(a,b)' filter literal → array (필터 리터럴 → 배열) */
+const parseList = (literal) =>
+  String(literal).replace(/^[{(]|[)}]$/g, '').split(',').map((v) => v.trim().replace(/^"|"$/g, '')).filter(Boolean);
+
+/** Equality across the number/string split of ids coming from URLs (URL에서 온 ID의 숫자/문자열 차이를 무시한 비교) */
+const same = (a, b) => a === b || (a !== null && b !== null && a !== undefined && b !== undefined && String(a) === String(b));
+
+class QueryBuilder {
+  constructor(rows) {
+    this.rows      = rows;
+    this.action    = 'select';
+    this.payload   = null;
+    this.columns   = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.filters   = [];
+    this.sorts     = [];
+    this.max       = null;
+    this.mode      = 'many';
+    this.conflict  = ['id'];
+  }
+
+  // ── Actions ─────────────────────────────────────────────────────────────────
+
+  select(columns = '*', { count } = {}) {
+    if (this.action === 'select') this.countMode = count ?? null;
+    else                          this.returning = true;
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values)                   { return this.#write('insert', values); }
+  update(patch)                    { return this.#write('update', patch); }
+  delete()                         { return this.#write('delete', null); }
+  upsert(values, { onConflict } = {}) {
+    if (onConflict) this.conflict = onConflict.split(',').map((c) => c.trim());
+    return this.#write('upsert', values);
+  }
+
+  #write(action, payload) {
+    this.action  = action;
+    this.payload = payload;
+    return this;
+  }
+
+  // ── Filters ─────────────────────────────────────────────────────────────────
+
+  eq(col, value)       { return this.#where((row) => same(row[col], value)); }
+  neq(col, value)      { return this.#where((row) => !same(row[col], value)); }
+  gt(col, value)       { return this.#where((row) => row[col] >  value); }
+  gte(col, value)      { return this.#where((row) => row[col] >= value); }
+  lt(col, value)       { return this.#where((row) => row[col] <  value); }
+  lte(col, value)      { return this.#where((row) => row[col] <= value); }
+  in(col, values)      { return this.#where((row) => values.some((v) => same(row[col], v))); }
+  is(col, value)       { return this.#where((row) => (row[col] ?? null) === value); }
+  contains(col, values) {
+    return this.#where((row) => Array.isArray(row[col]) && values.every((v) => row[col].includes(v)));
+  }
+  ilike(col, pattern) {
+    const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    const regex  = new RegExp(`^${source}$`, 'i');
+    return this.#where((row) => regex.test(String(row[col] ?? '')));
+  }
+  not(col, op, value) {
+    const test = {
+      is: (row) => (row[col] ?? null) === value,
+      in: (row) => parseList(value).some((v) => same(row[col], v)),
+      ov: (row) => Array.isArray(row[col]) && parseList(value).some((v) => row[col].includes(v)),
+    }[op];
+    if (!test) throw new Error(`memoryStore: unsupported not() operator "${op}"`);
+    return this.#where((row) => !test(row));
+  }
+  match(criteria) {
+    for (const [col, value] of Object.entries(criteria)) this.eq(col, value);
+    return this;
+  }
+
+  #where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  // ── Modifiers ───────────────────────────────────────────────────────────────
+
+  order(col, { ascending = true } = {}) {
+    this.sorts.push({ col, dir: ascending ? 1 : -1 });
+    return this;
+  }
+  limit(n)      { this.max = n; return this; }
+  single()      { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe';  return this; }
+  abortSignal(signal) { this.signal = signal; return this; }
+
+  // ── Execution ───────────────────────────────────────────────────────────────
+
+  then(resolve, reject) {
+    // An aborted request resolves with an error, as PostgREST's fetch does (중단된 요청은 PostgREST처럼 오류로 해결)
+    if (this.signal?.aborted) {
+      return Promise.resolve({ data: null, error: { code: '20', message: 'AbortError: This operation was aborted' } }).then(resolve, reject);
+    }
+
+    let result;
+    try {
+      result = this.#execute();
+    } catch (err) {
+      return Promise.reject(err).then(resolve, reject);
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  #matching() {
+    return this.rows.filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  #execute() {
+    let rows;
+
+    if (this.action === 'select') {
+      rows = this.#matching();
+    } else if (this.action === 'insert') {
+      rows = [this.payload].flat().map((values) => this.#insertRow(values));
+    } else if (this.action === 'upsert') {
+      rows = [this.payload].flat().map((values) => {
+        const existing = this.rows.find((row) => this.conflict.every((c) => same(row[c], values[c])));
+        return existing ? Object.assign(existing, clone(values)) : this.#insertRow(values);
+      });
+    } else if (this.action === 'update') {
+      rows = this.#matching().map((row) => Object.assign(row, clone(this.payload)));
+    } else {
+      rows = this.#matching();
+      for (const row of rows) this.rows.splice(this.rows.indexOf(row), 1);
+    }
+
+    // Mutations return rows only when .select() was chained (변경 작업은 .select() 체인 시에만 행 반환)
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null, count: null };
+
+    const count = rows.length;
+    for (const { col, dir } of [...this.sorts].reverse()) {
+      rows = [...rows].sort((a, b) => (a[col] === b[col] ? 0 : (a[col] > b[col] ? dir : -dir)));
+    }
+    if (this.max !== null) rows = rows.slice(0, this.max);
+    rows = rows.map((row) => this.#project(row));
+
+    if (this.mode === 'single' && rows.length !== 1) return { data: null, error: NO_SINGLE_ROW, count };
+    if (this.mode === 'maybe'  && rows.length > 1)   return { data: null, error: NO_SINGLE_ROW, count };
+    const data = this.mode === 'many' ? rows : (rows[0] ?? null);
+
+    return { data, error: null, count: this.countMode ? count : null };
+  }
+
+  #insertRow(values) {
+    const row = { id: randomUUID(), created_at: new Date().toISOString(), ...clone(values) };
+    this.rows.push(row);
+    return row;
+  }
+
+  /** Project plain column lists; anything fancier returns the whole row (일반 컬럼 목록만 투영 — 그 외는 전체 행) */
+  #project(row) {
+    const cols = this.columns.split(',').map((c) => c.trim());
+    if (cols.includes('*') || cols.some((c) => !/^\w+$/.test(c))) return clone(row);
+    return Object.fromEntries(cols.map((c) => [c, clone(row[c] ?? null)]));
+  }
+}
+
+/**
+ * Create an in-memory database. Pass it where the app expects the Supabase client's `from`.
+ * (인메모리 데이터베이스 생성 — 앱이 Supabase 클라이언트의 `from`을 기대하는 곳에 전달)
+ *
+ * @param {Object<string, Array<object>>} [seed] — rows per table (테이블별 행)
+ * @returns {{ tables: Object<string, Array<object>>, from: (table: string) => QueryBuilder }}
+ */
+export function createMemoryStore(seed = {}) {
+  const tables = Object.fromEntries(Object.entries(seed).map(([name, rows]) => [name, clone(rows)]));
+
+  return {
+    tables,
+    from(table) {
+      tables[table] ??= [];
+      return new QueryBuilder(tables[table]);
+    },
+  };
+}
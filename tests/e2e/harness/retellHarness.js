@@ -0,0 +1,257 @@
+// Retell WebSocket harness — drives /llm-websocket in-process with scripted Retell frames,
+// a scripted model, an in-memory store backend and an in-memory Redis. Nothing leaves the
+// machine: outbound fetch to anything but loopback is refused, so a store that forgets to
+// pick the scripted provider fails loudly instead of calling Gemini.
+// (Retell WebSocket 하네스 — 스크립트된 Retell 프레임, 스크립트 모델, 인메모리 스토어 백엔드,
+//  인메모리 Redis로 /llm-websocket을 프로세스 내에서 구동. 루프백 외의 외부 fetch는 거부되므로
+//  스크립트 프로바이더 설정을 빠뜨린 매장은 Gemini를 호출하지 않고 명확히 실패)
+//
+// Usage (사용법):
+//   const harness = await startRetellHarness({ tables: { stores: [store], menu_items: [...] } });
+//   const call    = await harness.connect({ agentId: store.retell_agent_id });
+//   await call.response(0);                          // greeting
+//   const reply   = await call.response(call.say('Two bulgogi please'));
+//   expect(reply.text).toContain('…');
+//   await call.close(); await harness.close();
+//
+// The model is chosen per store row: llm_policy: { provider: 'scripted', script: [...] }
+// (see src/services/llm/scriptedProvider.js). The app's modules are shared by every harness in
+// a test worker, so harnesses must not overlap — the suites run serially (workers: 1).
+// (모델은 매장 행별로 선택. 앱 모듈은 테스트 워커의 모든 하네스가 공유하므로 하네스가 겹치면
+//  안 됨 — 스위트는 직렬 실행)
+
+import http from 'node:http';
+import { WebSocket } from 'ws';
+import { createMemoryStore } from './memoryStore.js';
+import { createMemoryRedis } from './memoryRedis.js';
+
+const DEFAULT_WAIT_MS = 5_000;
+
+// ── Offline Environment ───────────────────────────────────────────────────────
+
+// Upgrade auth settings, read when the WebSocket server starts — off unless a test sets them
+// (WebSocket 서버 시작 시 읽는 업그레이드 인증 설정 — 테스트가 설정하지 않으면 꺼짐)
+const UPGRADE_AUTH_ENV = [
+  'RETELL_WS_SECRET', 'WS_IP_ALLOWLIST', 'WS_TRUST_PROXY', 'WS_AUTH_MAX_FAILURES', 'WS_AUTH_FAILURE_WINDOW_SECONDS',
+];
+
+/**
+ * Environment for the app modules — set before their first import. Empty strings keep
+ * dotenv from filling them in from a developer's .env (notifiers fall back to mock mode).
+ * (앱 모듈용 환경 — 첫 import 전에 설정. 빈 문자열은 dotenv가 개발자 .env로 채우는 것을 막음 —
+ *  알림은 목 모드로 폴백)
+ */
+function prepareEnvironment() {
+  process.env.SUPABASE_URL              ??= 'https://stub-test-project.supabase.co';
+  process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'stub-service-role-key-for-tests-only';
+  process.env.GEMINI_API_KEY            ??= 'offline-harness';
+  process.env.USE_MOCK_TENANT             = 'false';
+  process.env.LLM_ALLOW_SCRIPTED          = 'true';
+  for (const key of ['SMTP_USER', 'SMTP_PASS', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'OPENAI_COMPAT_API_KEY', ...UPGRADE_AUTH_ENV]) {
+    process.env[key] = '';
+  }
+}
+
+let realFetch = null;
+
+/** Refuse every outbound request except loopback (루프백 외의 모든 외부 요청 거부) */
+function blockNetwork() {
+  if (realFetch) return;
+  realFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const { hostname } = new URL(typeof input === 'string' ? input : input.url);
+    if (hostname === '127.0.0.1' || hostname === 'localhost') return realFetch(input, init);
+    throw new Error(`Offline harness: blocked request to ${hostname} (오프라인 하네스: ${hostname} 요청 차단)`);
+  };
+}
+
+// ── Retell Call ───────────────────────────────────────────────────────────────
+
+/**
+ * One simulated Retell call. Keeps every inbound frame and the running transcript that
+ * Retell would send, and appends the agent's completed replies to it.
+ * (시뮬레이션된 Retell 통화 하나 — 모든 수신 프레임과 Retell이 보낼 누적 transcript를
+ *  보관하고 완료된 에이전트 응답을 추가)
+ */
+class RetellCall {
+  constructor(ws, callId) {
+    this.ws             = ws;
+    this.callId         = callId;
+    this.frames         = [];
+    this.transcript     = [];
+    this.nextResponseId = 1;
+    this.waiters        = new Set();
+    this.closed         = new Promise((resolve) => ws.once('close', resolve));
+
+    ws.on('message', (raw) => {
+      const frame = JSON.parse(raw.toString());
+      this.frames.push(frame);
+      if (frame.response_type === 'response' && frame.content_complete) {
+        this.transcript.push({ role: 'agent', content: this.textFor(frame.response_id) });
+      }
+      for (const waiter of this.waiters) waiter();
+    });
+  }
+
+  /** Frames of type 'response' for one response_id (response_id 하나의 'response' 프레임) */
+  framesFor(responseId) {
+    return this.frames.filter((f) => f.response_type === 'response' && f.response_id === responseId);
+  }
+
+  /** Everything streamed so far for one response_id (response_id 하나로 지금까지 스트리밍된 전체 텍스트) */
+  textFor(responseId) {
+    return this.framesFor(responseId).map((f) => f.content).join('');
+  }
+
+  /**
+   * Resolve once `predicate()` returns a truthy value, or reject after `timeoutMs`.
+   * (predicate()가 참 값을 반환하면 해결, timeoutMs 후 거절)
+   */
+  waitFor(predicate, { timeoutMs = DEFAULT_WAIT_MS, label = 'condition' } = {}) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const value = predicate();
+        if (!value) return;
+        cleanup();
+        resolve(value);
+      };
+      const timer   = setTimeout(() => { cleanup(); reject(new Error(`Timed out waiting for ${label}`)); }, timeoutMs);
+      const cleanup = () => { clearTimeout(timer); this.waiters.delete(check); };
+      this.waiters.add(check);
+      check();
+    });
+  }
+
+  /**
+   * Wait for the final frame of a response and return what was streamed.
+   * (응답의 최종 프레임을 기다린 뒤 스트리밍된 내용 반환)
+   *
+   * @returns {Promise<{ text: string, chunks: string[], final: object }>}
+   */
+  async response(responseId, { timeoutMs } = {}) {
+    const final = await this.waitFor(
+      () => this.framesFor(responseId).find((f) => f.content_complete),
+      { timeoutMs, label: `response ${responseId}` }
+    );
+    const frames = this.framesFor(responseId);
+    return { text: this.textFor(responseId), chunks: frames.filter((f) => f.content).map((f) => f.content), final };
+  }
+
+  /** Send any frame as Retell would (Retell처럼 임의 프레임 전송) */
+  send(frame) {
+    this.ws.send(JSON.stringify(frame));
+  }
+
+  /**
+   * The caller finishes an utterance — response_required with the full transcript.
+   * (발신자 발화 완료 — 전체 transcript와 함께 response_required 전송)
+   *
+   * @returns {number} response_id to wait on (대기할 response_id)
+   */
+  say(text) {
+    const responseId = this.nextResponseId++;
+    this.transcript.push({ role: 'user', content: text });
+    this.send({ interaction_type: 'response_required', response_id: responseId, transcript: this.transcript });
+    return responseId;
+  }
+
+  /**
+   * The caller starts talking over the agent — update_only with turntaking 'user_turn'.
+   * (발신자가 에이전트 발화 중 말하기 시작 — turntaking 'user_turn'인 update_only 전송)
+   */
+  bargeIn(partialText = '') {
+    const transcript = partialText ? [...this.transcript, { role: 'user', content: partialText }] : this.transcript;
+    this.send({ interaction_type: 'update_only', turntaking: 'user_turn', transcript });
+  }
+
+  /** The caller has gone quiet — reminder_required (발신자 무응답 — reminder_required) */
+  remind() {
+    const responseId = this.nextResponseId++;
+    this.send({ interaction_type: 'reminder_required', response_id: responseId, transcript: this.transcript });
+    return responseId;
+  }
+
+  async close() {
+    if (this.ws.readyState === WebSocket.OPEN) this.ws.close();
+    await this.closed;
+  }
+}
+
+// ── Harness ───────────────────────────────────────────────────────────────────
+
+/**
+ * Start setupWebSocket() on an ephemeral port over in-memory backends.
+ * (인메모리 백엔드 위에서 임시 포트로 setupWebSocket() 시작)
+ *
+ * @param {object} [opts]
+ * @param {Object<string, Array<object>>} [opts.tables] — seed rows per table, e.g. { stores, menu_items }
+ * @param {Object<string, string>}        [opts.env]    — server environment, e.g. { RETELL_WS_SECRET } (서버 환경 변수)
+ * @returns {Promise<{ db, redis, connect: Function, checkpoint: Function, close: Function }>}
+ */
+export async function startRetellHarness({ tables = {}, env = {} } = {}) {
+  prepareEnvironment();
+  Object.assign(process.env, env);
+  blockNetwork();
+
+  const { supabase }              = await import('../../../src/config/supabase.js');
+  const { redisClient }           = await import('../../../src/config/redis.js');
+  const { setupWebSocket }        = await import('../../../src/websocket/llmServer.js');
+  const { loadSessionCheckpoint } = await import('../../../src/services/call/sessionCheckpoint.js');
+
+  const db    = createMemoryStore(tables);
+  const redis = createMemoryRedis();
+
+  supabase.from = (table) => db.from(table);
+  if (redisClient.status !== 'end') redisClient.disconnect();
+  Object.assign(redisClient, {
+    get: redis.get, set: redis.set, incr: redis.incr, expire: redis.expire, del: redis.del, eval: redis.eval,
+  });
+
+  const server = http.createServer();
+  setupWebSocket(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const calls = [];
+  let   seq   = 0;
+
+  return {
+    db,
+    redis,
+
+    /**
+     * Open a call the way Retell does — /llm-websocket/<call_id>?agent_id=…
+     * Rejects with the HTTP status when the upgrade is refused.
+     * (Retell과 같은 방식으로 통화 연결 — 업그레이드가 거부되면 HTTP 상태와 함께 거절)
+     *
+     * @param {object} [opts]
+     * @param {Object<string, string>} [opts.query]   — extra query parameters, e.g. { secret } (추가 쿼리 파라미터)
+     * @param {Object<string, string>} [opts.headers] — upgrade request headers (업그레이드 요청 헤더)
+     * @returns {Promise<RetellCall>}
+     */
+    async connect({ agentId, callId = `harness-call-${++seq}`, storeId, fromNumber, query = {}, headers = {} } = {}) {
+      const params = new URLSearchParams({ agent_id: agentId, ...query });
+      if (storeId)    params.set('store_id', storeId);
+      if (fromNumber) params.set('from_number', fromNumber);
+
+      // Listen before 'open' — with in-memory backends the greeting can arrive in the same
+      // packet as the handshake (인메모리 백엔드에서는 인사말이 핸드셰이크와 같은 패킷으로 도착할 수 있으므로 'open' 전에 수신 대기)
+      const ws   = new WebSocket(`ws://127.0.0.1:${port}/llm-websocket/${callId}?${params}`, { headers });
+      const call = new RetellCall(ws, callId);
+      await new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+
+      calls.push(call);
+      return call;
+    },
+
+    /** The call's saved session state (history, cart, …) (통화의 저장된 세션 상태) */
+    checkpoint(callId) {
+      return loadSessionCheckpoint(callId);
+    },
+
+    async close() {
+      await Promise.all(calls.map((call) => call.close()));
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
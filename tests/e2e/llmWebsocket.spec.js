@@ -0,0 +1,823 @@
+/**
+ * Offline tests — Retell custom-LLM WebSocket (/llm-websocket/:call_id)
+ *
+ * What these tests prove:
+ *   1. Replies stream to Retell as partial frames followed by one content_complete frame, with
+ *      markdown, emoji, prices and times rewritten for speech even when split across chunks.
+ *   2. Tool calls run against the store — add_to_cart prices from menu_items and place_order
+ *      writes the order row, with spoken phone numbers and emails normalised first. A repeated
+ *      place_order — in the same round, the next round or the next turn — writes one row and
+ *      returns the original order, while the same items ordered again later write another.
+ *   3. A barge-in (update_only, turntaking 'user_turn') aborts the reply in flight: no final
+ *      frame for it, and the interrupted turn is rolled out of the history the model sees next.
+ *   4. Guardrails end the call with end_call: true after a goodbye — on silence past the
+ *      re-prompt limit, on repeated abuse, or when the model calls end_call — and record why.
+ *   5. Upgrades without the shared secret or a signed token, or from outside the IP allowlist,
+ *      are refused before the store is looked up, and repeat offenders are rate-limited. Only
+ *      the proxy's own X-Forwarded-For hop counts, and production refuses upgrades with no secret.
+ *   6. cancel_or_modify re-prices a modified order from the menu instead of trusting the model,
+ *      and an order the kitchen marks ready through the POS status route is read back as ready.
+ *   7. OPENAI_COMPAT_API_KEY is never sent to an OpenAI-compatible server named by a store row.
+ *   8. A socket replaced by a reconnect closes without expiring the checkpoint or finalizing the call.
+ *   9. Rolling history and post-call summaries go through the store's own provider — a store
+ *      whose provider cannot be used has its post-call summary skipped, never sent to Gemini.
+ *
+ * (이 테스트가 증명하는 것:
+ *   1. 응답이 부분 프레임들과 하나의 content_complete 프레임으로 Retell에 스트리밍 — 청크에 걸쳐도
+ *      마크다운, 이모지, 가격, 시간은 음성용으로 재작성
+ *   2. 도구 호출이 매장 데이터에 실행 — add_to_cart는 menu_items 가격 사용, place_order는 발화된
+ *      전화번호·이메일을 정규화한 뒤 주문 행 기록. 같은 라운드·다음 라운드·다음 턴에 반복된
+ *      place_order는 행 하나만 기록하고 원래 주문을 반환하며,
+ *      이후 같은 항목을 다시 주문하면 새 행 기록
+ *   3. 끼어들기(update_only, turntaking 'user_turn')가 진행 중 응답을 중단 — 최종 프레임 없음,
+ *      중단된 턴은 모델이 다음에 보는 히스토리에서 롤백
+ *   4. 가드레일이 인사 후 end_call: true로 통화 종료 — 재안내 한도를 넘는 무응답, 반복된 폭언,
+ *      모델의 end_call 호출 시 — 그리고 이유 기록
+ *   5. 공유 비밀 값이나 서명 토큰이 없거나 IP 허용 목록 밖의 업그레이드는 매장 조회 전에 거부되고,
+ *      반복 시도는 요청 제한. 프록시가 추가한 X-Forwarded-For 홉만 인정하고, 프로덕션은 비밀 값 없이 업그레이드 거부
+ *   6. cancel_or_modify는 모델을 믿지 않고 변경된 주문을 메뉴 가격으로 재계산하며,
+ *      주방이 POS 상태 라우트로 준비 완료 처리한 주문은 준비 완료로 안내
+ *   7. OPENAI_COMPAT_API_KEY는 매장 행이 지정한 OpenAI 호환 서버로 절대 전송되지 않음
+ *   8. 재연결로 교체된 소켓은 체크포인트 만료나 통화 마무리 없이 종료
+ *   9. 롤링 히스토리 요약과 통화 후 요약은 매장 자체 프로바이더로 요청 — 프로바이더를 사용할 수
+ *      없는 매장의 통화 후 요약은 Gemini로 보내지 않고 건너뜀)
+ *
+ * Server setup: tests/e2e/harness/retellHarness.js runs the WebSocket server in the test worker
+ * over an in-memory store and Redis, with the store's model set to the scripted provider.
+ * No network, no Gemini key, no Supabase.
+ * (서버 설정: 하네스가 테스트 워커 안에서 인메모리 스토어·Redis 위로 WebSocket 서버 구동 —
+ *  매장 모델은 스크립트 프로바이더. 네트워크, Gemini 키, Supabase 불필요)
+ */
+
+import { createServer } from 'node:http';
+import { test, expect } from '@playwright/test';
+import { startRetellHarness } from './harness/retellHarness.js';
+import { signUpgradeToken } from '../../src/websocket/upgradeAuth.js';
+
+test.describe.configure({ mode: 'serial' });
+
+// ── Shared Fixtures ────────────────────────────────────────────────────────────
+
+const STORE_ID = 'store-harness-001';
+const AGENT_ID = 'agent-harness-001';
+
+// Menu rows in the shape cart.js reads (cart.js가 읽는 형태의 메뉴 행)
+const MENU_ITEMS = [
+  { store_id: STORE_ID, item_id: 'item-bulgogi', variant_id: 'var-bulgogi', name: 'Bulgogi',       variant_name: null, price: 14.5, modifier_ids: [] },
+  { store_id: STORE_ID, item_id: 'item-kimchi',  variant_id: 'var-kimchi',  name: 'Kimchi Jjigae', variant_name: null, price: 12,   modifier_ids: [] },
+];
+
+/** A store row whose model follows `script` (모델이 script를 따르는 매장 행) */
+function storeRow(script, overrides = {}) {
+  return {
+    id:              STORE_ID,
+    retell_agent_id: AGENT_ID,
+    store_name:      'Harness Kitchen',
+    is_active:       true,
+    llm_policy:      { provider: 'scripted', script },
+    ...overrides,
+  };
+}
+
+/** Text of every content entry the model was given (모델에 전달된 모든 contents 항목의 텍스트) */
+const textsOf = (contents) =>
+  contents.flatMap((c) => (c.parts ?? []).filter((p) => typeof p.text === 'string').map((p) => p.text));
+
+/** Every tool result the model was given (모델에 전달된 모든 도구 결과) */
+const toolResults = (contents) =>
+  contents.flatMap((c) => (c.parts ?? []).filter((p) => p.functionResponse)).map((p) => p.functionResponse.response);
+
+let harness;
+
+test.afterEach(async () => {
+  await harness?.close();
+  harness = null;
+});
+
+// ── Streaming ─────────────────────────────────────────────────────────────────
+
+test('greeting and replies stream as partial frames ending in one final frame', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hi, thanks for calling Harness Kitchen. What can I get you?',
+        'Sure, the bulgogi is our most popular dish.',
+      ])],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+
+  const greeting = await call.response(0);
+  expect(greeting.text).toBe('Hi, thanks for calling Harness Kitchen. What can I get you?');
+  expect(greeting.chunks.length).toBeGreaterThan(1);
+
+  const id    = call.say('What do you recommend?');
+  const reply = await call.response(id);
+  expect(reply.text).toBe('Sure, the bulgogi is our most popular dish.');
+  expect(reply.chunks.length).toBeGreaterThan(1);
+  expect(call.framesFor(id).filter((f) => f.content_complete)).toHaveLength(1);
+  expect(reply.final.end_call).toBe(false);
+});
+
+test('replies are rewritten for speech across chunk boundaries', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        'The **Bulgogi** is $14.50 🍖 and we close at 21:00 tonight.',
+      ])],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  const reply = await call.response(call.say('How much is the bulgogi?'));
+  expect(reply.text).toBe('The Bulgogi is fourteen fifty and we close at nine PM tonight.');
+  expect(reply.chunks.length).toBeGreaterThan(1);
+});
+
+// ── Tool Side Effects ─────────────────────────────────────────────────────────
+
+test('add_to_cart and place_order write the priced order to the store', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores:     [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'add_to_cart', args: { name: 'Bulgogi', quantity: 2 } }] },
+        'Two bulgogi, anything else?',
+        {
+          function_calls: [{
+            name: 'place_order',
+            args: { customer_phone: '+15035550100', customer_email: 'guest@example.com' },
+          }],
+        },
+        'Your order is in. Check your phone for the payment link.',
+      ])],
+      menu_items: MENU_ITEMS,
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  await call.response(call.say('Two bulgogi please'));
+  const cart = (await harness.checkpoint(call.callId))?.cart;
+  expect(cart?.lines).toEqual([expect.objectContaining({ name: 'Bulgogi', quantity: 2 })]);
+
+  const done = await call.response(call.say("That's all, my number is 503 555 0100"));
+  expect(done.text).toBe('Your order is in. Check your phone for the payment link.');
+
+  const orders = harness.db.tables.orders ?? [];
+  expect(orders).toHaveLength(1);
+  expect(orders[0]).toMatchObject({
+    store_id:       STORE_ID,
+    agent_id:       AGENT_ID,
+    customer_phone: '+15035550100',
+    total_amount:   29,
+    status:         'pending',
+  });
+  expect(orders[0].items).toEqual([expect.objectContaining({ name: 'Bulgogi', quantity: 2 })]);
+});
+
+test('a repeated place_order is answered once, but the same items can be ordered again later', async () => {
+  const placeOrder = { name: 'place_order', args: { customer_phone: '+15035550100' } };
+  harness = await startRetellHarness({
+    tables: {
+      stores:     [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'add_to_cart', args: { name: 'Bulgogi', quantity: 1 } }] },
+        { function_calls: [placeOrder, placeOrder] },
+        'Your order is in.',
+        { function_calls: [{ name: 'add_to_cart', args: { name: 'Bulgogi', quantity: 1 } }] },
+        { function_calls: [placeOrder] },
+        'Your second order is in.',
+      ])],
+      menu_items: MENU_ITEMS,
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  await call.response(call.say('One bulgogi, that is all'));
+  expect(harness.db.tables.orders ?? []).toHaveLength(1);
+
+  const again = await call.response(call.say('Actually, one more bulgogi for my friend, same as before'));
+  expect(again.text).toBe('Your second order is in.');
+  expect(harness.db.tables.orders).toHaveLength(2);
+});
+
+test('place_order repeated in the next round and the next turn returns the original order', async () => {
+  const placeOrder = { name: 'place_order', args: { customer_phone: '+15035550100' } };
+  const results    = [];
+  const capture    = (next) => (contents) => { results.push(toolResults(contents).at(-1)); return next; };
+  harness = await startRetellHarness({
+    tables: {
+      stores:     [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'add_to_cart', args: { name: 'Bulgogi', quantity: 1 } }] },
+        { function_calls: [placeOrder] },
+        capture({ function_calls: [placeOrder] }),
+        capture('Your order is in.'),
+        { function_calls: [placeOrder] },
+        capture('Yes, that order went through.'),
+      ])],
+      menu_items: MENU_ITEMS,
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  await call.response(call.say('One bulgogi, that is all'));
+  const again = await call.response(call.say('Did my order go through?'));
+  expect(again.text).toBe('Yes, that order went through.');
+
+  const orders = harness.db.tables.orders ?? [];
+  expect(orders).toHaveLength(1);
+
+  const [original, nextRound, nextTurn] = results;
+  expect(original).toMatchObject({ status: 'success', order_id: orders[0].id });
+  expect(original.duplicate).toBeUndefined();
+  expect(nextRound).toMatchObject({ status: 'success', order_id: orders[0].id, duplicate: true });
+  expect(nextTurn).toMatchObject({ status: 'success', order_id: orders[0].id, duplicate: true });
+});
+
+test('spoken contact details are normalised, and unusable ones are sent back to confirm', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores:     [storeRow([
+        'Hello, Harness Kitchen.',
+        {
+          function_calls: [
+            { name: 'add_to_cart', args: { name: 'Kimchi Jjigae' } },
+            { name: 'place_order', args: { customer_phone: 'five five five one two three', customer_email: 'kim at gmail dot com' } },
+          ],
+        },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'Sorry, could you repeat your number?'; },
+        {
+          function_calls: [{
+            name: 'place_order',
+            args: { customer_phone: 'five oh three, five five five, oh one hundred', customer_email: 'kim at gmail dot com' },
+          }],
+        },
+        'Done, check your texts.',
+      ])],
+      menu_items: MENU_ITEMS,
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  await call.response(call.say('One kimchi jjigae, my number is 555 123'));
+  expect(results[0]).toMatchObject({ status: 'invalid_phone' });
+  expect(harness.db.tables.orders ?? []).toHaveLength(0);
+
+  await call.response(call.say('Five oh three, five five five, oh one hundred'));
+  expect(harness.db.tables.orders).toEqual([
+    expect.objectContaining({ customer_phone: '+15035550100', customer_email: 'kim@gmail.com' }),
+  ]);
+});
+
+// ── Barge-in ──────────────────────────────────────────────────────────────────
+
+test('barge-in aborts the reply in flight and rolls the turn out of history', async () => {
+  const seen = [];
+  let   markStarted;
+  const started = new Promise((resolve) => { markStarted = resolve; });
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        () => { markStarted(); return { text: 'Let me read you the whole menu, starting with', delay_ms: 2_000 }; },
+        (contents) => { seen.push(textsOf(contents)); return 'Kimchi jjigae it is.'; },
+      ])],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  const slow = call.say('What do you have?');
+  await started;
+  call.bargeIn('Actually');
+  // Retell sends the finished utterance as the next response_required (완료된 발화는 다음 response_required로 전송)
+  call.transcript.pop();
+  const next = call.say('Actually, just the kimchi jjigae.');
+
+  const reply = await call.response(next);
+  expect(reply.text).toBe('Kimchi jjigae it is.');
+  expect(call.framesFor(slow).some((f) => f.content_complete)).toBe(false);
+  expect(call.textFor(slow)).toBe('');
+
+  expect(seen).toHaveLength(1);
+  expect(seen[0]).toContain('Actually, just the kimchi jjigae.');
+  expect(seen[0]).not.toContain('What do you have?');
+});
+
+// ── Call Guardrails ───────────────────────────────────────────────────────────
+
+/** The call_ended events recorded for a call (통화에 기록된 call_ended 이벤트) */
+const endEventsOf = (harness, callId) =>
+  (harness.db.tables.call_events ?? []).filter((e) => e.call_id === callId && e.event_type === 'call_ended');
+
+test('a caller silent past the re-prompt limit hears a goodbye and the call ends', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow(
+        ['Hello, Harness Kitchen.', 'Are you still there?'],
+        { guardrail_policy: { max_reminders: 1 } }
+      )],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  const first = await call.response(call.remind());
+  expect(first.text).toBe('Are you still there?');
+  expect(first.final.end_call).toBe(false);
+
+  const last = await call.response(call.remind());
+  expect(last.text).toContain('Goodbye');
+  expect(last.final.end_call).toBe(true);
+  await expect.poll(() => endEventsOf(harness, call.callId).map((e) => e.content)).toEqual(['no_response']);
+});
+
+test('repeated abuse ends the call without another model turn', async () => {
+  const seen = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        (contents) => { seen.push(textsOf(contents)); return "Let's keep it respectful. How can I help?"; },
+        'This step is never reached.',
+      ])],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  const warned = await call.response(call.say("You're a stupid robot"));
+  expect(warned.final.end_call).toBe(false);
+
+  const ended = await call.response(call.say('Screw you, you idiot'));
+  expect(ended.final.end_call).toBe(true);
+  expect(ended.text).toBe("I'm going to end the call now. Goodbye.");
+  expect(seen).toHaveLength(1);
+  await expect.poll(() => endEventsOf(harness, call.callId).map((e) => e.content)).toEqual(['abusive_caller']);
+});
+
+test('end_call after the caller says goodbye hangs up on the final frame', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'end_call', args: { reason: 'completed' } }] },
+        'Thanks for calling, have a great night!',
+      ])],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  const id   = call.say("That's everything, thanks. Bye!");
+  const done = await call.response(id);
+  expect(done.text).toBe('Thanks for calling, have a great night!');
+  expect(done.final.end_call).toBe(true);
+  expect(call.framesFor(id).filter((f) => f.end_call)).toHaveLength(1);
+  await expect.poll(() => endEventsOf(harness, call.callId).map((e) => e.content)).toEqual(['completed']);
+
+  await call.close();
+  await expect.poll(() => harness.db.tables.calls?.[0]?.end_reason).toBe('completed');
+});
+
+// ── Upgrade Authentication ────────────────────────────────────────────────────
+
+const WS_SECRET = 'harness-ws-secret';
+
+/** Count stores lookups — a refused upgrade must never reach fetchStoreData() (stores 조회 횟수 — 거부된 업그레이드는 fetchStoreData()에 도달하면 안 됨) */
+function countStoreLookups(harness) {
+  const lookups = { count: 0 };
+  const from    = harness.db.from;
+  harness.db.from = (table) => {
+    if (table === 'stores') lookups.count++;
+    return from(table);
+  };
+  return lookups;
+}
+
+test('upgrades need the shared secret or a signed token for their agent', async () => {
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.'])] },
+    env:    { RETELL_WS_SECRET: WS_SECRET },
+  });
+  const lookups = countStoreLookups(harness);
+
+  await expect(harness.connect({ agentId: AGENT_ID })).rejects.toThrow('401');
+  await expect(harness.connect({ agentId: AGENT_ID, query: { secret: 'wrong' } })).rejects.toThrow('401');
+  const otherAgent = signUpgradeToken({ agentId: 'agent-other', secret: WS_SECRET });
+  await expect(harness.connect({ agentId: AGENT_ID, query: { token: otherAgent } })).rejects.toThrow('401');
+  const expired = signUpgradeToken({ agentId: AGENT_ID, ttlSeconds: -1, secret: WS_SECRET });
+  await expect(harness.connect({ agentId: AGENT_ID, query: { token: expired } })).rejects.toThrow('401');
+  expect(lookups.count).toBe(0);
+
+  const bySecret = await harness.connect({ agentId: AGENT_ID, query: { secret: WS_SECRET } });
+  expect((await bySecret.response(0)).text).toBe('Hello, Harness Kitchen.');
+
+  const token   = signUpgradeToken({ agentId: AGENT_ID, secret: WS_SECRET });
+  const byToken = await harness.connect({ agentId: AGENT_ID, headers: { authorization: `Bearer ${token}` } });
+  await byToken.response(0);
+});
+
+test('addresses outside the allowlist are refused, and repeated rejections are rate-limited', async () => {
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.'])] },
+    env:    { WS_IP_ALLOWLIST: '10.0.0.0/8', WS_AUTH_MAX_FAILURES: '2' },
+  });
+  const lookups = countStoreLookups(harness);
+
+  await expect(harness.connect({ agentId: AGENT_ID })).rejects.toThrow('403');
+  await expect(harness.connect({ agentId: AGENT_ID })).rejects.toThrow('403');
+  await expect(harness.connect({ agentId: AGENT_ID })).rejects.toThrow('429');
+  expect(lookups.count).toBe(0);
+  await harness.close();
+
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.'])] },
+    env:    { WS_IP_ALLOWLIST: '10.0.0.0/8, 127.0.0.1' },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  expect((await call.response(0)).text).toBe('Hello, Harness Kitchen.');
+});
+
+test('behind a proxy the client address is the hop it appended, not one the client sent', async () => {
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.'])] },
+    env:    { WS_IP_ALLOWLIST: '10.0.0.0/8', WS_TRUST_PROXY: 'true' },
+  });
+
+  const spoofed = { 'x-forwarded-for': '10.0.0.7, 203.0.113.9' };
+  await expect(harness.connect({ agentId: AGENT_ID, headers: spoofed })).rejects.toThrow('403');
+
+  const call = await harness.connect({ agentId: AGENT_ID, headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.7' } });
+  expect((await call.response(0)).text).toBe('Hello, Harness Kitchen.');
+});
+
+test('in production, upgrades are refused outright while no secret is configured', async () => {
+  const nodeEnv = process.env.NODE_ENV;
+  try {
+    harness = await startRetellHarness({
+      tables: { stores: [storeRow(['Hello, Harness Kitchen.'])] },
+      env:    { NODE_ENV: 'production' },
+    });
+    const lookups = countStoreLookups(harness);
+
+    await expect(harness.connect({ agentId: AGENT_ID })).rejects.toThrow('503');
+    expect(lookups.count).toBe(0);
+  } finally {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  }
+});
+
+// ── Order Changes ─────────────────────────────────────────────────────────────
+
+const CALLER_PHONE = '+15035550100';
+
+/** An open order placed earlier by the caller (발신자가 이전에 넣은 진행 중 주문) */
+const openOrder = (overrides = {}) => ({
+  id:             'order-harness-001',
+  store_id:       STORE_ID,
+  status:         'pending',
+  items:          [{ name: 'Bulgogi', quantity: 1, unit_price: 14.5 }],
+  total_amount:   14.5,
+  customer_phone: CALLER_PHONE,
+  customer_email: 'guest@example.com',
+  created_at:     new Date().toISOString(),
+  ...overrides,
+});
+
+test('a modified order is re-priced from the menu, whatever total the model names', async () => {
+  harness = await startRetellHarness({
+    tables: {
+      stores:     [storeRow([
+        'Hello, Harness Kitchen.',
+        {
+          function_calls: [{
+            name: 'cancel_or_modify',
+            args: {
+              target: 'order', action: 'modify', customer_phone: CALLER_PHONE,
+              items:  [{ name: 'Kimchi Jjigae', quantity: 2 }], total_amount: 1,
+            },
+          }],
+        },
+        'Your order is updated.',
+      ])],
+      menu_items: MENU_ITEMS,
+      orders:     [openOrder()],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: CALLER_PHONE });
+  await call.response(0);
+
+  await call.response(call.say('Make it two kimchi jjigae instead'));
+  expect(harness.db.tables.orders).toEqual([expect.objectContaining({
+    total_amount: 24,
+    items:        [expect.objectContaining({ name: 'Kimchi Jjigae', quantity: 2, unit_price: 12 })],
+  })]);
+});
+
+test('another number\'s orders are neither read back nor changed without the order id', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'cancel_or_modify', args: { target: 'order', action: 'cancel', customer_phone: CALLER_PHONE } }] },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'What is the order number on your confirmation?'; },
+        {
+          function_calls: [{
+            name: 'cancel_or_modify',
+            args: { target: 'order', action: 'cancel', customer_phone: CALLER_PHONE, order_id: 'order-harness-001' },
+          }],
+        },
+        'That order is cancelled.',
+      ])],
+      orders: [openOrder(), openOrder({ id: 'order-harness-002', items: [{ name: 'Japchae', quantity: 1 }] })],
+    },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: '+15035550199' });
+  await call.response(0);
+
+  await call.response(call.say('Cancel my order, the number is 503 555 0100'));
+  expect(results[0]).toEqual({ status: 'verification_required', message: expect.any(String) });
+  expect(harness.db.tables.orders.map((o) => o.status)).toEqual(['pending', 'pending']);
+
+  await call.response(call.say('It is order-harness-001'));
+  expect(harness.db.tables.orders.map((o) => o.status)).toEqual(['cancelled', 'pending']);
+});
+
+test('a paid order is claimed before any refund, so a change that loses the race touches nothing', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'cancel_or_modify', args: { target: 'order', action: 'cancel', customer_phone: CALLER_PHONE } }] },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'Let me check that order again.'; },
+      ])],
+      orders: [openOrder({ status: 'paid', paid_at: '2026-10-01T18:00:00.000Z' })],
+    },
+  });
+
+  // POS injection moves the order on between the lookup and the claim (조회와 선점 사이에 POS 주입이 주문 상태를 변경)
+  const from = harness.db.from;
+  let raced  = false;
+  harness.db.from = (table) => {
+    const query = from(table);
+    if (table !== 'orders' || raced) return query;
+    const update = query.update.bind(query);
+    query.update = (values) => {
+      raced = true;
+      harness.db.tables.orders[0].status = 'sent_to_pos';
+      return update(values);
+    };
+    return query;
+  };
+
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: CALLER_PHONE });
+  await call.response(0);
+
+  await call.response(call.say('Cancel my order please'));
+  expect(results[0]).toMatchObject({ status: 'order_changed' });
+  expect(harness.db.tables.orders).toEqual([expect.objectContaining({ status: 'sent_to_pos' })]);
+});
+
+test('a cancel whose final write finds the order moved on is reported as a failure', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'cancel_or_modify', args: { target: 'order', action: 'cancel', customer_phone: CALLER_PHONE } }] },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'Sorry, let me get a staff member.'; },
+      ])],
+      orders: [openOrder({ status: 'paid', paid_at: '2026-10-01T18:00:00.000Z' })],
+    },
+  });
+
+  // The claimed order is moved out of 'cancelling' before the cancel is written (취소 기록 전 선점된 주문이 'cancelling'에서 벗어남)
+  const from = harness.db.from;
+  harness.db.from = (table) => {
+    const query = from(table);
+    if (table !== 'orders') return query;
+    const update = query.update.bind(query);
+    query.update = (values) => {
+      if (values.status === 'cancelled') harness.db.tables.orders[0].status = 'sent_to_pos';
+      return update(values);
+    };
+    return query;
+  };
+
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: CALLER_PHONE });
+  await call.response(0);
+
+  await call.response(call.say('Cancel my order please'));
+  expect(results[0]).toMatchObject({ status: 'error', order_id: 'order-harness-001', refund_amount: '14.50' });
+  expect(harness.db.tables.orders).toEqual([expect.objectContaining({ status: 'sent_to_pos' })]);
+});
+
+test('the kitchen marks an order ready, and check_order_status tells the caller so', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        { function_calls: [{ name: 'check_order_status', args: { customer_phone: CALLER_PHONE } }] },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'Yes, it is ready for pickup.'; },
+      ])],
+      orders: [
+        openOrder({ status: 'sent_to_pos' }),
+        openOrder({ id: 'order-harness-002', status: 'pending', created_at: '2020-01-01T00:00:00.000Z' }),
+      ],
+    },
+    env: { STORE_API_SECRET: 'store-api-secret-for-harness' },
+  });
+
+  const { default: express } = await import('express');
+  const { posRouter }         = await import('../../src/routes/posRoutes.js');
+  const { storeApiKey }       = await import('../../src/middlewares/storeAuth.js');
+  const app    = express().use(express.json()).use('/api/pos', posRouter);
+  const server = app.listen(0);
+  const base   = `http://127.0.0.1:${server.address().port}/api/pos/orders/${STORE_ID}`;
+  const patch  = (orderId, status) => fetch(`${base}/${orderId}/status`, {
+    method:  'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${storeApiKey(STORE_ID)}` },
+    body:    JSON.stringify({ status }),
+  });
+
+  try {
+    expect((await patch('order-harness-001', 'ready')).status).toBe(200);
+    expect((await patch('order-harness-002', 'ready')).status).toBe(409); // Unpaid — not ready (미결제 — 준비 완료 불가)
+  } finally {
+    server.close();
+  }
+  expect(harness.db.tables.orders.map((o) => o.status)).toEqual(['ready', 'pending']);
+
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: CALLER_PHONE });
+  await call.response(0);
+  const reply = await call.response(call.say('Is my order ready?'));
+  expect(reply.text).toBe('Yes, it is ready for pickup.');
+
+  expect(results[0].orders).toContainEqual(expect.objectContaining({
+    order_id:           'order-harness-001',
+    status:             'ready',
+    status_description: 'ready for pickup',
+    is_open:            true,
+  }));
+});
+
+// ── Reservations ──────────────────────────────────────────────────────────────
+
+test('a booking that overruns the lock is refused rather than written after the lock expires', async () => {
+  const results = [];
+  harness = await startRetellHarness({
+    tables: {
+      stores: [storeRow([
+        'Hello, Harness Kitchen.',
+        {
+          function_calls: [{
+            name: 'make_reservation',
+            args: { customer_phone: CALLER_PHONE, customer_email: 'guest@example.com', date: '2027-06-15', time: '18:00', party_size: 2 },
+          }],
+        },
+        (contents) => { results.push(toolResults(contents).at(-1)); return 'Sorry, that did not go through.'; },
+      ])],
+    },
+  });
+
+  // The availability read stalls past the work limit (가용성 조회가 작업 제한 시간을 넘어 지연)
+  const from    = harness.db.from;
+  const stalled = [];
+  harness.db.from = (table) => {
+    const query = from(table);
+    if (table !== 'reservations') return query;
+    const then = query.then.bind(query);
+    query.then = (resolve, reject) => {
+      const settled = new Promise((done) => setTimeout(done, 3_500)).then(() => then(resolve, reject));
+      stalled.push(settled);
+      return settled;
+    };
+    return query;
+  };
+
+  const call = await harness.connect({ agentId: AGENT_ID, fromNumber: CALLER_PHONE });
+  await call.response(0);
+
+  await call.response(call.say('A table for two next June 15th at 6'), { timeoutMs: 10_000 });
+  expect(results[0]).toMatchObject({ status: 'error' });
+
+  await Promise.all(stalled);
+  expect(harness.db.tables.reservations ?? []).toHaveLength(0);
+});
+
+// ── Model Providers ───────────────────────────────────────────────────────────
+
+test('the env API key stays off an OpenAI-compatible server named by the store row', async () => {
+  const seen   = [];
+  const server = createServer((req, res) => {
+    seen.push(req.headers);
+    req.resume().on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello, Harness Kitchen.' } }] })}\n\ndata: [DONE]\n\n`);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    harness = await startRetellHarness({
+      env:    { OPENAI_COMPAT_API_KEY: 'env-only-key' },
+      tables: {
+        stores: [storeRow([], {
+          llm_policy: { provider: 'openai_compatible', model: 'harness-model', base_url: `http://127.0.0.1:${server.address().port}/v1` },
+        })],
+      },
+    });
+    const call = await harness.connect({ agentId: AGENT_ID });
+
+    expect((await call.response(0)).text).toBe('Hello, Harness Kitchen.');
+    expect(seen).toHaveLength(1);
+    expect(seen[0].authorization).toBeUndefined();
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('a long call is compacted through the store\'s own provider, not Gemini', async () => {
+  const prompts = [];
+  const record  = (contents, { systemPrompt }) => { prompts.push(systemPrompt); return 'Noted.'; };
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.', ...Array.from({ length: 12 }, () => record)])] },
+  });
+  const call = await harness.connect({ agentId: AGENT_ID });
+  await call.response(0);
+
+  // ~7,000 estimated tokens over seven caller turns — past the 6,000-token budget (예산 6,000 토큰 초과)
+  for (let turn = 1; turn <= 7; turn++) {
+    await call.response(call.say(`Turn ${turn}: ${'please note that the party has a nut allergy. '.repeat(85)}`));
+  }
+
+  await expect.poll(() => prompts.some((p) => p.startsWith('You compress the earlier part of a live phone call'))).toBe(true);
+});
+
+test('the post-call summary runs on the store\'s own provider, and is skipped when that provider is unavailable', async () => {
+  const prompts = [];
+  const summary = (contents, { systemPrompt }) => {
+    prompts.push(systemPrompt);
+    return '```json\n{"summary": "Caller asked about parking.", "intent": "question", "sentiment": 0.4, "action_items": []}\n```';
+  };
+  const tables = () => ({
+    stores:      [storeRow([summary])],
+    calls:       [{ call_id: 'harness-call-summary', store_id: STORE_ID, status: 'ended' }],
+    call_events: [
+      { call_id: 'harness-call-summary', seq: 1, event_type: 'user',      content: 'Do you have parking?' },
+      { call_id: 'harness-call-summary', seq: 2, event_type: 'assistant', content: 'Yes, there is a free lot out back.' },
+    ],
+  });
+
+  harness = await startRetellHarness({ tables: tables() });
+  const { summarizeCall } = await import('../../src/services/call/callSummary.js');
+
+  expect(await summarizeCall('harness-call-summary')).toEqual({ status: 'summarized', intent: 'question' });
+  expect(prompts[0]).toContain('You review phone calls handled by a restaurant');
+  expect(harness.db.tables.calls[0]).toMatchObject({
+    summary:        'Caller asked about parking.',
+    intent:         'question',
+    summary_status: 'summarized',
+  });
+  await harness.close();
+
+  // The provider cannot be built — no Gemini fallback, the summary is skipped (프로바이더 생성 불가 — Gemini 폴백 없이 요약 건너뜀)
+  harness = await startRetellHarness({ tables: tables(), env: { LLM_ALLOW_SCRIPTED: 'false' } });
+  expect(await summarizeCall('harness-call-summary')).toEqual({ status: 'skipped' });
+  expect(harness.db.tables.calls[0]).toMatchObject({ summary_status: 'skipped' });
+  expect(prompts).toHaveLength(1);
+});
+
+// ── Reconnects ────────────────────────────────────────────────────────────────
+
+test('a replaced socket that closes late leaves the resumed call its checkpoint and record', async () => {
+  const callId = 'harness-call-resume';
+  harness = await startRetellHarness({
+    tables: { stores: [storeRow(['Hello, Harness Kitchen.', 'Yes, we have bulgogi.', 'Great, anything else?'])] },
+  });
+  const first = await harness.connect({ agentId: AGENT_ID, callId });
+  await first.response(0);
+  await first.response(first.say('Do you have bulgogi?'));
+
+  // Retell reconnects before the server has seen the old socket close (서버가 이전 소켓 종료를 보기 전에 Retell이 재연결)
+  const second = await harness.connect({ agentId: AGENT_ID, callId });
+  await first.close();
+  await second.response(second.say('Great'));
+
+  const { expiresAt } = harness.redis.entries.get(`call-session:${callId}`);
+  expect(expiresAt - Date.now()).toBeGreaterThan(10 * 60_000);
+  expect(harness.db.tables.calls).toEqual([expect.objectContaining({ call_id: callId, status: 'in_progress' })]);
+});
@@ -0,0 +1,77 @@
+/**
+ * E2E API tests — store API keys on owner routes
+ *
+ * What these tests prove:
+ *   1. Owner routes refuse requests without a store API key (401).
+ *   2. A key issued for one store does not open another store's routes (403).
+ *   3. The kitchen order status route (ready / completed) is behind the same key.
+ *
+ * (이 테스트가 증명하는 것:
+ *   1. 점주 라우트는 매장 API 키 없는 요청을 거부 (401)
+ *   2. 한 매장에 발급된 키로 다른 매장 라우트에 접근 불가 (403)
+ *   3. 주방 주문 상태 라우트(ready / completed)도 같은 키로 보호)
+ *
+ * Server setup: playwright.config.js sets STORE_API_SECRET on the test server. Requests that
+ * pass the key check would reach Supabase, so only rejections are exercised here.
+ * (서버 설정: playwright.config.js가 테스트 서버에 STORE_API_SECRET 설정. 키 검사를 통과한 요청은
+ *  Supabase에 도달하므로 여기서는 거부 경로만 검증)
+ */
+
+import { test, expect } from '@playwright/test';
+import { storeApiKey }  from '../../src/middlewares/storeAuth.js';
+
+const SECRET        = 'store-api-secret-for-tests-only'; // Matches playwright.config.js (playwright.config.js와 동일)
+const STORE_ID      = 'store-owner-a';
+const OTHER_STORE   = 'store-owner-b';
+const KNOWLEDGE_URL = `/api/knowledge/${STORE_ID}`;
+
+test.describe('Knowledge base routes', () => {
+
+  test('refuses a request without a store API key', async ({ request }) => {
+    const list   = await request.get(KNOWLEDGE_URL);
+    const create = await request.post(KNOWLEDGE_URL, { data: { question: 'Parking?', answer: 'Free lot out back.' } });
+
+    expect(list.status()).toBe(401);
+    expect(create.status()).toBe(401);
+    expect((await list.json()).message).toBeTruthy(); // Korean message present (한글 메시지 존재)
+  });
+
+  test("refuses another store's key", async ({ request }) => {
+    const headers = { Authorization: `Bearer ${storeApiKey(OTHER_STORE, SECRET)}` };
+
+    const update = await request.patch(`${KNOWLEDGE_URL}/entry-1`, { headers, data: { active: false } });
+    const remove = await request.delete(`${KNOWLEDGE_URL}/entry-1`, { headers: { 'X-Store-Key': headers.Authorization.slice(7) } });
+
+    expect(update.status()).toBe(403);
+    expect(remove.status()).toBe(403);
+  });
+});
+
+test.describe('Menu tag routes', () => {
+
+  test('refuses tag edits without the store API key', async ({ request }) => {
+    const list  = await request.get(`/api/pos/menu/${STORE_ID}/tags`);
+    const patch = await request.patch(`/api/pos/menu/${STORE_ID}/items/item-1/tags`, {
+      headers: { Authorization: `Bearer ${storeApiKey(OTHER_STORE, SECRET)}` },
+      data:    { allergens: ['peanuts'] },
+    });
+
+    expect(list.status()).toBe(401);
+    expect(patch.status()).toBe(403);
+  });
+});
+
+test.describe('Order status route', () => {
+
+  test('refuses kitchen status updates without the store API key', async ({ request }) => {
+    const url     = `/api/pos/orders/${STORE_ID}/order-1/status`;
+    const missing = await request.patch(url, { data: { status: 'ready' } });
+    const other   = await request.patch(url, {
+      headers: { Authorization: `Bearer ${storeApiKey(OTHER_STORE, SECRET)}` },
+      data:    { status: 'ready' },
+    });
+
+    expect(missing.status()).toBe(401);
+    expect(other.status()).toBe(403);
+  });
+});